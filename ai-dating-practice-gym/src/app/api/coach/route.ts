@@ -2,7 +2,7 @@ import { NextResponse } from "next/server";
 import { z } from "zod";
 
 import { computeSessionMetrics } from "@/lib/metrics";
-import { getOpenAIClient } from "@/lib/openai";
+import { getLLMProvider } from "@/lib/llm";
 import {
   buildCoachingSystemPrompt,
   buildCoachingUserPrompt,
@@ -67,7 +67,7 @@ export async function POST(request: Request) {
 
     const { data: messages } = await supabase
       .from("messages")
-      .select("id,role,content,created_at")
+      .select("id,role,content,created_at,annotations")
       .eq("session_id", body.sessionId)
       .order("created_at", { ascending: true });
 
@@ -86,14 +86,13 @@ export async function POST(request: Request) {
         id: message.id,
         role: message.role as "user" | "assistant" | "system",
         content: message.content,
+        annotations: message.annotations,
       })),
     );
 
-    const openai = getOpenAIClient();
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL_COACHING ?? "gpt-4.1-mini",
+    const report = await getLLMProvider().chatJSON({
+      purpose: "coaching",
       temperature: 0.2,
-      response_format: { type: "json_object" },
       messages: [
         {
           role: "system",
@@ -119,15 +118,14 @@ export async function POST(request: Request) {
           }),
         },
       ],
-      max_completion_tokens: 1900,
+      maxTokens: 1900,
     });
 
-    const raw = completion.choices[0]?.message?.content;
-    if (!raw) {
+    if (report === null) {
       return NextResponse.json({ error: "Coach model returned empty output." }, { status: 502 });
     }
 
-    const parsed = CoachingReportSchema.parse(JSON.parse(raw));
+    const parsed = CoachingReportSchema.parse(report);
     const normalized = normalizeCoachingPayload(parsed);
 
     const [upsertResult] = await Promise.all([
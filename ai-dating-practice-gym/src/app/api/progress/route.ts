@@ -0,0 +1,52 @@
+import { NextResponse } from "next/server";
+import { z } from "zod";
+
+import { loadProgress } from "@/lib/progress";
+import { applyRateLimit } from "@/lib/rate-limit";
+import { createSupabaseServerClient } from "@/lib/supabase/server";
+
+const ProgressQuerySchema = z.object({
+  persona: z.string().uuid().optional(),
+  difficulty: z.coerce.number().int().min(1).max(5).optional(),
+});
+
+export async function GET(request: Request) {
+  try {
+    const supabase = await createSupabaseServerClient();
+    const {
+      data: { user },
+    } = await supabase.auth.getUser();
+
+    if (!user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const limitResult = applyRateLimit({
+      key: `progress:${user.id}`,
+      max: 30,
+      windowMs: 60_000,
+    });
+    if (!limitResult.allowed) {
+      return NextResponse.json({ error: "Rate limit exceeded. Please wait a moment." }, { status: 429 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const query = ProgressQuerySchema.parse({
+      persona: searchParams.get("persona") || undefined,
+      difficulty: searchParams.get("difficulty") || undefined,
+    });
+
+    const progress = await loadProgress(supabase, user.id, {
+      personaId: query.persona,
+      difficulty: query.difficulty,
+    });
+
+    return NextResponse.json({ progress });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json({ error: error.issues[0]?.message ?? "Invalid request." }, { status: 400 });
+    }
+    console.error("progress route error", error);
+    return NextResponse.json({ error: "Internal server error." }, { status: 500 });
+  }
+}
@@ -0,0 +1,126 @@
+import { NextResponse } from "next/server";
+import { z } from "zod";
+
+import { getUsageAccess } from "@/lib/access";
+import { applyRateLimit } from "@/lib/rate-limit";
+import { type SessionForkMeta } from "@/lib/session-tree";
+import { createSupabaseServerClient } from "@/lib/supabase/server";
+
+const ForkBodySchema = z.object({
+  sessionId: z.string().uuid(),
+  userMessageId: z.string().uuid(),
+  rewrite: z.string().trim().min(1).max(1000),
+});
+
+// Branch-and-retry: copies a finished session's transcript up to (not including) one of its user
+// turns into a new active session. The client then sends the rewrite through /api/simulate.
+export async function POST(request: Request) {
+  try {
+    const supabase = await createSupabaseServerClient();
+    const {
+      data: { user },
+    } = await supabase.auth.getUser();
+
+    if (!user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const limitResult = applyRateLimit({
+      key: `fork:${user.id}`,
+      max: 10,
+      windowMs: 60_000,
+    });
+    if (!limitResult.allowed) {
+      return NextResponse.json({ error: "Too many branches at once. Please wait a moment." }, { status: 429 });
+    }
+
+    const body = ForkBodySchema.parse(await request.json());
+
+    const [{ data: parent }, { data: forkMessage }] = await Promise.all([
+      supabase
+        .from("sessions")
+        .select("id,status,persona_id,setting_id")
+        .eq("id", body.sessionId)
+        .eq("user_id", user.id)
+        .maybeSingle(),
+      supabase
+        .from("messages")
+        .select("id,role,created_at")
+        .eq("id", body.userMessageId)
+        .eq("session_id", body.sessionId)
+        .maybeSingle(),
+    ]);
+
+    if (!parent) {
+      return NextResponse.json({ error: "Session not found." }, { status: 404 });
+    }
+    if (parent.status === "active") {
+      return NextResponse.json({ error: "Finish the session before branching from it." }, { status: 400 });
+    }
+    if (!forkMessage || forkMessage.role !== "user") {
+      return NextResponse.json({ error: "That message can't be retried." }, { status: 400 });
+    }
+
+    const usage = await getUsageAccess(supabase, user.id);
+    if (!usage.canStartSession) {
+      return NextResponse.json({ error: "Upgrade to Pro to keep practicing." }, { status: 402 });
+    }
+
+    const { data: transcript, error: transcriptError } = await supabase
+      .from("messages")
+      .select("role,content,created_at,annotations")
+      .eq("session_id", body.sessionId)
+      .lt("created_at", forkMessage.created_at)
+      .order("created_at", { ascending: true });
+
+    if (transcriptError) {
+      return NextResponse.json({ error: transcriptError.message }, { status: 500 });
+    }
+
+    const history = transcript ?? [];
+    const fork: SessionForkMeta = { rewrite: body.rewrite, copied_messages: history.length };
+    const { data: session, error: sessionError } = await supabase
+      .from("sessions")
+      .insert({
+        user_id: user.id,
+        persona_id: parent.persona_id,
+        setting_id: parent.setting_id,
+        status: "active",
+        parent_session_id: parent.id,
+        forked_from_message_id: forkMessage.id,
+        meta: { fork },
+      })
+      .select("id")
+      .single();
+
+    if (sessionError || !session) {
+      return NextResponse.json({ error: sessionError?.message ?? "Unable to create branch." }, { status: 500 });
+    }
+
+    if (history.length > 0) {
+      // Original timestamps keep the copied turns ahead of anything the fork adds
+      const { error: copyError } = await supabase.from("messages").insert(
+        history.map((message) => ({
+          session_id: session.id,
+          role: message.role,
+          content: message.content,
+          created_at: message.created_at,
+          annotations: message.annotations,
+        })),
+      );
+
+      if (copyError) {
+        await supabase.from("sessions").delete().eq("id", session.id).eq("user_id", user.id);
+        return NextResponse.json({ error: copyError.message }, { status: 500 });
+      }
+    }
+
+    return NextResponse.json({ sessionId: session.id });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json({ error: error.issues[0]?.message ?? "Invalid request." }, { status: 400 });
+    }
+    console.error("fork route error", error);
+    return NextResponse.json({ error: "Internal server error." }, { status: 500 });
+  }
+}
@@ -2,9 +2,11 @@ import { NextResponse } from "next/server";
 import { z } from "zod";
 
 import { buildProfileSummary } from "@/lib/profile";
+import { getLLMProvider } from "@/lib/llm";
 import { buildSimulationSystemPrompt } from "@/lib/prompts";
-import { getOpenAIClient } from "@/lib/openai";
 import { applyRateLimit } from "@/lib/rate-limit";
+import { encodeSseEvent, SSE_HEADERS } from "@/lib/sse";
+import { analyzeTurnTone } from "@/lib/tone";
 import {
   detectExplicitContent,
   detectSelfHarm,
@@ -75,6 +77,9 @@ export async function POST(request: Request) {
       return NextResponse.json({ error: "Complete your profile first." }, { status: 400 });
     }
 
+    // Only once the session and profile checks pass: the text goes to the Unsaid API. The call
+    // runs alongside the insert and the reply stream instead of holding them up.
+    const tonePending = analyzeTurnTone(body.content, user.id);
     const userMessagePayload = {
       session_id: body.sessionId,
       role: "user",
@@ -87,14 +92,32 @@ export async function POST(request: Request) {
     const { data: userMessage, error: userInsertError } = await supabase
       .from("messages")
       .insert(userMessagePayload)
-      .select("id,role,content,created_at")
+      .select("id,role,content,created_at,annotations")
       .single();
 
     if (userInsertError || !userMessage) {
       return NextResponse.json({ error: userInsertError?.message ?? "Could not save message." }, { status: 500 });
     }
 
+    // Adds the tone to the saved user turn once it arrives; resolves to null when there is none
+    const saveTone = async () => {
+      const tone = await tonePending;
+      if (!tone) {
+        return null;
+      }
+      const { error: toneUpdateError } = await supabase
+        .from("messages")
+        .update({ annotations: { ...userMessage.annotations, tone } })
+        .eq("id", userMessage.id);
+      if (toneUpdateError) {
+        console.error("could not save turn tone", toneUpdateError);
+        return null;
+      }
+      return tone;
+    };
+
     if (detectSelfHarm(body.content)) {
+      const toneSaved = saveTone();
       const { data: assistantMessage, error: assistantInsertError } = await supabase
         .from("messages")
         .insert({
@@ -105,7 +128,7 @@ export async function POST(request: Request) {
             safety_override: true,
           },
         })
-        .select("id,role,content,created_at")
+        .select("id,role,content,created_at,annotations")
         .single();
 
       if (assistantInsertError || !assistantMessage) {
@@ -127,8 +150,9 @@ export async function POST(request: Request) {
         .eq("id", body.sessionId)
         .eq("user_id", user.id);
 
+      const tone = await toneSaved;
       return NextResponse.json({
-        userMessage,
+        userMessage: tone ? { ...userMessage, annotations: { ...userMessage.annotations, tone } } : userMessage,
         assistantMessage,
         selfHarm: true,
       });
@@ -160,50 +184,118 @@ export async function POST(request: Request) {
       }),
     });
 
-    const openai = getOpenAIClient();
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL_SIMULATION ?? "gpt-4.1-mini",
-      temperature: 0.8,
-      messages: [
-        {
-          role: "system",
-          content: systemPrompt,
-        },
-        ...history.map((message) => ({
-          role: message.role as "user" | "assistant",
-          content: message.content,
-        })),
-      ],
-      max_completion_tokens: 280,
-    });
+    const llm = getLLMProvider();
+    // Stops the model when the client goes away; whatever arrived by then is still saved
+    const upstream = new AbortController();
+    request.signal.addEventListener("abort", () => upstream.abort(), { once: true });
 
-    const assistantText = completion.choices[0]?.message?.content?.trim();
-    if (!assistantText) {
-      return NextResponse.json({ error: "Simulation model returned an empty response." }, { status: 502 });
-    }
+    const stream = new ReadableStream<Uint8Array>({
+      async start(controller) {
+        let open = true;
+        const send = (event: string, data: unknown) => {
+          if (!open) {
+            return;
+          }
+          try {
+            controller.enqueue(encodeSseEvent(event, data));
+          } catch {
+            open = false;
+          }
+        };
+        const close = () => {
+          if (open) {
+            open = false;
+            try {
+              controller.close();
+            } catch {
+              // Already cancelled by the client
+            }
+          }
+        };
 
-    const { data: assistantMessage, error: assistantInsertError } = await supabase
-      .from("messages")
-      .insert({
-        session_id: body.sessionId,
-        role: "assistant",
-        content: assistantText,
-      })
-      .select("id,role,content,created_at")
-      .single();
+        send("user_message", { userMessage });
+        // Sent whenever it lands; done/error stay the last event, so they wait for it if needed
+        const toneSent = saveTone().then((tone) => {
+          if (tone) {
+            send("tone", { messageId: userMessage.id, tone });
+          }
+        });
 
-    if (assistantInsertError || !assistantMessage) {
-      return NextResponse.json(
-        { error: assistantInsertError?.message ?? "Could not save assistant reply." },
-        { status: 500 },
-      );
-    }
+        let assistantText = "";
+        let interruption: "client_abort" | "upstream_error" | null = null;
+        try {
+          const replies = llm.stream({
+            purpose: "simulation",
+            temperature: 0.8,
+            maxTokens: 280,
+            messages: [
+              {
+                role: "system",
+                content: systemPrompt,
+              },
+              ...history.map((message) => ({
+                role: message.role as "user" | "assistant",
+                content: message.content,
+              })),
+            ],
+            signal: upstream.signal,
+          });
+
+          for await (const delta of replies) {
+            assistantText += delta;
+            send("delta", { content: delta });
+          }
+        } catch (error) {
+          interruption = upstream.signal.aborted ? "client_abort" : "upstream_error";
+          if (interruption === "upstream_error") {
+            console.error("simulate stream error", error);
+          }
+        }
+
+        const content = assistantText.trim();
+        if (!content) {
+          await toneSent;
+          send("error", {
+            error: interruption
+              ? "The reply was interrupted before it started."
+              : "Simulation model returned an empty response.",
+          });
+          close();
+          return;
+        }
 
-    return NextResponse.json({
-      userMessage,
-      assistantMessage,
-      selfHarm: false,
+        const { data: assistantMessage, error: assistantInsertError } = await supabase
+          .from("messages")
+          .insert({
+            session_id: body.sessionId,
+            role: "assistant",
+            content,
+            ...(interruption
+              ? {
+                  annotations: {
+                    truncated: true,
+                    truncated_reason: interruption,
+                  },
+                }
+              : {}),
+          })
+          .select("id,role,content,created_at,annotations")
+          .single();
+
+        await toneSent;
+        if (assistantInsertError || !assistantMessage) {
+          send("error", { error: assistantInsertError?.message ?? "Could not save assistant reply." });
+        } else {
+          send("done", { assistantMessage, selfHarm: false });
+        }
+        close();
+      },
+      cancel() {
+        upstream.abort();
+      },
     });
+
+    return new Response(stream, { headers: SSE_HEADERS });
   } catch (error) {
     if (error instanceof z.ZodError) {
       return NextResponse.json({ error: error.issues[0]?.message ?? "Invalid request." }, { status: 400 });
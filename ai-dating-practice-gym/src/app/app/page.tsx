@@ -72,7 +72,12 @@ export default async function DashboardPage() {
       </section>
 
       <section className="rounded-2xl border border-zinc-200 bg-white p-6 shadow-sm">
-        <h2 className="text-lg font-semibold text-zinc-900">Recent sessions</h2>
+        <div className="flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-zinc-900">Recent sessions</h2>
+          <Link href="/app/progress" className="text-sm font-medium text-zinc-900 underline">
+            View progress
+          </Link>
+        </div>
         <div className="mt-4 space-y-3">
           {(recentSessions ?? []).length === 0 ? (
             <p className="text-sm text-zinc-600">No sessions yet. Start your first practice round.</p>
@@ -0,0 +1,32 @@
+import { ProgressDashboard } from "@/components/progress-dashboard";
+import { requireProfile, requireUser } from "@/lib/auth";
+
+type PersonaRow = {
+  id: string;
+  name: string;
+  difficulty: number;
+};
+
+export default async function ProgressPage() {
+  const { supabase, user } = await requireUser();
+  await requireProfile(user.id);
+
+  const { data: personas } = await supabase
+    .from("personas")
+    .select("id,name,difficulty")
+    .eq("is_active", true)
+    .order("difficulty", { ascending: true });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h1 className="text-2xl font-semibold text-zinc-900">Your progress</h1>
+        <p className="mt-1 text-sm text-zinc-600">
+          Coaching scores over time, the themes that keep coming up, and how consistently you practice.
+        </p>
+      </div>
+
+      <ProgressDashboard personas={(personas as PersonaRow[] | null) ?? []} />
+    </div>
+  );
+}
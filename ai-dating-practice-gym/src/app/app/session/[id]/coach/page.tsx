@@ -1,6 +1,7 @@
 import Link from "next/link";
 import { redirect } from "next/navigation";
 
+import { ForkButton } from "@/components/fork-button";
 import { requireProfile, requireUser } from "@/lib/auth";
 import { type CoachingReport } from "@/lib/types";
 
@@ -15,7 +16,7 @@ export default async function CoachPage({ params }: PageProps) {
   const { supabase, user } = await requireUser();
   await requireProfile(user.id);
 
-  const [{ data: session }, { data: reportRow }] = await Promise.all([
+  const [{ data: session }, { data: reportRow }, { data: userTurns }] = await Promise.all([
     supabase
       .from("sessions")
       .select("id,status,persona_id,setting_id,overall_score,summary")
@@ -23,6 +24,7 @@ export default async function CoachPage({ params }: PageProps) {
       .eq("user_id", user.id)
       .maybeSingle(),
     supabase.from("coaching_reports").select("payload").eq("session_id", id).maybeSingle(),
+    supabase.from("messages").select("id").eq("session_id", id).eq("role", "user"),
   ]);
 
   if (!session) {
@@ -30,6 +32,8 @@ export default async function CoachPage({ params }: PageProps) {
   }
 
   const report = reportRow?.payload as CoachingReport | undefined;
+  // The coach quotes message ids back; only real user turns of this session can be branched from
+  const forkableIds = new Set((userTurns ?? []).map((message) => message.id as string));
 
   if (!report) {
     return (
@@ -97,9 +101,14 @@ export default async function CoachPage({ params }: PageProps) {
               </p>
               <div className="mt-2">
                 <p className="text-xs uppercase tracking-wide text-zinc-500">Try instead</p>
-                <ul className="mt-1 list-disc pl-4 text-sm text-zinc-700">
+                <ul className="mt-1 list-disc space-y-1 pl-4 text-sm text-zinc-700">
                   {moment.rewrite_options.map((option) => (
-                    <li key={option}>{option}</li>
+                    <li key={option}>
+                      {option}{" "}
+                      {forkableIds.has(moment.user_message_id) ? (
+                        <ForkButton sessionId={session.id} userMessageId={moment.user_message_id} rewrite={option} />
+                      ) : null}
+                    </li>
                   ))}
                 </ul>
               </div>
@@ -2,8 +2,16 @@ import Link from "next/link";
 import { redirect } from "next/navigation";
 
 import { ChatSession } from "@/components/chat-session";
+import { BranchComparison, BranchTree, type BranchScores } from "@/components/session-branches";
 import { requireProfile, requireUser } from "@/lib/auth";
-import { type ChatMessage } from "@/lib/types";
+import {
+  buildSessionTree,
+  countTreeNodes,
+  forkMetaOf,
+  type SessionTreeNode,
+  type SessionTreeRow,
+} from "@/lib/session-tree";
+import { type ChatMessage, type CoachingReport } from "@/lib/types";
 
 type PageProps = {
   params: Promise<{
@@ -24,6 +32,10 @@ export default async function SessionPage({ params }: PageProps) {
         id,
         status,
         started_at,
+        persona_id,
+        setting_id,
+        parent_session_id,
+        meta,
         persona:personas (id,name),
         setting:settings (id,name)
       `,
@@ -33,7 +45,7 @@ export default async function SessionPage({ params }: PageProps) {
       .maybeSingle(),
     supabase
       .from("messages")
-      .select("id,role,content,created_at")
+      .select("id,role,content,created_at,annotations")
       .eq("session_id", id)
       .order("created_at", { ascending: true }),
   ]);
@@ -45,6 +57,21 @@ export default async function SessionPage({ params }: PageProps) {
   const persona = Array.isArray(session.persona) ? session.persona[0] : session.persona;
   const setting = Array.isArray(session.setting) ? session.setting[0] : session.setting;
 
+  // Forks share persona and setting with their parent, so this covers the whole tree
+  const { data: relatedSessions } = await supabase
+    .from("sessions")
+    .select("id,parent_session_id,status,started_at,overall_score")
+    .eq("user_id", user.id)
+    .eq("persona_id", session.persona_id)
+    .eq("setting_id", session.setting_id);
+  const tree = buildSessionTree((relatedSessions ?? []) as SessionTreeRow[], session.id);
+  const comparison = tree ? await loadBranchComparison(supabase, tree, session.id) : null;
+
+  // A fresh fork sends its rewrite once; after that the transcript is longer than the copy
+  const fork = forkMetaOf(session.meta);
+  const pendingMessage =
+    fork && session.status === "active" && (messages ?? []).length === fork.copied_messages ? fork.rewrite : undefined;
+
   return (
     <div className="space-y-4">
       <div className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-zinc-200 bg-white p-4 shadow-sm">
@@ -68,7 +95,62 @@ export default async function SessionPage({ params }: PageProps) {
         sessionId={session.id}
         initialMessages={(messages ?? []) as ChatMessage[]}
         initialStatus={session.status as "active" | "ended" | "coached"}
+        pendingMessage={pendingMessage}
       />
+
+      {tree && countTreeNodes(tree) > 1 ? <BranchTree root={tree} currentId={session.id} /> : null}
+      {comparison ? <BranchComparison before={comparison.before} after={comparison.after} /> : null}
     </div>
   );
 }
+
+function findNode(node: SessionTreeNode, id: string): SessionTreeNode | null {
+  if (node.id === id) {
+    return node;
+  }
+  for (const child of node.children) {
+    const found = findNode(child, id);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+// A fork is compared with its parent; an original with its latest branch
+async function loadBranchComparison(
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  supabase: any,
+  tree: SessionTreeNode,
+  sessionId: string,
+): Promise<{ before: BranchScores; after: BranchScores } | null> {
+  const current = findNode(tree, sessionId);
+  if (!current) {
+    return null;
+  }
+  const parent = current.parent_session_id ? findNode(tree, current.parent_session_id) : null;
+  const latestChild = current.children.at(-1) ?? null;
+  const [before, after] = parent ? [parent, current] : latestChild ? [current, latestChild] : [null, null];
+  if (!before || !after) {
+    return null;
+  }
+
+  const { data: reports } = await supabase
+    .from("coaching_reports")
+    .select("session_id,payload")
+    .in("session_id", [before.id, after.id]);
+  const breakdownFor = (id: string) => {
+    const row = (reports ?? []).find((report: { session_id: string }) => report.session_id === id);
+    return (row?.payload as CoachingReport | undefined)?.score_breakdown ?? null;
+  };
+  const scoresFor = (node: SessionTreeNode, label: string): BranchScores => ({
+    sessionId: node.id,
+    label: node.id === sessionId ? "This session" : label,
+    overallScore: node.overall_score,
+    breakdown: breakdownFor(node.id),
+  });
+
+  return parent
+    ? { before: scoresFor(before, "Parent"), after: scoresFor(after, "") }
+    : { before: scoresFor(before, ""), after: scoresFor(after, "Latest branch") };
+}
@@ -1,15 +1,19 @@
 "use client";
 
-import { useMemo, useRef, useState } from "react";
+import { useEffect, useEffectEvent, useMemo, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
 
 import { SELF_HARM_RESOURCE_MESSAGE } from "@/lib/safety";
+import { readSseEvents } from "@/lib/sse";
+import { type ToneAnnotation } from "@/lib/tone";
 import { type ChatMessage } from "@/lib/types";
 
 type ChatSessionProps = {
   sessionId: string;
   initialMessages: ChatMessage[];
   initialStatus: "active" | "ended" | "coached";
+  // Sent once on mount: the rewrite a fresh branch continues with
+  pendingMessage?: string;
 };
 
 type SimulateResponse = {
@@ -18,13 +22,49 @@ type SimulateResponse = {
   selfHarm: boolean;
 };
 
-export function ChatSession({ sessionId, initialMessages, initialStatus }: ChatSessionProps) {
+const toneChipStyles: Record<ToneAnnotation["bucket"], string> = {
+  clear: "bg-emerald-100 text-emerald-800",
+  caution: "bg-amber-100 text-amber-800",
+  alert: "bg-red-100 text-red-800",
+};
+
+function ToneChip({ tone }: { tone: ToneAnnotation }) {
+  const details = [
+    `Tone: ${tone.tone}`,
+    ...tone.misunderstandings.map((item) => `Could be misread: ${item}`),
+  ].join("\n");
+
+  return (
+    <span
+      title={details}
+      className={`mt-2 inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium capitalize ${toneChipStyles[tone.bucket]}`}
+    >
+      {tone.bucket} · {tone.tone}
+    </span>
+  );
+}
+
+// Stand-in for a reply the user stopped; the server saves the same text marked as truncated
+function interruptedMessage(content: string): ChatMessage {
+  return {
+    id: `local-${Date.now()}`,
+    role: "assistant",
+    content,
+    created_at: new Date().toISOString(),
+    annotations: { truncated: true, truncated_reason: "client_abort" },
+  };
+}
+
+export function ChatSession({ sessionId, initialMessages, initialStatus, pendingMessage }: ChatSessionProps) {
   const router = useRouter();
   const bottomRef = useRef<HTMLDivElement | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+  const pendingSentRef = useRef(false);
 
   const [messages, setMessages] = useState<ChatMessage[]>(initialMessages);
-  const [input, setInput] = useState("");
+  const [input, setInput] = useState(pendingMessage ?? "");
   const [sending, setSending] = useState(false);
+  const [streamingText, setStreamingText] = useState<string | null>(null);
   const [ending, setEnding] = useState(false);
   const [status, setStatus] = useState(initialStatus);
   const [safetyStopped, setSafetyStopped] = useState(false);
@@ -32,15 +72,27 @@ export function ChatSession({ sessionId, initialMessages, initialStatus }: ChatS
 
   const canChat = useMemo(() => status === "active" && !safetyStopped, [status, safetyStopped]);
 
+  function scrollToBottom() {
+    requestAnimationFrame(() => bottomRef.current?.scrollIntoView({ behavior: "smooth" }));
+  }
+
   async function sendMessage(event: React.FormEvent<HTMLFormElement>) {
     event.preventDefault();
-    if (!input.trim() || sending || !canChat) {
+    await send(input.trim());
+  }
+
+  async function send(content: string) {
+    if (!content || sending || !canChat) {
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setSending(true);
     setErrorMessage("");
 
+    let partial = "";
+    let finished = false;
     try {
       const response = await fetch("/api/simulate", {
         method: "POST",
@@ -49,29 +101,94 @@ export function ChatSession({ sessionId, initialMessages, initialStatus }: ChatS
         },
         body: JSON.stringify({
           sessionId,
-          content: input.trim(),
+          content,
         }),
+        signal: controller.signal,
       });
 
-      const payload = (await response.json()) as SimulateResponse | { error: string };
-      if (!response.ok || "error" in payload) {
-        setErrorMessage("error" in payload ? payload.error : "Failed to send message.");
+      // Errors and the self-harm response come back as plain JSON
+      if (!response.headers.get("content-type")?.includes("text/event-stream")) {
+        const payload = (await response.json()) as SimulateResponse | { error: string };
+        if (!response.ok || "error" in payload) {
+          setErrorMessage("error" in payload ? payload.error : "Failed to send message.");
+          return;
+        }
+
+        setInput("");
+        setMessages((current) => [...current, payload.userMessage, payload.assistantMessage]);
+        if (payload.selfHarm) {
+          setSafetyStopped(true);
+        }
+        scrollToBottom();
         return;
       }
 
-      setInput("");
-      setMessages((current) => [...current, payload.userMessage, payload.assistantMessage]);
-      if (payload.selfHarm) {
-        setSafetyStopped(true);
+      setStreamingText("");
+      await readSseEvents(response, ({ event: name, data }) => {
+        if (name === "user_message") {
+          const { userMessage } = data as { userMessage: ChatMessage };
+          setInput("");
+          setMessages((current) => [...current, userMessage]);
+          scrollToBottom();
+        } else if (name === "tone") {
+          const { messageId, tone } = data as { messageId: string; tone: ToneAnnotation };
+          setMessages((current) =>
+            current.map((message) =>
+              message.id === messageId ? { ...message, annotations: { ...message.annotations, tone } } : message,
+            ),
+          );
+        } else if (name === "delta") {
+          partial += (data as { content: string }).content;
+          setStreamingText(partial);
+          scrollToBottom();
+        } else if (name === "done") {
+          const { assistantMessage } = data as SimulateResponse;
+          finished = true;
+          setMessages((current) => [...current, assistantMessage]);
+        } else if (name === "error") {
+          finished = true;
+          setErrorMessage((data as { error: string }).error);
+        }
+      });
+
+      if (!finished) {
+        throw new Error("stream ended early");
       }
-      requestAnimationFrame(() => bottomRef.current?.scrollIntoView({ behavior: "smooth" }));
     } catch {
-      setErrorMessage("Unable to reach the server. Please try again.");
+      const stopped = controller.signal.aborted;
+      if (partial.trim()) {
+        setMessages((current) => [...current, interruptedMessage(partial.trim())]);
+        if (!stopped) {
+          setErrorMessage("The connection dropped mid-reply. What arrived was saved.");
+        }
+      } else if (!stopped) {
+        setErrorMessage("Unable to reach the server. Please try again.");
+      }
     } finally {
+      abortRef.current = null;
+      setStreamingText(null);
       setSending(false);
+      scrollToBottom();
     }
   }
 
+  // Reads the latest send without making it an effect dependency
+  const sendPending = useEffectEvent((content: string) => {
+    void send(content);
+  });
+
+  useEffect(() => {
+    // The ref keeps strict-mode double effects from sending twice
+    if (pendingMessage && !pendingSentRef.current) {
+      pendingSentRef.current = true;
+      sendPending(pendingMessage.trim());
+    }
+  }, [pendingMessage]);
+
+  function stopReply() {
+    abortRef.current?.abort();
+  }
+
   async function endDate() {
     if (ending || status === "coached") {
       return;
@@ -131,8 +248,29 @@ export function ChatSession({ sessionId, initialMessages, initialStatus }: ChatS
               {message.role === "assistant" ? "Date" : message.role}
             </p>
             <p className="whitespace-pre-wrap">{message.content}</p>
+            {message.annotations?.tone ? <ToneChip tone={message.annotations.tone} /> : null}
+            {message.annotations?.truncated ? (
+              <p className="mt-1 text-xs italic opacity-70">Interrupted</p>
+            ) : null}
           </div>
         ))}
+        {streamingText !== null ? (
+          <div className="max-w-[85%] rounded-2xl bg-zinc-100 px-4 py-2 text-sm text-zinc-800" aria-live="polite">
+            <p className="mb-1 text-xs uppercase tracking-wide opacity-70">Date</p>
+            {streamingText ? (
+              <p className="whitespace-pre-wrap">
+                {streamingText}
+                <span className="ml-0.5 inline-block h-4 w-1.5 animate-pulse bg-zinc-400 align-text-bottom" />
+              </p>
+            ) : (
+              <p className="flex gap-1 py-1" aria-label="Typing">
+                <span className="h-2 w-2 animate-bounce rounded-full bg-zinc-400 [animation-delay:-0.3s]" />
+                <span className="h-2 w-2 animate-bounce rounded-full bg-zinc-400 [animation-delay:-0.15s]" />
+                <span className="h-2 w-2 animate-bounce rounded-full bg-zinc-400" />
+              </p>
+            )}
+          </div>
+        ) : null}
         <div ref={bottomRef} />
       </div>
 
@@ -146,17 +284,27 @@ export function ChatSession({ sessionId, initialMessages, initialStatus }: ChatS
             placeholder={canChat ? "Type your message..." : "Session is not active."}
             className="flex-1 rounded-xl border border-zinc-300 px-3 py-2 text-sm outline-none ring-zinc-300 focus:ring-2 disabled:cursor-not-allowed disabled:bg-zinc-100"
           />
-          <button
-            type="submit"
-            disabled={!canChat || sending || !input.trim()}
-            className="rounded-xl bg-zinc-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-zinc-700 disabled:cursor-not-allowed disabled:bg-zinc-400"
-          >
-            {sending ? "Sending..." : "Send"}
-          </button>
+          {streamingText !== null ? (
+            <button
+              type="button"
+              onClick={stopReply}
+              className="rounded-xl border border-zinc-900 px-4 py-2 text-sm font-semibold text-zinc-900 transition hover:bg-zinc-100"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!canChat || sending || !input.trim()}
+              className="rounded-xl bg-zinc-900 px-4 py-2 text-sm font-semibold text-white transition hover:bg-zinc-700 disabled:cursor-not-allowed disabled:bg-zinc-400"
+            >
+              {sending ? "Sending..." : "Send"}
+            </button>
+          )}
           <button
             type="button"
             onClick={endDate}
-            disabled={ending || status === "coached"}
+            disabled={ending || sending || status === "coached"}
             className="rounded-xl border border-zinc-300 px-4 py-2 text-sm font-semibold text-zinc-700 transition hover:bg-zinc-100 disabled:cursor-not-allowed disabled:text-zinc-400"
           >
             {ending ? "Finishing..." : "End Date"}
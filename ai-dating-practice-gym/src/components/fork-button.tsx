@@ -0,0 +1,56 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+
+type ForkButtonProps = {
+  sessionId: string;
+  userMessageId: string;
+  rewrite: string;
+};
+
+export function ForkButton({ sessionId, userMessageId, rewrite }: ForkButtonProps) {
+  const router = useRouter();
+  const [forking, setForking] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  async function fork() {
+    setErrorMessage("");
+    setForking(true);
+    try {
+      const response = await fetch("/api/sessions/fork", {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({ sessionId, userMessageId, rewrite }),
+      });
+
+      const payload = (await response.json()) as { sessionId?: string; error?: string };
+      if (!response.ok || !payload.sessionId) {
+        setErrorMessage(payload.error ?? "Unable to branch from here.");
+        setForking(false);
+        return;
+      }
+
+      router.push(`/app/session/${payload.sessionId}`);
+    } catch {
+      setErrorMessage("Unable to reach the server. Please try again.");
+      setForking(false);
+    }
+  }
+
+  return (
+    <span className="inline-flex flex-wrap items-center gap-2">
+      <button
+        type="button"
+        onClick={fork}
+        disabled={forking}
+        className="rounded-lg border border-zinc-300 px-2 py-0.5 text-xs font-semibold text-zinc-700 transition hover:bg-zinc-100 disabled:cursor-not-allowed disabled:text-zinc-400"
+      >
+        {forking ? "Branching..." : "Retry from here"}
+      </button>
+      {errorMessage ? <span className="text-xs text-red-600">{errorMessage}</span> : null}
+    </span>
+  );
+}
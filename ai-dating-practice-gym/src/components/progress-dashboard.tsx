@@ -0,0 +1,283 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+import {
+  progressDimensions,
+  type DimensionScores,
+  type ProgressDimension,
+  type ProgressGroup,
+  type ProgressPoint,
+  type ProgressSummary,
+} from "@/lib/progress";
+
+type PersonaOption = {
+  id: string;
+  name: string;
+  difficulty: number;
+};
+
+type ProgressDashboardProps = {
+  personas: PersonaOption[];
+};
+
+const dimensionLabels: Record<ProgressDimension, string> = {
+  overall: "Overall",
+  balance: "Balance",
+  pacing: "Pacing",
+  clarity: "Clarity",
+  warmth: "Warmth",
+  curiosity: "Curiosity",
+  self_disclosure: "Self-disclosure",
+};
+
+const CHART_WIDTH = 240;
+const CHART_HEIGHT = 72;
+
+function TrendChart({ series, dimension }: { series: ProgressPoint[]; dimension: ProgressDimension }) {
+  const points = series
+    .map((point) => ({ point, value: point.scores[dimension] }))
+    .filter((entry): entry is { point: ProgressPoint; value: number } => typeof entry.value === "number");
+
+  if (points.length === 0) {
+    return <p className="flex h-[72px] items-center text-xs text-zinc-500">No scores yet.</p>;
+  }
+
+  const step = points.length > 1 ? CHART_WIDTH / (points.length - 1) : 0;
+  const coords = points.map((entry, index) => ({
+    ...entry,
+    x: points.length > 1 ? index * step : CHART_WIDTH / 2,
+    y: CHART_HEIGHT - (entry.value / 100) * CHART_HEIGHT,
+  }));
+
+  return (
+    <svg
+      viewBox={`-4 -4 ${CHART_WIDTH + 8} ${CHART_HEIGHT + 8}`}
+      className="h-[72px] w-full"
+      role="img"
+      aria-label={`${dimensionLabels[dimension]} scores over time`}
+    >
+      <line x1={0} x2={CHART_WIDTH} y1={CHART_HEIGHT / 2} y2={CHART_HEIGHT / 2} className="stroke-zinc-200" strokeDasharray="4 4" />
+      <polyline
+        points={coords.map((coord) => `${coord.x},${coord.y}`).join(" ")}
+        fill="none"
+        className="stroke-zinc-900"
+        strokeWidth={2}
+        strokeLinejoin="round"
+      />
+      {coords.map((coord) => (
+        <circle key={coord.point.sessionId} cx={coord.x} cy={coord.y} r={3} className="fill-zinc-900">
+          <title>
+            {`${new Date(coord.point.coachedAt).toLocaleDateString()} · ${coord.point.personaName}: ${coord.value}`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function TrendBadge({ delta }: { delta: number | undefined }) {
+  if (typeof delta !== "number") {
+    return null;
+  }
+  return (
+    <span className={`text-xs font-medium ${delta > 0 ? "text-emerald-700" : delta < 0 ? "text-red-700" : "text-zinc-500"}`}>
+      {delta > 0 ? `+${delta}` : delta} recently
+    </span>
+  );
+}
+
+function GroupTable({ title, groups }: { title: string; groups: ProgressGroup[] }) {
+  return (
+    <section className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+      <h2 className="text-lg font-semibold text-zinc-900">{title}</h2>
+      <div className="mt-3 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase tracking-wide text-zinc-500">
+              <th className="py-1 pr-3 font-medium">Group</th>
+              <th className="py-1 pr-3 font-medium">Sessions</th>
+              {progressDimensions.map((dimension) => (
+                <th key={dimension} className="py-1 pr-3 font-medium">
+                  {dimensionLabels[dimension]}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map((group) => (
+              <tr key={group.key} className="border-t border-zinc-100 text-zinc-700">
+                <td className="py-1.5 pr-3">{group.label}</td>
+                <td className="py-1.5 pr-3">{group.sessions}</td>
+                {progressDimensions.map((dimension) => (
+                  <td key={dimension} className="py-1.5 pr-3">
+                    {group.averages[dimension] ?? "N/A"}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+function averageLabel(averages: DimensionScores, dimension: ProgressDimension) {
+  return typeof averages[dimension] === "number" ? `avg ${averages[dimension]}` : "";
+}
+
+export function ProgressDashboard({ personas }: ProgressDashboardProps) {
+  const [personaId, setPersonaId] = useState("");
+  const [difficulty, setDifficulty] = useState("");
+  const [progress, setProgress] = useState<ProgressSummary | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const difficulties = [...new Set(personas.map((persona) => persona.difficulty))].sort((a, b) => a - b);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const query = new URLSearchParams();
+    if (personaId) {
+      query.set("persona", personaId);
+    }
+    if (difficulty) {
+      query.set("difficulty", difficulty);
+    }
+
+    async function load() {
+      setLoading(true);
+      setErrorMessage("");
+      try {
+        const response = await fetch(`/api/progress?${query.toString()}`, { signal: controller.signal });
+        const payload = (await response.json()) as { progress?: ProgressSummary; error?: string };
+        if (!response.ok || !payload.progress) {
+          setErrorMessage(payload.error ?? "Unable to load progress.");
+          return;
+        }
+        setProgress(payload.progress);
+      } catch {
+        if (!controller.signal.aborted) {
+          setErrorMessage("Unable to reach the server. Please try again.");
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    }
+
+    void load();
+    return () => controller.abort();
+  }, [personaId, difficulty]);
+
+  return (
+    <div className="space-y-6">
+      <section className="flex flex-wrap gap-3 rounded-2xl border border-zinc-200 bg-white p-4 shadow-sm">
+        <label className="flex flex-col gap-1 text-xs uppercase tracking-wide text-zinc-500">
+          Persona
+          <select
+            value={personaId}
+            onChange={(event) => setPersonaId(event.target.value)}
+            className="rounded-xl border border-zinc-300 px-3 py-2 text-sm normal-case tracking-normal text-zinc-800"
+          >
+            <option value="">All personas</option>
+            {personas.map((persona) => (
+              <option key={persona.id} value={persona.id}>
+                {persona.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-xs uppercase tracking-wide text-zinc-500">
+          Difficulty
+          <select
+            value={difficulty}
+            onChange={(event) => setDifficulty(event.target.value)}
+            className="rounded-xl border border-zinc-300 px-3 py-2 text-sm normal-case tracking-normal text-zinc-800"
+          >
+            <option value="">All levels</option>
+            {difficulties.map((level) => (
+              <option key={level} value={String(level)}>
+                {level}/5
+              </option>
+            ))}
+          </select>
+        </label>
+      </section>
+
+      {errorMessage ? <p className="text-sm text-red-600">{errorMessage}</p> : null}
+      {loading && !progress ? <p className="text-sm text-zinc-600">Loading progress...</p> : null}
+
+      {progress ? (
+        <div className={`space-y-6 ${loading ? "opacity-60" : ""}`}>
+          <section className="grid gap-4 md:grid-cols-3">
+            <div className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+              <p className="text-xs uppercase tracking-wide text-zinc-500">Coached sessions</p>
+              <p className="mt-2 text-lg font-semibold text-zinc-900">{progress.sessions}</p>
+            </div>
+            <div className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+              <p className="text-xs uppercase tracking-wide text-zinc-500">Current streak</p>
+              <p className="mt-2 text-lg font-semibold text-zinc-900">
+                {progress.streaks.current} {progress.streaks.current === 1 ? "day" : "days"}
+              </p>
+            </div>
+            <div className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+              <p className="text-xs uppercase tracking-wide text-zinc-500">Longest streak</p>
+              <p className="mt-2 text-lg font-semibold text-zinc-900">
+                {progress.streaks.longest} {progress.streaks.longest === 1 ? "day" : "days"}
+              </p>
+            </div>
+          </section>
+
+          {progress.sessions === 0 ? (
+            <p className="rounded-2xl border border-zinc-200 bg-white p-6 text-sm text-zinc-600 shadow-sm">
+              No coached sessions match these filters yet. End a date to get scores.
+            </p>
+          ) : (
+            <>
+              <section className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+                {progressDimensions.map((dimension) => (
+                  <article key={dimension} className="rounded-2xl border border-zinc-200 bg-white p-4 shadow-sm">
+                    <div className="flex items-baseline justify-between gap-2">
+                      <h3 className="text-sm font-semibold text-zinc-800">{dimensionLabels[dimension]}</h3>
+                      <span className="flex items-baseline gap-2 text-xs text-zinc-500">
+                        {averageLabel(progress.averages, dimension)}
+                        <TrendBadge delta={progress.trend[dimension]} />
+                      </span>
+                    </div>
+                    <div className="mt-2">
+                      <TrendChart series={progress.series} dimension={dimension} />
+                    </div>
+                  </article>
+                ))}
+              </section>
+
+              <section className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+                <h2 className="text-lg font-semibold text-zinc-900">Recurring themes</h2>
+                {progress.themes.length === 0 ? (
+                  <p className="mt-2 text-sm text-zinc-600">No improvement has come up more than once yet.</p>
+                ) : (
+                  <ul className="mt-3 space-y-2">
+                    {progress.themes.map((theme) => (
+                      <li key={theme.title} className="flex items-center justify-between gap-3 text-sm text-zinc-700">
+                        <span>{theme.title}</span>
+                        <span className="text-xs text-zinc-500">
+                          {theme.count} reports · last {new Date(theme.lastSeen).toLocaleDateString()}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              <GroupTable title="By persona" groups={progress.byPersona} />
+              <GroupTable title="By difficulty" groups={progress.byDifficulty} />
+            </>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import Link from "next/link";
+
+import { type SessionTreeNode } from "@/lib/session-tree";
+import { type CoachingReport } from "@/lib/types";
+
+type ScoreBreakdown = CoachingReport["score_breakdown"];
+
+export type BranchScores = {
+  sessionId: string;
+  label: string;
+  overallScore: number | null;
+  breakdown: ScoreBreakdown | null;
+};
+
+const breakdownLabels: Record<keyof ScoreBreakdown, string> = {
+  balance: "Balance",
+  pacing: "Pacing",
+  clarity: "Clarity",
+  warmth: "Warmth",
+  curiosity: "Curiosity",
+  self_disclosure: "Self-disclosure",
+};
+
+function TreeItem({ node, currentId, depth }: { node: SessionTreeNode; currentId: string; depth: number }) {
+  const isCurrent = node.id === currentId;
+  return (
+    <li>
+      <div
+        className={`flex flex-wrap items-center justify-between gap-2 rounded-xl border px-3 py-2 text-sm ${
+          isCurrent ? "border-zinc-900 bg-zinc-50" : "border-zinc-200"
+        }`}
+      >
+        <span className="text-zinc-700">
+          {depth === 0 ? "Original" : "Branch"} · {new Date(node.started_at).toLocaleString()} · {node.status}
+        </span>
+        <span className="flex items-center gap-3">
+          <span className="text-zinc-600">
+            Score: {typeof node.overall_score === "number" ? node.overall_score : "N/A"}
+          </span>
+          {isCurrent ? (
+            <span className="text-xs font-semibold uppercase tracking-wide text-zinc-500">Viewing</span>
+          ) : (
+            <Link href={`/app/session/${node.id}`} className="font-medium text-zinc-900 underline">
+              Open
+            </Link>
+          )}
+        </span>
+      </div>
+      {node.children.length > 0 ? (
+        <ul className="ml-4 mt-2 space-y-2 border-l border-zinc-200 pl-4">
+          {node.children.map((child) => (
+            <TreeItem key={child.id} node={child} currentId={currentId} depth={depth + 1} />
+          ))}
+        </ul>
+      ) : null}
+    </li>
+  );
+}
+
+export function BranchTree({ root, currentId }: { root: SessionTreeNode; currentId: string }) {
+  return (
+    <section className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+      <h2 className="text-lg font-semibold text-zinc-900">Branches</h2>
+      <ul className="mt-3 space-y-2">
+        <TreeItem node={root} currentId={currentId} depth={0} />
+      </ul>
+    </section>
+  );
+}
+
+function formatDelta(before: number | null | undefined, after: number | null | undefined) {
+  if (typeof before !== "number" || typeof after !== "number") {
+    return null;
+  }
+  const delta = after - before;
+  return (
+    <span className={delta > 0 ? "text-emerald-700" : delta < 0 ? "text-red-700" : "text-zinc-500"}>
+      {delta > 0 ? `+${delta}` : delta}
+    </span>
+  );
+}
+
+// Side by side coaching scores of two branches; `after` is the later attempt
+export function BranchComparison({ before, after }: { before: BranchScores; after: BranchScores }) {
+  const rows = [
+    { key: "overall", label: "Overall", before: before.overallScore, after: after.overallScore },
+    ...(Object.keys(breakdownLabels) as Array<keyof ScoreBreakdown>).map((key) => ({
+      key,
+      label: breakdownLabels[key],
+      before: before.breakdown?.[key] ?? null,
+      after: after.breakdown?.[key] ?? null,
+    })),
+  ];
+
+  return (
+    <section className="rounded-2xl border border-zinc-200 bg-white p-5 shadow-sm">
+      <h2 className="text-lg font-semibold text-zinc-900">Branch comparison</h2>
+      <table className="mt-3 w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs uppercase tracking-wide text-zinc-500">
+            <th className="py-1 font-medium">Score</th>
+            <th className="py-1 font-medium">
+              <Link href={`/app/session/${before.sessionId}`} className="underline">
+                {before.label}
+              </Link>
+            </th>
+            <th className="py-1 font-medium">
+              <Link href={`/app/session/${after.sessionId}`} className="underline">
+                {after.label}
+              </Link>
+            </th>
+            <th className="py-1 font-medium">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.key} className="border-t border-zinc-100 text-zinc-700">
+              <td className="py-1.5">{row.label}</td>
+              <td className="py-1.5">{row.before ?? "N/A"}</td>
+              <td className="py-1.5">{row.after ?? "N/A"}</td>
+              <td className="py-1.5">{formatDelta(row.before, row.after) ?? "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {after.breakdown === null ? (
+        <p className="mt-3 text-xs text-zinc-500">End this branch to get its coaching scores.</p>
+      ) : null}
+    </section>
+  );
+}
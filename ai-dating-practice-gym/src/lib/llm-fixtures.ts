@@ -0,0 +1,94 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+
+import { parseJSONReply, type LLMProvider, type LLMRequest } from "@/lib/llm";
+
+// Offline stand-in for the model, replaying files from LLM_FIXTURES_DIR (default fixtures/llm):
+//   simulation.json - persona replies: the first matching rule, else `replies` in turn order
+//   coaching.json   - the coaching report returned for every session
+// Files are read on every call so tests can swap them between requests.
+
+type SimulationRule = {
+  persona?: string; // only for this persona name
+  match?: string; // case-insensitive regex tested against the latest user message
+  reply: string;
+  failAfterWords?: number; // stream this many words, then fail like a dropped upstream
+};
+
+type SimulationFixture = {
+  rules?: SimulationRule[];
+  replies: string[];
+};
+
+function fixturesDir() {
+  return process.env.LLM_FIXTURES_DIR ?? path.join(process.cwd(), "fixtures", "llm");
+}
+
+function readFixture(purpose: LLMRequest["purpose"]) {
+  return readFileSync(path.join(fixturesDir(), `${purpose}.json`), "utf8");
+}
+
+function wait(ms: number, signal?: AbortSignal) {
+  return new Promise<void>((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true },
+    );
+  });
+}
+
+function pickSimulationRule(request: LLMRequest): SimulationRule {
+  const fixture = JSON.parse(readFixture("simulation")) as SimulationFixture;
+  const system = request.messages.find((message) => message.role === "system")?.content ?? "";
+  const lastUser = [...request.messages].reverse().find((message) => message.role === "user")?.content ?? "";
+
+  const rule = (fixture.rules ?? []).find(
+    (candidate) =>
+      (!candidate.persona || system.includes(`Persona Name: ${candidate.persona}`)) &&
+      (!candidate.match || new RegExp(candidate.match, "i").test(lastUser)),
+  );
+  if (rule) {
+    return rule;
+  }
+
+  const turn = request.messages.filter((message) => message.role === "assistant").length;
+  return { reply: fixture.replies.length ? fixture.replies[turn % fixture.replies.length] : "" };
+}
+
+function replyFor(request: LLMRequest) {
+  return request.purpose === "coaching" ? readFixture("coaching") : pickSimulationRule(request).reply.trim();
+}
+
+export function createFixtureProvider(): LLMProvider {
+  return {
+    name: "fixture",
+    async chat(request) {
+      return replyFor(request);
+    },
+    async chatJSON(request) {
+      return parseJSONReply(replyFor(request));
+    },
+    async *stream(request) {
+      const rule = pickSimulationRule(request);
+      const delayMs = Number(process.env.LLM_FIXTURE_DELAY_MS ?? 0);
+      // Words with their trailing whitespace, so the chunks join back to the reply
+      const words = rule.reply.match(/\S+\s*/g) ?? [];
+
+      for (const [index, word] of words.entries()) {
+        request.signal?.throwIfAborted();
+        if (rule.failAfterWords !== undefined && index >= rule.failAfterWords) {
+          throw new Error("Fixture upstream failure");
+        }
+        if (delayMs > 0) {
+          await wait(delayMs, request.signal);
+        }
+        yield word;
+      }
+    },
+  };
+}
@@ -0,0 +1,50 @@
+import { createFixtureProvider } from "@/lib/llm-fixtures";
+import { createOpenAIProvider } from "@/lib/openai";
+
+export type LLMMessage = {
+  role: "system" | "user" | "assistant";
+  content: string;
+};
+
+// Routes ask for a purpose; each provider maps it to a model (or a fixture file)
+export type LLMPurpose = "simulation" | "coaching";
+
+export type LLMRequest = {
+  purpose: LLMPurpose;
+  messages: LLMMessage[];
+  temperature?: number;
+  maxTokens?: number;
+  signal?: AbortSignal;
+};
+
+export type LLMProvider = {
+  name: string;
+  chat(request: LLMRequest): Promise<string>;
+  // Parsed JSON reply, null when the model returned nothing; throws SyntaxError on invalid JSON
+  chatJSON(request: LLMRequest): Promise<unknown>;
+  stream(request: LLMRequest): AsyncIterable<string>;
+};
+
+export const llmProviderNames = ["openai", "fixture"] as const;
+
+let provider: LLMProvider | null = null;
+
+// LLM_PROVIDER=fixture replays files from LLM_FIXTURES_DIR instead of calling OpenAI
+export function getLLMProvider(): LLMProvider {
+  if (!provider) {
+    const name = process.env.LLM_PROVIDER ?? "openai";
+    if (name === "fixture") {
+      provider = createFixtureProvider();
+    } else if (name === "openai") {
+      provider = createOpenAIProvider();
+    } else {
+      throw new Error(`Unknown LLM_PROVIDER: ${name} (expected ${llmProviderNames.join(" or ")})`);
+    }
+  }
+  return provider;
+}
+
+export function parseJSONReply(raw: string | null | undefined): unknown {
+  const text = raw?.trim();
+  return text ? JSON.parse(text) : null;
+}
@@ -1,7 +1,10 @@
+import { type MessageAnnotations } from "@/lib/types";
+
 type MetricInputMessage = {
   id: string;
   role: "user" | "assistant" | "system";
   content: string;
+  annotations?: MessageAnnotations | null;
 };
 
 const heavyTopicKeywords = [
@@ -76,6 +79,9 @@ export function computeSessionMetrics(messages: MetricInputMessage[]) {
     return total + warmthKeywords.filter((keyword) => normalized.includes(keyword)).length;
   }, 0);
 
+  const toneBuckets = userMessages.map((message) => message.annotations?.tone?.bucket);
+  const toneTurns = (bucket: "clear" | "caution" | "alert") => toneBuckets.filter((value) => value === bucket).length;
+
   return {
     question_ratio: questionRatio,
     avg_user_length: avgUserLength,
@@ -83,5 +89,9 @@ export function computeSessionMetrics(messages: MetricInputMessage[]) {
     self_disclosure_ratio: selfDisclosureRatio,
     early_heavy_topic_flag: earlyHeavyTopicFlag,
     warmth_keywords_count: warmthKeywordsCount,
+    tone_analyzed_turns: toneBuckets.filter(Boolean).length,
+    tone_clear_turns: toneTurns("clear"),
+    tone_caution_turns: toneTurns("caution"),
+    tone_alert_turns: toneTurns("alert"),
   };
 }
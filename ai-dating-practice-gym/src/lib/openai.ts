@@ -1,6 +1,8 @@
 import OpenAI from "openai";
+import type { ChatCompletionMessageParam } from "openai/resources/chat/completions";
 
 import { getServerEnv } from "@/lib/env";
+import { parseJSONReply, type LLMProvider, type LLMPurpose, type LLMRequest } from "@/lib/llm";
 
 let client: OpenAI | null = null;
 
@@ -12,3 +14,51 @@ export function getOpenAIClient() {
   }
   return client;
 }
+
+function modelFor(purpose: LLMPurpose) {
+  return purpose === "coaching"
+    ? (process.env.OPENAI_MODEL_COACHING ?? "gpt-4.1-mini")
+    : (process.env.OPENAI_MODEL_SIMULATION ?? "gpt-4.1-mini");
+}
+
+function toParams(request: LLMRequest) {
+  return {
+    model: modelFor(request.purpose),
+    temperature: request.temperature,
+    messages: request.messages.map(
+      (message) => ({ role: message.role, content: message.content }) as ChatCompletionMessageParam,
+    ),
+    max_completion_tokens: request.maxTokens,
+  };
+}
+
+export function createOpenAIProvider(): LLMProvider {
+  return {
+    name: "openai",
+    async chat(request) {
+      const completion = await getOpenAIClient().chat.completions.create(toParams(request), {
+        signal: request.signal,
+      });
+      return completion.choices[0]?.message?.content?.trim() ?? "";
+    },
+    async chatJSON(request) {
+      const completion = await getOpenAIClient().chat.completions.create(
+        { ...toParams(request), response_format: { type: "json_object" } },
+        { signal: request.signal },
+      );
+      return parseJSONReply(completion.choices[0]?.message?.content);
+    },
+    async *stream(request) {
+      const completion = await getOpenAIClient().chat.completions.create(
+        { ...toParams(request), stream: true },
+        { signal: request.signal },
+      );
+      for await (const chunk of completion) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    },
+  };
+}
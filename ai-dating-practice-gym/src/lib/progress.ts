@@ -0,0 +1,327 @@
+import { type CoachingReport } from "@/lib/types";
+
+// Progress across coached sessions: per-dimension score series, averages per persona and difficulty,
+// recurring improvement themes and practice streaks. Aggregated server-side (GET /api/progress) so
+// the dashboard never downloads full coaching payloads. Days are UTC calendar days.
+
+type ScoreBreakdown = CoachingReport["score_breakdown"];
+
+export const progressDimensions = [
+  "overall",
+  "balance",
+  "pacing",
+  "clarity",
+  "warmth",
+  "curiosity",
+  "self_disclosure",
+] as const;
+
+export type ProgressDimension = (typeof progressDimensions)[number];
+
+export type DimensionScores = Partial<Record<ProgressDimension, number>>;
+
+export type ProgressSessionInput = {
+  sessionId: string;
+  coachedAt: string;
+  personaId: string;
+  personaName: string;
+  difficulty: number;
+  overallScore: number | null;
+  breakdown: Partial<ScoreBreakdown> | null;
+  improvementTitles: string[];
+};
+
+export type ProgressPoint = {
+  sessionId: string;
+  coachedAt: string;
+  personaId: string;
+  personaName: string;
+  difficulty: number;
+  scores: DimensionScores;
+};
+
+export type ProgressGroup = {
+  key: string;
+  label: string;
+  sessions: number;
+  averages: DimensionScores;
+};
+
+export type ProgressTheme = {
+  title: string;
+  count: number;
+  lastSeen: string;
+};
+
+export type ProgressStreaks = {
+  current: number;
+  longest: number;
+  lastPracticeDay: string | null;
+};
+
+export type ProgressSummary = {
+  sessions: number;
+  series: ProgressPoint[];
+  averages: DimensionScores;
+  // Mean of the latest TREND_WINDOW sessions minus the mean of the ones before them
+  trend: DimensionScores;
+  byPersona: ProgressGroup[];
+  byDifficulty: ProgressGroup[];
+  themes: ProgressTheme[];
+  streaks: ProgressStreaks;
+};
+
+export const TREND_WINDOW = 3;
+const MAX_THEMES = 5;
+const DAY_MS = 86_400_000;
+
+function scoresOf(session: ProgressSessionInput): DimensionScores {
+  const scores: DimensionScores = {};
+  if (typeof session.overallScore === "number") {
+    scores.overall = session.overallScore;
+  }
+  for (const dimension of progressDimensions) {
+    const value = session.breakdown?.[dimension as keyof ScoreBreakdown];
+    if (dimension !== "overall" && typeof value === "number") {
+      scores[dimension] = value;
+    }
+  }
+  return scores;
+}
+
+function averageScores(points: Array<{ scores: DimensionScores }>): DimensionScores {
+  const averages: DimensionScores = {};
+  for (const dimension of progressDimensions) {
+    const values = points
+      .map((point) => point.scores[dimension])
+      .filter((value): value is number => typeof value === "number");
+    if (values.length > 0) {
+      averages[dimension] = Math.round(values.reduce((total, value) => total + value, 0) / values.length);
+    }
+  }
+  return averages;
+}
+
+function trendOf(series: ProgressPoint[]): DimensionScores {
+  if (series.length <= TREND_WINDOW) {
+    return {};
+  }
+  const recent = averageScores(series.slice(-TREND_WINDOW));
+  const earlier = averageScores(series.slice(0, -TREND_WINDOW));
+  const trend: DimensionScores = {};
+  for (const dimension of progressDimensions) {
+    const now = recent[dimension];
+    const before = earlier[dimension];
+    if (typeof now === "number" && typeof before === "number") {
+      trend[dimension] = now - before;
+    }
+  }
+  return trend;
+}
+
+function groupBy(
+  series: ProgressPoint[],
+  keyOf: (point: ProgressPoint) => string,
+  labelOf: (point: ProgressPoint) => string,
+) {
+  const groups = new Map<string, ProgressPoint[]>();
+  for (const point of series) {
+    groups.set(keyOf(point), [...(groups.get(keyOf(point)) ?? []), point]);
+  }
+  return [...groups.entries()].map(
+    ([key, points]): ProgressGroup => ({
+      key,
+      label: labelOf(points[0]),
+      sessions: points.length,
+      averages: averageScores(points),
+    }),
+  );
+}
+
+// "Ask more follow-up questions." and "ask more follow up questions" count as one theme
+export function normalizeTheme(title: string) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function repeatedThemes(sessions: ProgressSessionInput[]): ProgressTheme[] {
+  const themes = new Map<string, ProgressTheme>();
+  for (const session of sessions) {
+    // Once per report, so a theme repeated within one report doesn't outweigh recurrence
+    const seen = new Set<string>();
+    for (const title of session.improvementTitles) {
+      const key = normalizeTheme(title);
+      if (!key || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      const existing = themes.get(key);
+      themes.set(key, {
+        // Latest wording wins
+        title: !existing || session.coachedAt >= existing.lastSeen ? title.trim() : existing.title,
+        count: (existing?.count ?? 0) + 1,
+        lastSeen: !existing || session.coachedAt > existing.lastSeen ? session.coachedAt : existing.lastSeen,
+      });
+    }
+  }
+  return [...themes.values()]
+    .filter((theme) => theme.count > 1)
+    .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen))
+    .slice(0, MAX_THEMES);
+}
+
+function dayIndex(iso: string) {
+  return Math.floor(new Date(iso).getTime() / DAY_MS);
+}
+
+// Consecutive UTC days with at least one session started; the current streak survives until a
+// whole day passes without practice
+export function computeStreaks(practicedAt: string[], now = new Date()): ProgressStreaks {
+  const days = [...new Set(practicedAt.map(dayIndex).filter(Number.isFinite))].sort((a, b) => a - b);
+  if (days.length === 0) {
+    return { current: 0, longest: 0, lastPracticeDay: null };
+  }
+
+  let longest = 1;
+  let run = 1;
+  for (let index = 1; index < days.length; index += 1) {
+    run = days[index] === days[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const lastDay = days[days.length - 1];
+  const today = Math.floor(now.getTime() / DAY_MS);
+  return {
+    current: today - lastDay <= 1 ? run : 0,
+    longest,
+    lastPracticeDay: new Date(lastDay * DAY_MS).toISOString().slice(0, 10),
+  };
+}
+
+export function computeProgress(
+  sessions: ProgressSessionInput[],
+  practicedAt: string[],
+  now = new Date(),
+): ProgressSummary {
+  const ordered = [...sessions].sort((a, b) => a.coachedAt.localeCompare(b.coachedAt));
+  const series = ordered.map(
+    (session): ProgressPoint => ({
+      sessionId: session.sessionId,
+      coachedAt: session.coachedAt,
+      personaId: session.personaId,
+      personaName: session.personaName,
+      difficulty: session.difficulty,
+      scores: scoresOf(session),
+    }),
+  );
+
+  return {
+    sessions: series.length,
+    series,
+    averages: averageScores(series),
+    trend: trendOf(series),
+    byPersona: groupBy(
+      series,
+      (point) => point.personaId,
+      (point) => point.personaName,
+    ),
+    byDifficulty: groupBy(
+      series,
+      (point) => String(point.difficulty),
+      (point) => `Difficulty ${point.difficulty}/5`,
+    ).sort((a, b) => Number(a.key) - Number(b.key)),
+    themes: repeatedThemes(ordered),
+    streaks: computeStreaks(practicedAt, now),
+  };
+}
+
+export type ProgressFilters = {
+  personaId?: string;
+  difficulty?: number;
+};
+
+// Only the score breakdown and improvement titles leave the database, never whole payloads
+export async function loadProgress(
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  supabase: any,
+  userId: string,
+  filters: ProgressFilters = {},
+  limit = 200,
+): Promise<ProgressSummary> {
+  let sessionsQuery = supabase
+    .from("sessions")
+    .select("id,started_at,ended_at,overall_score,persona:personas!inner (id,name,difficulty)")
+    .eq("user_id", userId)
+    .eq("status", "coached")
+    .order("started_at", { ascending: false })
+    .limit(limit);
+  if (filters.personaId) {
+    sessionsQuery = sessionsQuery.eq("persona_id", filters.personaId);
+  }
+  if (filters.difficulty) {
+    // Filters on an aliased embed go through the alias; !inner drops the non-matching sessions
+    sessionsQuery = sessionsQuery.eq("persona.difficulty", filters.difficulty);
+  }
+
+  const [{ data: sessions, error: sessionsError }, { data: practice, error: practiceError }] = await Promise.all([
+    sessionsQuery,
+    supabase.from("sessions").select("started_at").eq("user_id", userId),
+  ]);
+  if (sessionsError || practiceError) {
+    throw new Error(sessionsError?.message ?? practiceError?.message);
+  }
+
+  type SessionRow = {
+    id: string;
+    started_at: string;
+    ended_at: string | null;
+    overall_score: number | null;
+    persona: { id: string; name: string; difficulty: number } | Array<{ id: string; name: string; difficulty: number }>;
+  };
+  const rows = (sessions ?? []) as SessionRow[];
+
+  const { data: reports, error: reportsError } = rows.length
+    ? await supabase
+        .from("coaching_reports")
+        .select("session_id,score_breakdown:payload->score_breakdown,improvements:payload->improvements")
+        .in(
+          "session_id",
+          rows.map((row) => row.id),
+        )
+    : { data: [], error: null };
+  if (reportsError) {
+    throw new Error(reportsError.message);
+  }
+
+  type ReportRow = {
+    session_id: string;
+    score_breakdown: Partial<ScoreBreakdown> | null;
+    improvements: Array<{ title?: string }> | null;
+  };
+  const reportsBySession = new Map(((reports ?? []) as ReportRow[]).map((report) => [report.session_id, report]));
+
+  const inputs = rows.map((row): ProgressSessionInput => {
+    const persona = Array.isArray(row.persona) ? row.persona[0] : row.persona;
+    const report = reportsBySession.get(row.id);
+    return {
+      sessionId: row.id,
+      coachedAt: row.ended_at ?? row.started_at,
+      personaId: persona?.id ?? "",
+      personaName: persona?.name ?? "Unknown persona",
+      difficulty: persona?.difficulty ?? 0,
+      overallScore: row.overall_score,
+      breakdown: report?.score_breakdown ?? null,
+      improvementTitles: (report?.improvements ?? [])
+        .map((item) => item?.title)
+        .filter((title): title is string => typeof title === "string"),
+    };
+  });
+
+  return computeProgress(
+    inputs,
+    ((practice ?? []) as Array<{ started_at: string }>).map((row) => row.started_at),
+  );
+}
@@ -50,6 +50,7 @@ export function buildCoachingSystemPrompt(input: CoachingPromptInput): string {
     "Avoid shaming language.",
     "Output 5-10 timeline moments and each must include two rewrite options.",
     "Use message ids from the provided transcript for timeline linking.",
+    "Computed metrics include tone_caution_turns and tone_alert_turns (user turns the Unsaid tone check rated caution or alert); mention them when they shaped the date.",
     `Persona: ${input.personaName}`,
     `Rubric JSON: ${JSON.stringify(input.rubric)}`,
     `Computed metrics JSON: ${JSON.stringify(input.metrics)}`,
@@ -0,0 +1,62 @@
+// Branch-and-retry: forks point at their parent through sessions.parent_session_id. Trees are built
+// in memory from the user's sessions for one persona and setting (forks always share both).
+
+export type SessionForkMeta = {
+  rewrite: string; // sent as the first new user turn of the fork
+  copied_messages: number; // transcript length at the fork point
+};
+
+export type SessionTreeRow = {
+  id: string;
+  parent_session_id: string | null;
+  status: string;
+  started_at: string;
+  overall_score: number | null;
+};
+
+export type SessionTreeNode = SessionTreeRow & {
+  children: SessionTreeNode[];
+};
+
+export function forkMetaOf(meta: unknown): SessionForkMeta | null {
+  const fork = (meta as { fork?: Partial<SessionForkMeta> } | null)?.fork;
+  if (!fork || typeof fork.rewrite !== "string" || typeof fork.copied_messages !== "number") {
+    return null;
+  }
+  return { rewrite: fork.rewrite, copied_messages: fork.copied_messages };
+}
+
+// Root of the tree containing sessionId, children oldest first; null when sessionId is not in rows
+export function buildSessionTree(rows: SessionTreeRow[], sessionId: string): SessionTreeNode | null {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  let root = byId.get(sessionId);
+  const seen = new Set<string>();
+  while (root?.parent_session_id && byId.has(root.parent_session_id) && !seen.has(root.id)) {
+    seen.add(root.id);
+    root = byId.get(root.parent_session_id);
+  }
+  if (!root) {
+    return null;
+  }
+
+  const childrenOf = new Map<string, SessionTreeRow[]>();
+  for (const row of rows) {
+    if (row.parent_session_id) {
+      childrenOf.set(row.parent_session_id, [...(childrenOf.get(row.parent_session_id) ?? []), row]);
+    }
+  }
+
+  const visited = new Set<string>();
+  function toNode(row: SessionTreeRow): SessionTreeNode {
+    visited.add(row.id);
+    const children = (childrenOf.get(row.id) ?? [])
+      .filter((child) => !visited.has(child.id))
+      .sort((a, b) => a.started_at.localeCompare(b.started_at));
+    return { ...row, children: children.map(toNode) };
+  }
+  return toNode(root);
+}
+
+export function countTreeNodes(node: SessionTreeNode): number {
+  return 1 + node.children.reduce((total, child) => total + countTreeNodes(child), 0);
+}
@@ -0,0 +1,73 @@
+// Server-sent events over a fetch body. Used by /api/simulate to stream persona replies; the
+// client reads them with fetch (EventSource can't POST).
+
+export type SseEvent = {
+  event: string;
+  data: unknown;
+};
+
+const encoder = new TextEncoder();
+
+export function encodeSseEvent(event: string, data: unknown) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export const SSE_HEADERS = {
+  "content-type": "text/event-stream; charset=utf-8",
+  "cache-control": "no-cache, no-transform",
+  connection: "keep-alive",
+  "x-accel-buffering": "no",
+} as const;
+
+function parseSseBlock(block: string): SseEvent | null {
+  let event = "message";
+  const dataLines: string[] = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+  if (dataLines.length === 0) {
+    return null;
+  }
+  try {
+    return { event, data: JSON.parse(dataLines.join("\n")) };
+  } catch {
+    return null;
+  }
+}
+
+export async function readSseEvents(response: Response, onEvent: (event: SseEvent) => void) {
+  if (!response.body) {
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const parsed = parseSseBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) {
+        onEvent(parsed);
+      }
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+
+  const rest = parseSseBlock(buffer + decoder.decode());
+  if (rest) {
+    onEvent(rest);
+  }
+}
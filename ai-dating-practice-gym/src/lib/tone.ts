@@ -0,0 +1,105 @@
+// Tone of each user turn from the Unsaid API (POST /api/v1/tone). Without UNSAID_API_URL a local
+// keyword stub stands in, so the gym runs offline; API failures leave the turn unannotated.
+// UNSAID_API_TOKEN is a service token with the tone:delegate scope: each call names the gym user
+// in x-unsaid-user, so every user gets their own Unsaid profile and rate-limit budget.
+
+export type ToneBucket = "clear" | "caution" | "alert";
+
+export type ToneAnnotation = {
+  bucket: ToneBucket;
+  tone: string;
+  confidence: number;
+  severity?: string;
+  emotions: Record<string, number>; // strongest few
+  misunderstandings: string[];
+  source: "unsaid" | "stub";
+};
+
+const TONE_TIMEOUT_MS = 2500;
+
+type UnsaidToneResponse = {
+  data?: {
+    tone?: string;
+    confidence?: number;
+    severity?: { bucket?: ToneBucket; band?: string };
+    analysis?: {
+      emotions?: Record<string, number>;
+      linguistic_features?: { potential_misunderstandings?: string[] };
+    };
+  };
+};
+
+function topEmotions(emotions: Record<string, number> = {}, limit = 3) {
+  return Object.fromEntries(
+    Object.entries(emotions)
+      .filter(([, value]) => typeof value === "number" && value > 0)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit),
+  );
+}
+
+const alertPattern = /\b(hate|shut up|stupid|idiot|whatever|screw you)\b|!{2,}/i;
+const cautionPattern = /\b(always|never|you should|why didn'?t|why don'?t|calm down)\b|\?{2,}/i;
+
+export function stubTone(text: string): ToneAnnotation {
+  const shouting = (text.match(/\b[A-Z]{2,}\b/g) ?? []).length >= 2;
+  const bucket: ToneBucket = alertPattern.test(text) || shouting ? "alert" : cautionPattern.test(text) ? "caution" : "clear";
+  return {
+    bucket,
+    tone: bucket === "alert" ? "angry" : bucket === "caution" ? "frustrated" : "neutral",
+    confidence: 0.5,
+    emotions: {},
+    misunderstandings: [],
+    source: "stub",
+  };
+}
+
+async function unsaidTone(baseUrl: string, text: string, userId: string): Promise<ToneAnnotation | null> {
+  const token = process.env.UNSAID_API_TOKEN;
+  const response = await fetch(`${baseUrl.replace(/\/$/, "")}/api/v1/tone`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...(token ? { authorization: `Bearer ${token}`, "x-unsaid-user": userId } : {}),
+    },
+    body: JSON.stringify({
+      text,
+      context: "general",
+      channel: "coachingOnly",
+      cohort: "dating",
+      includeSuggestions: false,
+    }),
+    signal: AbortSignal.timeout(TONE_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Unsaid tone API responded ${response.status}`);
+  }
+
+  const { data } = (await response.json()) as UnsaidToneResponse;
+  const bucket = data?.severity?.bucket;
+  if (!data?.tone || !bucket) {
+    return null;
+  }
+  return {
+    bucket,
+    tone: data.tone,
+    confidence: data.confidence ?? 0,
+    severity: data.severity?.band,
+    emotions: topEmotions(data.analysis?.emotions),
+    misunderstandings: data.analysis?.linguistic_features?.potential_misunderstandings ?? [],
+    source: "unsaid",
+  };
+}
+
+export async function analyzeTurnTone(text: string, userId: string): Promise<ToneAnnotation | null> {
+  const baseUrl = process.env.UNSAID_API_URL;
+  if (!baseUrl) {
+    return stubTone(text);
+  }
+  try {
+    return await unsaidTone(baseUrl, text, userId);
+  } catch (error) {
+    console.error("tone analysis failed", error);
+    return null;
+  }
+}
@@ -1,5 +1,7 @@
 import { z } from "zod";
 
+import { type ToneAnnotation } from "@/lib/tone";
+
 export const datingGoals = [
   "find_long_term_partner",
   "build_confidence",
@@ -69,9 +71,20 @@ export const CoachingReportSchema = z.object({
 
 export type CoachingReport = z.infer<typeof CoachingReportSchema>;
 
+export type MessageAnnotations = {
+  explicit_input?: boolean;
+  safety_override?: boolean;
+  // Reply cut short: the user stopped it ("client_abort") or the model stream failed ("upstream_error")
+  truncated?: boolean;
+  truncated_reason?: "client_abort" | "upstream_error";
+  // Unsaid tone of a user turn
+  tone?: ToneAnnotation;
+};
+
 export type ChatMessage = {
   id: string;
   role: "user" | "assistant" | "system";
   content: string;
   created_at: string;
+  annotations?: MessageAnnotations;
 };
@@ -53,6 +53,11 @@ create table if not exists public.messages (
   annotations jsonb not null default '{}'::jsonb
 );
 
+-- Branch-and-retry: a fork copies its parent's transcript up to forked_from_message_id (a user turn
+-- of the parent) and continues with a rewrite. Added after messages exists so the FK resolves.
+alter table public.sessions add column if not exists parent_session_id uuid references public.sessions(id) on delete set null;
+alter table public.sessions add column if not exists forked_from_message_id uuid references public.messages(id) on delete set null;
+
 create table if not exists public.coaching_reports (
   id uuid primary key default gen_random_uuid(),
   session_id uuid not null unique references public.sessions(id) on delete cascade,
@@ -70,6 +75,7 @@ create table if not exists public.subscriptions (
 );
 
 create index if not exists idx_sessions_user_started on public.sessions(user_id, started_at desc);
+create index if not exists idx_sessions_parent on public.sessions(parent_session_id);
 create index if not exists idx_messages_session_created on public.messages(session_id, created_at asc);
 create index if not exists idx_subscriptions_status on public.subscriptions(status);
 
@@ -144,14 +150,46 @@ drop policy if exists "sessions_insert_own" on public.sessions;
 create policy "sessions_insert_own"
 on public.sessions
 for insert
-with check (auth.uid() = user_id);
+with check (
+  auth.uid() = user_id
+  and (
+    parent_session_id is null
+    or exists (
+      select 1
+      from public.sessions p
+      where p.id = parent_session_id
+        and p.user_id = auth.uid()
+    )
+  )
+  and (
+    forked_from_message_id is null
+    or exists (
+      select 1
+      from public.messages m
+      where m.id = forked_from_message_id
+        and m.session_id = parent_session_id
+        and m.role = 'user'
+    )
+  )
+);
 
 drop policy if exists "sessions_update_own" on public.sessions;
 create policy "sessions_update_own"
 on public.sessions
 for update
 using (auth.uid() = user_id)
-with check (auth.uid() = user_id);
+with check (
+  auth.uid() = user_id
+  and (
+    parent_session_id is null
+    or exists (
+      select 1
+      from public.sessions p
+      where p.id = parent_session_id
+        and p.user_id = auth.uid()
+    )
+  )
+);
 
 drop policy if exists "sessions_delete_own" on public.sessions;
 create policy "sessions_delete_own"
@@ -0,0 +1,42 @@
+// Loads the app's TypeScript under plain Node for offline tests: .ts/.tsx files are transpiled
+// with the project's TypeScript, "@/..." resolves to src/, and stubModule() swaps a module
+// (e.g. the Supabase server client) before anything requires it.
+const fs = require("node:fs");
+const Module = require("node:module");
+const path = require("node:path");
+const ts = require("typescript");
+
+const root = path.resolve(__dirname, "..", "..");
+const srcDir = path.join(root, "src");
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolveAlias(request, ...rest) {
+  if (request.startsWith("@/")) {
+    const base = path.join(srcDir, request.slice(2));
+    const match = ["", ".ts", ".tsx", "/index.ts"].map((ext) => base + ext).find((file) => fs.existsSync(file) && fs.statSync(file).isFile());
+    return resolveFilename.call(this, match ?? base, ...rest);
+  }
+  return resolveFilename.call(this, request, ...rest);
+};
+
+function compile(module, filename) {
+  const { outputText } = ts.transpileModule(fs.readFileSync(filename, "utf8"), {
+    fileName: filename,
+    compilerOptions: {
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2022,
+      jsx: ts.JsxEmit.ReactJSX,
+      esModuleInterop: true,
+    },
+  });
+  module._compile(outputText, filename);
+}
+require.extensions[".ts"] = compile;
+require.extensions[".tsx"] = compile;
+
+function stubModule(request, exports) {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+module.exports = { root, stubModule };
@@ -0,0 +1,97 @@
+// In-memory stand-in for the Supabase query builder calls the API routes make. Tables are arrays
+// of plain rows; embedded relations (`persona:personas (...)`) are stored on the row under their
+// alias, so select() ignores its column list.
+function createFakeSupabase({ user = null, tables = {} } = {}) {
+  const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map((row) => ({ ...row }))]));
+  let sequence = 0;
+
+  function from(table) {
+    const rows = () => (db[table] ??= []);
+    const filters = [];
+    let op = "select";
+    let payload = null;
+    let conflictKey = null;
+    let orderBy = null;
+
+    const matches = (row) => filters.every(([column, value]) => row[column] === value);
+    const withDefaults = (row) => {
+      sequence += 1;
+      return { id: `${table}-${sequence}`, created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, sequence)).toISOString(), ...row };
+    };
+
+    function run() {
+      if (op === "insert") {
+        const inserted = [].concat(payload).map(withDefaults);
+        rows().push(...inserted);
+        return inserted;
+      }
+      if (op === "update") {
+        const updated = rows().filter(matches);
+        updated.forEach((row) => Object.assign(row, payload));
+        return updated;
+      }
+      if (op === "upsert") {
+        const existing = rows().find((row) => row[conflictKey] === payload[conflictKey]);
+        if (existing) {
+          return [Object.assign(existing, payload)];
+        }
+        const inserted = withDefaults(payload);
+        rows().push(inserted);
+        return [inserted];
+      }
+      const found = rows().filter(matches);
+      if (!orderBy) {
+        return found;
+      }
+      const { column, ascending } = orderBy;
+      return [...found].sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+    }
+
+    const builder = {
+      select: () => builder,
+      insert(value) {
+        op = "insert";
+        payload = value;
+        return builder;
+      },
+      update(value) {
+        op = "update";
+        payload = value;
+        return builder;
+      },
+      upsert(value, options = {}) {
+        op = "upsert";
+        payload = value;
+        conflictKey = options.onConflict ?? "id";
+        return builder;
+      },
+      eq(column, value) {
+        filters.push([column, value]);
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        orderBy = { column, ascending };
+        return builder;
+      },
+      async single() {
+        const [row, ...more] = run();
+        return row && !more.length ? { data: row, error: null } : { data: null, error: { message: "Expected one row" } };
+      },
+      async maybeSingle() {
+        return { data: run()[0] ?? null, error: null };
+      },
+      then(resolve, reject) {
+        return Promise.resolve({ data: run(), error: null }).then(resolve, reject);
+      },
+    };
+    return builder;
+  }
+
+  return {
+    tables: db,
+    auth: { getUser: async () => ({ data: { user } }) },
+    from,
+  };
+}
+
+module.exports = { createFakeSupabase };
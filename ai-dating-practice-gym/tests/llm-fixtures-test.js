@@ -0,0 +1,182 @@
+// Offline test (no framework, no network) of /api/simulate and /api/coach with LLM_PROVIDER=fixture:
+// streamed persona replies, a dropped stream (failAfterWords), an empty reply, coaching JSON, and the
+// Unsaid tone call: none before the session checks pass, and never ahead of the reply stream.
+process.env.LLM_PROVIDER = "fixture";
+delete process.env.LLM_FIXTURES_DIR;
+delete process.env.LLM_FIXTURE_DELAY_MS;
+delete process.env.UNSAID_API_URL;
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { root, stubModule } = require("./helpers/register");
+const { createFakeSupabase } = require("./helpers/supabase");
+
+let supabase = createFakeSupabase();
+stubModule("@/lib/supabase/server", { createSupabaseServerClient: async () => supabase });
+
+const simulate = require("@/app/api/simulate/route");
+const coach = require("@/app/api/coach/route");
+const { readSseEvents } = require("@/lib/sse");
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+const USER = { id: "user-1" };
+const SESSION_ID = "6f1c2a8e-3b4d-4e5f-8a9b-0c1d2e3f4a5b";
+const replies = JSON.parse(fs.readFileSync(path.join(root, "fixtures", "llm", "simulation.json"), "utf8")).replies;
+
+function seed(messages = []) {
+  supabase = createFakeSupabase({
+    user: USER,
+    tables: {
+      sessions: [
+        {
+          id: SESSION_ID,
+          user_id: USER.id,
+          status: "active",
+          persona: { id: "p1", name: "Warm/Curious", system_prompt_template: "Be warm.", coaching_rubric: {} },
+          setting: { id: "s1", name: "Coffee shop", context_prompt_template: "A quiet cafe." },
+        },
+      ],
+      profiles: [{ user_id: USER.id, display_name: "Sam", dating_goal: "long-term", tendencies: [], comfort_level: 3 }],
+      messages: messages.map((message, index) => ({
+        id: `seed-${index}`,
+        session_id: SESSION_ID,
+        created_at: new Date(Date.UTC(2025, 0, 1, 0, 0, index)).toISOString(),
+        annotations: {},
+        ...message,
+      })),
+      coaching_reports: [],
+    },
+  });
+}
+
+const post = (route, body) =>
+  route.POST(
+    new Request("http://localhost/api", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  );
+
+async function turn(content) {
+  const response = await post(simulate, { sessionId: SESSION_ID, content });
+  const events = [];
+  await readSseEvents(response, (event) => events.push(event));
+  return { response, events, text: events.filter((e) => e.event === "delta").map((e) => e.data.content).join("") };
+}
+
+(async () => {
+  // A streamed reply arrives as deltas that join back to the fixture, then gets saved
+  seed();
+  let result = await turn("Hi there, nice to meet you.");
+  assert(result.response.headers.get("content-type").startsWith("text/event-stream"), "simulate streams SSE");
+  assert(result.events[0].event === "user_message" && result.events.at(-1).event === "done", `event order: ${result.events.map((e) => e.event)}`);
+  assert(result.text === replies[0], `deltas join to the fixture reply, got "${result.text}"`);
+  const done = result.events.at(-1).data.assistantMessage;
+  assert(done.content === replies[0] && !done.annotations, "assistant reply saved untruncated");
+  assert(supabase.tables.messages.map((m) => m.role).join() === "user,assistant", "both turns stored");
+  assert(supabase.tables.messages[0].annotations.tone.source === "stub", "user turn carries the offline tone stub");
+
+  result = await turn("What do you do for fun?");
+  assert(result.text === replies[1], "replies advance with the turn count");
+
+  // failAfterWords: the partial reply is kept and marked truncated
+  const consoleError = console.error;
+  console.error = () => {};
+  result = await turn("#drop the call");
+  console.error = consoleError;
+  const truncated = result.events.at(-1);
+  assert(result.text.trim().split(/\s+/).length === 6, `six words before the drop, got "${result.text}"`);
+  assert(truncated.event === "done" && truncated.data.assistantMessage.annotations.truncated_reason === "upstream_error", "dropped stream saved as truncated");
+
+  // An empty fixture reply is reported and nothing is saved
+  const stored = supabase.tables.messages.length;
+  result = await turn("#empty");
+  assert(result.events.at(-1).event === "error" && /empty response/.test(result.events.at(-1).data.error), "empty reply reported");
+  assert(supabase.tables.messages.length === stored + 1, "only the user turn is saved for an empty reply");
+
+  // Turn text only reaches the Unsaid API once the session and profile checks pass
+  const realFetch = global.fetch;
+  const toneCalls = [];
+  const toneUsers = [];
+  let releaseTone;
+  const toneAnswered = new Promise((resolve) => (releaseTone = resolve));
+  global.fetch = async (url, init) => {
+    toneCalls.push(JSON.parse(init.body).text);
+    toneUsers.push(init.headers["x-unsaid-user"]);
+    await toneAnswered;
+    return Response.json({ data: { tone: "neutral", confidence: 0.8, severity: { bucket: "clear", band: "low" } } });
+  };
+  process.env.UNSAID_API_URL = "http://unsaid.test";
+  process.env.UNSAID_API_TOKEN = "service-token";
+  let response = await post(simulate, { sessionId: "0b7e4d2c-1a3f-4c5d-9e8f-7a6b5c4d3e2f", content: "Not my session" });
+  assert(response.status === 404, `unknown session → 404, got ${response.status}`);
+  supabase.tables.sessions[0].status = "ended";
+  response = await post(simulate, { sessionId: SESSION_ID, content: "Too late" });
+  assert(response.status === 400, `ended session → 400, got ${response.status}`);
+  supabase.tables.sessions[0].status = "active";
+  supabase.tables.profiles.length = 0;
+  response = await post(simulate, { sessionId: SESSION_ID, content: "No profile yet" });
+  assert(response.status === 400, `missing profile → 400, got ${response.status}`);
+  assert(toneCalls.length === 0, `rejected turns must not be sent for tone analysis: ${toneCalls}`);
+  // ...and runs alongside the reply: the API answers only after streaming has begun
+  seed();
+  response = await post(simulate, { sessionId: SESSION_ID, content: "Hello again" });
+  const events = [];
+  await readSseEvents(response, (event) => {
+    events.push(event);
+    if (event.event === "delta") releaseTone();
+  });
+  const names = events.map((e) => e.event);
+  assert(names[0] === "user_message" && !events[0].data.userMessage.annotations.tone, `stream starts before the tone: ${names}`);
+  const toneEvent = events.find((e) => e.event === "tone");
+  assert(names.indexOf("tone") > names.indexOf("delta") && names.at(-1) === "done" && toneEvent.data.messageId === events[0].data.userMessage.id, "tone sent as its own event");
+  assert(toneCalls.join() === "Hello again" && supabase.tables.messages[0].annotations.tone.source === "unsaid", "accepted turns are analyzed");
+  assert(supabase.tables.messages[0].annotations.explicit_input === false, "tone is added to the stored annotations");
+  assert(toneUsers.join() === USER.id, "tone calls are made on behalf of the gym user");
+  global.fetch = realFetch;
+  delete process.env.UNSAID_API_URL;
+  delete process.env.UNSAID_API_TOKEN;
+
+  // Coaching: the fixture report is validated, normalized and stored
+  seed([
+    { role: "user", content: "Hi!" },
+    { role: "assistant", content: "Hey, how was your day?" },
+    { role: "user", content: "Long, but good. Yours?" },
+  ]);
+  response = await post(coach, { sessionId: SESSION_ID });
+  let payload = await response.json();
+  const expected = JSON.parse(fs.readFileSync(path.join(root, "fixtures", "llm", "coaching.json"), "utf8"));
+  assert(response.status === 200 && payload.report.overall_score === expected.overall_score, `coach returns the fixture report (${response.status})`);
+  assert(supabase.tables.coaching_reports.length === 1 && supabase.tables.sessions[0].status === "coached", "report stored, session coached");
+
+  response = await post(coach, { sessionId: SESSION_ID });
+  assert((await response.json()).report.summary === payload.report.summary, "a stored report is returned as is");
+
+  // Invalid coaching JSON from the model is a 502, not a crash
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  fs.writeFileSync(path.join(dir, "coaching.json"), "{ not json");
+  process.env.LLM_FIXTURES_DIR = dir;
+  seed([
+    { role: "user", content: "Hi!" },
+    { role: "user", content: "Still there?" },
+  ]);
+  response = await post(coach, { sessionId: SESSION_ID });
+  payload = await response.json();
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.LLM_FIXTURES_DIR;
+  assert(response.status === 502 && /valid JSON/.test(payload.error), `invalid coaching JSON → 502, got ${response.status}`);
+
+  seed([{ role: "user", content: "Hi!" }]);
+  response = await post(coach, { sessionId: SESSION_ID });
+  assert(response.status === 400, "coaching needs two user messages");
+
+  console.log("✅ llm-fixtures-test passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
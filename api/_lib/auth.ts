@@ -1,67 +1,94 @@
 // api/_lib/auth.ts
 import { VercelRequest } from '@vercel/node';
-import { logger } from './logger';
+import { getVerifiedClaims } from './middleware/auth';
+import { AppUnauthorizedError, AppForbiddenError } from './middleware/errorHandler';
 
 export interface AuthContext {
   userId: string;
   isAuthenticated: boolean;
   userEmail?: string;
   permissions?: string[];
+  roles?: string[];
+  delegatedBy?: string; // service that vouched for userId via DELEGATE_HEADER
 }
 
+// A server-side caller (the practice gym) holding a token with this scope may act for its own
+// users by naming them in DELEGATE_HEADER. The id is namespaced under the service's sub, so a
+// service can only ever reach profiles it created, never an app user's.
+export const DELEGATE_SCOPE = 'tone:delegate';
+export const DELEGATE_HEADER = 'x-unsaid-user';
+const DELEGATE_USER_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+function claimScopes(claims: ReturnType<typeof getVerifiedClaims>): string[] {
+  const scope = claims?.scope;
+  return Array.isArray(scope) ? scope : typeof scope === 'string' ? scope.split(' ').filter(Boolean) : [];
+}
+
+function delegatedUser(req: VercelRequest): { service: string; user: string } | null {
+  const claims = getVerifiedClaims(req);
+  const raw = req.headers?.[DELEGATE_HEADER];
+  const user = Array.isArray(raw) ? raw[0] : raw;
+  if (!claims?.sub || !user || !claimScopes(claims).includes(DELEGATE_SCOPE)) return null;
+  return DELEGATE_USER_ID.test(user) ? { service: String(claims.sub), user } : null;
+}
+
+// Identity comes only from claims verified by withAuth(); headers/query/body are never trusted,
+// apart from DELEGATE_HEADER on a token that carries DELEGATE_SCOPE
 export function extractUserId(req: VercelRequest): string {
-  // Try multiple sources for user ID
-  const userId = 
-    req.headers['x-user-id'] ||
-    req.headers['user-id'] ||
-    req.query.userId ||
-    req.body?.userId ||
-    'anonymous';
-    
-  return userId as string;
+  const delegated = delegatedUser(req);
+  if (delegated) return `${delegated.service}:${delegated.user}`;
+  const claims = getVerifiedClaims(req);
+  const userId = claims?.sub || claims?.user_id || claims?.uid;
+  return userId ? String(userId) : 'anonymous';
 }
 
 export function extractUserEmail(req: VercelRequest): string | undefined {
-  const email = 
-    req.headers['x-user-email'] ||
-    req.headers['user-email'] ||
-    req.query.email ||
-    req.body?.email;
-    
-  return email as string | undefined;
+  if (delegatedUser(req)) return undefined;
+  const email = getVerifiedClaims(req)?.email;
+  return email ? String(email) : undefined;
 }
 
 export function getAuthContext(req: VercelRequest): AuthContext {
+  const claims = getVerifiedClaims(req);
   const userId = extractUserId(req);
-  const userEmail = extractUserEmail(req);
-  
-  // In a real implementation, you would validate JWT tokens here
-  const isAuthenticated = userId !== 'anonymous';
-  
+  const isAuthenticated = !!claims && userId !== 'anonymous';
+
+  // A delegated user is a plain user: none of the service token's email, scopes or roles carry over
+  const delegated = delegatedUser(req);
+  if (delegated) {
+    return { userId, isAuthenticated, permissions: ['basic'], roles: [], delegatedBy: delegated.service };
+  }
+
+  const scopes = claimScopes(claims);
+  const roles = Array.isArray(claims?.roles) ? claims!.roles.map(String) : [];
+
   return {
     userId,
     isAuthenticated,
-    userEmail,
-    permissions: isAuthenticated ? ['basic'] : []
+    userEmail: extractUserEmail(req),
+    permissions: isAuthenticated
+      ? Array.from(new Set(['basic', ...scopes, ...(claims?.permissions || []), ...(roles.includes('admin') ? ['admin'] : [])]))
+      : [],
+    roles
   };
 }
 
 export function requireAuth(req: VercelRequest): AuthContext {
   const auth = getAuthContext(req);
-  
+
   if (!auth.isAuthenticated) {
-    throw new Error('Authentication required');
+    throw new AppUnauthorizedError('Authentication required');
   }
-  
+
   return auth;
 }
 
 export function requirePermission(req: VercelRequest, permission: string): AuthContext {
   const auth = requireAuth(req);
-  
+
   if (!auth.permissions?.includes(permission) && !auth.permissions?.includes('admin')) {
-    throw new Error(`Permission required: ${permission}`);
+    throw new AppForbiddenError(`Permission required: ${permission}`);
   }
-  
+
   return auth;
 }
@@ -20,6 +20,9 @@ const envSchema = z.object({
   JWT_AUDIENCE: z.string().trim().optional(),
   JWT_ISSUER: z.string().trim().optional(),
   
+  // Billing
+  STRIPE_WEBHOOK_SECRET: z.string().trim().optional(),
+  
   // CORS
   CORS_ORIGINS: z.string().trim().default('*'),
   
@@ -27,6 +30,10 @@ const envSchema = z.object({
   RATE_LIMIT_WINDOW: z.coerce.number().default(900000), // 15 minutes
   RATE_LIMIT_MAX: z.coerce.number().default(100),
   
+  // Persistence: PROFILE_STORE_DIR should be persistent storage; unset means a per-instance tmpdir
+  PROFILE_STORE: z.string().trim().toLowerCase().pipe(z.enum(['file', 'memory'])).default('file'),
+  PROFILE_STORE_DIR: z.string().trim().optional(),
+  
   // Features
   ENABLED_FEATURES: z.string().trim().default('tone,suggestions,advice'),
   
@@ -1,5 +1,6 @@
 // api/_lib/logger.ts
 import { env } from './env';
+import { redactRawText } from './utils/privacy';
 
 export interface Logger {
   trace(message: string, data?: any): void;
@@ -42,9 +43,23 @@ class ConsoleLogger implements Logger {
     return messageLevelIndex >= currentLevelIndex;
   }
 
-  private log(level: string, message: string, data?: any): void {
+  /**
+   * Raw message text never reaches the output: payload fields under RAW_TEXT_KEYS are
+   * redacted, bare string payloads are treated as user text, and Errors are reduced to
+   * name/message. Messages themselves must not interpolate user text.
+   */
+  private sanitize(data: any): any {
+    if (data === undefined) return undefined;
+    if (typeof data === 'string') return { data: `[redacted ${data.length} chars]` };
+    if (data instanceof Error) return { error: redactRawText(data) };
+    if (data && typeof data === 'object') return redactRawText(data);
+    return { data };
+  }
+
+  private log(level: string, message: string, rawData?: any): void {
     if (!this.shouldLog(level)) return;
     
+    const data = this.sanitize(rawData);
     const timestamp = new Date().toISOString();
     const logEntry = {
       timestamp,
@@ -54,7 +69,7 @@ class ConsoleLogger implements Logger {
       version: this.config.version,
       message,
       ...this.bindings,
-      ...(data && typeof data === 'object' ? data : { data })
+      ...(data || {})
     };
 
     if (this.config.pretty) {
@@ -1,2 +1,266 @@
-// Auth middleware placeholder
-export {};
\ No newline at end of file
+// api/_lib/middleware/auth.ts
+/**
+ * JWT authentication wrapper for the Vercel functions (port of unsaid-backend/middleware/jwAuth.js).
+ * - RS256 via JWKS (remote JWKS_URI with kid rotation, or a local JWKS file/JSON for offline use)
+ * - RS256 static public key or HS256 shared secret
+ * - Audience/issuer lists, clock tolerance, maxAge
+ * - Scope/role checks (403 when authenticated but lacking permissions)
+ * - Optional revocation hook
+ *
+ * Usage:
+ *   export default compose(withErrorHandling, withCors, withAuth({ required: true, scopes: ['tone:write'] }))(handler);
+ *
+ * Env:
+ *   JWKS_URI              // e.g. https://YOUR_DOMAIN/.well-known/jwks.json
+ *   JWKS_PATH | JWKS_JSON // local JWKS (file path or inline JSON) — no network
+ *   JWT_PUBLIC_KEY        // PEM for RS256
+ *   JWT_SECRET            // shared secret for HS256
+ *   JWT_ALGOS, JWT_AUDIENCE, JWT_ISSUER (comma lists), JWT_CLOCK_TOLERANCE, JWT_MAX_AGE
+ */
+
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import * as fs from 'fs';
+import * as crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import jwksRsa from 'jwks-rsa';
+import { logger } from '../logger';
+import { unauthorized, forbidden } from '../http';
+import type { Handler } from '../wrappers';
+
+export interface VerifiedClaims {
+  sub?: string;
+  email?: string;
+  scope?: string | string[];
+  permissions?: string[];
+  roles?: string[];
+  [claim: string]: any;
+}
+
+export interface JwksDocument {
+  keys: Array<Record<string, any>>;
+}
+
+export interface AuthOptions {
+  required?: boolean;
+  scopes?: string[];
+  roles?: string[];
+  scopesClaim?: string;
+  rolesClaim?: string;
+  tokenFrom?: Array<'header' | 'cookie' | 'query'>;
+  cookieName?: string;
+  queryName?: string;
+  // key sources (default from env)
+  secret?: string;
+  publicKey?: string;
+  jwks?: JwksDocument;
+  jwksUri?: string;
+  algorithms?: string[];
+  audience?: string[];
+  issuer?: string[];
+  clockTolerance?: number;
+  maxAge?: string;
+  isRevoked?: (claims: VerifiedClaims, req: VercelRequest) => boolean | Promise<boolean>;
+}
+
+function arr(v?: string | string[] | null): string[] | undefined {
+  if (!v) return undefined;
+  if (Array.isArray(v)) return v;
+  const out = String(v).split(',').map(s => s.trim()).filter(Boolean);
+  return out.length ? out : undefined;
+}
+
+function loadLocalJwks(): JwksDocument | undefined {
+  try {
+    if (process.env.JWKS_JSON) return JSON.parse(process.env.JWKS_JSON);
+    if (process.env.JWKS_PATH) return JSON.parse(fs.readFileSync(process.env.JWKS_PATH, 'utf-8'));
+  } catch (err) {
+    logger.error('withAuth: failed to load local JWKS', { error: (err as Error).message });
+  }
+  return undefined;
+}
+
+type KeyResolver = (header: { kid?: string; alg?: string }) => Promise<string | crypto.KeyObject>;
+type ResolvedKeys = { resolve: KeyResolver | null; defaultAlgs: string[] };
+
+// Resolvers are built once per key source so the jwks-rsa cache/rate limit survive across requests
+// and local JWKS files are read once. Option objects with an inline `jwks` are keyed by identity.
+const MAX_CACHED_RESOLVERS = 16;
+const envResolvers = new Map<string, ResolvedKeys>();
+const jwksResolvers = new WeakMap<JwksDocument, Map<string, ResolvedKeys>>();
+
+function keySourceSignature(opts: AuthOptions): string {
+  return [
+    opts.jwksUri ?? process.env.JWKS_URI,
+    process.env.JWKS_JSON,
+    process.env.JWKS_PATH,
+    opts.publicKey ?? process.env.JWT_PUBLIC_KEY,
+    opts.secret ?? process.env.JWT_SECRET,
+  ].map(v => v ?? '').join('\u0000');
+}
+
+function getKeyResolver(opts: AuthOptions): ResolvedKeys {
+  let cache = envResolvers;
+  if (opts.jwks) {
+    cache = jwksResolvers.get(opts.jwks) ?? new Map();
+    jwksResolvers.set(opts.jwks, cache);
+  }
+  const signature = keySourceSignature(opts);
+  let resolved = cache.get(signature);
+  if (!resolved) {
+    if (cache.size >= MAX_CACHED_RESOLVERS) cache.clear();
+    resolved = buildKeyResolver(opts);
+    cache.set(signature, resolved);
+  }
+  return resolved;
+}
+
+function buildKeyResolver(opts: AuthOptions): ResolvedKeys {
+  const jwksUri = opts.jwksUri ?? process.env.JWKS_URI;
+  const localJwks = opts.jwks ?? loadLocalJwks();
+  const publicKey = opts.publicKey ?? process.env.JWT_PUBLIC_KEY;
+  const secret = opts.secret ?? process.env.JWT_SECRET;
+
+  if (localJwks?.keys?.length) {
+    const byKid = new Map<string, crypto.KeyObject>();
+    for (const jwk of localJwks.keys) {
+      try {
+        byKid.set(String(jwk.kid ?? ''), crypto.createPublicKey({ key: jwk as any, format: 'jwk' }));
+      } catch (err) {
+        logger.warn('withAuth: skipping unusable JWK', { kid: jwk.kid, error: (err as Error).message });
+      }
+    }
+    return {
+      defaultAlgs: ['RS256'],
+      resolve: async (header) => {
+        const key = header.kid ? byKid.get(header.kid) : (byKid.size === 1 ? byKid.values().next().value : undefined);
+        if (!key) throw new Error(`Unknown signing key${header.kid ? `: ${header.kid}` : ''}`);
+        return key;
+      }
+    };
+  }
+
+  if (jwksUri) {
+    const client = jwksRsa({
+      jwksUri,
+      cache: true,
+      cacheMaxEntries: 5,
+      cacheMaxAge: 10 * 60 * 1000, // 10m
+      rateLimit: true,
+      jwksRequestsPerMinute: 10,
+    });
+    return {
+      defaultAlgs: ['RS256'],
+      resolve: async (header) => {
+        if (!header.kid) throw new Error('No KID in token header');
+        const key = await client.getSigningKey(header.kid);
+        return key.getPublicKey();
+      }
+    };
+  }
+
+  if (publicKey) return { defaultAlgs: ['RS256'], resolve: async () => publicKey };
+  if (secret) return { defaultAlgs: ['HS256'], resolve: async () => secret };
+  return { defaultAlgs: ['RS256'], resolve: null };
+}
+
+function extractToken(req: VercelRequest, opts: AuthOptions): string | null {
+  const from = opts.tokenFrom || ['header'];
+  let token: string | undefined;
+  if (from.includes('header')) {
+    const h = req.headers.authorization;
+    if (h && h.startsWith('Bearer ')) token = h.slice(7).trim();
+  }
+  if (!token && from.includes('cookie')) {
+    token = (req.cookies as Record<string, string> | undefined)?.[opts.cookieName || 'token'];
+  }
+  if (!token && from.includes('query')) {
+    const q = req.query?.[opts.queryName || 'token'];
+    token = Array.isArray(q) ? q[0] : q;
+  }
+  return token || null;
+}
+
+function claimList(claims: VerifiedClaims, claim: string): string[] {
+  const v = claims[claim];
+  if (Array.isArray(v)) return v.map(String);
+  if (typeof v === 'string') return v.split(' ').filter(Boolean);
+  return [];
+}
+
+/**
+ * Verify a bearer token. Resolves with the verified claims or rejects with the jsonwebtoken error.
+ */
+export async function verifyToken(token: string, opts: AuthOptions = {}): Promise<VerifiedClaims> {
+  const { resolve, defaultAlgs } = getKeyResolver(opts);
+  if (!resolve) throw new Error('No JWT verification key configured');
+
+  const decoded = jwt.decode(token, { complete: true }) as { header: { kid?: string; alg?: string } } | null;
+  if (!decoded?.header) throw new Error('Malformed token');
+  const key = await resolve(decoded.header);
+
+  const verifyOpts: Record<string, any> = {
+    algorithms: opts.algorithms ?? arr(process.env.JWT_ALGOS) ?? defaultAlgs, // explicit to avoid alg confusion
+    audience: opts.audience ?? arr(process.env.JWT_AUDIENCE),
+    issuer: opts.issuer ?? arr(process.env.JWT_ISSUER),
+    clockTolerance: opts.clockTolerance ?? Number(process.env.JWT_CLOCK_TOLERANCE || 60), // seconds
+  };
+  const maxAge = opts.maxAge ?? process.env.JWT_MAX_AGE;
+  if (maxAge) verifyOpts.maxAge = maxAge;
+
+  return jwt.verify(token, key, verifyOpts) as VerifiedClaims;
+}
+
+/** Verified claims attached by withAuth, or null when the request is unauthenticated. */
+export function getVerifiedClaims(req: VercelRequest): VerifiedClaims | null {
+  return (req as any).auth?.claims ?? null;
+}
+
+export function withAuth(options: AuthOptions = {}): (handler: Handler) => Handler {
+  const {
+    required = false,
+    scopes = [],
+    roles = [],
+    scopesClaim = 'scope',
+    rolesClaim = 'roles',
+    isRevoked
+  } = options;
+
+  return (handler: Handler): Handler => {
+    return async (req: VercelRequest, res: VercelResponse) => {
+      (req as any).auth = null;
+      const token = extractToken(req, options);
+
+      if (!token) {
+        if (required) return unauthorized(res, 'Missing token');
+        return handler(req, res);
+      }
+
+      let claims: VerifiedClaims;
+      try {
+        claims = await verifyToken(token, options);
+      } catch (err) {
+        logger.warn('withAuth: token rejected', { reason: (err as Error).message });
+        if (required) return unauthorized(res, 'Invalid token');
+        return handler(req, res);
+      }
+
+      if (isRevoked && (await Promise.resolve(isRevoked(claims, req)))) {
+        if (required) return unauthorized(res, 'Token revoked');
+        return handler(req, res);
+      }
+
+      // Authorization checks (403 if authenticated but lacks perms)
+      const granted = new Set([...claimList(claims, scopesClaim), ...claimList(claims, 'permissions')]);
+      if (!scopes.every(s => granted.has(s))) {
+        return forbidden(res, 'Insufficient scope');
+      }
+      const claimedRoles = claimList(claims, rolesClaim);
+      if (!roles.every(r => claimedRoles.includes(r))) {
+        return forbidden(res, 'Insufficient role');
+      }
+
+      (req as any).auth = { claims, token };
+      return handler(req, res);
+    };
+  };
+}
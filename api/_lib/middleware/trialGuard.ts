@@ -1,11 +1,15 @@
 // api/_lib/middleware/trialGuard.ts
 /**
  * Trial Guard Middleware
- * Enforces 7-day trial + $3.99 premium payment requirement for API access
+ * Enforces 7-day trial + $3.99 premium payment requirement for API access.
+ * Trial start and subscription state come from the entitlement service.
  */
 
 import { VercelRequest, VercelResponse } from '@vercel/node';
 import { logger } from '../logger';
+import { getAuthContext } from '../auth';
+import { getEntitlementService, MONTHLY_PRICE, TRIAL_DAYS } from '../services/entitlements';
+import type { Handler } from '../wrappers';
 
 interface TrialGuardConfig {
   allowAnonymous?: boolean;
@@ -13,56 +17,14 @@ interface TrialGuardConfig {
   bypassUsers?: string[]; // Users who bypass payment (for testing)
 }
 
-class TrialManager {
-  checkApiAccess(userId: string): { hasAccess: boolean; reason?: string; paymentUrl?: string } {
-    // Mock premium status check
-    const hasPremiumSubscription = this.checkPremiumStatus(userId);
-    const trialStatus = this.getTrialStatus(userId);
-    
-    if (hasPremiumSubscription || trialStatus.daysRemaining > 0) {
-      return { hasAccess: true };
-    }
-    
-    return {
-      hasAccess: false,
-      reason: 'Trial expired. Premium subscription ($3.99/month) required.',
-      paymentUrl: this.generatePaymentUrl(userId)
-    };
-  }
-
-  private checkPremiumStatus(userId: string): boolean {
-    // Test users with premium access
-    const premiumUsers = ['premium_user', 'paid_user_123', 'subscriber_001'];
-    return premiumUsers.includes(userId);
-  }
-
-  private getTrialStatus(userId: string) {
-    const currentDate = new Date();
-    const trialStartDate = new Date(currentDate.getTime() - (2 * 24 * 60 * 60 * 1000)); // 2 days ago
-    const daysUsed = Math.floor((currentDate.getTime() - trialStartDate.getTime()) / (24 * 60 * 60 * 1000));
-    const daysRemaining = Math.max(0, 7 - daysUsed);
-    
-    return { daysRemaining };
-  }
-
-  private generatePaymentUrl(userId: string): string {
-    const baseUrl = process.env.VERCEL_URL || 'https://your-app.vercel.app';
-    return `${baseUrl}/payment/checkout?userId=${userId}&plan=premium&price=3.99`;
-  }
-}
-
-const trialManager = new TrialManager();
-
 /**
  * Middleware to enforce trial/payment requirements
  * Usage: Apply to any API endpoint that requires payment after trial
  */
 export function withTrialGuard(config: TrialGuardConfig = {}) {
-  return function(handler: (req: VercelRequest, res: VercelResponse) => Promise<void>) {
+  return function(handler: Handler) {
     return async function(req: VercelRequest, res: VercelResponse) {
-      const userId = req.headers['x-user-id'] as string || 
-                    req.query.userId as string || 
-                    'anonymous';
+      const { userId } = getAuthContext(req);
 
       // Allow bypass for specific users (testing)
       if (config.bypassUsers?.includes(userId)) {
@@ -79,26 +41,30 @@ export function withTrialGuard(config: TrialGuardConfig = {}) {
         return;
       }
 
-      // Check trial/payment status
-      const accessCheck = trialManager.checkApiAccess(userId);
-      
-      if (!accessCheck.hasAccess) {
+      // Check trial/payment status (first authenticated call starts the trial)
+      const entitlements = getEntitlementService();
+      const entitlement = await entitlements.getStatus(userId);
+      (req as any).entitlement = entitlement;
+
+      if (!entitlement.hasAccess) {
         logger.warn('API access denied - trial expired, payment required', { 
           userId, 
           endpoint: req.url,
-          feature: config.feature 
+          feature: config.feature,
+          subscriptionStatus: entitlement.subscriptionStatus
         });
         
         res.status(402).json({ // 402 Payment Required
           error: 'Payment Required',
-          message: accessCheck.reason,
-          paymentUrl: accessCheck.paymentUrl,
+          message: `Trial expired. Premium subscription ($${MONTHLY_PRICE}/month) required.`,
+          paymentUrl: entitlements.generatePaymentUrl(userId, getAuthContext(req).userEmail),
           pricing: {
-            monthlyPrice: 3.99,
+            monthlyPrice: MONTHLY_PRICE,
             currency: 'USD'
           },
           trialInfo: {
-            message: 'Your 7-day free trial has expired',
+            message: `Your ${TRIAL_DAYS}-day free trial has expired`,
+            trialEndDate: entitlement.trialEndDate,
             upgradeRequired: true
           },
           code: 'TRIAL_EXPIRED'
@@ -110,7 +76,8 @@ export function withTrialGuard(config: TrialGuardConfig = {}) {
       logger.info('API access granted', { 
         userId, 
         endpoint: req.url,
-        feature: config.feature 
+        feature: config.feature,
+        status: entitlement.status
       });
       
       return handler(req, res);
@@ -0,0 +1,170 @@
+// api/_lib/schemas/onboardingPlaybook.ts
+import { z } from 'zod';
+
+/**
+ * Schema for data/onboarding_playbook.json
+ * Day-by-day core lessons and supplemental pools for the 7-day onboarding week.
+ * The file's own `schema.validators` are enforced on top of the shape:
+ *   idFormat       - every id and *Ref matches the regex
+ *   refIntegrity   - days run 1..N, ids and reflectionRefs are unique
+ *   noDanglingRefs - fallbacks, unlock rules and file refs point at something in the playbook
+ * `schema.strict` rejects unknown keys on lessons and pool items.
+ * Version: 2.3 - enforced by api/cron/validate-data.ts
+ */
+
+export const LESSON_FIELDS = ['id', 'message', 'advice', 'therapyCue', 'microPractice', 'reflectionRef'] as const;
+
+export const coreLessonSchema = z.object({
+  id: z.string().min(1),
+  message: z.string().min(1).describe('What the user learns today'),
+  advice: z.string().min(1),
+  therapyCue: z.string().min(1).describe('Short cue shown with the lesson'),
+  microPractice: z.string().min(1).describe('One small thing to try'),
+  reflectionRef: z.string().min(1).describe('Reflection prompt the user answers on completion'),
+}).passthrough();
+
+export const supplementalPoolSchema = z.object({
+  tag: z.string().min(1),
+  pool: z.array(z.object({ id: z.string().min(1), advice: z.string().min(1) }).passthrough()).min(1),
+});
+
+export const playbookDaySchema = z.object({
+  key: z.string().min(1).describe('Theme of the day'),
+  coreLessons: z.array(coreLessonSchema).min(1),
+  supplementalPools: z.array(supplementalPoolSchema).optional(),
+  premiumTeaserRef: z.string().optional(),
+  previewRewrite: z.record(z.any()).optional(),
+  generalStyleReveal: z.object({ enabled: z.boolean(), copy: z.string(), mapsFrom: z.string().optional() }).passthrough().optional(),
+}).passthrough();
+
+export const onboardingPlaybookSchema = z.object({
+  version: z.string(),
+  mode: z.string().optional(),
+  notes: z.string().optional(),
+  schema: z.object({
+    strict: z.boolean().default(false),
+    minAppVersion: z.string().optional(),
+    contentIdPrefix: z.string().optional().describe('Prefix of the content ids sent to clients'),
+    validators: z.object({
+      idFormat: z.string().optional(),
+      refIntegrity: z.boolean().optional(),
+      noDanglingRefs: z.boolean().optional(),
+    }).default({}),
+  }),
+  globals: z.record(z.any()),
+  runtime: z.object({
+    determinism: z.object({
+      seedFromUserIdHash: z.boolean(),
+      dailyRolloverAtLocalHour: z.number().int().min(0).max(23),
+    }),
+    conflictResolution: z.object({
+      maxNoticingsPerDay: z.number().int().min(0),
+      preferLowerIntensityEarlyWeek: z.boolean().optional(),
+    }).passthrough(),
+    fallbacks: z.record(z.string()).optional(),
+  }),
+  days: z.record(playbookDaySchema),
+}).superRefine((playbook, ctx) => {
+  const issue = (path: (string | number)[], message: string) => ctx.addIssue({ code: z.ZodIssueCode.custom, path, message });
+  const { validators, strict } = playbook.schema;
+
+  let idFormat: RegExp | null = null;
+  if (validators.idFormat) {
+    try {
+      idFormat = new RegExp(validators.idFormat);
+    } catch {
+      issue(['schema', 'validators', 'idFormat'], 'Invalid regular expression');
+    }
+  }
+  const checkId = (value: string | undefined, path: (string | number)[]) => {
+    if (idFormat && value !== undefined && !idFormat.test(value)) issue(path, `"${value}" does not match idFormat`);
+  };
+
+  const ids = new Map<string, string>();
+  const reflections = new Map<string, string>();
+  const unique = (seen: Map<string, string>, value: string, path: (string | number)[], what: string) => {
+    const prev = seen.get(value);
+    if (prev) issue(path, `Duplicate ${what} "${value}" (first at ${prev})`);
+    else seen.set(value, path.join('.'));
+  };
+
+  const dayKeys = Object.keys(playbook.days);
+  const tags = new Set<string>();
+  if (validators.refIntegrity) {
+    dayKeys.forEach((key, i) => {
+      if (key !== String(i + 1)) issue(['days', key], `Days must run 1..${dayKeys.length} in order`);
+    });
+  }
+
+  for (const key of dayKeys) {
+    const day = playbook.days[key];
+    day.coreLessons.forEach((lesson, i) => {
+      const path = ['days', key, 'coreLessons', i];
+      checkId(lesson.id, [...path, 'id']);
+      checkId(lesson.reflectionRef, [...path, 'reflectionRef']);
+      if (validators.refIntegrity) {
+        unique(ids, lesson.id, [...path, 'id'], 'id');
+        unique(reflections, lesson.reflectionRef, [...path, 'reflectionRef'], 'reflectionRef');
+      }
+      if (strict) {
+        for (const field of Object.keys(lesson)) {
+          if (!(LESSON_FIELDS as readonly string[]).includes(field)) issue([...path, field], `Unknown lesson field "${field}"`);
+        }
+      }
+    });
+    (day.supplementalPools || []).forEach((pool, p) => {
+      tags.add(pool.tag);
+      pool.pool.forEach((item, i) => {
+        const path = ['days', key, 'supplementalPools', p, 'pool', i];
+        checkId(item.id, [...path, 'id']);
+        if (validators.refIntegrity) unique(ids, item.id, [...path, 'id'], 'id');
+        if (strict) {
+          for (const field of Object.keys(item)) {
+            if (field !== 'id' && field !== 'advice') issue([...path, field], `Unknown supplemental field "${field}"`);
+          }
+        }
+      });
+    });
+    checkId(day.premiumTeaserRef, ['days', key, 'premiumTeaserRef']);
+  }
+
+  if (!validators.noDanglingRefs) return;
+
+  const files = new Set(Object.values<string>(playbook.globals.references || {}));
+  const checkFile = (ref: string | undefined, path: (string | number)[]) => {
+    const file = ref?.split(':')[0];
+    if (file && !files.has(file)) issue(path, `"${file}" is not listed in globals.references`);
+  };
+  checkFile(playbook.globals.progression?.signalsRef, ['globals', 'progression', 'signalsRef']);
+  for (const key of dayKeys) {
+    checkFile(playbook.days[key].generalStyleReveal?.mapsFrom, ['days', key, 'generalStyleReveal', 'mapsFrom']);
+  }
+
+  for (const [name, target] of Object.entries(playbook.runtime.fallbacks || {})) {
+    const [kind, ref] = target.split(':');
+    if (kind !== 'use' || !ref) {
+      issue(['runtime', 'fallbacks', name], `Fallback must look like "use:<target>"`);
+    } else if (name === 'ifMissingSupplementals' && !tags.has(ref)) {
+      issue(['runtime', 'fallbacks', name], `No supplemental pool is tagged "${ref}"`);
+    }
+  }
+
+  const rules: any[] = Array.isArray(playbook.globals.progression?.unlockRules) ? playbook.globals.progression.unlockRules : [];
+  rules.forEach((rule, i) => {
+    checkId(rule?.id, ['globals', 'progression', 'unlockRules', i, 'id']);
+    for (const field of Object.keys(rule?.action?.set || {})) {
+      if (!(field in playbook.globals)) issue(['globals', 'progression', 'unlockRules', i, 'action', 'set', field], `Unknown global "${field}"`);
+    }
+  });
+});
+
+export type CoreLesson = z.infer<typeof coreLessonSchema>;
+export type PlaybookDay = z.infer<typeof playbookDaySchema>;
+export type OnboardingPlaybookFile = z.infer<typeof onboardingPlaybookSchema>;
+
+/** Validation messages for a loaded playbook (empty when valid). */
+export function validateOnboardingPlaybook(data: unknown): string[] {
+  const result = onboardingPlaybookSchema.safeParse(data);
+  if (result.success) return [];
+  return result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
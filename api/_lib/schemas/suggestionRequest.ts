@@ -13,6 +13,9 @@ export const toneOverrideSchema = z.enum(['alert', 'caution', 'clear']).describe
 // Attachment style enum (matching JSON schema)
 export const attachmentStyleSchema = z.enum(['anxious', 'avoidant', 'disorganized', 'secure']).describe('User attachment style');
 
+// Delivery surface; selects guardrail_config.json channels.<name> thresholds
+export const channelSchema = z.enum(['liveKeyboard', 'postCompose', 'coachingOnly']).describe('Surface the request comes from');
+
 // Features array for response customization
 export const featuresSchema = z.array(z.string()).max(8).optional().describe('Feature flags to include in the response');
 
@@ -33,6 +36,7 @@ export const suggestionRequestSchema = z.object({
     .describe('The message to improve with secure rewrites and/or therapy advice'),
   toneOverride: toneOverrideSchema.optional().describe('Optional override for detected tone. Useful for testing or manual control'),
   attachmentStyle: attachmentStyleSchema.optional().describe('Optional user attachment-style override, if already known'),
+  channel: channelSchema.optional().describe('Surface (keyboard, post-compose, coaching) used to resolve guardrail thresholds'),
   features: featuresSchema.describe('Feature flags to include in the response. Common values: rewrite, advice, quick_fixes, evidence'),
   meta: metaSchema.optional().describe('Optional metadata for tracing and UX decisions'),
 });
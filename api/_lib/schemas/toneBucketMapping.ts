@@ -0,0 +1,84 @@
+// api/_lib/schemas/toneBucketMapping.ts
+import { z } from 'zod';
+
+/**
+ * Schema for data/tone_bucket_mapping.json
+ * Maps tone categories to the clear/caution/alert buckets and each bucket to weighted suggestion buckets
+ * Version: 2.1 - enforced by api/cron/validate-data.ts
+ */
+
+export const TONE_BUCKET_KEYS = ['clear', 'caution', 'alert'] as const;
+
+// Weighted reference to an entry in bucketDefinitions
+export const suggestionBucketRefSchema = z.object({
+  id: z.string().min(1).describe('Key into bucketDefinitions'),
+  weight: z.number().min(0).max(1).describe('Relative weight of this suggestion bucket'),
+});
+
+export const toneBucketSchema = z.object({
+  confidenceThreshold: z.number().min(0).max(1).describe('Below this tone confidence the distribution is flattened toward uniform'),
+  intensityFactor: z.number().positive().describe('Growth of this bucket\'s mass as message intensity rises (1 = unaffected)'),
+  categories: z.array(z.string().min(1)).min(1).describe('Tone categories whose home bucket this is'),
+  suggestionBuckets: z.array(suggestionBucketRefSchema).min(1).describe('Default suggestion buckets for this tone bucket'),
+  attachmentOverrides: z.record(z.array(suggestionBucketRefSchema)).optional().describe('Extra suggestion buckets per attachment style'),
+  contextBoosts: z.record(z.record(z.number())).optional().describe('Context label → suggestion bucket id → weight boost'),
+  premiumOnly: z.boolean().optional().describe('Whether suggestions from this bucket require premium'),
+});
+
+export const bucketDefinitionSchema = z.object({
+  description: z.string().min(1),
+  adviceTags: z.array(z.string()),
+  rewriteStyles: z.array(z.string()),
+});
+
+export const toneBucketMappingSchema = z.object({
+  version: z.string(),
+  notes: z.string().optional(),
+  defaultBucket: z.string().min(1).describe('Suggestion bucket used when nothing else applies'),
+  toneBuckets: z.object({
+    clear: toneBucketSchema,
+    caution: toneBucketSchema,
+    alert: toneBucketSchema,
+  }),
+  bucketDefinitions: z.record(bucketDefinitionSchema),
+}).superRefine((map, ctx) => {
+  const defined = new Set(Object.keys(map.bucketDefinitions));
+  const checkId = (id: string, path: (string | number)[]) => {
+    if (!defined.has(id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path, message: `Unknown suggestion bucket "${id}"` });
+    }
+  };
+
+  checkId(map.defaultBucket, ['defaultBucket']);
+
+  const owner = new Map<string, string>();
+  for (const key of TONE_BUCKET_KEYS) {
+    const bucket = map.toneBuckets[key];
+    bucket.categories.forEach((cat, i) => {
+      const prev = owner.get(cat);
+      if (prev && prev !== key) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['toneBuckets', key, 'categories', i], message: `Category "${cat}" is already mapped to ${prev}` });
+      }
+      owner.set(cat, key);
+    });
+    bucket.suggestionBuckets.forEach((ref, i) => checkId(ref.id, ['toneBuckets', key, 'suggestionBuckets', i, 'id']));
+    for (const [style, refs] of Object.entries(bucket.attachmentOverrides || {})) {
+      refs.forEach((ref, i) => checkId(ref.id, ['toneBuckets', key, 'attachmentOverrides', style, i, 'id']));
+    }
+    for (const [context, boosts] of Object.entries(bucket.contextBoosts || {})) {
+      for (const id of Object.keys(boosts)) checkId(id, ['toneBuckets', key, 'contextBoosts', context, id]);
+    }
+  }
+});
+
+export type ToneBucketKey = typeof TONE_BUCKET_KEYS[number];
+export type SuggestionBucketRef = z.infer<typeof suggestionBucketRefSchema>;
+export type ToneBucketConfig = z.infer<typeof toneBucketSchema>;
+export type ToneBucketMappingFile = z.infer<typeof toneBucketMappingSchema>;
+
+/** Validation messages for a loaded mapping (empty when valid). */
+export function validateToneBucketMapping(data: unknown): string[] {
+  const result = toneBucketMappingSchema.safeParse(data);
+  if (result.success) return [];
+  return result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+}
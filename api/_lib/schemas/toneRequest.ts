@@ -13,6 +13,9 @@ export const contextSchema = z.enum(['conflict', 'repair', 'jealousy', 'boundary
 // Tone override enum
 export const toneOverrideSchema = z.enum(['alert', 'caution', 'clear']).describe('Optional override for detected tone');
 
+// Delivery surface; selects guardrail_config.json channels.<name> thresholds
+export const channelSchema = z.enum(['liveKeyboard', 'postCompose', 'coachingOnly']).describe('Surface the request comes from');
+
 // Attachment style enum
 export const attachmentStyleSchema = z.enum(['anxious', 'avoidant', 'disorganized', 'secure']).describe('User attachment style');
 
@@ -37,10 +40,13 @@ export const toneRequestSchema = z.object({
   // Extended fields for enhanced functionality
   toneOverride: toneOverrideSchema.optional().describe('Optional override for detected tone'),
   attachmentStyle: attachmentStyleSchema.optional().describe('Optional user attachment style for personalized analysis'),
+  channel: channelSchema.optional().describe('Surface (keyboard, post-compose, coaching) used to resolve guardrail thresholds'),
+  cohort: z.string().trim().min(1).max(64).optional().describe('Relationship cohort (e.g. coparenting, dating); selects severity_collaboration.json cohortOverrides'),
   includeSuggestions: z.boolean().optional().default(true).describe('Whether to include improvement suggestions'),
   includeEmotions: z.boolean().optional().default(true).describe('Whether to include emotion analysis'),
   includeAttachmentInsights: z.boolean().optional().default(false).describe('Whether to include attachment-specific insights'),
   deepAnalysis: z.boolean().optional().default(false).describe('Whether to perform deep linguistic analysis'),
+  debug: z.boolean().optional().default(false).describe('Whether to include scoring traces (attachment override stage deltas) in the response'),
 });
 
 export type ToneRequest = z.infer<typeof toneRequestSchema>;
@@ -119,6 +125,21 @@ export type ConflictToneRequest = z.infer<typeof conflictToneRequestSchema>;
 export type RepairToneRequest = z.infer<typeof repairToneRequestSchema>;
 export type BoundaryToneRequest = z.infer<typeof boundaryToneRequestSchema>;
 
+// Keystroke stream delta for /api/v1/tone/stream: `deleteCount` backspaces, then `append`
+export const toneStreamRequestSchema = z.object({
+  fieldId: z.string().min(1).max(128).describe('Client text field identifier (one stream per user + field)'),
+  sessionId: z.string().min(1).max(128).describe('Compose session; a new id starts a fresh stream for the field'),
+  seq: z.number().int().min(0).optional().describe('Client sequence number, incremented per delta'),
+  append: z.string().max(5000).optional().default('').describe('Characters appended at the end of the field'),
+  deleteCount: z.number().int().min(0).max(5000).optional().default(0).describe('Characters removed from the end before appending (backspace)'),
+  text: z.string().max(5000).optional().describe('Full field contents; replaces the stream (resync after a gap or eviction)'),
+  reset: z.boolean().optional().describe('Clear the stream for this field'),
+  context: contextSchema.optional().default('general'),
+  attachmentStyle: attachmentStyleSchema.optional(),
+}).describe('Incremental keystroke delta for streaming tone analysis');
+
+export type ToneStreamRequest = z.infer<typeof toneStreamRequestSchema>;
+
 // Validation helper functions
 export function validateToneRequest(data: unknown): ToneRequest {
   return toneRequestSchema.parse(data);
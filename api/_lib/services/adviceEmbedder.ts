@@ -0,0 +1,167 @@
+// api/_lib/services/adviceEmbedder.ts
+/**
+ * Offline sentence embeddings for advice retrieval (no network, no ONNX).
+ *
+ * HashingEmbedder projects light-stemmed unigrams, bigrams and character n-grams into a
+ * fixed number of signed hash buckets, with sublinear TF and L2 normalization. The same
+ * embedder runs in scripts/build-advice-embeddings.ts (corpus side) and in hybridRetrieve()
+ * (query side); the vectors file records the model id so a mismatch is detected at load.
+ *
+ * advice_vectors.bin layout (little endian):
+ *   'UVEC' | u32 format | u32 dims | u32 count | u32 modelLen | model utf8
+ *   count × (u16 idLen | id utf8)
+ *   count × (f32 scale | dims × i8)        // per-vector symmetric int8 quantization
+ *
+ * Kept free of logger/env imports so the build script can run without API configuration.
+ */
+
+import { tokenize } from './adviceIndex';
+
+export const VECTORS_FILE = 'advice_vectors.bin';
+const MAGIC = 'UVEC';
+const FORMAT_VERSION = 1;
+
+export interface AdviceEmbeddingSource {
+  id?: string;
+  advice?: string;
+  contexts?: string[];
+  triggerTone?: string;
+  categories?: string[];
+}
+
+export interface EmbedderOptions {
+  dims?: number;
+  charNgrams?: [number, number];
+  bigramWeight?: number;
+  charWeight?: number;
+}
+
+function fnv1a(str: string): number {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Cheap suffix stripping so listen/listening/listened share buckets
+function stem(token: string): string {
+  if (token.length <= 4) return token;
+  for (const suffix of ['ingly', 'edly', 'ing', 'ed', 'ly', 'es', 's']) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= 3) return token.slice(0, -suffix.length);
+  }
+  return token;
+}
+
+export class HashingEmbedder {
+  readonly dims: number;
+  readonly modelId: string;
+  private charNgrams: [number, number];
+  private bigramWeight: number;
+  private charWeight: number;
+
+  constructor(options: EmbedderOptions = {}) {
+    this.dims = options.dims ?? 256;
+    this.charNgrams = options.charNgrams ?? [3, 4];
+    this.bigramWeight = options.bigramWeight ?? 0.7;
+    this.charWeight = options.charWeight ?? 0.25;
+    this.modelId = `hash-v1:d${this.dims}:c${this.charNgrams.join('-')}:b${this.bigramWeight}:w${this.charWeight}`;
+  }
+
+  private features(text: string): Map<string, number> {
+    const feats = new Map<string, number>();
+    const add = (key: string, w: number) => feats.set(key, (feats.get(key) || 0) + w);
+
+    const tokens = tokenize(text).map(stem);
+    tokens.forEach((tok, i) => {
+      add(`w:${tok}`, 1);
+      if (i > 0) add(`b:${tokens[i - 1]}_${tok}`, this.bigramWeight);
+      const padded = `<${tok}>`;
+      for (let n = this.charNgrams[0]; n <= this.charNgrams[1]; n++) {
+        for (let j = 0; j + n <= padded.length; j++) add(`c:${padded.slice(j, j + n)}`, this.charWeight);
+      }
+    });
+    return feats;
+  }
+
+  embed(text: string): Float32Array {
+    const vec = new Float32Array(this.dims);
+    for (const [key, count] of this.features(text)) {
+      const h = fnv1a(key);
+      const sign = (h & 0x80000000) ? -1 : 1;
+      vec[h % this.dims] += sign * Math.log1p(count);
+    }
+    let norm = 0;
+    for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+    return vec;
+  }
+}
+
+/** Text embedded for a corpus item; queries embed `${text} ${context} ${tone}` to match. */
+export function adviceEmbeddingText(item: AdviceEmbeddingSource): string {
+  return [item.advice || '', ...(item.contexts || []), item.triggerTone || '', ...(item.categories || [])]
+    .filter(Boolean)
+    .join(' ');
+}
+
+export interface AdviceVectors {
+  modelId: string;
+  dims: number;
+  vectors: Map<string, Float32Array>;
+}
+
+export function encodeAdviceVectors(modelId: string, dims: number, entries: Array<[string, Float32Array]>): Buffer {
+  const model = Buffer.from(modelId, 'utf8');
+  const ids = entries.map(([id]) => Buffer.from(id, 'utf8'));
+  const size = 4 + 16 + model.length + ids.reduce((s, b) => s + 2 + b.length, 0) + entries.length * (4 + dims);
+  const buf = Buffer.alloc(size);
+
+  let off = buf.write(MAGIC, 0, 'ascii');
+  off = buf.writeUInt32LE(FORMAT_VERSION, off);
+  off = buf.writeUInt32LE(dims, off);
+  off = buf.writeUInt32LE(entries.length, off);
+  off = buf.writeUInt32LE(model.length, off);
+  off += model.copy(buf, off);
+  for (const id of ids) {
+    off = buf.writeUInt16LE(id.length, off);
+    off += id.copy(buf, off);
+  }
+  for (const [, vec] of entries) {
+    let maxAbs = 0;
+    for (let i = 0; i < dims; i++) maxAbs = Math.max(maxAbs, Math.abs(vec[i] || 0));
+    const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+    off = buf.writeFloatLE(scale, off);
+    for (let i = 0; i < dims; i++) off = buf.writeInt8(Math.round((vec[i] || 0) / scale), off);
+  }
+  return buf;
+}
+
+export function decodeAdviceVectors(buf: Buffer): AdviceVectors {
+  if (buf.toString('ascii', 0, 4) !== MAGIC) throw new Error('Not an advice vectors file');
+  let off = 4;
+  const format = buf.readUInt32LE(off); off += 4;
+  if (format !== FORMAT_VERSION) throw new Error(`Unsupported advice vectors format ${format}`);
+  const dims = buf.readUInt32LE(off); off += 4;
+  const count = buf.readUInt32LE(off); off += 4;
+  const modelLen = buf.readUInt32LE(off); off += 4;
+  const modelId = buf.toString('utf8', off, off + modelLen); off += modelLen;
+
+  const ids: string[] = [];
+  for (let n = 0; n < count; n++) {
+    const len = buf.readUInt16LE(off); off += 2;
+    ids.push(buf.toString('utf8', off, off + len)); off += len;
+  }
+
+  const vectors = new Map<string, Float32Array>();
+  for (const id of ids) {
+    const scale = buf.readFloatLE(off); off += 4;
+    const vec = new Float32Array(dims);
+    for (let i = 0; i < dims; i++) vec[i] = buf.readInt8(off + i) * scale;
+    off += dims;
+    vectors.set(id, vec);
+  }
+  return { modelId, dims, vectors };
+}
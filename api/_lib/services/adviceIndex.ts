@@ -0,0 +1,198 @@
+// api/_lib/services/adviceIndex.ts
+/**
+ * In-process BM25 index over the therapy advice corpus.
+ *
+ * Built once by DataLoaderService at boot and registered as `adviceBM25`. Fields are
+ * weighted (advice text, contexts, triggerTone, categories) and queries may scope terms
+ * to a field with `ctx:`, `tone:` or `cat:` — hybridRetrieve() sends `ctx:<label> tone:<bucket>`.
+ * The search() signature mirrors the MiniSearch-style call sites: { prefix, fuzzy }.
+ */
+
+export interface AdviceIndexDoc {
+  id: string;
+  advice: string;
+  contexts?: string[];
+  triggerTone?: string;
+  categories?: string[];
+}
+
+export interface AdviceSearchOptions {
+  prefix?: boolean;
+  fuzzy?: number; // max edit distance as a fraction of term length (0 disables)
+}
+
+export interface AdviceSearchHit {
+  id: string;
+  score: number;
+  terms: string[];
+}
+
+type Field = 'advice' | 'contexts' | 'triggerTone' | 'categories';
+
+const FIELDS: Field[] = ['advice', 'contexts', 'triggerTone', 'categories'];
+
+const FIELD_BOOST: Record<Field, number> = {
+  advice: 1.0,
+  contexts: 1.5,
+  triggerTone: 1.2,
+  categories: 1.3
+};
+
+const FIELD_ALIASES: Record<string, Field> = {
+  ctx: 'contexts',
+  context: 'contexts',
+  contexts: 'contexts',
+  tone: 'triggerTone',
+  triggertone: 'triggerTone',
+  cat: 'categories',
+  category: 'categories',
+  categories: 'categories'
+};
+
+// Expanded (non-exact) matches count for less than the literal term
+const PREFIX_WEIGHT = 0.5;
+const FUZZY_WEIGHT = 0.35;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to',
+  'was', 'were', 'will', 'with'
+]);
+
+export function tokenize(text: string): string[] {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .split(/[^a-z0-9']+/)
+    .map(t => t.replace(/^'+|'+$/g, ''))
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+function boundedEditDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+export class AdviceBM25Index {
+  private k1: number;
+  private b: number;
+  private ids: string[] = [];
+  // field -> term -> postings (doc index -> term frequency)
+  private postings: Record<Field, Map<string, Map<number, number>>>;
+  private fieldLengths: Record<Field, number[]>;
+  private avgFieldLength: Record<Field, number>;
+  private vocabulary: string[] = [];
+
+  constructor(docs: AdviceIndexDoc[], options: { k1?: number; b?: number } = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.postings = { advice: new Map(), contexts: new Map(), triggerTone: new Map(), categories: new Map() };
+    this.fieldLengths = { advice: [], contexts: [], triggerTone: [], categories: [] };
+    this.avgFieldLength = { advice: 0, contexts: 0, triggerTone: 0, categories: 0 };
+
+    const vocab = new Set<string>();
+    docs.forEach((doc, i) => {
+      this.ids.push(doc.id);
+      for (const field of FIELDS) {
+        const terms = this.fieldTerms(doc, field);
+        this.fieldLengths[field][i] = terms.length;
+        for (const term of terms) {
+          vocab.add(term);
+          let posting = this.postings[field].get(term);
+          if (!posting) this.postings[field].set(term, (posting = new Map()));
+          posting.set(i, (posting.get(i) || 0) + 1);
+        }
+      }
+    });
+
+    for (const field of FIELDS) {
+      const lens = this.fieldLengths[field];
+      this.avgFieldLength[field] = lens.length ? lens.reduce((s, n) => s + n, 0) / lens.length : 0;
+    }
+    this.vocabulary = Array.from(vocab).sort();
+  }
+
+  get size(): number {
+    return this.ids.length;
+  }
+
+  private fieldTerms(doc: AdviceIndexDoc, field: Field): string[] {
+    switch (field) {
+      case 'advice': return tokenize(doc.advice);
+      case 'contexts': return (doc.contexts || []).flatMap(tokenize);
+      case 'triggerTone': return doc.triggerTone ? tokenize(doc.triggerTone) : [];
+      case 'categories': return (doc.categories || []).flatMap(tokenize);
+    }
+  }
+
+  /** Indexed terms a query term should match, with their weight (1 exact, less for prefix/fuzzy). */
+  private expand(term: string, options: AdviceSearchOptions): Map<string, number> {
+    const out = new Map<string, number>([[term, 1]]);
+    const fuzzy = options.fuzzy ?? 0;
+    const maxDist = fuzzy > 0 ? Math.round(term.length * (fuzzy < 1 ? fuzzy : fuzzy / term.length)) : 0;
+    if (!options.prefix && maxDist < 1) return out;
+
+    for (const candidate of this.vocabulary) {
+      if (candidate === term) continue;
+      if (options.prefix && term.length >= 3 && candidate.startsWith(term)) {
+        out.set(candidate, Math.max(out.get(candidate) || 0, PREFIX_WEIGHT));
+      } else if (maxDist >= 1 && boundedEditDistance(term, candidate, maxDist) <= maxDist) {
+        out.set(candidate, Math.max(out.get(candidate) || 0, FUZZY_WEIGHT));
+      }
+    }
+    return out;
+  }
+
+  private parseQuery(query: string): Array<{ term: string; fields: Field[] }> {
+    const parsed: Array<{ term: string; fields: Field[] }> = [];
+    for (const chunk of String(query || '').split(/\s+/)) {
+      const m = chunk.match(/^([a-zA-Z]+):(.+)$/);
+      const scoped = m ? FIELD_ALIASES[m[1].toLowerCase()] : undefined;
+      const fields = scoped ? [scoped] : FIELDS;
+      for (const term of tokenize(scoped ? m![2] : chunk)) parsed.push({ term, fields });
+    }
+    return parsed;
+  }
+
+  search(query: string, options: AdviceSearchOptions = {}): AdviceSearchHit[] {
+    const N = this.ids.length;
+    if (!N) return [];
+
+    const scores = new Map<number, number>();
+    const matched = new Map<number, Set<string>>();
+
+    for (const { term, fields } of this.parseQuery(query)) {
+      for (const [indexed, weight] of this.expand(term, options)) {
+        for (const field of fields) {
+          const posting = this.postings[field].get(indexed);
+          if (!posting) continue;
+          const idf = Math.log(1 + (N - posting.size + 0.5) / (posting.size + 0.5));
+          const avg = this.avgFieldLength[field] || 1;
+          for (const [doc, tf] of posting) {
+            const len = this.fieldLengths[field][doc];
+            const norm = tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * len / avg));
+            scores.set(doc, (scores.get(doc) || 0) + weight * FIELD_BOOST[field] * idf * norm);
+            let terms = matched.get(doc);
+            if (!terms) matched.set(doc, (terms = new Set()));
+            terms.add(term);
+          }
+        }
+      }
+    }
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([doc, score]) => ({ id: this.ids[doc], score, terms: Array.from(matched.get(doc) || []) }));
+  }
+}
@@ -0,0 +1,327 @@
+// api/_lib/services/attachmentOverrides.ts
+/**
+ * Attachment-style override pipeline from data/attachment_overrides.json.
+ *
+ * Stages run in applyOrder over the clear/caution/alert scores; each stage's value is
+ * overrides.<style>.<stage> merged over defaults.<stage>, combined through its blending mode:
+ *   - tone_offsets / tone_multipliers: per-tone value
+ *   - category_multipliers:   scales the tone effect of each matched category (cluster evidence)
+ *   - context_boosts:         per-tone value for CTX_<CONTEXT>
+ *   - intensity_blend:        pulls toward the intensity profile (0 → clear, 0.5 → caution, 1 → alert)
+ *   - negation_sarcasm_adjust: negationPenalty / sarcasmPenalty scale alert and caution
+ *   - position_scaling:       start/end/caps/repeat cues add to alert and caution
+ *   - threshold_shift:        subtracted per tone
+ *   - cap_limits:             each tone's net change stays within ±per_tone_offset_max
+ * Offset and multiplier values are also capped one by one (per_tone_offset_max / per_tone_multiplier_max).
+ * Scores are then clamped to integration.range and, with integration.normalize, rescaled to sum to 1.
+ *
+ * Advice scores get the style's category_multipliers (product over the item's categories, capped)
+ * and secureFixRouting biases: rewriteBias for secure-rewrite advice, adviceBias for the rest.
+ */
+
+import { TONE_BUCKET_KEYS } from '../schemas/toneBucketMapping';
+import { adviceCategories, fallbackCategories } from './guardrails';
+
+type Bucket = 'clear' | 'caution' | 'alert';
+type Dist = Record<Bucket, number>;
+
+const BUCKETS: readonly Bucket[] = TONE_BUCKET_KEYS;
+
+export const BLEND_MODES = ['additive', 'multiplicative', 'weighted_average'] as const;
+export type BlendMode = typeof BLEND_MODES[number];
+
+export const OVERRIDE_STAGES = [
+  'tone_offsets',
+  'tone_multipliers',
+  'category_multipliers',
+  'context_boosts',
+  'intensity_blend',
+  'negation_sarcasm_adjust',
+  'position_scaling',
+  'threshold_shift',
+  'cap_limits',
+] as const;
+export type OverrideStage = typeof OVERRIDE_STAGES[number];
+
+// blending.<key> for each stage; threshold_shift and cap_limits have fixed semantics
+const STAGE_BLEND_KEYS: Partial<Record<OverrideStage, string>> = {
+  tone_offsets: 'toneOffsetMode',
+  tone_multipliers: 'toneMultiplierMode',
+  category_multipliers: 'categoryMode',
+  context_boosts: 'contextMode',
+  intensity_blend: 'intensityMode',
+  negation_sarcasm_adjust: 'negSarMode',
+  position_scaling: 'positionMode',
+};
+
+const STAGE_DEFAULT_MODES: Partial<Record<OverrideStage, BlendMode>> = {
+  tone_offsets: 'additive',
+  tone_multipliers: 'multiplicative',
+  category_multipliers: 'multiplicative',
+  context_boosts: 'additive',
+  intensity_blend: 'weighted_average',
+  negation_sarcasm_adjust: 'multiplicative',
+  position_scaling: 'additive',
+};
+
+// Tones that negation/sarcasm and emphasis cues push on
+const GUARDED: Bucket[] = ['alert', 'caution'];
+// Context link names that differ from the category_multipliers key
+const CONTEXT_CATEGORY_ALIASES: Record<string, string> = { planning: 'plan', microapology: 'micro_apology' };
+
+export interface PositionSignals {
+  start?: boolean;  // a tone cue in the first quarter of the message
+  end?: boolean;    // a tone cue in the last quarter
+  caps?: boolean;   // an all-caps word
+  repeat?: boolean; // repeated punctuation or elongated letters
+}
+
+export interface CategoryContribution {
+  key?: string;     // specific name (e.g. a cluster key like 'contempt'), tried before category
+  category: string;
+  effect: Partial<Dist>; // per-tone pull of the feature, e.g. ClusterEvidence.toneEffect
+}
+
+export interface ToneOverrideInput {
+  style?: string | null;
+  dist: Dist;
+  context?: string | null;
+  intensity?: number;
+  hasNegation?: boolean;
+  hasSarcasm?: boolean;
+  position?: PositionSignals;
+  contributions?: CategoryContribution[];
+}
+
+export interface OverrideTraceEntry {
+  stage: OverrideStage | 'integration';
+  mode: BlendMode | 'subtract' | 'clamp' | 'normalize';
+  deltas: Dist;
+}
+
+export interface ToneOverrideResult {
+  style: string;
+  dist: Dist;
+  primary: Bucket;
+  trace: OverrideTraceEntry[];
+}
+
+export interface AdviceOverride {
+  mode: BlendMode;
+  multiplier: number;
+  bias: number;
+  categories: string[];
+}
+
+const num = (v: any, fallback = 0) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+const round4 = (x: number) => Math.round(x * 10000) / 10000;
+const isObject = (v: any) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Combine a current score with a stage value. weighted_average moves `weight` of the way
+ * toward the value; stages without a weight split evenly.
+ */
+export function blend(mode: BlendMode | string, current: number, value: number, weight = 0.5): number {
+  switch (mode) {
+    case 'multiplicative': return current * value;
+    case 'weighted_average': {
+      const w = Math.max(0, Math.min(1, weight));
+      return (1 - w) * current + w * value;
+    }
+    default: return current + value;
+  }
+}
+
+/** Blending mode for a stage: blending.<key> when it names a known mode, else the stage default. */
+export function stageMode(config: any, stage: OverrideStage): BlendMode {
+  const configured = config?.blending?.[STAGE_BLEND_KEYS[stage] as string];
+  return (BLEND_MODES as readonly string[]).includes(configured) ? configured : (STAGE_DEFAULT_MODES[stage] || 'additive');
+}
+
+/** Stage value for a style: overrides.<style> merged over defaults (context_boosts per context). */
+export function resolveStageValue(config: any, style: string | null | undefined, key: string): any {
+  const base = config?.defaults?.[key];
+  const over = style ? config?.overrides?.[style]?.[key] : undefined;
+  if (over === undefined) return base;
+  if (!isObject(base) || !isObject(over)) return over;
+  if (key === 'context_boosts') {
+    const merged: Record<string, any> = { ...base };
+    for (const [ctx, v] of Object.entries(over)) merged[ctx] = { ...(base[ctx] || {}), ...(v as any) };
+    return merged;
+  }
+  return { ...base, ...over };
+}
+
+/** Position cues from the message text and the character spans of its tone cues. */
+export function positionSignals(text: string, cues: Array<{ start: number; end: number }> = []): PositionSignals {
+  const len = text.length || 1;
+  return {
+    start: cues.some(c => c.start <= len * 0.25),
+    end: cues.some(c => c.end >= len * 0.75),
+    caps: /\b[A-Z]{2,}\b/.test(text),
+    repeat: /([!?])\1|([a-z])\2{2,}/i.test(text),
+  };
+}
+
+const zeroDist = (): Dist => ({ clear: 0, caution: 0, alert: 0 });
+
+function primaryOf(config: any, dist: Dist): Bucket {
+  const priority: Bucket[] = Array.isArray(config?.integration?.priority) ? config.integration.priority : ['alert', 'caution', 'clear'];
+  return priority.reduce((best, k) => (num(dist[k]) > num(dist[best]) ? k : best), priority[0]);
+}
+
+function multiplierFor(config: any, style: string | null | undefined, category: string): number | undefined {
+  const table = resolveStageValue(config, style, 'category_multipliers') || {};
+  return typeof table[category] === 'number' ? table[category] : undefined;
+}
+
+/**
+ * Run the applyOrder stages over a tone distribution. `trace` has one entry per stage with the
+ * per-tone change it made, followed by the integration clamp/normalize step.
+ */
+export function applyToneOverrides(config: any, input: ToneOverrideInput): ToneOverrideResult {
+  const style = input.style && config?.overrides?.[input.style] ? input.style : 'default';
+  const styleKey = style === 'default' ? null : style;
+  const order: string[] = Array.isArray(config?.applyOrder) ? config.applyOrder : [...OVERRIDE_STAGES];
+  const caps = resolveStageValue(config, styleKey, 'cap_limits') || {};
+  const offsetMax = num(caps.per_tone_offset_max, Infinity);
+  const mulMax = num(caps.per_tone_multiplier_max, Infinity);
+
+  const start: Dist = { ...zeroDist(), ...input.dist };
+  let scores: Dist = { ...start };
+  const trace: OverrideTraceEntry[] = [];
+
+  const run = (stage: OverrideStage, mode: OverrideTraceEntry['mode'], next: (b: Bucket, cur: number) => number) => {
+    const deltas = zeroDist();
+    const out = { ...scores };
+    for (const b of BUCKETS) {
+      out[b] = next(b, scores[b]);
+      deltas[b] = round4(out[b] - scores[b]);
+    }
+    scores = out;
+    trace.push({ stage, mode, deltas });
+  };
+
+  for (const name of order) {
+    if (!(OVERRIDE_STAGES as readonly string[]).includes(name)) continue;
+    const stage = name as OverrideStage;
+    const mode = stageMode(config, stage);
+    switch (stage) {
+      case 'tone_offsets': {
+        const v = resolveStageValue(config, styleKey, stage) || {};
+        run(stage, mode, (b, cur) => blend(mode, cur, Math.max(-offsetMax, Math.min(offsetMax, num(v[b])))));
+        break;
+      }
+      case 'tone_multipliers': {
+        const v = resolveStageValue(config, styleKey, stage) || {};
+        run(stage, mode, (b, cur) => blend(mode, cur, Math.min(mulMax, num(v[b], 1))));
+        break;
+      }
+      case 'category_multipliers': {
+        // Each contribution is already part of the score; re-blend it with its multiplier
+        const shift = zeroDist();
+        for (const c of input.contributions || []) {
+          const m = (c.key ? multiplierFor(config, styleKey, c.key) : undefined) ?? multiplierFor(config, styleKey, c.category);
+          if (m === undefined) continue;
+          for (const b of BUCKETS) {
+            const effect = num(c.effect?.[b]);
+            if (effect) shift[b] += blend(mode, effect, m) - effect;
+          }
+        }
+        run(stage, mode, (b, cur) => cur + shift[b]);
+        break;
+      }
+      case 'context_boosts': {
+        const boosts = input.context ? resolveStageValue(config, styleKey, stage)?.[`CTX_${input.context.toUpperCase()}`] : null;
+        run(stage, mode, (b, cur) => (boosts ? blend(mode, cur, num(boosts[b])) : cur));
+        break;
+      }
+      case 'intensity_blend': {
+        const weight = num(resolveStageValue(config, styleKey, stage)?.weight);
+        if (typeof input.intensity !== 'number') { run(stage, mode, (_b, cur) => cur); break; }
+        const i = Math.max(0, Math.min(1, input.intensity));
+        const profile: Dist = { clear: 1 - i, caution: 1 - Math.abs(1 - 2 * i), alert: i };
+        const total = profile.clear + profile.caution + profile.alert || 1;
+        run(stage, mode, (b, cur) => blend(mode, cur, profile[b] / total, weight));
+        break;
+      }
+      case 'negation_sarcasm_adjust': {
+        const factor =
+          (input.hasNegation ? num(resolveStageValue(config, styleKey, 'negationPenalty'), 1) : 1) *
+          (input.hasSarcasm ? num(resolveStageValue(config, styleKey, 'sarcasmPenalty'), 1) : 1);
+        const applies = input.hasNegation || input.hasSarcasm;
+        run(stage, mode, (b, cur) => (applies && GUARDED.includes(b) ? blend(mode, cur, factor) : cur));
+        break;
+      }
+      case 'position_scaling': {
+        const v = resolveStageValue(config, styleKey, stage) || {};
+        const p = input.position || {};
+        const bump = (['start', 'end', 'caps', 'repeat'] as const).reduce((s, k) => s + (p[k] ? num(v[k]) : 0), 0);
+        run(stage, mode, (b, cur) => (bump && GUARDED.includes(b) ? blend(mode, cur, bump) : cur));
+        break;
+      }
+      case 'threshold_shift': {
+        const v = resolveStageValue(config, styleKey, stage) || {};
+        run(stage, 'subtract', (b, cur) => cur - num(v[b]));
+        break;
+      }
+      case 'cap_limits': {
+        run(stage, 'clamp', (b, cur) => Math.max(start[b] - offsetMax, Math.min(start[b] + offsetMax, cur)));
+        break;
+      }
+    }
+  }
+
+  // integration: clamp to range, then rescale to a distribution
+  const range = config?.integration?.range || {};
+  const lo = num(range.min, -Infinity);
+  const hi = num(range.max, Infinity);
+  const normalize = config?.integration?.normalize !== false;
+  const clamped = zeroDist();
+  for (const b of BUCKETS) clamped[b] = Math.max(lo, Math.min(hi, scores[b]));
+  const total = BUCKETS.reduce((s, b) => s + Math.max(0, clamped[b]), 0);
+  const final = zeroDist();
+  for (const b of BUCKETS) {
+    final[b] = normalize ? (total > 0 ? Math.max(0, clamped[b]) / total : num(start[b])) : clamped[b];
+  }
+  const deltas = zeroDist();
+  for (const b of BUCKETS) deltas[b] = round4(final[b] - scores[b]);
+  trace.push({ stage: 'integration', mode: normalize ? 'normalize' : 'clamp', deltas });
+
+  return { style, dist: final, primary: primaryOf(config, final), trace };
+}
+
+/** Category names an advice item answers to in category_multipliers. */
+export function adviceOverrideCategories(item: any): string[] {
+  const fromLinks = (Array.isArray(item?.contextLink) ? item.contextLink : [])
+    .map((c: string) => String(c).replace(/^CTX_/, '').toLowerCase())
+    .map((c: string) => CONTEXT_CATEGORY_ALIASES[c] || c);
+  return Array.from(new Set([...adviceCategories(item), ...fromLinks]));
+}
+
+/** Multiplier (capped) and secureFixRouting bias for one advice item under a style. */
+export function adviceOverrideFor(config: any, style: string | null | undefined, item: any): AdviceOverride {
+  const styleKey = style && config?.overrides?.[style] ? style : null;
+  const caps = resolveStageValue(config, styleKey, 'cap_limits') || {};
+  const mulMax = num(caps.per_tone_multiplier_max, Infinity);
+  const categories = adviceOverrideCategories(item).filter(c => multiplierFor(config, styleKey, c) !== undefined);
+  const raw = categories.reduce((m, c) => m * (multiplierFor(config, styleKey, c) as number), 1);
+  const multiplier = Math.max(1 / mulMax, Math.min(mulMax, raw));
+
+  const routing = styleKey ? config.overrides[styleKey].secureFixRouting : null;
+  const secureRewrite = fallbackCategories(['show_secure_rewrite']);
+  const bias = routing
+    ? (adviceCategories(item).some(c => secureRewrite.includes(c)) ? num(routing.rewriteBias) : num(routing.adviceBias))
+    : 0;
+
+  return { mode: stageMode(config, 'category_multipliers'), multiplier, bias, categories };
+}
+
+/** Apply an advice override to a ranking score; deltas are what each stage added. */
+export function applyAdviceOverride(score: number, o: AdviceOverride): { score: number; deltas: { category_multipliers: number; secureFixRouting: number } } {
+  const multiplied = blend(o.mode, score, o.multiplier);
+  return {
+    score: multiplied + o.bias,
+    deltas: { category_multipliers: round4(multiplied - score), secureFixRouting: round4(o.bias) },
+  };
+}
@@ -2,6 +2,27 @@
 import { logger } from '../logger';
 import { dataLoader } from './dataLoader';
 import { normalizeScores, defaultPriorWeight } from '../utils/priors';
+import { getProfileStore, ProfileStore, ProfileVersionConflictError } from './profileStore';
+import type { AttachmentScores } from '../schemas/communicatorProfile';
+import type { AttachmentLearningConfig, AttachmentSignal } from '../types/dataTypes';
+import type { ProfanitySensitivity } from './profanity';
+import { getSignalExtractor, accumulateSignals, markNoticingsShown, SignalExtraction, SignalState } from './learningSignals';
+import type { OnboardingState } from './onboarding';
+import { hashText } from '../utils/privacy';
+
+type Style = keyof AttachmentScores;
+const STYLES: Style[] = ['anxious', 'avoidant', 'disorganized', 'secure'];
+const HISTORY_LIMIT = 120;
+const RECENT_MESSAGES_LIMIT = 20;
+
+const dayKeyOf = (d: Date) => d.toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
+const daysBetween = (a: string, b: string) =>
+  Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+const escapeRx = (s: string) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Entries like "tone_shift" / "response_delay" describe behaviours, not text to match
+// Records written before hashing still carry `text`; swap it for the hash and length on load
+const hashLegacyText = ({ text, ...entry }: any) =>
+  text === undefined ? entry : { ...entry, textHash: hashText(text), textLength: String(text).length };
 
 export interface AttachmentEstimate {
   primary: 'anxious' | 'avoidant' | 'disorganized' | 'secure' | null;
@@ -10,36 +31,96 @@ export interface AttachmentEstimate {
   confidence: number;
 }
 
+export interface LocalPrior {
+  scores: AttachmentScores;
+  weight: number;
+  seededAt: string;
+  lastUpdatedAt?: string;
+  sourceVersion?: string;
+}
+
+export interface LearningState extends AttachmentScores {
+  daysObserved: number;
+  firstSeenDay?: string;
+  dayKey?: string;
+  incrementsToday: number;
+}
+
+export interface LearningEvent {
+  type: 'increment' | 'day_roll' | 'observe_skipped';
+  signalId?: string;
+  deltas?: Partial<AttachmentScores>;
+  reason?: string;
+  dayKey: string;
+  at: string;
+}
+
+export interface ObservationResult {
+  deltas: AttachmentScores;
+  matchedSignals: string[];
+  skipped?: 'outside_learning_window' | 'daily_limit';
+  daysObserved: number;
+  incrementsToday: number;
+}
+
 export interface ProfileData {
   userId: string;
+  createdAt: string;
+  updatedAt: string;
   attachmentStyle?: string;
+  // Raw text is never stored (the default store is a shared /tmp); a keyed hash and length stand in
   communicationHistory: Array<{
-    text: string;
+    textHash: string;
+    textLength: number;
     context: string;
     tone: string;
-    timestamp: Date;
+    timestamp: string;
   }>;
-  learningSignals: Record<string, any>;
+  learningSignals: LearningState;
+  learningHistory: LearningEvent[];
+  recentMessageTimes?: string[]; // ISO timestamps of recently analysed messages (no text), for severity stacking
+  noticingSignals?: SignalState;  // learning_signals.json bucket values (decayed, daily-capped) behind "Noticing" insights
+  onboarding?: OnboardingState;   // onboarding_playbook.json week: first seen, time zone, completed lessons, reflections
+  localPrior?: LocalPrior;
   preferences: {
     contexts: string[];
     suggestionTypes: string[];
     sensitivity: number;
+    profanitySensitivity?: ProfanitySensitivity; // profanity_lexicons.json weightMap level
+    profanityProfile?: string | null;            // profanity_lexicons.json profiles key
+    guardrailProfile?: string | null;            // guardrail_config.json profiles key
+    weightProfile?: string | null;               // weight_modifiers.json profiles key; null auto-selects
   };
 }
 
 export class CommunicatorProfile {
   private userId: string;
   private data: ProfileData;
+  private store: ProfileStore;
+  private version = 0;
 
   constructor(options: { 
     userId: string; 
-    storage?: any; 
+    storage?: ProfileStore; 
   }) {
     this.userId = options.userId;
-    this.data = {
+    this.store = options.storage || getProfileStore();
+    this.data = this.freshData();
+  }
+
+  private freshData(): ProfileData {
+    const now = new Date().toISOString();
+    return {
       userId: this.userId,
+      createdAt: now,
+      updatedAt: now,
       communicationHistory: [],
-      learningSignals: {},
+      learningSignals: {
+        anxious: 0, avoidant: 0, disorganized: 0, secure: 0,
+        daysObserved: 0,
+        incrementsToday: 0
+      },
+      learningHistory: [],
       preferences: {
         contexts: ['general'],
         suggestionTypes: ['advice', 'empathy'],
@@ -56,19 +137,32 @@ export class CommunicatorProfile {
         return;
       }
 
-      // Load learning signals from dataLoader
-      const learningSignalsData = dataLoader.getLearningSignals();
-      const learningSignals = learningSignalsData?.signals || [];
-      
-      this.data.learningSignals = learningSignals.reduce((acc, signal) => {
-        acc[signal.signalType] = signal;
-        return acc;
-      }, {} as Record<string, any>);
+      const stored = await this.store.get<ProfileData>(this.userId);
+      if (stored) {
+        const fresh = this.freshData();
+        this.data = {
+          ...fresh,
+          ...stored.data,
+          userId: this.userId,
+          learningSignals: { ...fresh.learningSignals, ...(stored.data.learningSignals || {}) },
+          learningHistory: Array.isArray(stored.data.learningHistory) ? stored.data.learningHistory : [],
+          communicationHistory: (stored.data.communicationHistory || []).map(hashLegacyText),
+          ...(stored.data.onboarding ? { onboarding: {
+            ...stored.data.onboarding,
+            reflections: Object.fromEntries(Object.entries(stored.data.onboarding.reflections || {}).map(([ref, r]) => [ref, hashLegacyText(r)]))
+          } } : {})
+        };
+        this.version = stored.version;
+      } else {
+        this.data = this.freshData();
+        this.version = 0;
+      }
 
       logger.info('CommunicatorProfile initialized', { 
         userId: this.userId,
-        hasLearningSignals: Object.keys(this.data.learningSignals).length > 0,
-        signalCount: learningSignals.length
+        version: this.version,
+        isStored: !!stored,
+        historyLength: this.data.communicationHistory.length
       });
     } catch (error) {
       logger.error('Failed to initialize CommunicatorProfile:', error);
@@ -76,6 +170,56 @@ export class CommunicatorProfile {
     }
   }
 
+  /** Persist current state; throws ProfileVersionConflictError if someone saved since init(). */
+  async save(): Promise<void> {
+    this.data.updatedAt = new Date().toISOString();
+    const rec = await this.store.put(this.userId, this.data, this.version);
+    this.version = rec.version;
+  }
+
+  /**
+   * Load → mutate → save with optimistic retries. On a version conflict the profile
+   * is reloaded and the mutation re-applied against the fresh state.
+   */
+  async update<R>(mutate: (profile: CommunicatorProfile) => R | Promise<R>, maxAttempts = 3): Promise<R> {
+    for (let attempt = 1; ; attempt++) {
+      const result = await mutate(this);
+      try {
+        await this.save();
+        return result;
+      } catch (err) {
+        if (!(err instanceof ProfileVersionConflictError) || attempt >= maxAttempts) throw err;
+        logger.warn('Profile version conflict, retrying', { userId: this.userId, attempt });
+        await this.init();
+      }
+    }
+  }
+
+  async reset(): Promise<void> {
+    await this.store.delete(this.userId);
+    this.data = this.freshData();
+    this.version = 0;
+  }
+
+  export(): ProfileData & { version: number } {
+    return { ...JSON.parse(JSON.stringify(this.data)), version: this.version };
+  }
+
+  getVersion(): number {
+    return this.version;
+  }
+
+  getLocalPrior(): LocalPrior | undefined {
+    return this.data.localPrior;
+  }
+
+  /** Seed the on-device assessment prior once; later calls are ignored. Returns true if seeded. */
+  seedLocalPrior(prior: LocalPrior): boolean {
+    if (this.data.localPrior) return false;
+    this.data.localPrior = prior;
+    return true;
+  }
+
   getAttachmentEstimate(): AttachmentEstimate {
     const attachmentLearning = dataLoader.getAttachmentLearning();
     if (!attachmentLearning) {
@@ -87,7 +231,7 @@ export class CommunicatorProfile {
       throw new Error('attachment_learning.json missing scoring.thresholds');
     }
 
-    const daysObserved = Number((this.data.learningSignals as any).daysObserved || 0);
+    const daysObserved = Number(this.data.learningSignals.daysObserved || 0);
     const learningDays = attachmentLearning.learningDays || 7;
 
     // Server signals raw extraction
@@ -96,8 +240,7 @@ export class CommunicatorProfile {
 
     // If nothing at all and no prior → empty estimate
     // (Prior seeding happens externally; we just consume)
-    // eslint-disable-next-line @typescript-eslint/no-explicit-any
-    const localPrior: any = (this as any).data.localPrior; // tolerate absence
+    const localPrior = this.data.localPrior;
     if (totalSignals < 1e-9 && !localPrior) {
       return { primary: null, secondary: null, windowComplete: false, confidence: 0 };
     }
@@ -141,10 +284,11 @@ export class CommunicatorProfile {
 
   addCommunication(text: string, context: string, tone: string): void {
     this.data.communicationHistory.push({
-      text,
+      textHash: hashText(text),
+      textLength: text.length,
       context,
       tone,
-      timestamp: new Date()
+      timestamp: new Date().toISOString()
     });
 
     // Keep only last 50 communications
@@ -153,7 +297,165 @@ export class CommunicatorProfile {
     }
   }
 
-  getLearningSignals(): Record<string, any> {
+  /** Tones of the last `limit` communications, oldest first. */
+  getRecentTones(limit = 50): string[] {
+    return this.data.communicationHistory.slice(-limit).map(c => c.tone);
+  }
+
+  /** Epoch ms of recently analysed messages, oldest first. */
+  getRecentMessageTimes(): number[] {
+    return (this.data.recentMessageTimes || []).map(t => Date.parse(t)).filter(t => Number.isFinite(t));
+  }
+
+  /** Remember that a message was analysed at `now`; only the last `keepMs` (and 20 entries) are kept. */
+  recordMessageTime(now: Date = new Date(), keepMs = 10 * 60 * 1000): void {
+    const at = now.getTime();
+    const kept = this.getRecentMessageTimes().filter(t => at - t <= keepMs && t <= at);
+    kept.push(at);
+    this.data.recentMessageTimes = kept.slice(-RECENT_MESSAGES_LIMIT).map(t => new Date(t).toISOString());
+  }
+
+  getNoticingSignals(): SignalState {
+    return this.data.noticingSignals || {};
+  }
+
+  /** Fold one message's learning_signals.json buckets into the noticing signals. */
+  recordNoticingSignals(text: string, now: Date = new Date()): SignalExtraction {
+    const config = dataLoader.get('learningSignals');
+    const extraction = getSignalExtractor(config).extract(text);
+    this.data.noticingSignals = accumulateSignals(config, this.getNoticingSignals(), extraction, now.getTime());
+    return extraction;
+  }
+
+  /** Start the cooldown of noticings that were just shown. */
+  markNoticingsShown(buckets: string[], now: Date = new Date()): void {
+    this.data.noticingSignals = markNoticingsShown(this.getNoticingSignals(), buckets, now.getTime());
+  }
+
+  /** Onboarding progress; the week starts when the profile was created until it is stored. */
+  getOnboarding(): OnboardingState {
+    return this.data.onboarding || { firstSeenAt: this.data.createdAt, completed: {}, reflections: {} };
+  }
+
+  /** Persist onboarding state, remembering the caller's time zone when given. */
+  startOnboarding(timeZone?: string): OnboardingState {
+    this.data.onboarding = { ...this.getOnboarding(), ...(timeZone ? { timeZone } : {}) };
+    return this.data.onboarding;
+  }
+
+  completeLesson(lessonId: string, day: number, reflection?: { ref: string; text: string }, now: Date = new Date()): void {
+    const state = this.startOnboarding();
+    const at = now.toISOString();
+    state.completed = { ...state.completed, [lessonId]: state.completed[lessonId] || { completedAt: at, day } };
+    // Reflections follow communicationHistory: a keyed hash and length, never the text
+    if (reflection) {
+      state.reflections = {
+        ...state.reflections,
+        [reflection.ref]: { textHash: hashText(reflection.text), textLength: reflection.text.length, submittedAt: at }
+      };
+    }
+  }
+
+  /** Count noticings shown on an onboarding day (resets when the day key changes). */
+  recordOnboardingNoticings(dayKey: string, count: number): void {
+    const state = this.startOnboarding();
+    const shown = state.noticings?.dayKey === dayKey ? state.noticings.count : 0;
+    state.noticings = { dayKey, count: shown + count };
+  }
+
+  /**
+   * Score one observed message against attachment_learning.json (incremental,
+   * with daily decay and daily cap — port of the legacy communicator_profile.js).
+   * Returns the per-style deltas applied by this message.
+   */
+  observeMessage(text: string, context: string = 'general', now: Date = new Date()): ObservationResult {
+    const cfg = dataLoader.getAttachmentLearning();
+    if (!cfg?.scoring?.thresholds || typeof cfg.scoring.dailyLimit !== 'number') {
+      throw new Error('attachment_learning.json must include scoring.thresholds and scoring.dailyLimit');
+    }
+
+    const ls = this.data.learningSignals;
+    const deltas: AttachmentScores = { anxious: 0, avoidant: 0, disorganized: 0, secure: 0 };
+    const dayKey = dayKeyOf(now);
+    this.rollDayIfNeeded(cfg, dayKey, now);
+
+    const result = (skipped?: ObservationResult['skipped'], matchedSignals: string[] = []): ObservationResult => ({
+      deltas, matchedSignals, skipped, daysObserved: ls.daysObserved, incrementsToday: ls.incrementsToday
+    });
+
+    // Only learn inside the configured learning window
+    if (ls.daysObserved >= (cfg.learningDays || 7)) {
+      this.pushHistory({ type: 'observe_skipped', reason: 'outside_learning_window', dayKey }, now);
+      return result('outside_learning_window');
+    }
+
+    // Respect daily cap
+    const remaining = cfg.scoring.dailyLimit - ls.incrementsToday;
+    if (remaining <= 0) {
+      this.pushHistory({ type: 'observe_skipped', reason: 'daily_limit', dayKey }, now);
+      return result('daily_limit');
+    }
+
+    // Strongest-first so high-weight signals consume the daily cap first
+    const matches = this.matchSignals(cfg, text).slice(0, remaining);
+    for (const signal of matches) {
+      const ctxMult = signal.contextModifiers?.[context] ?? 1;
+      const applied: Partial<AttachmentScores> = {};
+      for (const style of STYLES) {
+        const w = (signal.weights?.[style] ?? 0) * ctxMult;
+        if (!w) continue;
+        const before = ls[style];
+        ls[style] = Math.max(0, before + w);
+        applied[style] = ls[style] - before;
+        deltas[style] += applied[style]!;
+      }
+      ls.incrementsToday++;
+      this.pushHistory({ type: 'increment', signalId: signal.id, deltas: applied, dayKey }, now);
+    }
+
+    return result(undefined, matches.map(m => m.id));
+  }
+
+  private rollDayIfNeeded(cfg: AttachmentLearningConfig, dayKey: string, now: Date): void {
+    const ls = this.data.learningSignals;
+    if (!ls.firstSeenDay) ls.firstSeenDay = dayKey;
+    if (!ls.dayKey) { ls.dayKey = dayKey; return; }
+    if (ls.dayKey === dayKey) return;
+
+    // New calendar day: decay once per elapsed day, reset the cap, count the day
+    const elapsed = Math.max(1, daysBetween(ls.dayKey, dayKey));
+    const decay = cfg.scoring.decay?.applyDaily === false ? 1 : (cfg.scoring.decay?.factor ?? 1);
+    const factor = Math.pow(decay, elapsed);
+    for (const style of STYLES) ls[style] = Math.max(0, ls[style] * factor);
+
+    ls.dayKey = dayKey;
+    ls.incrementsToday = 0;
+    ls.daysObserved = Math.min(ls.daysObserved + 1, (cfg.learningDays || 7) + 30); // cap just in case
+    this.pushHistory({ type: 'day_roll', dayKey }, now);
+  }
+
+  private matchSignals(cfg: AttachmentLearningConfig, text: string): AttachmentSignal[] {
+    const T = text.toLowerCase().replace(/[\u2018\u2019]/g, "'");
+    const matched: AttachmentSignal[] = [];
+    // Behaviour labels ("minimization", "tone_shift") describe conduct, not words the user types
+    const labels = new Set(cfg.behaviourLabels || []);
+    for (const signal of cfg.advancedSignals || []) {
+      const phrases = Object.values(signal.patterns || {}).flat().filter(p => typeof p === 'string' && !labels.has(p));
+      // one phrase match per signal is enough
+      if (phrases.some(p => new RegExp(`\\b${escapeRx(p.toLowerCase())}\\b`).test(T))) matched.push(signal);
+    }
+    const strength = (s: AttachmentSignal) => Math.max(0, ...Object.values(s.weights || {}));
+    return matched.sort((a, b) => strength(b) - strength(a));
+  }
+
+  private pushHistory(entry: Omit<LearningEvent, 'at'>, now: Date): void {
+    this.data.learningHistory.push({ ...entry, at: now.toISOString() });
+    if (this.data.learningHistory.length > HISTORY_LIMIT) {
+      this.data.learningHistory.splice(0, this.data.learningHistory.length - HISTORY_LIMIT);
+    }
+  }
+
+  getLearningSignals(): LearningState {
     return this.data.learningSignals;
   }
 
@@ -3,6 +3,9 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { z } from 'zod';
 import { logger } from '../logger';
+import { AdviceBM25Index, AdviceIndexDoc } from './adviceIndex';
+import { HashingEmbedder, decodeAdviceVectors, VECTORS_FILE } from './adviceEmbedder';
+import { FALLBACK_TONE_BUCKET_MAPPING } from './toneBuckets';
 import type {
   AttachmentLearningConfig,
   DataCache
@@ -140,6 +143,12 @@ class DataLoaderService {
         { version: '0', tones: [] }
       );
 
+      // Fitted Platt parameters (npm run calibrate:tone); absent until the first fit
+      this.cache.toneCalibration = this.readJsonSafe<any>(
+        'tone_calibration.json',
+        null
+      );
+
       this.cache.tonePatterns = this.readJsonSafe<any>(
         'tone_patterns.json',
         { version: '0', patterns: [] }
@@ -207,40 +216,14 @@ class DataLoaderService {
         { blockedPatterns: [] }
       );
 
-      // Complex tone bucket mapping (from original suggestions.js toneBucketMap fallback)
+      // Tone label → clear/caution/alert mapping; resolved by services/toneBuckets.ts
       this.cache.toneBucketMapping = this.readJsonSafe<any>(
         'tone_bucket_mapping.json',
-        {
-          version: '1.0',
-          default: {
-            neutral:   { clear: 0.70, caution: 0.25, alert: 0.05 },
-            positive:  { clear: 0.80, caution: 0.18, alert: 0.02 },
-            supportive:{ clear: 0.85, caution: 0.13, alert: 0.02 },
-            angry:     { clear: 0.05, caution: 0.30, alert: 0.65 },
-            frustrated:{ clear: 0.10, caution: 0.55, alert: 0.35 },
-            anxious:   { clear: 0.15, caution: 0.60, alert: 0.25 },
-            sad:       { clear: 0.25, caution: 0.60, alert: 0.15 }
-          },
-          contextOverrides: {
-            conflict: {
-              angry:      { clear: 0.02, caution: 0.18, alert: 0.80 },
-              frustrated: { clear: 0.05, caution: 0.50, alert: 0.45 },
-              anxious:    { clear: 0.10, caution: 0.55, alert: 0.35 }
-            },
-            repair: {
-              angry:      { clear: 0.10, caution: 0.50, alert: 0.40 },
-              frustrated: { clear: 0.15, caution: 0.60, alert: 0.25 }
-            }
-          },
-          intensityShifts: {
-            thresholds: { low: 0.15, med: 0.35, high: 0.60 },
-            low:  { alert: -0.10, caution: +0.08, clear: +0.02 },
-            med:  { alert:  0.00, caution:  0.00, clear:  0.00 },
-            high: { alert: +0.12, caution: -0.08, clear: -0.04 }
-          }
-        }
+        FALLBACK_TONE_BUCKET_MAPPING
       );
 
+      this.buildAdviceIndex();
+
       this.initialized = true;
       logger.info('Data cache initialized successfully (sync)');
     } catch (error) {
@@ -312,6 +295,12 @@ class DataLoaderService {
         { version: '0', tones: [] }
       );
 
+      // Fitted Platt parameters (npm run calibrate:tone); absent until the first fit
+      this.cache.toneCalibration = this.readJsonSafe<any>(
+        'tone_calibration.json',
+        null
+      );
+
       this.cache.tonePatterns = this.readJsonSafe<any>(
         'tone_patterns.json',
         { version: '0', patterns: [] }
@@ -379,40 +368,14 @@ class DataLoaderService {
         { blockedPatterns: [] }
       );
 
-      // Complex tone bucket mapping (from original suggestions.js toneBucketMap fallback)
+      // Tone label → clear/caution/alert mapping; resolved by services/toneBuckets.ts
       this.cache.toneBucketMapping = this.readJsonSafe<any>(
         'tone_bucket_mapping.json',
-        {
-          version: '1.0',
-          default: {
-            neutral:   { clear: 0.70, caution: 0.25, alert: 0.05 },
-            positive:  { clear: 0.80, caution: 0.18, alert: 0.02 },
-            supportive:{ clear: 0.85, caution: 0.13, alert: 0.02 },
-            angry:     { clear: 0.05, caution: 0.30, alert: 0.65 },
-            frustrated:{ clear: 0.10, caution: 0.55, alert: 0.35 },
-            anxious:   { clear: 0.15, caution: 0.60, alert: 0.25 },
-            sad:       { clear: 0.25, caution: 0.60, alert: 0.15 }
-          },
-          contextOverrides: {
-            conflict: {
-              angry:      { clear: 0.02, caution: 0.18, alert: 0.80 },
-              frustrated: { clear: 0.05, caution: 0.50, alert: 0.45 },
-              anxious:    { clear: 0.10, caution: 0.55, alert: 0.35 }
-            },
-            repair: {
-              angry:      { clear: 0.10, caution: 0.50, alert: 0.40 },
-              frustrated: { clear: 0.15, caution: 0.60, alert: 0.25 }
-            }
-          },
-          intensityShifts: {
-            thresholds: { low: 0.15, med: 0.35, high: 0.60 },
-            low:  { alert: -0.10, caution: +0.08, clear: +0.02 },
-            med:  { alert:  0.00, caution:  0.00, clear:  0.00 },
-            high: { alert: +0.12, caution: -0.08, clear: -0.04 }
-          }
-        }
+        FALLBACK_TONE_BUCKET_MAPPING
       );
 
+      this.buildAdviceIndex();
+
       this.initialized = true;
       logger.info('Data cache initialized successfully');
     } catch (error) {
@@ -421,6 +384,55 @@ class DataLoaderService {
     }
   }
 
+  /**
+   * therapy_advice.json ships as a top-level array; normalize it once and register the
+   * retrieval keys suggestions.ts reads: adviceIndexItems, adviceBM25, adviceGetVector.
+   */
+  private buildAdviceIndex(): void {
+    try {
+      const items = normalizeAdvice(this.cache.therapyAdvice);
+      const byId = new Map(items.map(it => [it.id, it]));
+
+      this.cache.adviceIndexItems = items;
+      this.cache.adviceBM25 = new AdviceBM25Index(items as AdviceIndexDoc[]);
+
+      // Dense vectors: precomputed file first (npm run build:embeddings), inline embeddings as fallback
+      const embedder = new HashingEmbedder();
+      const vectors = this.readAdviceVectors(embedder);
+      this.cache.adviceEmbedder = embedder;
+      this.cache.adviceGetVector = (id: string) => {
+        const v = vectors?.get(id);
+        if (v) return v;
+        const inline = byId.get(id)?.embeddings;
+        return inline && inline.length === embedder.dims ? inline : null;
+      };
+
+      logger.info(`Advice index built (${items.length} items, ${vectors?.size ?? 0} vectors)`);
+    } catch (error) {
+      logger.error('Failed to build advice index:', error);
+    }
+  }
+
+  private readAdviceVectors(embedder: HashingEmbedder): Map<string, Float32Array> | null {
+    const filepath = path.join(this.dataPath, VECTORS_FILE);
+    try {
+      if (!fs.existsSync(filepath)) {
+        logger.warn(`${VECTORS_FILE} not found - dense advice retrieval disabled (run npm run build:embeddings)`);
+        return null;
+      }
+      const file = decodeAdviceVectors(fs.readFileSync(filepath));
+      // Query vectors must come from the exact embedder that built the file
+      if (file.modelId !== embedder.modelId || file.dims !== embedder.dims) {
+        logger.warn(`${VECTORS_FILE} was built with ${file.modelId}, runtime embedder is ${embedder.modelId} - ignoring stale vectors`);
+        return null;
+      }
+      return file.vectors;
+    } catch (error) {
+      logger.error(`Error loading ${VECTORS_FILE}:`, error);
+      return null;
+    }
+  }
+
   public isInitialized(): boolean {
     return this.initialized;
   }
@@ -466,6 +478,10 @@ class DataLoaderService {
     return this.cache.evaluationTones || { version: '0', tones: [] };
   }
 
+  public getToneCalibration(): any {
+    return this.cache.toneCalibration || null;
+  }
+
   public getTonePatterns(): any {
     return this.cache.tonePatterns || { version: '0', patterns: [] };
   }
@@ -511,12 +527,7 @@ class DataLoaderService {
   }
 
   public getToneBucketMapping(): any {
-    return this.cache.toneBucketMapping || {
-      version: '1.0',
-      default: {
-        neutral: { clear: 0.70, caution: 0.25, alert: 0.05 }
-      }
-    };
+    return this.cache.toneBucketMapping || FALLBACK_TONE_BUCKET_MAPPING;
   }
 
   // Utility methods for common access patterns
@@ -554,6 +565,7 @@ class DataLoaderService {
       'negation_indicators.json',
       'phrase_edges.json',
       'evaluation_tones.json',
+      'tone_calibration.json',
       'tone_patterns.json',
       'learning_signals.json',
       'negation_patterns.json',
@@ -565,7 +577,8 @@ class DataLoaderService {
       'semantic_thesaurus.json',
       'user_preference.json',
       'guardrail_config.json',
-      'tone_bucket_mapping.json'
+      'tone_bucket_mapping.json',
+      VECTORS_FILE
     ];
 
     const status: Record<string, boolean> = {};
@@ -579,8 +592,9 @@ class DataLoaderService {
 
   // Enhanced methods for suggestions system
   getAllAdviceItems(): AdviceItem[] {
-    const db = this.get('therapyAdvice');
-    return normalizeAdvice(db);
+    const indexed = this.cache.adviceIndexItems;
+    if (Array.isArray(indexed) && indexed.length) return indexed;
+    return normalizeAdvice(this.get('therapyAdvice'));
   }
 }
 
@@ -601,7 +615,10 @@ const AdviceItem = z.object({
   embeddings: z.array(z.number()).optional(),
   matchKeywords: z.array(z.string()).optional(),
   boostSources: z.array(z.string()).optional(),
-  negationSensitive: z.boolean().optional()
+  negationSensitive: z.boolean().optional(),
+  spacyLink: z.array(z.string()).optional(),
+  contextLink: z.array(z.string()).optional(),
+  styleTuning: z.record(z.string(), z.number()).optional()
 });
 
 export type AdviceItem = z.infer<typeof AdviceItem>;
@@ -610,7 +627,9 @@ export type AdviceItem = z.infer<typeof AdviceItem>;
 // Normalization Functions
 // ============================
 export function normalizeAdvice(db: any): AdviceItem[] {
-  const items = (db?.items ?? []).map((raw: any) => {
+  // Accept both the shipped top-level array and the legacy { version, items } wrapper
+  const rawItems: any[] = Array.isArray(db) ? db : (db?.items ?? []);
+  const items = rawItems.map((raw: any) => {
     const merged = {
       ...raw,
       keywords: [
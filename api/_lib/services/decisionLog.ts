@@ -0,0 +1,203 @@
+// api/_lib/services/decisionLog.ts
+/**
+ * Guardrail decision log (guardrail_config.json telemetry).
+ *
+ * One structured entry per suggestions request: the config's `telemetry.fields`
+ * (selectedProfile, finalThresholds, appliedBoosts, blockedCategories) plus request keys.
+ * User text is never stored; per `telemetry.privacy` it is PII-scrubbed and kept only as a
+ * keyed hash (+ windowed hashes), and user ids are hashed the same way.
+ *
+ * Sinks:
+ *  - JsonlDecisionSink:    append-only decisions-YYYY-MM-DD.jsonl files; days older than
+ *                          retentionDays are deleted on day rollover and by prune()
+ *  - InMemoryDecisionSink: per-process array (tests)
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { logger } from '../logger';
+import { dataLoader } from './dataLoader';
+import { scrubPII, hashText, windowedHashes, PiiEntity } from '../utils/privacy';
+import type { ResolvedGuardrails } from './guardrails';
+
+export interface DecisionEntry {
+  ts: string;
+  kind: string;
+  textHash?: string;
+  textWindows?: string[];
+  textLength: number;
+  userHash?: string;
+  [field: string]: any;
+}
+
+export interface DecisionSink {
+  append(entry: DecisionEntry): void;
+  prune(now?: Date): number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_RX = /^decisions-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// ============================
+// Sinks
+// ============================
+export class InMemoryDecisionSink implements DecisionSink {
+  readonly entries: DecisionEntry[] = [];
+
+  append(entry: DecisionEntry): void {
+    this.entries.push(entry);
+  }
+
+  prune(): number {
+    return 0;
+  }
+}
+
+export class JsonlDecisionSink implements DecisionSink {
+  private readonly dir: string;
+  private readonly retentionDays: number;
+  private currentDay: string | null = null;
+
+  constructor(opts: { dir: string; retentionDays: number }) {
+    this.dir = opts.dir;
+    this.retentionDays = Math.max(1, opts.retentionDays);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileFor(day: string): string {
+    return path.join(this.dir, `decisions-${day}.jsonl`);
+  }
+
+  append(entry: DecisionEntry): void {
+    const day = entry.ts.slice(0, 10);
+    if (day !== this.currentDay) {
+      this.currentDay = day;
+      this.prune(new Date(entry.ts));
+    }
+    fs.appendFileSync(this.fileFor(day), JSON.stringify(entry) + '\n', 'utf-8');
+  }
+
+  /** Delete day files older than retentionDays; returns how many were removed. */
+  prune(now: Date = new Date()): number {
+    const cutoff = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (this.retentionDays - 1) * DAY_MS;
+    let removed = 0;
+    for (const name of fs.readdirSync(this.dir)) {
+      const m = FILE_RX.exec(name);
+      if (!m || Date.parse(`${m[1]}T00:00:00Z`) >= cutoff) continue;
+      try {
+        fs.unlinkSync(path.join(this.dir, name));
+        removed++;
+      } catch (err: any) {
+        if (err?.code !== 'ENOENT') throw err;
+      }
+    }
+    return removed;
+  }
+}
+
+// ============================
+// Default sink selection
+// ============================
+let defaultSink: DecisionSink | null | undefined;
+
+/**
+ * Process-wide sink. DECISION_LOG picks the adapter ('file' | 'memory' | 'off'); file logs live
+ * in DECISION_LOG_DIR. Returns null when disabled here or by telemetry.logDecisions.
+ */
+export function getDecisionSink(): DecisionSink | null {
+  if (defaultSink !== undefined) return defaultSink;
+
+  const telemetry = dataLoader.get('guardrailConfig')?.telemetry || {};
+  const kind = (process.env.DECISION_LOG || 'file').toLowerCase();
+  if (kind === 'off' || telemetry.logDecisions === false) {
+    defaultSink = null;
+  } else if (kind === 'memory') {
+    defaultSink = new InMemoryDecisionSink();
+  } else {
+    defaultSink = new JsonlDecisionSink({
+      dir: process.env.DECISION_LOG_DIR || path.join(os.tmpdir(), 'unsaid-decisions'),
+      retentionDays: Number(telemetry.privacy?.retentionDays) || 14
+    });
+  }
+  logger.info('Decision log sink selected', { kind: defaultSink ? kind : 'off' });
+  return defaultSink;
+}
+
+export function setDecisionSink(sink: DecisionSink | null): void {
+  defaultSink = sink;
+}
+
+// ============================
+// Entries
+// ============================
+export interface GuardrailDecision {
+  text: string;
+  entities?: PiiEntity[];
+  userId?: string;
+  guardrails: ResolvedGuardrails;
+  toxicity: number;
+  tone: { classification: string; confidence: number };
+  blocked: Record<string, { count: number; categories: string[] }>;
+  fallback: { triggered: boolean; reason: string | null };
+  suggestionCount: number;
+}
+
+/** Text fields for an entry per telemetry.privacy (pii, rawUserText). */
+export function privateTextFields(text: string, entities: PiiEntity[] = [], privacy: any = {}): Partial<DecisionEntry> {
+  const clean = privacy.pii === 'keep' ? text : scrubPII(text, entities);
+  const mode = String(privacy.rawUserText || 'hash+windowed');
+  const out: Partial<DecisionEntry> = {};
+  if (mode.includes('hash')) out.textHash = hashText(clean);
+  if (mode.includes('windowed')) out.textWindows = windowedHashes(clean);
+  return out;
+}
+
+export function buildGuardrailEntry(d: GuardrailDecision, telemetry: any = {}, now: Date = new Date()): DecisionEntry {
+  const g = d.guardrails;
+  const available: Record<string, any> = {
+    selectedProfile: g.profile,
+    finalThresholds: {
+      minConfidence: g.minConfidence,
+      fallbackThreshold: g.fallbackThreshold,
+      toxicityHighThreshold: g.toxicityHighThreshold
+    },
+    appliedBoosts: {
+      layers: g.layers,
+      bucketBoosts: g.bucketBoosts,
+      toneWeight: g.toneWeight,
+      styleWeight: g.styleWeight,
+      categoryBoosts: g.categoryBoosts
+    },
+    blockedCategories: d.blocked
+  };
+  const fields: string[] = Array.isArray(telemetry.fields) ? telemetry.fields : Object.keys(available);
+
+  const entry: DecisionEntry = {
+    ts: now.toISOString(),
+    kind: 'guardrail',
+    textLength: d.text.length,
+    ...privateTextFields(d.text, d.entities, telemetry.privacy),
+    ...(d.userId && d.userId !== 'anonymous' ? { userHash: hashText(`user:${d.userId}`).slice(0, 16) } : {}),
+    channel: g.channel,
+    context: g.context,
+    attachmentStyle: g.attachmentStyle,
+    tone: { classification: d.tone.classification, confidence: Math.round(d.tone.confidence * 1000) / 1000 },
+    toxicity: d.toxicity,
+    fallback: d.fallback,
+    suggestionCount: d.suggestionCount
+  };
+  for (const f of fields) if (f in available) entry[f] = available[f];
+  return entry;
+}
+
+/** Record a guardrail decision; telemetry must never fail the request. */
+export function recordGuardrailDecision(d: GuardrailDecision): void {
+  try {
+    const sink = getDecisionSink();
+    if (!sink) return;
+    sink.append(buildGuardrailEntry(d, dataLoader.get('guardrailConfig')?.telemetry || {}));
+  } catch (err) {
+    logger.warn('Decision log write failed', err);
+  }
+}
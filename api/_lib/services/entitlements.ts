@@ -0,0 +1,342 @@
+// api/_lib/services/entitlements.ts
+/**
+ * Trial + subscription entitlements.
+ *
+ * - The 7-day trial starts on a user's first authenticated call and is persisted, so the
+ *   countdown is identical across endpoints. It only survives cold starts on a durable store
+ *   (PROFILE_STORE_DIR on persistent storage); production refuses to run on a per-instance one,
+ *   where every new instance would restart the trial.
+ * - Subscription state is written by the billing webhook (Stripe event shapes, the same
+ *   ones the practice gym consumes) and read by withTrialGuard, /trial-status and suggestions.
+ * - Records live in the versioned profile store ('entitlements' namespace); writes use the
+ *   same reload-and-retry on version conflicts as CommunicatorProfile.update().
+ */
+
+import * as crypto from 'crypto';
+import { logger } from '../logger';
+import { AppError, AppValidationError } from '../middleware/errorHandler';
+import { getNamedStore, ProfileStore, ProfileVersionConflictError } from './profileStore';
+
+export const TRIAL_DAYS = 7;
+export const MONTHLY_PRICE = 3.99;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Features the paywall covers; the only keys usage counters may be stored under
+export const FEATURES = [
+  'tone-analysis',
+  'suggestions',
+  'therapy-advice',
+  'advanced-analysis',
+  'personality-integration',
+  'communication-insights',
+  'real-time-suggestions',
+  'attachment-analysis'
+] as const;
+
+export const isFeature = (feature: unknown): feature is typeof FEATURES[number] =>
+  typeof feature === 'string' && (FEATURES as readonly string[]).includes(feature);
+
+// Stripe subscription statuses that keep the paywall open
+const ACCESS_STATUSES = new Set(['active', 'trialing']);
+
+export type PlanStatus = 'trial_active' | 'trial_expired' | 'premium';
+export type PlanType = 'trial' | 'premium' | 'expired';
+
+export interface SubscriptionRecord {
+  status: string | null;
+  customerId: string | null;
+  subscriptionId: string | null;
+  currentPeriodEnd: string | null;
+  updatedAt: string;
+}
+
+export interface EntitlementRecord {
+  userId: string;
+  trialStartedAt: string | null;
+  subscription: SubscriptionRecord | null;
+  usage: { dayKey: string; counts: Record<string, number> };
+}
+
+export interface Entitlement {
+  userId: string;
+  status: PlanStatus;
+  planType: PlanType;
+  hasAccess: boolean;
+  inTrial: boolean;
+  daysRemaining: number;
+  totalTrialDays: number;
+  trialStartDate: string;
+  trialEndDate: string;
+  trialStarted: boolean;
+  subscriptionStatus: string | null;
+  currentPeriodEnd: string | null;
+  usage: Record<string, number>;
+}
+
+/** Minimal Stripe event shape (checkout.session.completed, customer.subscription.*) */
+export interface BillingEvent {
+  id?: string;
+  type: string;
+  data: { object: Record<string, any> };
+}
+
+export interface BillingEventResult {
+  handled: boolean;
+  userId?: string;
+  status?: string | null;
+  reason?: string;
+  // Not applicable yet (e.g. a subscription event that beat its checkout); the webhook answers
+  // non-2xx so Stripe redelivers it
+  retry?: boolean;
+}
+
+const CUSTOMER_KEY_PREFIX = 'stripe-customer:';
+
+function dayKeyOf(d: Date): string {
+  return d.toISOString().slice(0, 10);
+}
+
+function toIso(unixSeconds: number | null | undefined): string | null {
+  return typeof unixSeconds === 'number' && unixSeconds > 0 ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+function idOf(v: any): string | null {
+  if (typeof v === 'string') return v;
+  if (v && typeof v.id === 'string') return v.id;
+  return null;
+}
+
+// Newer Stripe API versions moved current_period_end onto subscription items
+function subscriptionPeriodEnd(subscription: Record<string, any>): number | null {
+  const ends = (subscription?.items?.data || [])
+    .map((item: any) => item?.current_period_end)
+    .filter((v: any): v is number => typeof v === 'number');
+  if (ends.length) return Math.max(...ends);
+  return typeof subscription?.current_period_end === 'number' ? subscription.current_period_end : null;
+}
+
+function emptyRecord(userId: string): EntitlementRecord {
+  return { userId, trialStartedAt: null, subscription: null, usage: { dayKey: '', counts: {} } };
+}
+
+export class EntitlementService {
+  private store: ProfileStore;
+  private trialDays: number;
+
+  constructor(options: { storage?: ProfileStore; trialDays?: number } = {}) {
+    this.store = options.storage || getNamedStore('entitlements');
+    this.trialDays = options.trialDays ?? TRIAL_DAYS;
+  }
+
+  private assertDurable(): void {
+    if (process.env.NODE_ENV === 'production' && this.store.durable === false) {
+      throw new AppError('Entitlements need a durable store; set PROFILE_STORE_DIR to persistent storage', 503, 'ERR_ENTITLEMENTS_NOT_DURABLE');
+    }
+  }
+
+  async getRecord(userId: string): Promise<EntitlementRecord | null> {
+    this.assertDurable();
+    const rec = await this.store.get<EntitlementRecord>(userId);
+    return rec ? rec.data : null;
+  }
+
+  /** Load → mutate → versioned write, re-applying the mutation when another request won the race. */
+  private async mutate(userId: string, fn: (rec: EntitlementRecord) => void, maxAttempts = 3): Promise<EntitlementRecord> {
+    this.assertDurable();
+    for (let attempt = 1; ; attempt++) {
+      const existing = await this.store.get<EntitlementRecord>(userId);
+      const rec = existing ? existing.data : emptyRecord(userId);
+      fn(rec);
+      try {
+        await this.store.put(userId, rec, existing?.version ?? 0);
+        return rec;
+      } catch (err) {
+        if (!(err instanceof ProfileVersionConflictError) || attempt >= maxAttempts) throw err;
+        logger.warn('Entitlement version conflict, retrying', { userId, attempt });
+      }
+    }
+  }
+
+  /**
+   * Current entitlement. For authenticated users the trial clock starts on the first call
+   * (`startTrial`); anonymous callers get a preview computed from `now` and nothing is stored.
+   */
+  async getStatus(userId: string, options: { startTrial?: boolean; now?: Date } = {}): Promise<Entitlement> {
+    const now = options.now ?? new Date();
+    const persist = options.startTrial !== false && !!userId && userId !== 'anonymous';
+
+    let rec = await this.getRecord(userId);
+    if (persist && !rec?.trialStartedAt) {
+      rec = await this.mutate(userId, r => {
+        if (!r.trialStartedAt) r.trialStartedAt = now.toISOString();
+      });
+      logger.info('Trial started', { userId, trialStartedAt: rec.trialStartedAt });
+    }
+    return this.evaluate(userId, rec, now);
+  }
+
+  evaluate(userId: string, rec: EntitlementRecord | null, now: Date = new Date()): Entitlement {
+    const trialStart = rec?.trialStartedAt ? new Date(rec.trialStartedAt) : now;
+    const trialEnd = new Date(trialStart.getTime() + this.trialDays * DAY_MS);
+    const daysRemaining = Math.max(0, Math.ceil((trialEnd.getTime() - now.getTime()) / DAY_MS));
+
+    const sub = rec?.subscription ?? null;
+    const periodOk = !sub?.currentPeriodEnd || new Date(sub.currentPeriodEnd).getTime() > now.getTime();
+    const premium = !!sub?.status && ACCESS_STATUSES.has(sub.status) && periodOk;
+
+    const status: PlanStatus = premium ? 'premium' : daysRemaining > 0 ? 'trial_active' : 'trial_expired';
+    const today = dayKeyOf(now);
+
+    return {
+      userId,
+      status,
+      planType: status === 'premium' ? 'premium' : status === 'trial_active' ? 'trial' : 'expired',
+      hasAccess: status !== 'trial_expired',
+      inTrial: status === 'trial_active',
+      daysRemaining,
+      totalTrialDays: this.trialDays,
+      trialStartDate: trialStart.toISOString(),
+      trialEndDate: trialEnd.toISOString(),
+      trialStarted: !!rec?.trialStartedAt,
+      subscriptionStatus: sub?.status ?? null,
+      currentPeriodEnd: sub?.currentPeriodEnd ?? null,
+      usage: rec?.usage?.dayKey === today ? { ...rec.usage.counts } : {}
+    };
+  }
+
+  async incrementUsage(userId: string, feature: string, now: Date = new Date()): Promise<Record<string, number>> {
+    if (!userId || userId === 'anonymous') return {};
+    // Counters are persisted, so client-chosen keys would grow the record without limit
+    if (!isFeature(feature)) throw new AppValidationError(`Unknown feature: ${feature}`);
+    const today = dayKeyOf(now);
+    const rec = await this.mutate(userId, r => {
+      if (r.usage?.dayKey !== today) r.usage = { dayKey: today, counts: {} };
+      r.usage.counts[feature] = (r.usage.counts[feature] || 0) + 1;
+    });
+    return { ...rec.usage.counts };
+  }
+
+  async setSubscription(userId: string, patch: Partial<SubscriptionRecord>): Promise<EntitlementRecord> {
+    const rec = await this.mutate(userId, r => {
+      r.subscription = {
+        status: null,
+        customerId: null,
+        subscriptionId: null,
+        currentPeriodEnd: null,
+        ...(r.subscription || {}),
+        ...patch,
+        updatedAt: new Date().toISOString()
+      };
+    });
+    // Reverse index so customer.subscription.* events without metadata.userId still resolve
+    if (rec.subscription?.customerId) {
+      const key = CUSTOMER_KEY_PREFIX + rec.subscription.customerId;
+      const existing = await this.store.get<{ userId: string }>(key);
+      if (existing?.data?.userId !== userId) {
+        try {
+          await this.store.put(key, { userId }, existing?.version ?? 0);
+        } catch (err) {
+          if (!(err instanceof ProfileVersionConflictError)) throw err;
+        }
+      }
+    }
+    return rec;
+  }
+
+  async findUserIdByCustomer(customerId: string): Promise<string | null> {
+    const rec = await this.store.get<{ userId: string }>(CUSTOMER_KEY_PREFIX + customerId);
+    return rec?.data?.userId ?? null;
+  }
+
+  /**
+   * Apply a (signature-verified) Stripe event. Mirrors the gym's webhook: checkout sessions
+   * carry metadata.userId, subscription events carry metadata.userId or resolve via customer id.
+   */
+  async applyBillingEvent(event: BillingEvent): Promise<BillingEventResult> {
+    const obj = event?.data?.object || {};
+
+    switch (event?.type) {
+      case 'checkout.session.completed': {
+        const userId = obj.metadata?.userId ?? obj.client_reference_id ?? null;
+        if (!userId) return { handled: false, reason: 'missing userId' };
+        const customerId = idOf(obj.customer);
+        const subscriptionId = idOf(obj.subscription);
+
+        // Without a Stripe client we cannot retrieve the subscription here; a paid checkout
+        // grants access until the customer.subscription.* event that follows sets the real state
+        const expanded = obj.subscription && typeof obj.subscription === 'object' ? obj.subscription : null;
+        const status = expanded?.status ?? (subscriptionId && obj.payment_status === 'paid' ? 'active' : null);
+        const patch: Partial<SubscriptionRecord> = { customerId, subscriptionId };
+        if (status) patch.status = status;
+        if (expanded) patch.currentPeriodEnd = toIso(subscriptionPeriodEnd(expanded));
+
+        const rec = await this.setSubscription(String(userId), patch);
+        return { handled: true, userId: String(userId), status: rec.subscription?.status ?? null };
+      }
+
+      case 'customer.subscription.created':
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted': {
+        const customerId = idOf(obj.customer);
+        let userId: string | null = obj.metadata?.userId ?? null;
+        if (!userId && customerId) userId = await this.findUserIdByCustomer(customerId);
+        // The customer → user link is written by checkout, which Stripe may deliver after this event
+        if (!userId) return { handled: false, retry: true, reason: 'unknown customer' };
+
+        const rec = await this.setSubscription(String(userId), {
+          customerId,
+          subscriptionId: obj.id ?? null,
+          status: obj.status ?? (event.type === 'customer.subscription.deleted' ? 'canceled' : null),
+          currentPeriodEnd: toIso(subscriptionPeriodEnd(obj))
+        });
+        return { handled: true, userId: String(userId), status: rec.subscription?.status ?? null };
+      }
+
+      default:
+        return { handled: false, reason: `ignored event type ${event?.type}` };
+    }
+  }
+
+  generatePaymentUrl(userId: string, userEmail?: string | null): string {
+    const baseUrl = process.env.VERCEL_URL || 'https://your-app.vercel.app';
+    const params = new URLSearchParams({
+      userId,
+      plan: 'premium',
+      price: String(MONTHLY_PRICE),
+      currency: 'USD'
+    });
+    if (userEmail) params.append('email', userEmail);
+    return `${baseUrl}/payment/checkout?${params.toString()}`;
+  }
+}
+
+/**
+ * Verify a `Stripe-Signature` header (t=<unix>,v1=<hex hmac>) over the raw payload,
+ * equivalent to stripe.webhooks.constructEvent without pulling in the SDK.
+ */
+export function verifyStripeSignature(payload: string, header: string | undefined, secret: string, toleranceSec = 300, now: number = Date.now()): boolean {
+  if (!header || !secret) return false;
+  const parts = header.split(',').map(p => p.trim().split('='));
+  const t = parts.find(([k]) => k === 't')?.[1];
+  const sigs = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+  if (!t || !sigs.length) return false;
+  if (toleranceSec > 0 && Math.abs(now / 1000 - Number(t)) > toleranceSec) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${t}.${payload}`, 'utf8').digest('hex'));
+  return sigs.some(sig => {
+    const got = Buffer.from(sig || '');
+    return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+  });
+}
+
+let instance: EntitlementService | null = null;
+
+export function getEntitlementService(): EntitlementService {
+  if (!instance) instance = new EntitlementService();
+  return instance;
+}
+
+/** Swap the process-wide service (tests). */
+export function setEntitlementService(service: EntitlementService | null): void {
+  instance = service;
+}
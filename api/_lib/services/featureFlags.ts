@@ -0,0 +1,133 @@
+// api/_lib/services/featureFlags.ts
+/**
+ * Feature flags from guardrail_config.json `rollout`, cohorted by a stable hash of the user id.
+ *
+ * A flag is either a boolean or { enabled, rolloutPercent?, description? }. Resolution order:
+ *   1. env ENABLED_FEATURES       — listed flags are on for everyone (ops switch)
+ *   2. overrides.users[userId]    — per-user value
+ *   3. overrides.cohorts[name]    — first cohort (in `cohorts` order) the user belongs to
+ *   4. rolloutPercent             — on when the user's per-flag bucket (0–100) falls below it
+ *   5. enabled                    — default
+ * Cohorts are explicit `users` lists or a `range` [from, to) of the user's cohort bucket.
+ *
+ * Only verified user ids (from withAuth) may be passed as the subject; anonymous callers skip
+ * steps 2–4 and get the defaults.
+ */
+
+import * as crypto from 'crypto';
+import { dataLoader } from './dataLoader';
+import { env } from '../env';
+
+export interface FlagSubject {
+  userId?: string | null;
+}
+
+export type FlagSource = 'env' | 'user_override' | 'cohort_override' | 'rollout' | 'default';
+
+export interface FlagEvaluation {
+  flag: string;
+  enabled: boolean;
+  source: FlagSource;
+  cohort?: string;
+  bucket?: number;
+  rolloutPercent?: number;
+}
+
+interface FlagDefinition {
+  enabled: boolean;
+  rolloutPercent?: number;
+  description?: string;
+}
+
+const DEFAULT_SALT = 'unsaid-rollout';
+
+/** Stable 0–100 bucket (two decimals) for a user under `salt`. */
+export function stableBucket(userId: string, salt: string): number {
+  const h = crypto.createHash('sha256').update(`${salt}:${userId}`).digest();
+  return (h.readUInt32BE(0) % 10000) / 100;
+}
+
+function definitionOf(raw: any): FlagDefinition {
+  if (typeof raw === 'boolean') return { enabled: raw };
+  return {
+    enabled: raw?.enabled === true,
+    rolloutPercent: typeof raw?.rolloutPercent === 'number' ? Math.max(0, Math.min(100, raw.rolloutPercent)) : undefined,
+    description: raw?.description
+  };
+}
+
+export class FeatureFlags {
+  constructor(
+    private readonly rolloutConfig: () => any = () => dataLoader.get('guardrailConfig')?.rollout,
+    private readonly envFeatures: () => string[] = () => env.ENABLED_FEATURES.split(',').map(s => s.trim()).filter(Boolean)
+  ) {}
+
+  private config() {
+    const r = this.rolloutConfig() || {};
+    return {
+      salt: typeof r.salt === 'string' && r.salt ? r.salt : DEFAULT_SALT,
+      flags: (r.flags || {}) as Record<string, any>,
+      cohorts: (r.cohorts || {}) as Record<string, { users?: string[]; range?: [number, number] }>,
+      overrides: {
+        users: (r.overrides?.users || {}) as Record<string, Record<string, boolean>>,
+        cohorts: (r.overrides?.cohorts || {}) as Record<string, Record<string, boolean>>
+      }
+    };
+  }
+
+  /** Flag names known to this deployment (config flags + env features). */
+  list(): string[] {
+    return Array.from(new Set([...Object.keys(this.config().flags), ...this.envFeatures()]));
+  }
+
+  /** Cohort bucket and cohorts the user belongs to, in config order. */
+  cohortsFor(userId: string): { bucket: number; cohorts: string[] } {
+    const cfg = this.config();
+    const bucket = stableBucket(userId, `${cfg.salt}:cohort`);
+    const cohorts = Object.entries(cfg.cohorts)
+      .filter(([, c]) => {
+        if (Array.isArray(c?.users) && c.users.includes(userId)) return true;
+        const [from, to] = Array.isArray(c?.range) ? c.range : [0, 0];
+        return bucket >= from && bucket < to;
+      })
+      .map(([name]) => name);
+    return { bucket, cohorts };
+  }
+
+  evaluate(flag: string, subject: FlagSubject = {}): FlagEvaluation {
+    const cfg = this.config();
+    const def = definitionOf(cfg.flags[flag]);
+
+    if (this.envFeatures().includes(flag)) return { flag, enabled: true, source: 'env' };
+
+    const userId = subject.userId && subject.userId !== 'anonymous' ? subject.userId : null;
+    if (userId) {
+      const userOverride = cfg.overrides.users[userId]?.[flag];
+      if (typeof userOverride === 'boolean') return { flag, enabled: userOverride, source: 'user_override' };
+
+      for (const cohort of this.cohortsFor(userId).cohorts) {
+        const v = cfg.overrides.cohorts[cohort]?.[flag];
+        if (typeof v === 'boolean') return { flag, enabled: v, source: 'cohort_override', cohort };
+      }
+
+      if (def.rolloutPercent !== undefined) {
+        const bucket = stableBucket(userId, `${cfg.salt}:${flag}`);
+        return { flag, enabled: bucket < def.rolloutPercent, source: 'rollout', bucket, rolloutPercent: def.rolloutPercent };
+      }
+    }
+
+    return { flag, enabled: def.enabled, source: 'default' };
+  }
+
+  isEnabled(flag: string, subject: FlagSubject = {}): boolean {
+    return this.evaluate(flag, subject).enabled;
+  }
+
+  evaluateAll(subject: FlagSubject = {}): Record<string, FlagEvaluation> {
+    const out: Record<string, FlagEvaluation> = {};
+    for (const flag of this.list()) out[flag] = this.evaluate(flag, subject);
+    return out;
+  }
+}
+
+export const featureFlags = new FeatureFlags();
@@ -0,0 +1,218 @@
+// api/_lib/services/guardrails.ts
+/**
+ * Guardrail thresholds from data/guardrail_config.json, resolved per request.
+ *
+ * Layers are merged in order defaults → profile → channel → context → attachment:
+ *   - defaults / toxicity: base minConfidence, fallbackThreshold, toxicity.highThreshold and weights
+ *   - profiles.<name>: additive deltas (dotted keys such as "toxicity.highThreshold"), weight and
+ *     boost tweaks, and toxicityTweaks that replace allowedCategories
+ *   - channels.<name>: values are absolute for the default profile, so they apply as a shift from
+ *     defaults and keep any profile delta
+ *   - contextBoosts.<context> (global + profile) and attachmentAdjustments.examples.<style> add
+ *     per-bucket boosts used when scoring toxicity
+ */
+
+type Bucket = 'clear' | 'caution' | 'alert';
+type BucketWeights = Record<Bucket, number>;
+
+export const GUARDRAIL_CHANNELS = ['liveKeyboard', 'postCompose', 'coachingOnly'] as const;
+export type GuardrailChannel = typeof GUARDRAIL_CHANNELS[number];
+
+const BUCKETS: Bucket[] = ['clear', 'caution', 'alert'];
+const BASE_DEFAULTS = { minConfidence: 0.25, fallbackThreshold: 0.3, highThreshold: 0.8 };
+
+// Advice items rarely carry explicit categories; these cues place them in the config's categories
+const CATEGORY_CUES: Record<string, RegExp> = {
+  'de-escalation': /\b(calm\w*|slow(ing)? down|breathe|breath|soften|de-?escalat\w*|escalat\w*|spiral\w*|heated|cool down|lower(ing)? (the|voices|your)|tone down|regulat\w*|grounding|anchor|same side|not (against|your enemy))\b/i,
+  repair: /\b(repair|reconnect|make (it|things) right|rebuild|come back to|try again|reassur\w*|work this out|together|resume)\b/i,
+  apology: /\b(sorry|apologi[sz]\w*|apology|own(ing)? (my|your) part)\b/i,
+  reflection: /\b(reflect\w*|notice|name (it|your|the|what|how)|acknowledge\w*|curious|clarify|restate|what (you|they) (feel|need)|pattern|cycle)\b/i,
+  pause: /\b(pause|break|time-?outs?|step (back|away)|take a (minute|moment|breath)|before (replying|responding|sending|speaking|reacting)|change of setting|set a timer)\b/i,
+};
+
+// fallbacks.whenBelowMinConfidence actions → advice categories that fulfil them
+const FALLBACK_ACTION_CATEGORIES: Record<string, string[]> = {
+  pause: ['pause'],
+  reflective_prompt: ['reflection'],
+  show_secure_rewrite: ['repair', 'de-escalation'],
+};
+
+export interface GuardrailInput {
+  channel?: string;
+  profile?: string | null;
+  context?: string;
+  attachmentStyle?: string;
+}
+
+export interface ResolvedGuardrails {
+  channel: string | null;
+  profile: string | null;
+  context: string;
+  attachmentStyle: string | null;
+  minConfidence: number;
+  fallbackThreshold: number;
+  toxicityHighThreshold: number;
+  toneWeight: BucketWeights;
+  styleWeight: number;
+  bucketBoosts: BucketWeights;
+  allowedCategories: string[];
+  categoryBoosts: Record<string, number>;
+  fallbacks: {
+    belowMinConfidence: { actions: string[]; maxPerWindow: number };
+    highToxicity: { actions: string[]; blockDirectSend: boolean };
+  };
+  profanitySensitivity?: string;
+  layers: string[];
+}
+
+function num(v: any, fallback = 0): number {
+  return typeof v === 'number' && Number.isFinite(v) ? v : fallback;
+}
+
+function addBuckets(into: BucketWeights, from: any): void {
+  for (const b of BUCKETS) into[b] += num(from?.[b]);
+}
+
+function round(v: number): number {
+  return Math.round(v * 1000) / 1000;
+}
+
+export function resolveGuardrails(config: any, input: GuardrailInput = {}): ResolvedGuardrails {
+  const cfg = config || {};
+  const defaults = cfg.defaults || {};
+  const toxicity = cfg.toxicity || {};
+  const context = input.context || 'general';
+  const style = input.attachmentStyle || null;
+  const layers = ['defaults'];
+
+  let minConfidence = num(defaults.minConfidence, BASE_DEFAULTS.minConfidence);
+  let fallbackThreshold = num(defaults.fallbackThreshold, BASE_DEFAULTS.fallbackThreshold);
+  let highThreshold = num(toxicity.highThreshold, num(cfg.fallbacks?.whenHighToxicity?.threshold, BASE_DEFAULTS.highThreshold));
+  const toneWeight: BucketWeights = { clear: 0, caution: 0, alert: 0 };
+  addBuckets(toneWeight, toxicity.tone_weight);
+  let styleWeight = style ? num(toxicity.style_weight?.[style]) : 0;
+  let allowedCategories: string[] = Array.isArray(toxicity.allowedCategories) ? [...toxicity.allowedCategories] : [];
+  const categoryBoosts: Record<string, number> = {};
+  for (const [c, t] of Object.entries<any>(toxicity.categoryTweaks || {})) categoryBoosts[c] = num(t?.boost);
+  const bucketBoosts: BucketWeights = { clear: 0, caution: 0, alert: 0 };
+  let profanitySensitivity: string | undefined;
+
+  // Profile
+  const profileName = input.profile && cfg.profiles?.[input.profile] ? input.profile : null;
+  const profile = profileName ? cfg.profiles[profileName] : null;
+  if (profile) {
+    layers.push(`profile:${profileName}`);
+    const deltas = profile.deltas || {};
+    minConfidence += num(deltas.minConfidence);
+    fallbackThreshold += num(deltas.fallbackThreshold);
+    highThreshold += num(deltas['toxicity.highThreshold']);
+    addBuckets(toneWeight, profile.tone_weight);
+    if (style) styleWeight += num(profile.style_weight?.[style]);
+    if (Array.isArray(profile.toxicityTweaks?.allowedCategories)) allowedCategories = [...profile.toxicityTweaks.allowedCategories];
+    for (const [c, b] of Object.entries(profile.toxicityTweaks?.categoryBoosts || {})) {
+      categoryBoosts[c] = num(categoryBoosts[c]) + num(b);
+    }
+    if (profile.profanity?.sensitivity) profanitySensitivity = profile.profanity.sensitivity;
+  }
+
+  // Channel
+  const channelName = input.channel && cfg.channels?.[input.channel] ? input.channel : null;
+  if (channelName) {
+    layers.push(`channel:${channelName}`);
+    const ch = cfg.channels[channelName];
+    if (typeof ch.minConfidence === 'number') minConfidence += ch.minConfidence - num(defaults.minConfidence, BASE_DEFAULTS.minConfidence);
+    if (typeof ch.fallbackThreshold === 'number') fallbackThreshold += ch.fallbackThreshold - num(defaults.fallbackThreshold, BASE_DEFAULTS.fallbackThreshold);
+  }
+
+  // Context
+  const ctxBoost = cfg.contextBoosts?.[context];
+  const profileCtxBoost = profile?.contextBoosts?.[context];
+  if (ctxBoost || profileCtxBoost) {
+    layers.push(`context:${context}`);
+    addBuckets(bucketBoosts, ctxBoost);
+    addBuckets(bucketBoosts, profileCtxBoost);
+  }
+
+  // Attachment
+  const adj = style ? cfg.attachmentAdjustments?.examples?.[style] : null;
+  if (adj) {
+    layers.push(`attachment:${style}`);
+    bucketBoosts.clear += num(adj.clearBoost);
+    bucketBoosts.caution += num(adj.cautionBoost);
+    bucketBoosts.alert += num(adj.alertBoost) - num(adj.alertDampen);
+  }
+
+  const low = cfg.fallbacks?.whenBelowMinConfidence || {};
+  const high = cfg.fallbacks?.whenHighToxicity || {};
+  for (const b of BUCKETS) {
+    toneWeight[b] = round(toneWeight[b]);
+    bucketBoosts[b] = round(bucketBoosts[b]);
+  }
+  for (const c of Object.keys(categoryBoosts)) categoryBoosts[c] = round(categoryBoosts[c]);
+
+  return {
+    channel: channelName,
+    profile: profileName,
+    context,
+    attachmentStyle: style,
+    minConfidence: round(Math.max(0, Math.min(1, minConfidence))),
+    fallbackThreshold: round(Math.max(0, Math.min(1, fallbackThreshold))),
+    toxicityHighThreshold: round(Math.max(0, Math.min(1, highThreshold))),
+    toneWeight,
+    styleWeight: round(styleWeight),
+    bucketBoosts,
+    allowedCategories,
+    categoryBoosts,
+    fallbacks: {
+      belowMinConfidence: {
+        actions: Array.isArray(low.actions) ? low.actions : [],
+        maxPerWindow: num(low.maxPerWindow, 2),
+      },
+      highToxicity: {
+        actions: Array.isArray(high.actions) ? high.actions : [],
+        blockDirectSend: high.blockDirectSend === true,
+      },
+    },
+    profanitySensitivity,
+    layers,
+  };
+}
+
+/** Toxicity of the analyzed message: boosted alert mass, or profanity severity when higher. */
+export function guardrailToxicity(g: ResolvedGuardrails, dist: Partial<BucketWeights>, profanitySeverity = 0): number {
+  const alert = num(dist?.alert) + g.bucketBoosts.alert;
+  return round(Math.max(0, Math.min(1, Math.max(alert, profanitySeverity))));
+}
+
+/** Guardrail categories of an advice item: explicit categories first, else inferred from its text. */
+export function adviceCategories(item: any): string[] {
+  if (Array.isArray(item?.categories) && item.categories.length) return item.categories;
+  const text = String(item?.advice || item?.text || '');
+  return Object.keys(CATEGORY_CUES).filter(c => CATEGORY_CUES[c].test(text));
+}
+
+/** Score used against fallbackThreshold: calibrated confidence plus tone, style and category weights. */
+export function guardrailScore(g: ResolvedGuardrails, item: any, confidence: number): number {
+  const bucket = (item?.triggerTone || 'clear') as Bucket;
+  const catBoost = Math.max(0, ...adviceCategories(item).map(c => num(g.categoryBoosts[c])));
+  return confidence + num(g.toneWeight[bucket]) + g.styleWeight + catBoost;
+}
+
+/** Categories that satisfy the below-minConfidence fallback actions. */
+export function fallbackCategories(actions: string[]): string[] {
+  return Array.from(new Set(actions.flatMap(a => FALLBACK_ACTION_CATEGORIES[a] || [a])));
+}
+
+/**
+ * Guardrail profile chosen by rollout flags when the user has not picked one:
+ * enableRepairModeAuto → repair_mode in repair context, enableProfanityToleranceAuto →
+ * profanity_tolerant for users on the habitual_swearer profanity profile.
+ */
+export function autoGuardrailProfile(
+  isEnabled: (flag: string) => boolean,
+  input: { context?: string; profanityProfile?: string | null }
+): string | null {
+  if (input.context === 'repair' && isEnabled('enableRepairModeAuto')) return 'repair_mode';
+  if (input.profanityProfile === 'habitual_swearer' && isEnabled('enableProfanityToleranceAuto')) return 'profanity_tolerant';
+  return null;
+}
@@ -0,0 +1,223 @@
+// api/_lib/services/learningSignals.ts
+/**
+ * Per-user "Noticing" signals from data/learning_signals.json.
+ *
+ * Extraction: every feature's patterns (globals.flags, at most matchLimitPerFeature hits, text cut
+ * to maxInputChars) add scoringDefaults.baseWeight per hit to the feature's buckets, plus
+ * positionBoost for start / end / caps / repeat cues and cooccurrenceBoost for negation, sarcasm
+ * and emoji in the same message. Features sharing a bucket are merged (runtime.conflictResolution).
+ *
+ * Aggregation: a bucket's value decays as exp(−days / aggregation.decayDays); each day it can grow
+ * by at most capPerDay; repeats inside globals.dedupeWindowMs are ignored.
+ *
+ * Noticings: buckets at or above noiseFloor, strongest first (positive buckets first on ties),
+ * skipping buckets shown less than cooldownMsPerBucket ago; copy comes from noticingsMap.
+ */
+
+import { positionSignals } from './attachmentOverrides';
+
+export interface SignalFeatureHit {
+  id: string;
+  buckets: string[];
+  hits: number;
+  amount: number;
+}
+
+export interface SignalExtraction {
+  buckets: Record<string, number>;
+  features: SignalFeatureHit[];
+}
+
+export interface BucketSignal {
+  value: number;
+  updatedAt: string;  // last decay / accumulation
+  dayKey: string;     // UTC day that `today` counts
+  today: number;      // amount added on dayKey (capped at capPerDay)
+  lastShownAt?: string;
+}
+
+export type SignalState = Record<string, BucketSignal>;
+
+export interface Noticing {
+  bucket: string;
+  message: string;
+  score: number;
+  positive: boolean;
+  lastObservedAt: string;
+}
+
+export interface SuppressedNoticing {
+  bucket: string;
+  cooldownRemainingMs: number;
+}
+
+interface CompiledFeature {
+  id: string;
+  patterns: RegExp[];
+  buckets: string[];
+}
+
+const DAY_MS = 86400000;
+const EMOJI = /\p{Extended_Pictographic}/u;
+const NEGATION = /\b(not|no|never|don't|can't|won't|isn't|didn't|doesn't)\b/i;
+
+const num = (v: any, fallback = 0) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+const round4 = (x: number) => Math.round(x * 10000) / 10000;
+const dayKeyOf = (t: number) => new Date(t).toISOString().slice(0, 10);
+const blankSpans = (text: string, spans: Array<{ start: number; end: number }>) =>
+  spans.reduce((t, sp) => t.slice(0, sp.start) + ' '.repeat(sp.end - sp.start) + t.slice(sp.end), text);
+
+export class LearningSignalExtractor {
+  private features: CompiledFeature[] = [];
+  private positive = new Set<string>();
+
+  constructor(private config: any) {
+    const flags = String(config?.globals?.flags || 'i').replace(/g/g, '');
+    for (const f of Array.isArray(config?.features) ? config.features : []) {
+      const patterns: RegExp[] = [];
+      for (const p of Array.isArray(f?.patterns) ? f.patterns : []) {
+        try { patterns.push(new RegExp(p, `${flags}g`)); } catch { /* skip invalid pattern */ }
+      }
+      const buckets = Array.isArray(f?.buckets) ? f.buckets : [];
+      if (!f?.id || !patterns.length || !buckets.length) continue;
+      this.features.push({ id: f.id, patterns, buckets });
+      // A bucket is positive when its features only push toward clear
+      const w = f.weights || {};
+      if (num(w['tone.clear']) > 0 && !num(w['tone.alert']) && !num(w['tone.caution'])) buckets.forEach((b: string) => this.positive.add(b));
+    }
+  }
+
+  get size(): number {
+    return this.features.length;
+  }
+
+  isPositive(bucket: string): boolean {
+    return this.positive.has(bucket);
+  }
+
+  extract(input: string, options: { hasNegation?: boolean; hasSarcasm?: boolean } = {}): SignalExtraction {
+    const g = this.config?.globals || {};
+    const text = String(input || '').slice(0, num(g.maxInputChars, 2000));
+    const limit = Math.max(1, num(g.matchLimitPerFeature, 8));
+    const sd = this.config?.scoringDefaults || {};
+    const base = num(sd.baseWeight, 0.01);
+
+    const matched: Array<{ feature: CompiledFeature; spans: Array<{ start: number; end: number }> }> = [];
+    for (const feature of this.features) {
+      const spans: Array<{ start: number; end: number }> = [];
+      for (const rx of feature.patterns) {
+        rx.lastIndex = 0;
+        let m: RegExpExecArray | null;
+        while (spans.length < limit && (m = rx.exec(text)) !== null) {
+          if (!m[0]) { rx.lastIndex++; continue; }
+          spans.push({ start: m.index, end: m.index + m[0].length });
+        }
+      }
+      if (spans.length) matched.push({ feature, spans });
+    }
+
+    const sarcasm = options.hasSarcasm ?? matched.some(m => m.feature.buckets.includes('sarcasm'));
+    const co = sd.cooccurrenceBoost || {};
+    const shared = (sarcasm ? num(co.withSarcasm) : 0) + (EMOJI.test(text) ? num(co.withEmoji) : 0);
+
+    const buckets: Record<string, number> = {};
+    const features: SignalFeatureHit[] = [];
+    for (const { feature, spans } of matched) {
+      // A feature's own words ("never", "no one") do not count as negating it
+      const negation = options.hasNegation ?? NEGATION.test(blankSpans(text, spans));
+      const cooccurrence = shared + (negation ? num(co.withNegation) : 0);
+      const pos = positionSignals(text, spans);
+      const boost = (['start', 'end', 'caps', 'repeat'] as const).reduce((s, k) => s + (pos[k] ? num(sd.positionBoost?.[k]) : 0), 0);
+      const amount = round4(Math.max(0, base * spans.length + boost + cooccurrence));
+      features.push({ id: feature.id, buckets: feature.buckets, hits: spans.length, amount });
+      for (const b of feature.buckets) buckets[b] = round4((buckets[b] || 0) + amount);
+    }
+    return { buckets, features };
+  }
+}
+
+let cached: { config: any; extractor: LearningSignalExtractor } | null = null;
+
+/** Extractor for a parsed learning_signals.json, compiled once per config object. */
+export function getSignalExtractor(config: any): LearningSignalExtractor {
+  if (!cached || cached.config !== config) cached = { config, extractor: new LearningSignalExtractor(config) };
+  return cached.extractor;
+}
+
+/** Value of a bucket decayed from its last update to `now`. */
+export function decayedValue(config: any, signal: BucketSignal | undefined, now: number): number {
+  if (!signal) return 0;
+  const days = Math.max(0, now - Date.parse(signal.updatedAt)) / DAY_MS;
+  const decayDays = num(config?.aggregation?.decayDays, 0);
+  return decayDays > 0 ? signal.value * Math.exp(-days / decayDays) : signal.value;
+}
+
+/** New state with an extraction folded in: decay, dedupe window, then the per-day cap. */
+export function accumulateSignals(config: any, state: SignalState = {}, extraction: SignalExtraction, now = Date.now()): SignalState {
+  const agg = config?.aggregation || {};
+  const cap = num(agg.capPerDay, Infinity);
+  const dedupeMs = num(config?.globals?.dedupeWindowMs, 0);
+  const dayKey = dayKeyOf(now);
+  const at = new Date(now).toISOString();
+  const next: SignalState = { ...state };
+
+  for (const [bucket, amount] of Object.entries(extraction.buckets)) {
+    if (!(amount > 0)) continue;
+    const prev = state[bucket];
+    if (prev && dedupeMs && now - Date.parse(prev.updatedAt) >= 0 && now - Date.parse(prev.updatedAt) < dedupeMs) continue;
+    const today = prev && prev.dayKey === dayKey ? prev.today : 0;
+    const added = Math.max(0, Math.min(amount, cap - today));
+    next[bucket] = {
+      ...prev,
+      value: round4(decayedValue(config, prev, now) + added),
+      updatedAt: at,
+      dayKey,
+      today: round4(today + added)
+    };
+  }
+  return next;
+}
+
+/**
+ * Active noticings at `now`: at most `limit` (default runtime.conflictResolution.maxNoticingsPerMessage),
+ * with buckets still cooling down reported separately.
+ */
+export function activeNoticings(
+  config: any,
+  state: SignalState = {},
+  now = Date.now(),
+  limit?: number
+): { noticings: Noticing[]; suppressed: SuppressedNoticing[] } {
+  const agg = config?.aggregation || {};
+  const floor = num(agg.noiseFloor, 0);
+  const copy = config?.noticingsMap || {};
+  const extractor = getSignalExtractor(config);
+  const preferPositive = config?.runtime?.conflictResolution?.preferPositiveWhenTied !== false;
+  const max = limit ?? num(config?.runtime?.conflictResolution?.maxNoticingsPerMessage, 3);
+
+  const candidates: Noticing[] = [];
+  const suppressed: SuppressedNoticing[] = [];
+  for (const [bucket, signal] of Object.entries(state)) {
+    const score = round4(decayedValue(config, signal, now));
+    if (score < floor || !copy[bucket]) continue;
+    const cooldown = num(agg.cooldownMsPerBucket?.[bucket], 0);
+    const since = signal.lastShownAt ? now - Date.parse(signal.lastShownAt) : Infinity;
+    if (since < cooldown) {
+      suppressed.push({ bucket, cooldownRemainingMs: cooldown - since });
+      continue;
+    }
+    candidates.push({ bucket, message: copy[bucket], score, positive: extractor.isPositive(bucket), lastObservedAt: signal.updatedAt });
+  }
+
+  candidates.sort((a, b) =>
+    b.score - a.score || (preferPositive ? Number(b.positive) - Number(a.positive) : 0) || a.bucket.localeCompare(b.bucket));
+  return { noticings: candidates.slice(0, Math.max(0, max)), suppressed };
+}
+
+/** State with the given buckets marked as shown at `now` (starts their cooldown). */
+export function markNoticingsShown(state: SignalState = {}, buckets: string[], now = Date.now()): SignalState {
+  const next: SignalState = { ...state };
+  const at = new Date(now).toISOString();
+  for (const b of buckets) if (next[b]) next[b] = { ...next[b], lastShownAt: at };
+  return next;
+}
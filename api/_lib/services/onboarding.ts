@@ -0,0 +1,216 @@
+// api/_lib/services/onboarding.ts
+/**
+ * Seven-day onboarding from data/onboarding_playbook.json.
+ *
+ * Day: days since the user was first seen, counted in their time zone with the day rolling over
+ * at runtime.determinism.dailyRolloverAtLocalHour (a message at 2 a.m. still belongs to
+ * yesterday). Day 1 is the first-seen day; after the last day the week is finished and the last
+ * day is repeated.
+ *
+ * Selection is deterministic per user and day: a seed from the user id hash (when
+ * seedFromUserIdHash) and the day key picks up to rotation.constraints.maxCoreLessonsPerDay core
+ * lessons and dailySupplementalShowCount supplementals (weighted by rotation.weights per tag,
+ * without repeats; runtime.fallbacks.ifMissingSupplementals when the day has no pool).
+ */
+
+import * as crypto from 'crypto';
+import type { Noticing } from './learningSignals';
+
+export interface OnboardingState {
+  firstSeenAt: string;
+  timeZone?: string;
+  completed: Record<string, { completedAt: string; day: number }>;  // lesson id →
+  reflections: Record<string, { textHash: string; textLength: number; submittedAt: string }>; // reflectionRef → (no raw text)
+  noticings?: { dayKey: string; count: number };                     // shown on dayKey
+}
+
+export interface OnboardingDay {
+  day: number;
+  dayKey: string;     // local date (after rollover) the day is counted on
+  totalDays: number;
+  finished: boolean;  // past the last day
+}
+
+export interface TodayLesson {
+  id: string;
+  contentId: string;
+  message: string;
+  advice: string;
+  therapyCue: string;
+  microPractice: string;
+  reflectionRef: string;
+  completed: boolean;
+  reflectedAt?: string; // when a reflection was submitted; its text is not kept
+}
+
+export interface TodaySupplemental {
+  id: string;
+  contentId: string;
+  tag: string;
+  advice: string;
+}
+
+export interface OnboardingToday extends OnboardingDay {
+  theme: string;
+  lessons: TodayLesson[];
+  supplementals: TodaySupplemental[];
+  previewRewrite?: any;
+  generalStyleReveal?: any;
+  premiumTeaserRef?: string;
+}
+
+const num = (v: any, fallback = 0) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+const DAY_MS = 86400000;
+
+export function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Local date (YYYY-MM-DD) of `now` in `timeZone`, with the day starting at the rollover hour. */
+export function rolloverDayKey(config: any, now: number, timeZone = 'UTC'): string {
+  const hour = num(config?.runtime?.determinism?.dailyRolloverAtLocalHour, 0);
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(now - hour * 3600000));
+  const part = (type: string) => parts.find(p => p.type === type)?.value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+export function playbookDayCount(config: any): number {
+  return Object.keys(config?.days || {}).length;
+}
+
+/** The user's current onboarding day. */
+export function onboardingDay(config: any, input: { firstSeenAt: string | number; now?: number; timeZone?: string }): OnboardingDay {
+  const now = input.now ?? Date.now();
+  const totalDays = playbookDayCount(config);
+  const start = rolloverDayKey(config, new Date(input.firstSeenAt).getTime(), input.timeZone);
+  const dayKey = rolloverDayKey(config, now, input.timeZone);
+  const elapsed = Math.max(0, Math.round((Date.parse(dayKey) - Date.parse(start)) / DAY_MS));
+  return {
+    day: Math.max(1, Math.min(totalDays, elapsed + 1)),
+    dayKey,
+    totalDays,
+    finished: elapsed + 1 > totalDays
+  };
+}
+
+/** Deterministic [0, 1) generator for a user's day (mulberry32 over a sha256 seed). */
+export function seededRandom(config: any, userId: string, dayKey: string): () => number {
+  const rotation = config?.globals?.rotation || {};
+  const byUser = config?.runtime?.determinism?.seedFromUserIdHash !== false;
+  const byDay = rotation.reseedDaily !== false;
+  const seedText = `${byUser ? userId : ''}:${byDay ? dayKey : ''}`;
+  let a = crypto.createHash('sha256').update(seedText).digest().readUInt32BE(0);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Up to `count` items drawn without repeats, each draw proportional to weightOf(item). */
+function weightedSample<T>(items: T[], count: number, weightOf: (item: T) => number, random: () => number): T[] {
+  const left = [...items];
+  const picked: T[] = [];
+  while (picked.length < count && left.length) {
+    const total = left.reduce((s, x) => s + Math.max(0, weightOf(x)), 0);
+    let r = random() * total;
+    let i = 0;
+    while (i < left.length - 1 && (r -= Math.max(0, weightOf(left[i]))) >= 0) i++;
+    picked.push(left.splice(i, 1)[0]);
+  }
+  return picked;
+}
+
+function supplementalPoolsFor(config: any, day: number): Array<{ tag: string; pool: any[] }> {
+  const pools = config?.days?.[day]?.supplementalPools;
+  if (Array.isArray(pools) && pools.length) return pools;
+  const [kind, tag] = String(config?.runtime?.fallbacks?.ifMissingSupplementals || '').split(':');
+  if (kind !== 'use' || !tag) return [];
+  for (const d of Object.values<any>(config?.days || {})) {
+    const match = (d.supplementalPools || []).find((p: any) => p.tag === tag);
+    if (match) return [match];
+  }
+  return [];
+}
+
+/** Today's lessons and supplementals for a user, marked with their completion state. */
+export function onboardingToday(
+  config: any,
+  input: { userId: string; state: OnboardingState; now?: number; timeZone?: string }
+): OnboardingToday {
+  const current = onboardingDay(config, {
+    firstSeenAt: input.state.firstSeenAt,
+    now: input.now,
+    timeZone: input.timeZone ?? input.state.timeZone
+  });
+  const day = config?.days?.[current.day] || {};
+  const g = config?.globals || {};
+  const constraints = g.rotation?.constraints || {};
+  const prefix = config?.schema?.contentIdPrefix || '';
+  const random = seededRandom(config, input.userId, current.dayKey);
+
+  const core: any[] = Array.isArray(day.coreLessons) ? day.coreLessons : [];
+  const lessonCount = Math.max(num(constraints.minCoreLessonsPerDay, 1), Math.min(num(constraints.maxCoreLessonsPerDay, core.length), core.length));
+  const chosen = new Set(weightedSample(core, lessonCount, () => 1, random));
+  const lessons: TodayLesson[] = core.filter(l => chosen.has(l)).map(l => ({
+    id: l.id,
+    contentId: `${prefix}${l.id}`,
+    message: l.message,
+    advice: l.advice,
+    therapyCue: l.therapyCue,
+    microPractice: l.microPractice,
+    reflectionRef: l.reflectionRef,
+    completed: !!input.state.completed?.[l.id],
+    ...(input.state.reflections?.[l.reflectionRef] ? { reflectedAt: input.state.reflections[l.reflectionRef].submittedAt } : {})
+  }));
+
+  const poolCap = num(g.maxSupplementalPerDayPool, Infinity);
+  const candidates = supplementalPoolsFor(config, current.day)
+    .flatMap(p => p.pool.slice(0, poolCap).map((item: any) => ({ ...item, tag: p.tag })));
+  const weights = g.rotation?.weights || {};
+  const supplementals: TodaySupplemental[] = weightedSample(candidates, num(g.dailySupplementalShowCount, 0), x => num(weights[x.tag], 1), random)
+    .map(x => ({ id: x.id, contentId: `${prefix}${x.id}`, tag: x.tag, advice: x.advice }));
+
+  return {
+    ...current,
+    theme: day.key,
+    lessons,
+    supplementals,
+    ...(day.previewRewrite && current.day >= num(g.rewritesPreviewFromDay, 0) ? { previewRewrite: day.previewRewrite } : {}),
+    ...(day.generalStyleReveal?.enabled ? { generalStyleReveal: day.generalStyleReveal } : {}),
+    ...(day.premiumTeaserRef ? { premiumTeaserRef: day.premiumTeaserRef } : {})
+  };
+}
+
+/** Lesson and its day, or null if the playbook has no such lesson. */
+export function findLesson(config: any, lessonId: string): { day: number; lesson: any } | null {
+  for (const [key, d] of Object.entries<any>(config?.days || {})) {
+    const lesson = (d.coreLessons || []).find((l: any) => l.id === lessonId);
+    if (lesson) return { day: Number(key), lesson };
+  }
+  return null;
+}
+
+/**
+ * Noticings for today within runtime.conflictResolution.maxNoticingsPerDay (minus those already
+ * shown); early in the week (first half) positive noticings go first when preferLowerIntensityEarlyWeek.
+ */
+export function dailyNoticings(config: any, noticings: Noticing[], input: { day: number; shownToday: number }): Noticing[] {
+  const cr = config?.runtime?.conflictResolution || {};
+  const left = Math.max(0, num(cr.maxNoticingsPerDay, noticings.length) - input.shownToday);
+  const early = cr.preferLowerIntensityEarlyWeek && input.day <= Math.ceil(playbookDayCount(config) / 2);
+  const ordered = early ? [...noticings].sort((a, b) => Number(b.positive) - Number(a.positive)) : noticings;
+  return ordered.slice(0, left);
+}
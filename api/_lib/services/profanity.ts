@@ -0,0 +1,326 @@
+// api/_lib/services/profanity.ts
+/**
+ * Rule-based profanity evaluation over data/profanity_lexicons.json.
+ *
+ * 1. Tokenize and match whole tokens (plus a few inflections) against each category's
+ *    triggerWords, semanticVariants and single-token spacyPatterns — "class" is not "ass".
+ * 2. Weight each hit by settings.weightMap[sensitivity][severity], the user's profile
+ *    weightMultiplier and the attachment styleWeight; exempt hits (quoted, self-directed,
+ *    example text) are heavily downweighted.
+ * 3. Evaluate `rules` per category. Trigger conditions (minIntensityScore against intensity
+ *    plus position boosts, repeatCount, cooccurrence) are OR'd; every other condition
+ *    (maxIntensityScore, softeners, targeting, context, profile) must hold. Profile rules run
+ *    first and shift the others' thresholds.
+ *
+ * Returns a weighted severity, the resulting tone bucket and the fired rule ids. Used by
+ * ToneDetectors (tone scoring) and SuggestionsService (advice filtering).
+ */
+
+export type ProfanitySeverity = 'mild' | 'moderate' | 'strong';
+type Bucket = 'clear' | 'caution' | 'alert';
+
+export const PROFANITY_SENSITIVITIES = ['low', 'medium', 'high'] as const;
+export type ProfanitySensitivity = typeof PROFANITY_SENSITIVITIES[number];
+
+export interface ProfanityOptions {
+  sensitivity?: ProfanitySensitivity;
+  profile?: string | null;       // key into lexicon.profiles, e.g. habitual_swearer
+  attachmentStyle?: string;
+  intensity?: number;            // analyzer intensity when known; estimated from the text otherwise
+}
+
+export interface ProfanityHit {
+  category: string;
+  severity: ProfanitySeverity;
+  term: string;
+  index: number;
+  exemption: string | null;
+}
+
+export interface ProfanityResult {
+  hasProfanity: boolean;
+  severity: number;
+  tone: Bucket | null;
+  sensitivity: ProfanitySensitivity;
+  hits: ProfanityHit[];
+  firedRules: string[];
+  softenerCount: number;
+  targeted: boolean;
+  threat: boolean;
+}
+
+const SEVERITY_ORDER: ProfanitySeverity[] = ['mild', 'moderate', 'strong'];
+const BUCKET_RANK: Record<Bucket, number> = { clear: 0, caution: 1, alert: 2 };
+const INFLECTIONS = ['s', 'es', 'ed', 'er', 'ers', 'ing', 'in', 'y', 'ty'];
+const EXEMPT_FACTOR = 0.25;
+const TARGET_WINDOW = 3;
+const SELF_WINDOW = 4; // "I am such an idiot"
+
+const SECOND_PERSON = new Set(['you', 'your', "you're", 'youre', 'ur', 'u', 'yours', 'yourself']);
+const SELF_REFERENCE = new Set(['i', "i'm", 'im', 'me', 'myself', 'my']);
+const EXAMPLE_CUES = /\b(for example|e\.g\.|example:|the word|words like|saying)\b/i;
+const THREAT_PATTERNS = [
+  /\b(i'?ll|i will|gonna|going to)\s+(kill|hurt|destroy|ruin|end)\b/i,
+  /\bor else\b/i,
+  /\bwatch your back\b/i,
+  /\byou'?(ll| will) (regret|pay)\b/i
+];
+
+interface Matcher {
+  category: string;
+  severity: ProfanitySeverity;
+  tokens: string[];
+}
+
+interface Token {
+  text: string;   // normalized lower-case
+  raw: string;
+  start: number;
+  end: number;
+}
+
+function tokenize(text: string, normalization: Record<string, string>): Token[] {
+  const out: Token[] = [];
+  const re = /[A-Za-z0-9*']+/g;
+  let m: RegExpExecArray | null;
+  while ((m = re.exec(text.replace(/[‘’]/g, "'")))) {
+    const raw = m[0].replace(/^'+|'+$/g, '');
+    if (!raw) continue;
+    const lower = raw.toLowerCase();
+    out.push({ text: normalization[lower] ?? lower, raw, start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+function phraseTokens(phrase: string): string[] {
+  return String(phrase || '').toLowerCase().replace(/[‘’]/g, "'").split(/[^a-z0-9*']+/).filter(Boolean);
+}
+
+function tokenMatches(token: string, term: string, single: boolean): boolean {
+  if (token === term) return true;
+  if (!single || term.length < 4 || !token.startsWith(term)) return false;
+  return INFLECTIONS.includes(token.slice(term.length));
+}
+
+function clamp01(x: number) { return Math.max(0, Math.min(1, x)); }
+
+export class ProfanityEvaluator {
+  private lexicon: any;
+  private matchers: Matcher[] = [];
+  private normalization: Record<string, string> = {};
+
+  constructor(lexicon: any) {
+    this.lexicon = lexicon || {};
+    for (const cat of this.lexicon.categories || []) {
+      Object.assign(this.normalization, cat.normalization?.map || {});
+    }
+    for (const cat of this.lexicon.categories || []) {
+      const severity = (SEVERITY_ORDER.includes(cat.severity) ? cat.severity : 'moderate') as ProfanitySeverity;
+      const phrases = new Set<string>();
+      for (const w of [...(cat.triggerWords || []), ...(cat.semanticVariants || [])]) {
+        const toks = phraseTokens(this.normalization[String(w).toLowerCase()] ?? w);
+        if (toks.length) phrases.add(toks.join(' '));
+      }
+      for (const pattern of cat.spacyPatterns || []) {
+        const toks = (Array.isArray(pattern) ? pattern : []).map((p: any) => String(p?.LOWER || '').toLowerCase());
+        if (toks.length && toks.every(Boolean)) phrases.add(toks.join(' '));
+      }
+      for (const p of phrases) this.matchers.push({ category: cat.id, severity, tokens: p.split(' ') });
+    }
+    // Longest phrases first so "fuck off" wins over "fuck"
+    this.matchers.sort((a, b) => b.tokens.length - a.tokens.length);
+  }
+
+  get defaultSensitivity(): ProfanitySensitivity {
+    const s = this.lexicon.settings?.defaultSensitivity;
+    return (PROFANITY_SENSITIVITIES as readonly string[]).includes(s) ? s : 'medium';
+  }
+
+  private findHits(tokens: Token[]): Array<ProfanityHit & { span: number }> {
+    const hits: Array<ProfanityHit & { span: number }> = [];
+    const used = new Set<number>();
+    for (let i = 0; i < tokens.length; i++) {
+      if (used.has(i)) continue;
+      for (const m of this.matchers) {
+        if (i + m.tokens.length > tokens.length) continue;
+        const single = m.tokens.length === 1;
+        if (m.tokens.every((t, k) => !used.has(i + k) && tokenMatches(tokens[i + k].text, t, single))) {
+          hits.push({ category: m.category, severity: m.severity, term: m.tokens.join(' '), index: i, exemption: null, span: m.tokens.length });
+          for (let k = 0; k < m.tokens.length; k++) used.add(i + k);
+          break;
+        }
+      }
+    }
+    return hits;
+  }
+
+  private exemptionFor(text: string, tokens: Token[], hit: { index: number }): string | null {
+    const ex = this.lexicon.exemptions || {};
+    const tok = tokens[hit.index];
+    if (ex.quotedText) {
+      const before = text.slice(0, tok.start);
+      const quotes = (before.match(/["“”]/g) || []).length;
+      if (quotes % 2 === 1) return 'quotedText';
+    }
+    if (ex.selfDirected) {
+      const window = tokens.slice(Math.max(0, hit.index - SELF_WINDOW), hit.index).map(t => t.text);
+      if (window.some(t => SELF_REFERENCE.has(t)) && !window.some(t => SECOND_PERSON.has(t))) return 'selfDirected';
+    }
+    if (ex.exampleMode && EXAMPLE_CUES.test(text)) return 'exampleMode';
+    return null;
+  }
+
+  private countSofteners(text: string, tokens: Token[], lists: string[]): number {
+    const soft = this.lexicon.softeners || {};
+    const joined = ` ${tokens.map(t => t.text).join(' ')} `;
+    let count = 0;
+    for (const list of lists) {
+      for (const cue of soft[list] || []) {
+        if (typeof cue !== 'string' || !cue) continue;
+        if (list === 'emojis') { if (text.includes(cue)) count++; continue; }
+        const phrase = phraseTokens(cue).join(' ');
+        if (phrase && joined.includes(` ${phrase} `)) count++;
+      }
+    }
+    return count;
+  }
+
+  private estimateIntensity(text: string, tokens: Token[]): number {
+    const excl = (text.match(/!/g) || []).length * 0.08;
+    const caps = tokens.length ? tokens.filter(t => t.raw.length > 1 && t.raw === t.raw.toUpperCase() && /[A-Z]/.test(t.raw)).length / tokens.length : 0;
+    const elong = /(\w)\1{2,}/.test(text) ? 0.08 : 0;
+    return clamp01(excl + caps * 0.6 + elong);
+  }
+
+  evaluate(text: string, options: ProfanityOptions = {}): ProfanityResult {
+    const sensitivity = options.sensitivity && PROFANITY_SENSITIVITIES.includes(options.sensitivity)
+      ? options.sensitivity
+      : this.defaultSensitivity;
+    const empty: ProfanityResult = {
+      hasProfanity: false, severity: 0, tone: null, sensitivity, hits: [], firedRules: [],
+      softenerCount: 0, targeted: false, threat: false
+    };
+    if (!text) return empty;
+
+    const tokens = tokenize(text, this.normalization);
+    const rawHits = this.findHits(tokens);
+    if (!rawHits.length) return empty;
+
+    const hits = rawHits.map(h => ({ ...h, exemption: this.exemptionFor(text, tokens, h) }));
+    const words = tokens.map(t => t.text);
+    const threat = THREAT_PATTERNS.some(re => re.test(text));
+    const targeted = hits.some(h =>
+      words.slice(Math.max(0, h.index - TARGET_WINDOW), h.index + h.span + TARGET_WINDOW).some(w => SECOND_PERSON.has(w))
+    );
+    const intensity = typeof options.intensity === 'number' ? clamp01(options.intensity) : this.estimateIntensity(text, tokens);
+    const weightMap = this.lexicon.settings?.weightMap?.[sensitivity] || {};
+    const categories: any[] = this.lexicon.categories || [];
+    const rules: any[] = this.lexicon.rules || [];
+    const firedRules: string[] = [];
+
+    // Profile adjustments: lexicon.profiles[profile], overridden by a matching profile rule's action
+    const profile = options.profile ? this.lexicon.profiles?.[options.profile] || {} : {};
+    const adjust = {
+      weightMultiplier: Number(profile.weightMultiplier ?? 1),
+      intensityThresholdShift: 0,
+      deescalationBias: Number(profile.deescalationBias ?? 0),
+      repeatTolerance: Number(profile.repeatTolerance ?? 0)
+    };
+    for (const rule of rules) {
+      if (!rule?.conditions?.profile || rule.conditions.profile !== options.profile) continue;
+      firedRules.push(rule.id);
+      const a = rule.action || {};
+      if (typeof a.weightMultiplier === 'number') adjust.weightMultiplier = a.weightMultiplier;
+      if (typeof a.intensityThresholdShift === 'number') adjust.intensityThresholdShift = a.intensityThresholdShift;
+      if (typeof a.deescalationBias === 'number') adjust.deescalationBias = a.deescalationBias;
+      if (typeof a.repeatTolerance === 'number') adjust.repeatTolerance = a.repeatTolerance;
+    }
+
+    let severity = 0;
+    let tone: Bucket | null = null;
+    let softenerCount = 0;
+
+    for (const cat of categories) {
+      const catHits = hits.filter(h => h.category === cat.id);
+      if (!catHits.length) continue;
+
+      const live = catHits.filter(h => !h.exemption);
+      const base = Number(weightMap[cat.severity] ?? 0.5);
+      let weight = (live.length ? base : base * EXEMPT_FACTOR) * adjust.weightMultiplier;
+      if (options.attachmentStyle) weight += Number(cat.styleWeight?.[options.attachmentStyle] ?? 0);
+      // Each further live repeat adds half the base weight
+      weight += Math.max(0, live.length - 1) * base * 0.5 * adjust.weightMultiplier;
+      let catTone: Bucket = (cat.tone in BUCKET_RANK ? cat.tone : 'caution') as Bucket;
+
+      const positions = {
+        start: catHits.some(h => h.index === 0),
+        caps: catHits.some(h => { const r = tokens[h.index].raw; return r.length > 1 && r === r.toUpperCase() && /[A-Z]/.test(r); }),
+        repeat: catHits.length > 1
+      };
+      const exemptKinds = new Set(catHits.map(h => h.exemption).filter(Boolean) as string[]);
+
+      for (const rule of rules) {
+        const c = rule?.conditions || {};
+        if (c.profile || !(rule.applyTo || []).includes(cat.id)) continue;
+
+        // Trigger conditions (any)
+        const triggers: boolean[] = [];
+        if (typeof c.minIntensityScore === 'number') {
+          const boosts = cat.escalationHints?.positionBoost || {};
+          const boosted = intensity + (c.positionBoost || []).reduce((s: number, k: string) => s + ((positions as any)[k] ? Number(boosts[k] || 0) : 0), 0);
+          triggers.push(boosted >= c.minIntensityScore + adjust.intensityThresholdShift);
+        }
+        if (typeof c.repeatCount === 'number') triggers.push(catHits.length >= c.repeatCount + adjust.repeatTolerance);
+        if (Array.isArray(c.cooccurrence)) triggers.push(c.cooccurrence.some((w: string) => words.includes(String(w).toLowerCase())));
+        if (triggers.length && !triggers.some(Boolean)) continue;
+
+        // Gating conditions (all)
+        if (typeof c.maxIntensityScore === 'number' && intensity > c.maxIntensityScore + adjust.deescalationBias) continue;
+        if (c.targeting) {
+          if (c.targeting.explicitSecondPerson === false && targeted) continue;
+          if (c.targeting.threatDetected === false && threat) continue;
+        }
+        if (c.softeners) {
+          const allowed = (c.exemptionsAllowed || []).filter((k: string) => exemptKinds.has(k)).length;
+          const n = this.countSofteners(text, tokens, c.softeners.lists || []) + allowed;
+          softenerCount = Math.max(softenerCount, n);
+          if (n < (c.softeners.minCount ?? 1)) continue;
+        }
+        if (c.context) {
+          const selfOk = c.context.selfDirected ? exemptKinds.has('selfDirected') : false;
+          const quotedOk = c.context.orQuoted ? exemptKinds.has('quotedText') : false;
+          if ((c.context.selfDirected || c.context.orQuoted) && !selfOk && !quotedOk) continue;
+        }
+
+        const a = rule.action || {};
+        if (a.flipTone && a.flipTone in BUCKET_RANK) catTone = a.flipTone;
+        if (typeof a.boostWeight === 'number') weight += a.boostWeight;
+        if (typeof a.reduceWeight === 'number') weight = Math.max(0, weight - a.reduceWeight);
+        firedRules.push(rule.id);
+      }
+
+      severity += weight;
+      if (live.length && (!tone || BUCKET_RANK[catTone] > BUCKET_RANK[tone])) tone = catTone;
+    }
+
+    return {
+      hasProfanity: hits.some(h => !h.exemption),
+      severity: Math.round(severity * 1000) / 1000,
+      tone,
+      sensitivity,
+      hits: hits.map(({ span, ...h }) => h),
+      firedRules: Array.from(new Set(firedRules)),
+      softenerCount,
+      targeted,
+      threat
+    };
+  }
+}
+
+let cached: { lexicon: any; evaluator: ProfanityEvaluator } | null = null;
+
+/** Evaluator for the loaded lexicon (rebuilt if the lexicon object changes). */
+export function getProfanityEvaluator(lexicon: any): ProfanityEvaluator {
+  if (!cached || cached.lexicon !== lexicon) cached = { lexicon, evaluator: new ProfanityEvaluator(lexicon) };
+  return cached.evaluator;
+}
@@ -0,0 +1,223 @@
+// api/_lib/services/profileStore.ts
+/**
+ * Pluggable persistence for CommunicatorProfile state.
+ *
+ * Every stored record carries a monotonically increasing `version`. Writers pass
+ * the version they loaded; if another request saved in between, the write is
+ * rejected with ProfileVersionConflictError and the caller reloads + retries.
+ *
+ * Adapters:
+ *  - InMemoryProfileStore: per-process Map (tests, local dev)
+ *  - FileProfileStore:     one JSON file per user under a directory (/tmp on Vercel)
+ *
+ * Neither survives a serverless cold start unless the file store points at persistent storage,
+ * which stores advertise through `durable`.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { logger } from '../logger';
+import { AppError } from '../middleware/errorHandler';
+
+export interface StoredProfile<T = any> {
+  userId: string;
+  version: number;
+  data: T;
+  updatedAt: string;
+}
+
+export interface ProfileStore {
+  get<T = any>(userId: string): Promise<StoredProfile<T> | null>;
+  /**
+   * Persist `data` for `userId`. `expectedVersion` is the version the caller loaded
+   * (0 when the profile did not exist yet). Resolves with the newly stored record.
+   */
+  put<T = any>(userId: string, data: T, expectedVersion: number): Promise<StoredProfile<T>>;
+  delete(userId: string): Promise<void>;
+  /** False when records are lost with the process or instance (memory, a per-instance /tmp). */
+  readonly durable?: boolean;
+}
+
+export class ProfileVersionConflictError extends AppError {
+  public readonly expectedVersion: number;
+  public readonly actualVersion: number;
+
+  constructor(userId: string, expectedVersion: number, actualVersion: number) {
+    super(`Profile ${userId} was modified concurrently (expected v${expectedVersion}, found v${actualVersion})`, 409, 'ERR_VERSION_CONFLICT');
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+// ============================
+// In-memory adapter
+// ============================
+export class InMemoryProfileStore implements ProfileStore {
+  readonly durable = false;
+  private store = new Map<string, StoredProfile>();
+
+  async get<T = any>(userId: string): Promise<StoredProfile<T> | null> {
+    const rec = this.store.get(userId);
+    // Hand out copies so callers cannot mutate the stored record in place
+    return rec ? JSON.parse(JSON.stringify(rec)) : null;
+  }
+
+  async put<T = any>(userId: string, data: T, expectedVersion: number): Promise<StoredProfile<T>> {
+    const current = this.store.get(userId)?.version ?? 0;
+    if (current !== expectedVersion) {
+      throw new ProfileVersionConflictError(userId, expectedVersion, current);
+    }
+    const rec: StoredProfile<T> = {
+      userId,
+      version: current + 1,
+      data: JSON.parse(JSON.stringify(data)),
+      updatedAt: new Date().toISOString()
+    };
+    this.store.set(userId, rec);
+    return JSON.parse(JSON.stringify(rec));
+  }
+
+  async delete(userId: string): Promise<void> {
+    this.store.delete(userId);
+  }
+
+  clear(): void {
+    this.store.clear();
+  }
+}
+
+// ============================
+// File-backed adapter
+// ============================
+export class FileProfileStore implements ProfileStore {
+  readonly durable: boolean;
+  private dir: string;
+  private lockTimeoutMs: number;
+
+  constructor(options: { dir: string; lockTimeoutMs?: number; durable?: boolean }) {
+    this.dir = options.dir;
+    this.durable = options.durable ?? false;
+    this.lockTimeoutMs = options.lockTimeoutMs ?? 2000;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // User ids come from tokens/headers; never use them as raw path segments
+  private fileFor(userId: string): string {
+    const key = crypto.createHash('sha256').update(userId).digest('hex').slice(0, 32);
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  private readFile<T>(file: string): StoredProfile<T> | null {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err: any) {
+      if (err?.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /** Exclusive lock via O_EXCL lock file so the version check + rename is atomic across processes. */
+  private async withLock<R>(file: string, fn: () => R): Promise<R> {
+    const lock = `${file}.lock`;
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lock, 'wx'));
+        break;
+      } catch (err: any) {
+        if (err?.code !== 'EEXIST') throw err;
+        // Break locks left behind by a crashed writer
+        try {
+          const age = Date.now() - fs.statSync(lock).mtimeMs;
+          if (age > this.lockTimeoutMs) { fs.unlinkSync(lock); continue; }
+        } catch { /* lock vanished between calls */ }
+        if (Date.now() > deadline) {
+          throw new AppError('Timed out waiting for profile lock', 503, 'ERR_PROFILE_LOCKED');
+        }
+        await new Promise(r => setTimeout(r, 10));
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      try { fs.unlinkSync(lock); } catch { /* already gone */ }
+    }
+  }
+
+  async get<T = any>(userId: string): Promise<StoredProfile<T> | null> {
+    return this.readFile<T>(this.fileFor(userId));
+  }
+
+  async put<T = any>(userId: string, data: T, expectedVersion: number): Promise<StoredProfile<T>> {
+    const file = this.fileFor(userId);
+    return this.withLock(file, () => {
+      const current = this.readFile<T>(file)?.version ?? 0;
+      if (current !== expectedVersion) {
+        throw new ProfileVersionConflictError(userId, expectedVersion, current);
+      }
+      const rec: StoredProfile<T> = {
+        userId,
+        version: current + 1,
+        data,
+        updatedAt: new Date().toISOString()
+      };
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(rec), 'utf-8');
+      fs.renameSync(tmp, file);
+      return rec;
+    });
+  }
+
+  async delete(userId: string): Promise<void> {
+    const file = this.fileFor(userId);
+    await this.withLock(file, () => {
+      try { fs.unlinkSync(file); } catch (err: any) { if (err?.code !== 'ENOENT') throw err; }
+    });
+  }
+}
+
+// ============================
+// Default store selection
+// ============================
+const namedStores = new Map<string, ProfileStore>();
+
+/**
+ * Process-wide store for a namespace ('profiles', 'entitlements', ...). PROFILE_STORE picks
+ * the adapter ('file' | 'memory'); file stores live in PROFILE_STORE_DIR/<namespace>.
+ */
+export function getNamedStore(namespace: string): ProfileStore {
+  const existing = namedStores.get(namespace);
+  if (existing) return existing;
+
+  let store: ProfileStore;
+  const kind = (process.env.PROFILE_STORE || 'file').toLowerCase();
+  if (kind === 'memory') {
+    store = new InMemoryProfileStore();
+  } else {
+    // The tmpdir default is per instance on serverless; an explicit directory is taken to be persistent
+    const root = process.env.PROFILE_STORE_DIR || path.join(os.tmpdir(), 'unsaid-profiles');
+    store = new FileProfileStore({
+      dir: namespace === 'profiles' ? root : path.join(root, namespace),
+      durable: !!process.env.PROFILE_STORE_DIR
+    });
+  }
+  namedStores.set(namespace, store);
+  logger.info('Profile store selected', { kind, namespace });
+  return store;
+}
+
+export function getProfileStore(): ProfileStore {
+  return getNamedStore('profiles');
+}
+
+/** Swap a process-wide store (tests, alternative backends). */
+export function setNamedStore(namespace: string, store: ProfileStore | null): void {
+  if (store) namedStores.set(namespace, store);
+  else namedStores.delete(namespace);
+}
+
+export function setProfileStore(store: ProfileStore | null): void {
+  setNamedStore('profiles', store);
+}
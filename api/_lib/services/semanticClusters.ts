@@ -0,0 +1,346 @@
+// api/_lib/services/semanticClusters.ts
+/**
+ * Cluster matcher over data/semantic_thesaurus.json (SEM_BLAME, SEM_WITHDRAW, ...).
+ *
+ * Three match modes, each worth settings.thresholds.<mode> when it hits:
+ *   - exact: match.lexical phrases on casefolded words ("…" is a short gap, a lone "X" a slot,
+ *            "(dismissive)"-style notes are dropped)
+ *   - regex: match.regex on the casefolded text
+ *   - spacy: match.spacyPatterns (LOWER / TEXT / LEMMA / POS, string, IN, NOT_IN or REGEX) over
+ *            the spaCy-lite tokens, with contractions rejoined ("you're" is one token)
+ * Mode scores combine as 1 − Π(1 − s); a cluster fires at settings.thresholds.cluster_fire.
+ *
+ * A fired cluster's toneAffinities become a per-bucket tone effect, weighted by the cluster
+ * score (× weights.base × weights.categoryWeights) plus its attachmentAdjustments delta. For
+ * negationSensitive clusters every span negated within settings.negation.window tokens (outside
+ * the denylist) scales the effect by 1 − penalty and inverts it when invertTone is set. When the
+ * reverseRegisterRule fires (banter markers, softening emoji, affiliative insults) the alert and
+ * caution pull is multiplied by dampenMultiplier.
+ *
+ * Pure over the parsed file; callers pass dataLoader.get('semanticThesaurus').
+ */
+
+type Bucket = 'clear' | 'caution' | 'alert';
+export type ClusterMatchMode = 'exact' | 'regex' | 'spacy';
+
+export interface ClusterToken {
+  text: string;
+  lemma?: string;
+  pos?: string;
+  start?: number;
+  end?: number;
+}
+
+export interface ClusterSpan {
+  start: number;
+  end: number;
+  text: string;
+  mode: ClusterMatchMode;
+}
+
+export interface ClusterEvidence {
+  id: string;
+  key: string;
+  category: string;
+  score: number;
+  modes: ClusterMatchMode[];
+  spans: ClusterSpan[];
+  negated: boolean;
+  dampened: boolean;
+  contextLinks: string[];
+  toneEffect: Record<Bucket, number>;
+}
+
+export interface ClusterMatchResult {
+  clusters: ClusterEvidence[];
+  registerSignals: string[]; // reverseRegisterRule signals that fired
+}
+
+export interface ClusterMatchOptions {
+  tokens?: ClusterToken[];
+  attachmentStyle?: string;
+}
+
+interface Tok {
+  text: string;   // casefolded, straight apostrophes
+  lemma: string;
+  pos: string;
+  start: number;
+  end: number;
+}
+
+type TokenSpec = Record<string, any>;
+
+interface CompiledCluster {
+  id: string;
+  key: string;
+  category: string;
+  affinities: Record<Bucket, number>;
+  attachment: Record<string, number>;
+  contextLinks: string[];
+  negationSensitive: boolean;
+  weight: number;
+  lexical: RegExp[];
+  regex: RegExp[];
+  patterns: TokenSpec[][];
+}
+
+const BUCKETS: Bucket[] = ['clear', 'caution', 'alert'];
+const DEFAULT_THRESHOLDS = { exact: 0.9, regex: 0.82, spacy: 0.76, cluster_fire: 0.78 };
+const SEP = "[^a-z0-9']+";
+const GAP = `(?:${SEP}[a-z0-9']+){0,6}?`;
+const SLOT = `[a-z0-9']+(?:${SEP}[a-z0-9']+){0,2}?`;
+
+const NEGATORS = /\b(?:not|no|never|nobody|nothing|none|neither|nor|hardly|cannot)\b|n't\b/g;
+
+// reverseRegisterRule.signals → detectors
+const REGISTER_SIGNALS: Record<string, RegExp> = {
+  'banter markers': /\b(?:lol+|lmao+|lmfao|rofl|haha+|hehe+|jk|j\/k|just kidding|kidding)\b/i,
+  'emoji soften': /(?:\p{Extended_Pictographic}|[:;]-?[)pPD])/u,
+  'affiliative insult': /\b(?:you|ya|u)\s+(?:absolute\s+|big\s+|little\s+)?(?:goof(?:ball)?|dork|nerd|dummy|weirdo|dweeb|muppet|silly(?:\s+\w+)?)\b/i
+};
+// Emoji that read as hostile rather than softening
+const HOSTILE_EMOJI = /[\u{1F620}\u{1F621}\u{1F624}\u{1F92C}\u{1F595}\u{1F480}]/u;
+
+const round3 = (x: number) => Math.round(x * 1000) / 1000;
+const normalize = (s: string) => String(s ?? '').replace(/[‘’ʼ]/g, "'").toLowerCase();
+const escapeRx = (s: string) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Lexical phrase → word-boundary regex over normalized text, or null when nothing is left. */
+function lexicalRegex(phrase: string): RegExp | null {
+  const cleaned = String(phrase || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\.\.\.|…/g, ' \u0000 ')
+    .replace(/\bX\b/g, ' \u0001 ');
+  const parts = normalize(cleaned).split(/[^a-z0-9'\u0000\u0001]+/).filter(Boolean);
+  while (parts.length && parts[parts.length - 1] === '\u0000') parts.pop();
+  while (parts.length && parts[0] === '\u0000') parts.shift();
+  if (!parts.some(p => p !== '\u0000' && p !== '\u0001')) return null;
+
+  let src = '';
+  for (const p of parts) {
+    if (p === '\u0000') src += GAP;
+    else src += (src ? SEP : '') + (p === '\u0001' ? SLOT : escapeRx(p));
+  }
+  return new RegExp(`(?<![a-z0-9'])${src}(?![a-z0-9'])`, 'g');
+}
+
+function safeRegex(src: string): RegExp | null {
+  try {
+    return new RegExp(src, 'gi');
+  } catch {
+    return null;
+  }
+}
+
+/** Tokens with char offsets; contiguous word/apostrophe runs are rejoined. */
+function tokenView(text: string, tokens?: ClusterToken[]): Tok[] {
+  const raw: Tok[] = [];
+  if (Array.isArray(tokens) && tokens.length) {
+    let cursor = 0;
+    for (const t of tokens) {
+      const surface = String(t?.text ?? '');
+      if (!surface) continue;
+      let start = typeof t.start === 'number' ? t.start : text.indexOf(surface, cursor);
+      if (start < 0) start = text.toLowerCase().indexOf(surface.toLowerCase(), cursor);
+      if (start < 0) continue;
+      const end = typeof t.end === 'number' ? t.end : start + surface.length;
+      raw.push({ text: normalize(surface), lemma: normalize(t.lemma || surface), pos: String(t.pos || 'X').toUpperCase(), start, end });
+      cursor = end;
+    }
+  }
+  if (!raw.length) {
+    const rx = /\w+|[^\s\w]/g;
+    let m: RegExpExecArray | null;
+    while ((m = rx.exec(text)) !== null) {
+      raw.push({ text: normalize(m[0]), lemma: normalize(m[0]), pos: 'X', start: m.index, end: m.index + m[0].length });
+    }
+  }
+
+  const out: Tok[] = [];
+  for (const t of raw) {
+    const prev = out[out.length - 1];
+    const joinable = prev && prev.end === t.start && (/^'$/.test(t.text) ? /[a-z0-9]$/.test(prev.text) : /'$/.test(prev.text) && /^[a-z0-9]/.test(t.text));
+    if (joinable) {
+      prev.text += t.text;
+      prev.lemma = prev.text;
+      prev.end = t.end;
+    } else {
+      out.push({ ...t });
+    }
+  }
+  return out;
+}
+
+function tokenMatches(tok: Tok, spec: TokenSpec): boolean {
+  for (const [attr, expected] of Object.entries(spec || {})) {
+    if (attr === 'OP') continue;
+    const actual = attr === 'LEMMA' ? tok.lemma : attr === 'POS' ? tok.pos : tok.text;
+    const norm = (v: any) => (attr === 'POS' ? String(v).toUpperCase() : normalize(String(v)));
+    if (typeof expected === 'string') {
+      if (actual !== norm(expected)) return false;
+    } else if (expected && typeof expected === 'object') {
+      if (Array.isArray(expected.IN) && !expected.IN.map(norm).includes(actual)) return false;
+      if (Array.isArray(expected.NOT_IN) && expected.NOT_IN.map(norm).includes(actual)) return false;
+      if (typeof expected.REGEX === 'string') {
+        const rx = safeRegex(`^(?:${expected.REGEX})$`);
+        if (!rx || !rx.test(actual)) return false;
+      }
+    } else {
+      return false;
+    }
+  }
+  return true;
+}
+
+export class SemanticClusterMatcher {
+  private clusters: CompiledCluster[];
+  private thresholds: typeof DEFAULT_THRESHOLDS;
+  private negation: { window: number; invertTone: boolean; penalty: number; denylist: RegExp[] };
+  private register: { enabled: boolean; signals: string[]; dampen: number };
+
+  constructor(private thesaurus: any) {
+    const settings = thesaurus?.settings || {};
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(settings.thresholds || {}) };
+
+    const neg = settings.negation || {};
+    this.negation = {
+      window: typeof neg.window === 'number' ? neg.window : 4,
+      invertTone: neg.invertTone !== false,
+      penalty: typeof neg.penalty === 'number' ? neg.penalty : 0.25,
+      denylist: (Array.isArray(neg.denylist) ? neg.denylist : []).map(lexicalRegex).filter(Boolean) as RegExp[]
+    };
+
+    const rr = settings.reverseRegisterRule || {};
+    this.register = {
+      enabled: rr.enabled === true,
+      signals: (Array.isArray(rr.signals) ? rr.signals : []).filter((s: string) => REGISTER_SIGNALS[s]),
+      dampen: typeof rr.dampenMultiplier === 'number' ? rr.dampenMultiplier : 1
+    };
+
+    const categoryWeights = thesaurus?.weights?.categoryWeights || {};
+    this.clusters = (Array.isArray(thesaurus?.clusters) ? thesaurus.clusters : [])
+      .filter((c: any) => c && c.id)
+      .map((c: any): CompiledCluster => ({
+        id: c.id,
+        key: c.key || c.id,
+        category: c.category || 'general',
+        affinities: {
+          clear: Number(c.toneAffinities?.clear) || 0,
+          caution: Number(c.toneAffinities?.caution) || 0,
+          alert: Number(c.toneAffinities?.alert) || 0
+        },
+        attachment: c.attachmentAdjustments || {},
+        contextLinks: Array.isArray(c.contextLinks) ? c.contextLinks : [],
+        negationSensitive: c.negationSensitive === true,
+        weight: (typeof c.weights?.base === 'number' ? c.weights.base : 1) * (categoryWeights[c.category] ?? 1),
+        lexical: (c.match?.lexical || []).map(lexicalRegex).filter(Boolean),
+        regex: (c.match?.regex || []).map(safeRegex).filter(Boolean),
+        patterns: (c.match?.spacyPatterns || []).filter((p: any) => Array.isArray(p) && p.length)
+      }));
+  }
+
+  get size(): number {
+    return this.clusters.length;
+  }
+
+  /** reverseRegisterRule signals present in the text (empty when the rule is disabled). */
+  registerSignals(text: string): string[] {
+    if (!this.register.enabled || HOSTILE_EMOJI.test(text)) return [];
+    return this.register.signals.filter(s => REGISTER_SIGNALS[s].test(text));
+  }
+
+  match(text: string, options: ClusterMatchOptions = {}): ClusterMatchResult {
+    const raw = String(text ?? '');
+    const norm = normalize(raw);
+    const toks = tokenView(raw, options.tokens);
+    const negators = this.negatorOffsets(norm);
+    const registerSignals = this.registerSignals(raw);
+    const dampened = registerSignals.length > 0;
+
+    const clusters: ClusterEvidence[] = [];
+    for (const c of this.clusters) {
+      const spans: ClusterSpan[] = [];
+      const add = (start: number, end: number, mode: ClusterMatchMode) => {
+        if (end > start && !spans.some(s => s.mode === mode && s.start === start)) spans.push({ start, end, text: raw.slice(start, end), mode });
+      };
+
+      for (const rx of c.lexical) for (const m of norm.matchAll(rx)) add(m.index!, m.index! + m[0].length, 'exact');
+      for (const rx of c.regex) for (const m of norm.matchAll(rx)) add(m.index!, m.index! + m[0].length, 'regex');
+      for (const pattern of c.patterns) {
+        for (let i = 0; i + pattern.length <= toks.length; i++) {
+          if (pattern.every((spec, j) => tokenMatches(toks[i + j], spec))) add(toks[i].start, toks[i + pattern.length - 1].end, 'spacy');
+        }
+      }
+      if (!spans.length) continue;
+
+      const modes = Array.from(new Set(spans.map(s => s.mode)));
+      const confidence = 1 - modes.reduce((p, m) => p * (1 - (this.thresholds[m] ?? 0)), 1);
+      if (confidence < this.thresholds.cluster_fire) continue;
+
+      const negated = c.negationSensitive && spans.every(s => this.isNegated(s.start, negators, toks));
+      const score = confidence * c.weight;
+      const weight = Math.max(0, score + (Number(c.attachment[options.attachmentStyle || '']) || 0));
+      const sign = negated ? (this.negation.invertTone ? -1 : 1) * (1 - this.negation.penalty) : 1;
+
+      const toneEffect = {} as Record<Bucket, number>;
+      for (const b of BUCKETS) {
+        let v = c.affinities[b] * weight * sign;
+        if (dampened && b !== 'clear' && v > 0) v *= this.register.dampen;
+        toneEffect[b] = round3(v);
+      }
+
+      clusters.push({
+        id: c.id,
+        key: c.key,
+        category: c.category,
+        score: round3(score),
+        modes,
+        spans: spans.sort((a, b) => a.start - b.start),
+        negated,
+        dampened,
+        contextLinks: c.contextLinks,
+        toneEffect
+      });
+    }
+
+    clusters.sort((a, b) => b.score - a.score);
+    return { clusters, registerSignals };
+  }
+
+  /** Summed per-bucket tone effect of the fired clusters. */
+  static toneEffect(result: ClusterMatchResult): Record<Bucket, number> {
+    const out: Record<Bucket, number> = { clear: 0, caution: 0, alert: 0 };
+    for (const c of result.clusters) for (const b of BUCKETS) out[b] += c.toneEffect[b];
+    for (const b of BUCKETS) out[b] = round3(out[b]);
+    return out;
+  }
+
+  private negatorOffsets(norm: string): number[] {
+    const denied: Array<[number, number]> = [];
+    for (const rx of this.negation.denylist) for (const m of norm.matchAll(rx)) denied.push([m.index!, m.index! + m[0].length]);
+    const out: number[] = [];
+    for (const m of norm.matchAll(NEGATORS)) {
+      const at = m.index!;
+      if (!denied.some(([s, e]) => at >= s && at < e)) out.push(at + m[0].length);
+    }
+    return out;
+  }
+
+  /** A negator ends before `start` with at most `window` word tokens in between. */
+  private isNegated(start: number, negatorEnds: number[], toks: Tok[]): boolean {
+    return negatorEnds.some(end => {
+      if (end > start) return false;
+      const between = toks.filter(t => t.start >= end && t.end <= start && /[a-z0-9]/.test(t.text)).length;
+      return between <= this.negation.window;
+    });
+  }
+}
+
+let cached: { thesaurus: any; matcher: SemanticClusterMatcher } | null = null;
+
+/** Matcher for the loaded thesaurus (rebuilt if the thesaurus object changes). */
+export function getClusterMatcher(thesaurus: any): SemanticClusterMatcher {
+  if (!cached || cached.thesaurus !== thesaurus) cached = { thesaurus, matcher: new SemanticClusterMatcher(thesaurus) };
+  return cached.matcher;
+}
@@ -0,0 +1,106 @@
+// api/_lib/services/severity.ts
+/**
+ * Severity banding from data/severity_collaboration.json.
+ *
+ * The score for the message's tone bucket starts at that bucket's probability and is shifted by:
+ *   - byLength:        every matching lte_chars / gt_chars rule adds its per-bucket bias
+ *   - byRecency:       each earlier message inside repeatWithin_ms stacks stacking.<bucket>, up to cap
+ *   - cohortOverrides: per-bucket bias for the caller's cohort (coparenting, dating, ...)
+ * It is then clamped to [defaults.minThreshold, defaults.maxThreshold] and placed in
+ * severityBands.<bucket>; actions.<bucket>.<band> are the UI actions for the keyboard.
+ */
+
+type Bucket = 'clear' | 'caution' | 'alert';
+
+export const SEVERITY_BANDS = ['low', 'med', 'high'] as const;
+export type SeverityBand = typeof SEVERITY_BANDS[number];
+
+// Action labels the client treats as send-blocking / acknowledgment-gating
+export const SOFT_BLOCK_ACTION = 'Block-sending soft guard';
+export const ACKNOWLEDGE_ACTION = 'Require acknowledgment';
+
+export interface SeverityInput {
+  bucket: Bucket;
+  dist: Record<Bucket, number>;
+  textLength: number;
+  cohort?: string | null;
+  recentTimestamps?: number[]; // epoch ms of the user's earlier messages
+  now?: number;
+}
+
+export interface SeverityResult {
+  bucket: Bucket;
+  band: SeverityBand;
+  score: number;
+  actions: string[];
+  softBlock: boolean;
+  requireAcknowledgment: boolean;
+  applied: {
+    base: number;
+    length: number;
+    recency: number;
+    repeats: number;
+    cohort: number;
+  };
+}
+
+const round3 = (x: number) => Math.round(x * 1000) / 1000;
+const num = (v: any) => (typeof v === 'number' && Number.isFinite(v) ? v : 0);
+
+/** Sum of the byLength biases whose lte_chars / gt_chars condition matches. */
+export function lengthBias(config: any, bucket: Bucket, textLength: number): number {
+  let bias = 0;
+  for (const rule of Array.isArray(config?.byLength) ? config.byLength : []) {
+    const matches =
+      (typeof rule?.lte_chars === 'number' && textLength <= rule.lte_chars) ||
+      (typeof rule?.gt_chars === 'number' && textLength > rule.gt_chars);
+    if (matches) bias += num(rule.bias?.[bucket]);
+  }
+  return bias;
+}
+
+/** Stacked recency bias and the number of earlier messages inside the repeat window. */
+export function recencyBias(config: any, bucket: Bucket, timestamps: number[] = [], now = Date.now()): { bias: number; repeats: number } {
+  const rec = config?.byRecency;
+  const windowMs = num(rec?.repeatWithin_ms);
+  if (!windowMs) return { bias: 0, repeats: 0 };
+  const repeats = timestamps.filter(t => now - t >= 0 && now - t <= windowMs).length;
+  const raw = repeats * num(rec.stacking?.[bucket]);
+  const cap = typeof rec.cap === 'number' ? rec.cap : Infinity;
+  return { bias: Math.max(-cap, Math.min(cap, raw)), repeats };
+}
+
+/** Band for a score: the highest band whose lower bound it reaches, else 'low'. */
+export function bandFor(config: any, bucket: Bucket, score: number): SeverityBand {
+  const bands = config?.severityBands?.[bucket] || {};
+  let band: SeverityBand = 'low';
+  for (const b of SEVERITY_BANDS) {
+    if (Array.isArray(bands[b]) && score >= bands[b][0]) band = b;
+  }
+  return band;
+}
+
+export function computeSeverity(config: any, input: SeverityInput): SeverityResult {
+  const { bucket } = input;
+  const base = num(input.dist?.[bucket]);
+  const length = lengthBias(config, bucket, input.textLength);
+  const { bias: recency, repeats } = recencyBias(config, bucket, input.recentTimestamps, input.now ?? Date.now());
+  const cohort = input.cohort ? num(config?.cohortOverrides?.[input.cohort]?.[bucket]) : 0;
+
+  const lo = typeof config?.defaults?.minThreshold === 'number' ? config.defaults.minThreshold : 0;
+  const hi = typeof config?.defaults?.maxThreshold === 'number' ? config.defaults.maxThreshold : 1;
+  const score = round3(Math.max(lo, Math.min(hi, base + length + recency + cohort)));
+
+  const band = bandFor(config, bucket, score);
+  const actions: string[] = Array.isArray(config?.actions?.[bucket]?.[band]) ? [...config.actions[bucket][band]] : [];
+
+  return {
+    bucket,
+    band,
+    score,
+    actions,
+    softBlock: actions.includes(SOFT_BLOCK_ACTION),
+    requireAcknowledgment: actions.includes(ACKNOWLEDGE_ACTION),
+    applied: { base: round3(base), length: round3(length), recency: round3(recency), repeats, cohort: round3(cohort) }
+  };
+}
@@ -1,9 +1,9 @@
 // api/_lib/services/spacyBridge.ts
 import { logger } from '../logger';
-import { spacyClient } from './spacyClient';
+import { spacyClient, SpacyToken } from './spacyClient';
 
 export interface CompactDoc {
-  tokens?: Array<{ text: string; lemma: string; pos: string; i: number }>;
+  tokens?: Array<{ text: string; lemma: string; pos: string; i: number; start?: number; end?: number }>;
   sents?: Array<{ start: number; end: number }>;
   deps?: Array<{ head?: number; dep?: string; rel?: string; i?: number }>;
   sarcasm?: { present: boolean; score?: number };
@@ -11,22 +11,21 @@ export interface CompactDoc {
   phraseEdges?: { hits: string[] } | string[];
 }
 
+function compactTokens(tokens: SpacyToken[] | undefined): CompactDoc['tokens'] {
+  return tokens?.map(t => ({ text: t.text, lemma: t.lemma, pos: t.pos, i: t.index, start: t.start, end: t.end }));
+}
+
 // Main processing function - simplified for serverless
 export async function processWithSpacy(text: string, mode?: string): Promise<CompactDoc> {
   try {
-    logger.info(`Processing text with spaCy client: ${text.substring(0, 50)}...`);
+    logger.info('Processing text with spaCy client', { textLength: text.length });
 
     // Use the TypeScript spaCy client
     const result = spacyClient.process(text);
 
     // Convert to compact format expected by toneAnalysis
     const compact: CompactDoc = {
-      tokens: result.features.featureCount > 0 ? [{
-        text: text.split(/\s+/)[0] || '',
-        lemma: text.split(/\s+/)[0]?.toLowerCase() || '',
-        pos: 'NOUN',
-        i: 0
-      }] : undefined,
+      tokens: compactTokens(result.tokens),
       sents: [{ start: 0, end: text.length }],
       deps: [],
       sarcasm: {
@@ -60,19 +59,14 @@ export async function processWithSpacy(text: string, mode?: string): Promise<Com
 // Synchronous version for cases where async is not needed
 export function processWithSpacySync(text: string, mode?: string): CompactDoc {
   try {
-    logger.debug(`Processing text with spaCy client (sync): ${text.substring(0, 50)}...`);
+    logger.debug('Processing text with spaCy client (sync)', { textLength: text.length });
 
     // Use the TypeScript spaCy client
     const result = spacyClient.process(text);
 
     // Convert to compact format expected by toneAnalysis
     const compact: CompactDoc = {
-      tokens: result.features.featureCount > 0 ? [{
-        text: text.split(/\s+/)[0] || '',
-        lemma: text.split(/\s+/)[0]?.toLowerCase() || '',
-        pos: 'NOUN',
-        i: 0
-      }] : undefined,
+      tokens: compactTokens(result.tokens),
       sents: [{ start: 0, end: text.length }],
       deps: [],
       sarcasm: {
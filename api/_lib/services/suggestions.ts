@@ -15,6 +15,25 @@ import { logger } from '../logger';
 import { dataLoader } from './dataLoader';
 import { MLAdvancedToneAnalyzer } from './toneAnalysis';
 import { spacyClient } from './spacyClient';
+import { getEntitlementService } from './entitlements';
+import { applyPlatt, getPlattParams } from './toneCalibration';
+import { resolveToneBuckets } from './toneBuckets';
+import { validateToneBucketMapping } from '../schemas/toneBucketMapping';
+import { getProfanityEvaluator, ProfanityOptions, ProfanitySensitivity } from './profanity';
+import { recordGuardrailDecision } from './decisionLog';
+import { featureFlags } from './featureFlags';
+import { adviceOverrideFor, applyAdviceOverride, applyToneOverrides, positionSignals } from './attachmentOverrides';
+import type { OverrideTraceEntry } from './attachmentOverrides';
+import {
+  resolveGuardrails,
+  guardrailToxicity,
+  guardrailScore,
+  adviceCategories,
+  fallbackCategories,
+  autoGuardrailProfile,
+  GuardrailChannel,
+  ResolvedGuardrails
+} from './guardrails';
 import type {
   TherapyAdvice,
   ContextClassifier,
@@ -89,6 +108,18 @@ export interface SuggestionAnalysis {
     empathy_present: boolean;
     potential_triggers: string[];
     recommended_approach: string;
+    guardrails: ResolvedGuardrails & {
+      toxicity: number;
+      fallback: { triggered: boolean; reason: 'low_confidence' | 'below_threshold' | null; actions: string[] };
+      blockDirectSend: boolean;
+    };
+    // Debug only: per-stage deltas of the attachment override pipeline
+    attachmentOverrides?: {
+      style: string;
+      input: ToneBucketDistribution;
+      trace: OverrideTraceEntry[];
+      advice: Array<{ id: string; category_multipliers: number; secureFixRouting: number }>;
+    };
   };
   metadata: {
     attachmentStyle: string;
@@ -100,6 +131,9 @@ export interface SuggestionAnalysis {
 
 type Bucket = 'clear'|'caution'|'alert';
 
+// Guardrail filter reason → number of suggestions dropped and their advice categories
+type BlockedSummary = Record<string, { count: number; categories: string[] }>;
+
 interface ToneBucketDistribution {
   clear: number;
   caution: number;
@@ -170,20 +204,22 @@ async function ensureDataLoaded(): Promise<void> {
 }
 
 // ============================
-// Trial Manager (no network, simple gate)
+// Trial Manager (reads persisted entitlements)
 // ============================
 class TrialManager {
   async getTrialStatus(userId: string = 'anonymous', userEmail?: string | null) {
+    const entitlement = await getEntitlementService().getStatus(userId);
     return {
-      status: 'trial_active',
-      inTrial: true,
-      planType: 'trial',
-      features: { 'tone-analysis': true, suggestions: true, advice: true },
-      isActive: true,
-      hasAccess: true,
+      status: entitlement.status,
+      inTrial: entitlement.inTrial,
+      planType: entitlement.planType,
+      features: { 'tone-analysis': entitlement.hasAccess, suggestions: entitlement.hasAccess, advice: entitlement.hasAccess },
+      isActive: entitlement.hasAccess,
+      hasAccess: entitlement.hasAccess,
       isAdmin: false,
-      daysRemaining: 5,
-      totalTrialDays: 7,
+      daysRemaining: entitlement.daysRemaining,
+      totalTrialDays: entitlement.totalTrialDays,
+      subscriptionStatus: entitlement.subscriptionStatus,
       userId,
       userEmail,
       timestamp: new Date().toISOString()
@@ -198,6 +234,9 @@ class TrialManager {
 // ============================
 // Helpers: retrieval / guardrails / calibration
 // ============================
+// Weighted profanity (profanity.ts severity) at which a retrieved advice item is dropped
+const ADVICE_PROFANITY_THRESHOLD = 0.5;
+
 function cosine(a: Float32Array, b: Float32Array): number {
   let dot = 0, na = 0, nb = 0;
   for (let i=0;i<a.length;i++){ const x=a[i], y=b[i]; dot+=x*y; na+=x*x; nb+=y*y; }
@@ -208,14 +247,14 @@ function cosine(a: Float32Array, b: Float32Array): number {
 function getAdviceCorpus(): any[] {
   const idxItems = dataLoader.get('adviceIndexItems');
   if (Array.isArray(idxItems) && idxItems.length) return idxItems;
-  const db = dataLoader.get('therapyAdvice') || { items: [] };
-  return db.items || [];
+  return dataLoader.getAllAdviceItems();
 }
 
 function getVecById(id: string): Float32Array | null {
   const getter = dataLoader.get('adviceGetVector');
   if (typeof getter === 'function') {
     const v = getter(id);
+    if (v instanceof Float32Array) return v;
     if (v && v.length) return new Float32Array(v);
   }
   return null;
@@ -263,10 +302,11 @@ async function hybridRetrieve(text: string, contextLabel: string, toneKey: strin
   let denseTop: any[] = [];
   let qVec: Float32Array | null = null;
 
+  // Same embedder that built data/advice_vectors.bin, so query and corpus share a space
+  const embedder = dataLoader.get('adviceEmbedder');
   const hasVecs = !!getVecById(corpus[0]?.id || '');
-  if (hasVecs && typeof (spacyClient.embed) === 'function') {
-    const qArr: number[] = await spacyClient.embed(query);
-    qVec = new Float32Array(qArr);
+  if (hasVecs && embedder) {
+    qVec = embedder.embed(`${text} ${contextLabel} ${toneKey}`);
     denseTop = corpus
       .map((it:any) => {
         const v = getVecById(it.id);
@@ -288,27 +328,26 @@ async function hybridRetrieve(text: string, contextLabel: string, toneKey: strin
 
 function applyContraindications(items: any[], flags: {hasNegation:boolean; hasSarcasm:boolean; intensityScore:number}) {
   const guard = dataLoader.get('guardrailConfig');
-  const prof  = dataLoader.get('profanityLexicons');
+  // Profanity is handled by applyAdvancedGuardrails (rule-based, per-user sensitivity)
   return items.filter((it:any) => {
     if (flags.intensityScore > (guard?.maxIntensityForConfront ?? 0.75)) {
       if ((it.categories ?? []).includes('confrontation')) return false;
     }
     if (flags.hasNegation && it.negationSensitive) return false;
-    if (prof?.block && prof.block.some((w:string)=>String(it.advice||'').toLowerCase().includes(w))) return false;
     return true;
   });
 }
 
+// Attaches each item's category multiplier / secureFixRouting bias (applied in rank) and any
+// per-style rewriteCueReplace
 function applyAttachmentOverrides(items:any[], style:string) {
-  const overrides = dataLoader.get('attachmentOverrides')?.[style];
-  if (!overrides) return items;
+  const config = dataLoader.get('attachmentOverrides');
+  if (!config) return items;
+  const rewriteCues = config.overrides?.[style]?.rewriteCueReplace;
   return items.map((it:any) => {
-    const boosted = {...it};
-    if (overrides.categoryBoost && boosted.categories?.some((c:string)=>overrides.categoryBoost.includes(c))) {
-      (boosted as any).__boost = ((boosted as any).__boost ?? 0) + 0.2;
-    }
-    if (overrides.rewriteCueReplace && overrides.rewriteCueReplace[boosted.id]) {
-      boosted.rewriteCue = overrides.rewriteCueReplace[boosted.id];
+    const boosted = { ...it, __override: adviceOverrideFor(config, style, it) };
+    if (rewriteCues && rewriteCues[boosted.id]) {
+      boosted.rewriteCue = rewriteCues[boosted.id];
     }
     return boosted;
   });
@@ -330,9 +369,7 @@ function diversify(ranked:any[], topN=5, simThreshold=0.87) {
 }
 
 function calibrate(conf:number, contextLabel:string) {
-  const evalSet = dataLoader.get('evaluationTones');
-  const p = evalSet?.platt?.[contextLabel] ?? { a: 1, b: 0 };
-  return 1 / (1 + Math.exp(-(p.a*conf + p.b)));
+  return applyPlatt(conf, getPlattParams(contextLabel));
 }
 
 // ============================
@@ -349,7 +386,8 @@ class AnalysisOrchestrator {
     text: string,
     providedTone?: { classification: string; confidence: number } | null,
     attachmentStyle?: string,
-    contextHint?: string
+    contextHint?: string,
+    profanity: ProfanityOptions = {}
   ) {
     // spaCy process for flags/context/intensity
     const spacyResult = this.spacyService.process(text, {
@@ -372,16 +410,21 @@ class AnalysisOrchestrator {
 
     let toneResult = providedTone || null;
     let mlGenerated = false;
+    let profanitySeverity = 0;
+    let clusters: any[] = [];
 
     if (!toneResult) {
       const ml = await this.mlAnalyzer.analyzeTone(
         text,
         attachmentStyle || 'secure',
         contextHint || spacyResult.context?.label || 'general',
-        'general'
+        'general',
+        { profanitySensitivity: profanity.sensitivity, profanityProfile: profanity.profile }
       );
       if (ml?.success) {
         toneResult = { classification: ml.tone.classification, confidence: ml.tone.confidence };
+        profanitySeverity = ml.profanity?.severity || 0;
+        clusters = ml.evidence?.clusters || [];
         mlGenerated = true;
       } else {
         // No fallback: if analyzer fails, throw — caller handles as 4xx
@@ -400,6 +443,8 @@ class AnalysisOrchestrator {
         phraseEdgeHits: spacyResult.phraseEdges?.hits || []
       },
       features: spacyResult.features || {},
+      clusters,
+      profanitySeverity,
       mlGenerated
     };
   }
@@ -432,29 +477,8 @@ class AdviceEngine {
 
   // Probabilistic bucket mapping from JSON
   resolveToneBucket(toneLabel: string, contextLabel: string, intensityScore: number = 0): ToneBucketResult {
-    const map = this.loader.get('toneBucketMapping') || this.loader.get('toneBucketMap') || {};
-    const base = (map.default && map.default[toneLabel]) || map.default?.neutral || {
-      clear: 0.33, caution: 0.34, alert: 0.33
-    };
-    const ctx = map.contextOverrides?.[contextLabel]?.[toneLabel];
-    let dist = { ...(ctx || base) };
-
-    const thr = map.intensityShifts?.thresholds || { low: 0.15, med: 0.35, high: 0.60 };
-    const shiftKey = intensityScore >= thr.high ? 'high' : intensityScore >= thr.med ? 'med' : 'low';
-    const shift = map.intensityShifts?.[shiftKey] || { alert: 0, caution: 0, clear: 0 };
-
-    dist = {
-      clear: Math.max(0, (dist.clear ?? 0) + (shift.clear || 0)),
-      caution: Math.max(0, (dist.caution ?? 0) + (shift.caution || 0)),
-      alert: Math.max(0, (dist.alert ?? 0) + (shift.alert || 0)),
-    };
-
-    const sum = (dist.clear ?? 0) + (dist.caution ?? 0) + (dist.alert ?? 0) || 1;
-    dist.clear   = (dist.clear   ?? 0) / sum;
-    dist.caution = (dist.caution ?? 0) / sum;
-    dist.alert   = (dist.alert   ?? 0) / sum;
-
-    const primary = (Object.entries(dist).sort((a, b) => (b[1] as number) - (a[1] as number))[0][0]) as string;
+    const map = this.loader.get('toneBucketMapping') || this.loader.get('toneBucketMap');
+    const { primary, dist } = resolveToneBuckets(map, { tone: toneLabel, context: contextLabel, intensity: intensityScore });
     return { primary, dist: dist as ToneBucketDistribution };
   }
 
@@ -491,6 +515,7 @@ class AdviceEngine {
     phraseEdgeHits: string[];
     userPref: any;
     tier: 'general'|'premium';
+    toneDist?: ToneBucketDistribution; // attachment-adjusted; resolved from toneKey when absent
   }): any[] {
     const W = this.currentWeights(signals.contextLabel);
 
@@ -499,7 +524,7 @@ class AdviceEngine {
       s += W.baseConfidence * (signals.baseConfidence ?? 0.8);
 
       // Tone match mass
-      const { dist } = this.resolveToneBucket(signals.toneKey, signals.contextLabel, signals.intensityScore);
+      const dist = signals.toneDist ?? this.resolveToneBucket(signals.toneKey, signals.contextLabel, signals.intensityScore).dist;
       const toneBucket = it.triggerTone || 'clear';
       const toneMatchMass = (dist as any)[toneBucket] ?? 0.33;
       s += W.toneMatch * toneMatchMass;
@@ -532,9 +557,6 @@ class AdviceEngine {
       const sevScore = 1 - Math.min(sevDelta / 0.1, 1);
       s += W.severityFit * sevScore;
 
-      // Attachment overrides boost
-      if ((it as any).__boost) s += (it as any).__boost;
-
       // Tier
       if (signals.tier === 'premium') s += W.premiumBoost;
 
@@ -547,7 +569,15 @@ class AdviceEngine {
         s += (ctr * 0.3) - (rej * 0.2);
       }
 
-      return { ...it, ltrScore: Number(s.toFixed(4)) };
+      // Attachment overrides: style category multipliers, then secureFixRouting bias
+      let overrideDeltas: any;
+      if (it.__override) {
+        const applied = applyAdviceOverride(s, it.__override);
+        s = applied.score;
+        overrideDeltas = applied.deltas;
+      }
+
+      return { ...it, ltrScore: Number(s.toFixed(4)), __overrideDeltas: overrideDeltas };
     });
 
     return scored.sort((a,b)=> (b.ltrScore ?? 0) - (a.ltrScore ?? 0));
@@ -612,21 +642,32 @@ class SuggestionsService {
     }
 
     // Validate data structure integrity
-    const therapyAdvice = dataLoader.get('therapyAdvice');
-    if (!therapyAdvice?.items || !Array.isArray(therapyAdvice.items)) {
-      throw new Error('therapy_advice.json is malformed - missing or invalid items array');
+    const adviceItems = dataLoader.get('adviceIndexItems');
+    if (!Array.isArray(adviceItems) || adviceItems.length === 0) {
+      throw new Error('therapy_advice.json is malformed - no valid advice items after normalization');
+    }
+    if (!dataLoader.get('adviceBM25')) {
+      throw new Error('Advice BM25 index was not built - retrieval would return nothing');
     }
 
-    const toneBucketMapping = dataLoader.get('toneBucketMapping');
-    if (!toneBucketMapping?.default) {
-      throw new Error('tone_bucket_mapping.json is malformed - missing default bucket mappings');
+    const bucketMappingErrors = validateToneBucketMapping(dataLoader.get('toneBucketMapping'));
+    if (bucketMappingErrors.length) {
+      throw new Error(`tone_bucket_mapping.json is malformed - ${bucketMappingErrors[0]}`);
     }
 
     logger.info('All critical JSON dependencies validated successfully');
   }
 
   // ===== Comprehensive Guardrails Implementation =====
-  private applyAdvancedGuardrails(suggestions: any[], originalText: string, analysis: any): any[] {
+  private applyAdvancedGuardrails(
+    suggestions: any[],
+    originalText: string,
+    analysis: any,
+    profanity: ProfanityOptions = {},
+    guardrails: ResolvedGuardrails = resolveGuardrails(dataLoader.get('guardrailConfig')),
+    toxicity: number = 0,
+    blocked: BlockedSummary = {}
+  ): any[] {
     logger.info('Applying advanced guardrails and profanity filtering...');
     
     const guardrailConfig = dataLoader.get('guardrailConfig');
@@ -641,47 +682,49 @@ class SuggestionsService {
       throw new Error('Critical dependency missing: profanity_lexicons.json not loaded');
     }
 
+    // Filter reasons are tallied into `blocked` for the decision log
+    const block = (reason: string, suggestion: any) => {
+      const entry = blocked[reason] || (blocked[reason] = { count: 0, categories: [] });
+      entry.count++;
+      for (const c of adviceCategories(suggestion)) if (!entry.categories.includes(c)) entry.categories.push(c);
+      return false;
+    };
+
     const filteredSuggestions = suggestions.filter(suggestion => {
       // 1. Profanity filtering
-      if (this.containsProfanity(suggestion.advice, profanityLexicons)) {
-        logger.warn(`Suggestion filtered for profanity: ${suggestion.id}`);
-        return false;
+      if (this.containsProfanity(suggestion.advice, profanityLexicons, profanity)) {
+        return block('profanity', suggestion);
       }
 
       // 2. Blocked pattern checking
       if (this.matchesBlockedPattern(suggestion.advice, guardrailConfig.blockedPatterns || [])) {
-        logger.warn(`Suggestion filtered for blocked pattern: ${suggestion.id}`);
-        return false;
+        return block('blockedPattern', suggestion);
       }
 
       // 3. Context appropriateness
       if (!this.isContextAppropriate(suggestion, analysis)) {
-        logger.warn(`Suggestion filtered for context inappropriateness: ${suggestion.id}`);
-        return false;
+        return block('context', suggestion);
       }
 
-      // 4. Safety threshold checking
-      if (analysis.toneBuckets?.primary === 'alert' && !this.isSafeForAlertContext(suggestion)) {
-        logger.warn(`Suggestion filtered for alert context safety: ${suggestion.id}`);
-        return false;
+      // 4. High toxicity: only the resolved allowedCategories (de-escalation, repair, ...) pass
+      if (toxicity >= guardrails.toxicityHighThreshold && !this.isAllowedForHighToxicity(suggestion, guardrails)) {
+        return block('highToxicity', suggestion);
       }
 
       return true;
     });
 
-    logger.info(`Guardrails applied: ${suggestions.length} → ${filteredSuggestions.length} suggestions`);
+    logger.info(`Guardrails applied: ${suggestions.length} → ${filteredSuggestions.length} suggestions`, {
+      blocked: Object.fromEntries(Object.entries(blocked).map(([reason, b]) => [reason, b.count]))
+    });
     return filteredSuggestions;
   }
 
-  private containsProfanity(text: string, profanityLexicons: any): boolean {
-    if (!profanityLexicons?.words || !Array.isArray(profanityLexicons.words)) {
-      return false;
-    }
-
-    const lowercaseText = text.toLowerCase();
-    return profanityLexicons.words.some((word: string) => 
-      lowercaseText.includes(word.toLowerCase())
-    );
+  // Advice is dropped once its weighted profanity reaches the threshold at the user's sensitivity
+  // (e.g. a mild word passes at low/medium but not at high)
+  private containsProfanity(text: string, profanityLexicons: any, options: ProfanityOptions = {}): boolean {
+    const result = getProfanityEvaluator(profanityLexicons).evaluate(text, options);
+    return result.hasProfanity && result.severity >= ADVICE_PROFANITY_THRESHOLD;
   }
 
   private matchesBlockedPattern(text: string, blockedPatterns: string[]): boolean {
@@ -731,40 +774,9 @@ class SuggestionsService {
     return true;
   }
 
-  private isSafeForAlertContext(suggestion: any): boolean {
-    // Additional safety checks for high-alert contexts
+  private isAllowedForHighToxicity(suggestion: any, guardrails: ResolvedGuardrails): boolean {
     if (!suggestion.advice) return false;
-    
-    const advice = suggestion.advice.toLowerCase();
-    
-    // Avoid suggestions that might escalate conflict
-    const escalationPatterns = [
-      'you should',
-      'you need to',
-      'you must',
-      'you have to',
-      'you always',
-      'you never'
-    ];
-    
-    if (escalationPatterns.some(pattern => advice.includes(pattern))) {
-      return false;
-    }
-
-    // Require de-escalation keywords for alert contexts
-    const deEscalationKeywords = [
-      'consider',
-      'might',
-      'perhaps',
-      'could',
-      'gentle',
-      'calm',
-      'peaceful',
-      'understanding',
-      'patience'
-    ];
-    
-    return deEscalationKeywords.some(keyword => advice.includes(keyword));
+    return adviceCategories(suggestion).some(c => guardrails.allowedCategories.includes(c));
   }
 
   // ===== Public API =====
@@ -782,6 +794,12 @@ class SuggestionsService {
       userEmail?: string;
       toneAnalysisResult?: { classification: string; confidence: number } | null;
       isNewUser?: boolean;
+      profanitySensitivity?: ProfanitySensitivity;
+      profanityProfile?: string | null;
+      channel?: GuardrailChannel;
+      guardrailProfile?: string | null;
+      verifiedUserId?: string; // authenticated user id; rollout flags are only evaluated for it
+      debug?: boolean;         // include the attachment override trace in analysis_meta
     } = {}
   ): Promise<SuggestionAnalysis> {
 
@@ -792,6 +810,21 @@ class SuggestionsService {
       userEmail,
       toneAnalysisResult
     } = options;
+    const profanity: ProfanityOptions = { sensitivity: options.profanitySensitivity, profile: options.profanityProfile };
+    const guardrailProfile = options.guardrailProfile || autoGuardrailProfile(
+      flag => featureFlags.isEnabled(flag, { userId: options.verifiedUserId }),
+      { context, profanityProfile: options.profanityProfile }
+    );
+    const guardrails = resolveGuardrails(dataLoader.get('guardrailConfig'), {
+      channel: options.channel,
+      profile: guardrailProfile,
+      context,
+      attachmentStyle
+    });
+    // A guardrail profile may carry its own profanity sensitivity; an explicit user setting wins
+    if (!profanity.sensitivity && guardrails.profanitySensitivity) {
+      profanity.sensitivity = guardrails.profanitySensitivity as ProfanitySensitivity;
+    }
 
     await this.ensureDataLoaded();
 
@@ -807,7 +840,8 @@ class SuggestionsService {
       text,
       toneAnalysisResult ?? null,
       attachmentStyle,
-      context
+      context,
+      profanity
     );
 
     // Normalize tone to 3-bucket family if needed
@@ -822,6 +856,24 @@ class SuggestionsService {
     const intensityScore = analysis.flags.intensityScore;
     const contextLabel = analysis.context?.label || context;
 
+    // Tone bucket dist (from toneKeyNorm), run through the attachment override stages, for
+    // guardrails, ranking and the response header
+    const baseBuckets = this.adviceEngine.resolveToneBucket(toneKeyNorm, contextLabel, intensityScore);
+    const clusterSpans = (analysis.clusters || []).flatMap((c: any) => c.spans || []);
+    const overridden = applyToneOverrides(dataLoader.get('attachmentOverrides'), {
+      style: attachmentStyle,
+      dist: baseBuckets.dist,
+      context: contextLabel,
+      intensity: intensityScore,
+      hasNegation: analysis.flags.hasNegation,
+      hasSarcasm: analysis.flags.hasSarcasm,
+      position: positionSignals(text, clusterSpans),
+      contributions: (analysis.clusters || []).map((c: any) => ({ key: c.key, category: c.category, effect: c.toneEffect }))
+    });
+    const primary = overridden.primary;
+    const dist = overridden.dist as ToneBucketDistribution;
+    const toxicity = guardrailToxicity(guardrails, dist, analysis.profanitySeverity);
+
     // 2) Retrieve (hybrid)
     const pool = await hybridRetrieve(text, contextLabel, toneKeyNorm, 200);
 
@@ -829,7 +881,10 @@ class SuggestionsService {
     const safePool = applyContraindications(pool, analysis.flags);
 
     // 4) Apply comprehensive guardrails and profanity filtering
-    const guardedPool = this.applyAdvancedGuardrails(safePool, text, analysis);
+    const blocked: BlockedSummary = {};
+    const guardedPool = this.applyAdvancedGuardrails(
+      safePool, text, { ...analysis, toneBuckets: { primary, dist } }, profanity, guardrails, toxicity, blocked
+    );
 
     // 5) Attachment personalization
     const personalized = applyAttachmentOverrides(guardedPool, attachmentStyle);
@@ -845,7 +900,8 @@ class SuggestionsService {
       intensityScore,
       phraseEdgeHits: analysis.flags.phraseEdgeHits,
       userPref: dataLoader.get('userPreference'),
-      tier
+      tier,
+      toneDist: dist
     });
 
     // 7) Diversity pick
@@ -857,12 +913,48 @@ class SuggestionsService {
     }
 
     // 8) Calibrate confidence per context
-    const calibrated = picked.map(it => ({ ...it, __calib: calibrate(it.ltrScore || 0.5, contextLabel) }));
+    let calibrated = picked.map(it => ({ ...it, __calib: calibrate(it.ltrScore || 0.5, contextLabel) }));
+
+    // 9) Channel/profile thresholds: below minConfidence or with nothing above fallbackThreshold,
+    //    fall back to the configured pause / reflective / secure-rewrite advice
+    let fallbackReason: 'low_confidence' | 'below_threshold' | null = null;
+    const passing = calibrated.filter(it => guardrailScore(guardrails, it, it.__calib) >= guardrails.fallbackThreshold);
+    if (passing.length < calibrated.length) {
+      const below = calibrated.filter(it => !passing.includes(it));
+      blocked.belowThreshold = {
+        count: below.length,
+        categories: Array.from(new Set(below.flatMap(it => adviceCategories(it))))
+      };
+    }
+    if (analysis.tone.confidence < guardrails.minConfidence) fallbackReason = 'low_confidence';
+    else if (!passing.length && calibrated.length) fallbackReason = 'below_threshold';
+
+    if (fallbackReason) {
+      const { actions, maxPerWindow } = guardrails.fallbacks.belowMinConfidence;
+      const wanted = fallbackCategories(actions);
+      calibrated = ranked
+        .filter(it => adviceCategories(it).some(c => wanted.includes(c)))
+        .slice(0, maxPerWindow)
+        .map(it => ({ ...it, __calib: calibrate(it.ltrScore || 0.5, contextLabel) }));
+      logger.info('Guardrail fallback', { reason: fallbackReason, channel: guardrails.channel, count: calibrated.length });
+    } else {
+      calibrated = passing;
+    }
+    const highToxicity = toxicity >= guardrails.toxicityHighThreshold;
 
-    // 9) Build tone bucket dist for response header (from toneKeyNorm)
-    const { primary, dist } = this.adviceEngine.resolveToneBucket(toneKeyNorm, contextLabel, intensityScore);
+    recordGuardrailDecision({
+      text,
+      entities: analysis.entities,
+      userId,
+      guardrails,
+      toxicity,
+      tone: analysis.tone,
+      blocked,
+      fallback: { triggered: !!fallbackReason, reason: fallbackReason },
+      suggestionCount: calibrated.length
+    });
 
-    // 10) Assemble response (no fallbacks)
+    // 10) Assemble response
     return {
       success: true,
       tier,
@@ -895,7 +987,27 @@ class SuggestionsService {
         clarity_level: this.calculateClarity(text),
         empathy_present: this.detectEmpathy(text),
         potential_triggers: this.identifyTriggers(text),
-        recommended_approach: this.recommendApproach(context, options.conflictLevel || 'low')
+        recommended_approach: this.recommendApproach(context, options.conflictLevel || 'low'),
+        guardrails: {
+          ...guardrails,
+          toxicity,
+          fallback: {
+            triggered: !!fallbackReason,
+            reason: fallbackReason,
+            actions: fallbackReason ? guardrails.fallbacks.belowMinConfidence.actions : highToxicity ? guardrails.fallbacks.highToxicity.actions : []
+          },
+          blockDirectSend: highToxicity && guardrails.fallbacks.highToxicity.blockDirectSend
+        },
+        ...(options.debug ? {
+          attachmentOverrides: {
+            style: overridden.style,
+            input: baseBuckets.dist,
+            trace: overridden.trace,
+            advice: calibrated
+              .filter(it => it.__overrideDeltas)
+              .map(it => ({ id: it.id, ...it.__overrideDeltas }))
+          }
+        } : {})
       },
       metadata: {
         attachmentStyle,
@@ -12,6 +12,14 @@
 import { logger } from '../logger';
 import { dataLoader } from './dataLoader';
 import { processWithSpacy, processWithSpacySync } from './spacyBridge';
+import { applyPlatt, getPlattParams } from './toneCalibration';
+import { resolveToneBuckets } from './toneBuckets';
+import { AppValidationError } from '../middleware/errorHandler';
+import { getProfanityEvaluator, ProfanityOptions, ProfanityResult, ProfanitySensitivity } from './profanity';
+import { resolveGuardrails, autoGuardrailProfile } from './guardrails';
+import { featureFlags } from './featureFlags';
+import { getClusterMatcher, ClusterEvidence, ClusterMatchOptions, ClusterMatchResult } from './semanticClusters';
+import { resolveWeightProfile, ResolvedWeightProfile } from './weightProfiles';
 
 // -----------------------------
 // Types
@@ -44,6 +52,16 @@ export interface AdvancedToneResult {
     relationship_impact: 'positive' | 'neutral' | 'negative';
     suggested_adjustments: string[];
   };
+  profanity?: {
+    severity: number;
+    tone: Bucket | null;
+    terms: string[];
+    fired_rules: string[];
+    sensitivity: ProfanitySensitivity;
+  };
+  evidence?: {
+    clusters: ClusterEvidence[]; // semantic_thesaurus.json clusters with char spans for highlighting
+  };
   attachment_insights?: {
     likely_attachment_response: string;
     triggered_patterns: string[];
@@ -59,6 +77,12 @@ export interface ToneAnalysisOptions {
   includeAttachmentInsights?: boolean;
   deepAnalysis?: boolean;
   isNewUser?: boolean;
+  skipCalibration?: boolean; // raw confidence, for fitting calibration offline
+  profanitySensitivity?: ProfanitySensitivity; // per-user setting; lexicon defaultSensitivity otherwise
+  profanityProfile?: string | null;            // profanity_lexicons.json profiles key (e.g. habitual_swearer)
+  guardrailProfile?: string | null;            // guardrail_config.json profiles key; rollout flags may pick one
+  verifiedUserId?: string;                     // authenticated user id; rollout flags are only evaluated for it
+  weightProfile?: string | null;               // weight_modifiers.json profiles key (see selectWeightProfile)
 }
 
 // -----------------------------
@@ -66,6 +90,18 @@ export interface ToneAnalysisOptions {
 // -----------------------------
 const clamp01 = (x:number)=>Math.max(0,Math.min(1,x));
 
+// Tone label that a weight profile's style_weight lands on (same anchors as the attachment adjustments)
+const STYLE_WEIGHT_ANCHORS: Record<string, string> = {
+  anxious: 'anxious',
+  avoidant: 'frustrated',
+  disorganized: 'anxious',
+  secure: 'supportive',
+};
+
+// Scale of tone_triggerwords.json hits (intensity 0.5–1) in the full analyzer, where one
+// hit has to outweigh the 0.1 neutral/positive/supportive priors
+const TRIGGER_WEIGHT = 0.3;
+
 function softmax3(log: Record<Bucket, number>): Record<Bucket, number> {
   const m = Math.max(log.clear, log.caution, log.alert, 0);
   const ec = Math.exp((log.clear ?? 0) - m);
@@ -81,11 +117,9 @@ function normalize3(d: Record<Bucket, number>): Record<Bucket, number> {
 }
 
 function plattCalibrate(conf: number, ctx: string) {
-  const ev = dataLoader.get('evaluationTones');
   const ls = dataLoader.get('learningSignals');
-  // base Platt
-  const p = ev?.platt?.[ctx] ?? ev?.platt?.general ?? { a: 1, b: 0 };
-  let calibrated = 1 / (1 + Math.exp(-(p.a*conf + p.b)));
+  // base Platt (fitted tone_calibration.json, see toneCalibration.ts)
+  let calibrated = applyPlatt(conf, getPlattParams(ctx));
   // light online adjustment from learning signals (context-wide slope/offset)
   const adj = ls?.plattAdjust?.[ctx] ?? { a: 1, b: 0 };
   calibrated = 1 / (1 + Math.exp(-(adj.a*calibrated + adj.b)));
@@ -96,7 +130,7 @@ function plattCalibrate(conf: number, ctx: string) {
 // spaCy Lite Adapter
 // -----------------------------
 type SpacyLite = {
-  tokens: { text: string; lemma: string; pos: string; i: number }[];
+  tokens: { text: string; lemma: string; pos: string; i: number; start?: number; end?: number }[];
   sents: { start: number; end: number }[];
   negScopes: Array<{ start: number; end: number }>;
   sarcasmCue: boolean;
@@ -112,7 +146,9 @@ async function spacyLite(text: string, hintContext?: string): Promise<SpacyLite>
     text: t.text || '',
     lemma: (t.lemma || t.text || '').toLowerCase(),
     pos: (t.pos || 'X').toUpperCase(),
-    i
+    i,
+    start: t.start,
+    end: t.end
   }));
 
   // Extract negation scopes - using simplified approach since detailed deps may not be available
@@ -148,7 +184,9 @@ function spacyLiteSync(text: string, hintContext?: string): SpacyLite {
     text: t.text || '',
     lemma: (t.lemma || t.text || '').toLowerCase(),
     pos: (t.pos || 'X').toUpperCase(),
-    i
+    i,
+    start: t.start,
+    end: t.end
   }));
 
   // Extract negation scopes - using simplified approach since detailed deps may not be available
@@ -184,7 +222,6 @@ class ToneDetectors {
   private sarcRegexes: RegExp[] = [];
   private edgeRegexes: { re: RegExp, cat: string }[] = [];
   private intensifiers: { re: RegExp, mult: number }[] = [];
-  private profanity: string[] = [];
 
   constructor() {
     // Remove async initialization - will be lazy & sync
@@ -204,7 +241,6 @@ class ToneDetectors {
     const sarc = dataLoader.get('sarcasmIndicators');
     const edges = dataLoader.get('phraseEdges');
     const inten = dataLoader.get('intensityModifiers');
-    const prof  = dataLoader.get('profanityLexicons');
 
     const push = (t: string, bucket: Bucket, w: number) => {
       const L = t.trim().toLowerCase().split(/\s+/).length;
@@ -226,13 +262,11 @@ class ToneDetectors {
     }
 
     const safe = (p: string) => { try { return new RegExp(p, 'i'); } catch { return null; } };
-    (negP?.patterns || negP || []).forEach((p: string) => { const r = safe(String(p)); if (r) this.negRegexes.push(r); });
-    (sarc?.patterns || sarc || []).forEach((p: string) => { const r = safe(String(p)); if (r) this.sarcRegexes.push(r); });
+    patternSources(negP, 'negation_indicators').forEach(p => { const r = safe(p); if (r) this.negRegexes.push(r); });
+    patternSources(sarc, 'sarcasm_indicators').forEach(p => { const r = safe(p); if (r) this.sarcRegexes.push(r); });
     (edges?.edges || edges || []).forEach((e: any) => { const r = safe(e.pattern); if (r) this.edgeRegexes.push({ re: r, cat: e.category || 'edge' }); });
     (inten?.modifiers || inten || []).forEach((m: any) => { const r = safe(m.pattern || m.regex); if (r) this.intensifiers.push({ re: r, mult: m.multiplier ?? m.baseMultiplier ?? 1 }); });
 
-    this.profanity = prof?.block || [];
-
     logger.info(`ToneDetectors initialized with ${this.trigByLen.size} trigger word lengths`);
   }
 
@@ -264,7 +298,6 @@ class ToneDetectors {
     const sarc = dataLoader.get('sarcasmIndicators');
     const edges = dataLoader.get('phraseEdges');
     const inten = dataLoader.get('intensityModifiers');
-    const prof  = dataLoader.get('profanityLexicons');
 
     const push = (t: string, bucket: Bucket, w: number) => {
       const L = t.trim().toLowerCase().split(/\s+/).length;
@@ -286,19 +319,23 @@ class ToneDetectors {
     }
 
     const safe = (p: string) => { try { return new RegExp(p, 'i'); } catch { return null; } };
-    (negP?.patterns || negP || []).forEach((p: string) => { const r = safe(String(p)); if (r) this.negRegexes.push(r); });
-    (sarc?.patterns || sarc || []).forEach((p: string) => { const r = safe(String(p)); if (r) this.sarcRegexes.push(r); });
+    patternSources(negP, 'negation_indicators').forEach(p => { const r = safe(p); if (r) this.negRegexes.push(r); });
+    patternSources(sarc, 'sarcasm_indicators').forEach(p => { const r = safe(p); if (r) this.sarcRegexes.push(r); });
     (edges?.edges || edges || []).forEach((e: any) => { const r = safe(e.pattern); if (r) this.edgeRegexes.push({ re: r, cat: e.category || 'edge' }); });
     (inten?.modifiers || inten || []).forEach((m: any) => { const r = safe(m.pattern || m.regex); if (r) this.intensifiers.push({ re: r, mult: m.multiplier ?? m.baseMultiplier ?? 1 }); });
-
-    this.profanity = prof?.block || [];
   }
 
   hasNegation(text: string) { return this.negRegexes.some(r => r.test(text)); }
   hasSarcasm(text: string) { return this.sarcRegexes.some(r => r.test(text)); }
   edgeHits(text: string) { const out:string[]=[]; for (const {re,cat} of this.edgeRegexes) if (re.test(text)) out.push(cat); return out; }
   intensityBump(text: string) { let bump = 0; for (const {re,mult} of this.intensifiers) if (re.test(text)) bump += (mult - 1); return Math.max(0,bump); }
-  containsProfanity(text: string) { const T = text.toLowerCase(); return this.profanity.some(w => T.includes(w)); }
+  profanity(text: string, options: ProfanityOptions = {}): ProfanityResult {
+    return getProfanityEvaluator(dataLoader.get('profanityLexicons')).evaluate(text, options);
+  }
+  containsProfanity(text: string, options: ProfanityOptions = {}) { return this.profanity(text, options).hasProfanity; }
+  clusters(text: string, options: ClusterMatchOptions = {}): ClusterMatchResult {
+    return getClusterMatcher(dataLoader.get('semanticThesaurus')).match(text, options);
+  }
 }
 
 const detectors = new ToneDetectors();
@@ -312,38 +349,27 @@ function mapBucketsFromJson(
   intensity: number
 ): { primary: Bucket, dist: Record<Bucket, number>, meta: any } {
   const map = dataLoader.get('toneBucketMapping') || dataLoader.get('toneBucketMap');
-  const base = map?.default?.[toneLabel] ?? map?.default?.neutral ?? { clear:0.33,caution:0.34,alert:0.33 };
-  let dist = { ...base };
-
-  const ctx = map?.contextOverrides?.[contextKey]?.[toneLabel];
-  if (ctx) dist = { ...dist, ...ctx };
-
-  const thr = map?.intensityShifts?.thresholds ?? { low:0.15, med:0.35, high:0.60 };
-  const key = intensity >= thr.high ? 'high' : intensity >= thr.med ? 'med' : 'low';
-  const shift = map?.intensityShifts?.[key] ?? {};
-  
-  // Apply intensity shifts to the distribution
-  dist = {
-    clear: Math.max(0,(dist.clear ?? 0)+(shift.clear ?? 0)),
-    caution: Math.max(0,(dist.caution ?? 0)+(shift.caution ?? 0)),
-    alert: Math.max(0,(dist.alert ?? 0)+(shift.alert ?? 0)),
-  };
-
-  const s = dist.clear + dist.caution + dist.alert || 1;
-  const normalizedDist = { clear: dist.clear/s, caution: dist.caution/s, alert: dist.alert/s };
-  const primary = (Object.entries(normalizedDist).sort((a,b)=>b[1]-a[1])[0][0]) as Bucket;
-  return { primary, dist: normalizedDist, meta: { intensity, key } };
+  return resolveToneBuckets(map, { tone: toneLabel, context: contextKey, intensity });
 }
 
 // -----------------------------
 // Realtime Tone Stream
 // -----------------------------
+// Restorable stream state at a token boundary (used to replay after backspace)
+interface ToneStreamCheckpoint {
+  offset: number;
+  lastDist: Record<Bucket, number>;
+  tokens: string[];
+}
+
 export class ToneStream {
   private alpha = 0.6; // EWMA for token updates
   private lastDist: Record<Bucket, number> = { clear:1/3, caution:1/3, alert:1/3 };
   private tokens: string[] = [];
   private sentenceStart = 0;
   private buffer = '';
+  private text = '';
+  private checkpoints: ToneStreamCheckpoint[] = [{ offset: 0, lastDist: { clear:1/3, caution:1/3, alert:1/3 }, tokens: [] }];
   private contextKey: string;
   private attachmentStyle: string;
 
@@ -353,16 +379,55 @@ export class ToneStream {
   }
 
   feedChar(ch: string) {
+    this.text += ch;
     this.buffer += ch;
+    let finalized: Record<Bucket, number> | null = null;
     if (/\s/.test(ch)) {
       const t = this.buffer.trim();
       if (t) this._fastToken(t);
       this.buffer = '';
     }
     if (/[.!?]/.test(ch)) {
-      return this.finalizeSentence();
+      finalized = this.finalizeSentence();
+    }
+    // Empty buffer = token boundary: remember the state so deletions only replay from here
+    if (!this.buffer) this._checkpoint();
+    return finalized;
+  }
+
+  /** Append a chunk of typed/pasted text; true when a sentence was finalized. */
+  append(chunk: string): boolean {
+    let finalized = false;
+    for (const ch of chunk) {
+      if (this.feedChar(ch)) finalized = true;
+    }
+    return finalized;
+  }
+
+  /**
+   * Remove `count` characters from the end (backspace). Restores the last checkpoint at or
+   * before the new end and replays the remainder, so the distribution matches what typing
+   * the shortened text from scratch would have produced.
+   */
+  deleteBackward(count: number) {
+    if (count <= 0 || !this.text) return;
+    const target = this.text.slice(0, Math.max(0, this.text.length - count));
+    while (this.checkpoints.length > 1 && this.checkpoints[this.checkpoints.length - 1].offset > target.length) {
+      this.checkpoints.pop();
     }
-    return null;
+    const cp = this.checkpoints[this.checkpoints.length - 1];
+    this.lastDist = { ...cp.lastDist };
+    this.tokens = [...cp.tokens];
+    this.buffer = '';
+    this.text = target.slice(0, cp.offset);
+    for (const ch of target.slice(cp.offset)) this.feedChar(ch);
+  }
+
+  private _checkpoint() {
+    const top = this.checkpoints[this.checkpoints.length - 1];
+    const snap = { offset: this.text.length, lastDist: { ...this.lastDist }, tokens: [...this.tokens] };
+    if (top.offset === snap.offset) this.checkpoints[this.checkpoints.length - 1] = snap;
+    else this.checkpoints.push(snap);
   }
 
   private _fastToken(token: string) {
@@ -377,8 +442,13 @@ export class ToneStream {
     const bump = detectors.intensityBump(txt);
     log.alert += bump * 0.6; log.caution += bump * 0.2;
 
-    // Guardrail: profanity instantly nudges toward alert
-    if (detectors.containsProfanity(txt)) { log.alert += 0.5; log.clear -= 0.1; }
+    // Guardrail: profanity nudges toward its (rule-adjusted) bucket, scaled by severity
+    const prof = detectors.profanity(txt, { attachmentStyle: this.attachmentStyle });
+    if (prof.hasProfanity) {
+      const s = Math.min(1.5, prof.severity);
+      if (prof.tone === 'alert') { log.alert += 0.5 * s; log.clear -= 0.1 * s; }
+      else { log.caution += 0.5 * s; }
+    }
 
     const dist = softmax3(log);
     this.lastDist = normalize3({
@@ -389,7 +459,10 @@ export class ToneStream {
   }
 
   private finalizeSentence() {
-    if (this.tokens.length === 0) return;
+    // The word before the terminator is still buffered: score it before closing the sentence
+    const pending = this.buffer.replace(/[.!?]+$/, '').trim();
+    if (pending) { this._fastToken(pending); this.buffer = ''; }
+    if (this.tokens.length === 0) return null;
     const win = this.tokens.slice(Math.max(0, this.tokens.length - 8));
     const hits = detectors.scanSurface(win);
 
@@ -400,8 +473,13 @@ export class ToneStream {
     const bump = detectors.intensityBump(txt);
     log.alert += bump * 0.6; log.caution += bump * 0.2;
 
-    // Guardrail: profanity instantly nudges toward alert
-    if (detectors.containsProfanity(txt)) { log.alert += 0.5; log.clear -= 0.1; }
+    // Guardrail: profanity nudges toward its (rule-adjusted) bucket, scaled by severity
+    const prof = detectors.profanity(txt, { attachmentStyle: this.attachmentStyle });
+    if (prof.hasProfanity) {
+      const s = Math.min(1.5, prof.severity);
+      if (prof.tone === 'alert') { log.alert += 0.5 * s; log.clear -= 0.1 * s; }
+      else { log.caution += 0.5 * s; }
+    }
 
     const dist = softmax3(log);
     this.lastDist = normalize3({
@@ -411,21 +489,183 @@ export class ToneStream {
     });
 
     this.tokens = [];
+    return this.getCurrent();
   }
 
   getCurrent() { return { ...this.lastDist }; }
+  getText() { return this.text; }
+  getContext() { return { contextKey: this.contextKey, attachmentStyle: this.attachmentStyle }; }
+}
+
+export const TONE_STREAM_MAX_CHARS = 5000;
+
+/** One keyboard edit: `deleteCount` backspaces, then `append`. `text` replaces the whole field (resync). */
+export interface ToneStreamDelta {
+  sessionId?: string | null;
+  seq?: number;
+  deleteCount?: number;
+  append?: string;
+  text?: string;
+  reset?: boolean;
+  context?: string;
+  attachmentStyle?: string;
+}
+
+export interface ToneStreamUpdate {
+  distribution: Record<Bucket, number>;
+  primary: Bucket;
+  textLength: number;
+  seq: number;
+  created: boolean;
+  applied: boolean;
+  resyncRequired: boolean;
+  sentenceFinalized: boolean;
+}
+
+export interface ToneLiveSession {
+  stream: ToneStream;
+  sessionId: string | null;
+  seq: number;
+  lastSeen: number;
 }
 
+/**
+ * Per-field ToneStreams for the keystroke endpoint. Keys are `${userId}:${fieldId}`; a new
+ * sessionId for the same key starts a fresh stream. Idle sessions expire after `ttlMs`
+ * and the oldest are dropped beyond `maxSessions` (Map order doubles as LRU order).
+ */
 export class ToneLiveController {
-  private map = new Map<string, ToneStream>();
+  private map = new Map<string, ToneLiveSession>();
+  private ttlMs: number;
+  private maxSessions: number;
+
+  constructor(options: { ttlMs?: number; maxSessions?: number } = {}) {
+    this.ttlMs = options.ttlMs ?? 10 * 60 * 1000;
+    this.maxSessions = options.maxSessions ?? 5000;
+  }
+
   get(fieldId: string, context='general', style='secure') {
-    if (!this.map.has(fieldId)) this.map.set(fieldId, new ToneStream(context, style));
-    return this.map.get(fieldId)!;
+    return this.session(fieldId, { context, style }).session.stream;
   }
+
+  session(
+    key: string,
+    options: { sessionId?: string | null; context?: string; style?: string; now?: number } = {}
+  ): { session: ToneLiveSession; created: boolean } {
+    const now = options.now ?? Date.now();
+    this.evictExpired(now);
+
+    let session = this.map.get(key);
+    const stale = session && options.sessionId != null && session.sessionId !== options.sessionId;
+    const created = !session || !!stale;
+    if (created) {
+      session = {
+        stream: new ToneStream(options.context || 'general', options.style || 'secure'),
+        sessionId: options.sessionId ?? null,
+        seq: 0,
+        lastSeen: now
+      };
+    }
+    // Re-insert so the Map stays ordered by last use
+    this.map.delete(key);
+    session!.lastSeen = now;
+    this.map.set(key, session!);
+
+    while (this.map.size > this.maxSessions) {
+      this.map.delete(this.map.keys().next().value as string);
+    }
+    return { session: session!, created };
+  }
+
+  /**
+   * Apply a delta to the session at `key`. Deltas carry a client sequence number: a repeat
+   * of the last seq is ignored (retry), a gap — including a session the server already
+   * evicted — is not applied and asks the client to resend the full `text`.
+   */
+  applyDelta(key: string, delta: ToneStreamDelta, now: number = Date.now()): ToneStreamUpdate {
+    const { session, created } = this.session(key, {
+      sessionId: delta.sessionId,
+      context: delta.context,
+      style: delta.attachmentStyle,
+      now
+    });
+
+    let applied = false;
+    let resyncRequired = false;
+    let sentenceFinalized = false;
+
+    if (typeof delta.text === 'string' || delta.reset) {
+      const text = delta.text ?? '';
+      if (text.length > TONE_STREAM_MAX_CHARS) {
+        throw new AppValidationError(`Streamed text cannot exceed ${TONE_STREAM_MAX_CHARS} characters`);
+      }
+      session.stream = new ToneStream(delta.context || 'general', delta.attachmentStyle || 'secure');
+      sentenceFinalized = session.stream.append(text);
+      session.seq = delta.seq ?? session.seq + 1;
+      applied = true;
+    } else {
+      const seq = delta.seq ?? session.seq + 1;
+      if (!created && seq <= session.seq) {
+        // duplicate delivery of an applied delta
+      } else if (seq > session.seq + 1) {
+        resyncRequired = true;
+      } else {
+        const deleteCount = Math.max(0, delta.deleteCount || 0);
+        const append = delta.append || '';
+        const projected = Math.max(0, session.stream.getText().length - deleteCount) + append.length;
+        if (projected > TONE_STREAM_MAX_CHARS) {
+          throw new AppValidationError(`Streamed text cannot exceed ${TONE_STREAM_MAX_CHARS} characters`);
+        }
+        session.stream.deleteBackward(deleteCount);
+        sentenceFinalized = session.stream.append(append);
+        session.seq = seq;
+        applied = true;
+      }
+    }
+
+    const distribution = session.stream.getCurrent();
+    const primary = (Object.entries(distribution).sort((a, b) => b[1] - a[1])[0][0]) as Bucket;
+    return {
+      distribution,
+      primary,
+      textLength: session.stream.getText().length,
+      seq: session.seq,
+      created,
+      applied,
+      resyncRequired,
+      sentenceFinalized
+    };
+  }
+
   reset(fieldId: string) { this.map.delete(fieldId); }
+
+  /** Drop sessions idle for longer than the TTL; returns how many were evicted. */
+  evictExpired(now: number = Date.now()): number {
+    let evicted = 0;
+    for (const [key, s] of this.map) {
+      if (now - s.lastSeen <= this.ttlMs) break;
+      this.map.delete(key);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  get size() { return this.map.size; }
 }
 export const toneLive = new ToneLiveController();
 
+// Indicator files ship as { version, <listKey>: [{ pattern, ... }] }; older ones as { patterns: string[] }
+function patternSources(src: any, listKey: string): string[] {
+  const list = Array.isArray(src) ? src : (src?.patterns || src?.[listKey] || []);
+  return (Array.isArray(list) ? list : [])
+    .map((p: any) => (typeof p === 'string' ? p : p?.pattern))
+    .filter((p: any): p is string => typeof p === 'string' && p.length > 0);
+}
+
+function safeTest(pattern: string, text: string): boolean {
+  try { return new RegExp(pattern, 'i').test(text); } catch { return false; }
+}
+
 // -----------------------------
 // Feature Extractor (JSON-aware)
 // -----------------------------
@@ -455,7 +695,7 @@ class AdvancedFeatureExtractor {
     // emotions
     for (const [emo, list] of Object.entries(this.emotionalLex)) {
       let hits = 0; (list as string[]).forEach(k => { if (T.includes(k)) hits++; });
-      features[`emo_${emo}`] = hits / Math.max(1, (list as string[]).length);
+      features[`emo_${emo}`] = Math.min(1, hits / 2);
     }
 
     // simple counts
@@ -501,8 +741,8 @@ class AdvancedFeatureExtractor {
     // negation/sarcasm regex fallback (spaCy will refine later)
     const neg = dataLoader.get('negationPatterns') || dataLoader.get('negationIndicators');
     const sar = dataLoader.get('sarcasmIndicators');
-    const hasNeg = (neg?.patterns || neg || []).some((p:string)=>new RegExp(p,'i').test(text));
-    const hasSarc = (sar?.patterns || sar || []).some((p:string)=>new RegExp(p,'i').test(text));
+    const hasNeg = patternSources(neg, 'negation_indicators').some(p => safeTest(p, text));
+    const hasSarc = patternSources(sar, 'sarcasm_indicators').some(p => safeTest(p, text));
     features.neg_present = hasNeg ? 0.3 : 0;
     features.sarc_present = hasSarc ? 0.3 : 0;
 
@@ -543,26 +783,20 @@ export class ToneAnalysisService {
     }
   }
 
-  private _weights(context: string) {
-    const W = {
-      emo: 0.40, ctx: 0.20, attach: 0.15, ling: 0.15, intensity: 0.10,
-      negPenalty: 0.15, sarcPenalty: 0.18, absolutesBoost: 0.06
+  // Base component weights scaled by the weight profile's multipliers (weight_modifiers.json)
+  private _weights(profile: ResolvedWeightProfile) {
+    const m = profile.multipliers;
+    return {
+      emo: 0.40 * m.trigger, ctx: 0.20, attach: 0.15, ling: 0.15, intensity: 0.10,
+      negPenalty: 0.15, sarcPenalty: 0.18, absolutesBoost: 0.06 * m.pattern,
+      context: m.context, intensityScale: m.intensity, negation: m.negation, sarcasm: m.sarcasm
     };
-    const mods = dataLoader.get('weightModifiers')?.byContext?.[context];
-    if (mods) {
-      // Allow additive overrides for transparency/simplicity
-      for (const [k,v] of Object.entries(mods)) {
-        if ((W as any)[k] !== undefined && typeof v === 'number') {
-          (W as any)[k] = (W as any)[k] + v;
-        }
-      }
-    }
-    return W;
   }
 
-  private _scoreTones(fr: any, text: string, attachmentStyle: string, contextHint: string) {
+  private _scoreTones(fr: any, text: string, attachmentStyle: string, contextHint: string, profanityOptions: ProfanityOptions = {}, clusters?: ClusterMatchResult, weightProfile?: string | null) {
     const f = fr.features || {};
-    const W = this._weights(contextHint);
+    const profile = resolveWeightProfile(dataLoader.get('weightModifiers'), weightProfile, { context: contextHint, attachmentStyle });
+    const W = this._weights(profile);
     const out: any = { 
       neutral: 0.1, positive: 0.1, supportive: 0.1, 
       anxious: 0, angry: 0, frustrated: 0, sad: 0, assertive: 0 
@@ -577,9 +811,9 @@ export class ToneAnalysisService {
 
     // Context cues
     const ctx = (contextHint || 'general').toLowerCase();
-    if (ctx === 'conflict') { out.angry += 0.25; out.frustrated += 0.20; }
-    if (ctx === 'planning') { out.assertive += 0.12; out.neutral += 0.08; }
-    if (ctx === 'repair')   { out.supportive += 0.18; }
+    if (ctx === 'conflict') { out.angry += 0.25 * W.context; out.frustrated += 0.20 * W.context; }
+    if (ctx === 'planning') { out.assertive += 0.12 * W.context; out.neutral += 0.08 * W.context; }
+    if (ctx === 'repair')   { out.supportive += 0.18 * W.context; }
 
     // Linguistic (absolutes & modals tilt toward confront/defend)
     out.angry     += Math.min(0.25, (f.lng_absolutes || 0) * (W.absolutesBoost ?? 0.06));
@@ -591,20 +825,20 @@ export class ToneAnalysisService {
     if (attachmentStyle === 'secure')   { out.supportive += (f.attach_secure || 0) * 0.25; }
 
     // Intensity (punctuation, caps, elongation, modifiers)
-    const intensity = clamp01(
+    const intensity = clamp01((
       (f.int_q || 0) * 0.05 + 
       (f.int_exc || 0) * 0.08 + 
       (f.int_caps_ratio || 0) * 0.8 + 
       (f.int_elong || 0) * 0.08 + 
       (f.int_modscore || 0)
-    );
+    ) * W.intensityScale);
     out.angry      += intensity * (0.35 + (W.intensity ?? 0)*0.1); 
     out.frustrated += intensity * 0.25; 
     out.supportive -= intensity * 0.05;
 
     // Negation/sarcasm penalties
-    const neg = f.neg_present || 0;
-    const sar = f.sarc_present || 0;
+    const neg = (f.neg_present || 0) * W.negation;
+    const sar = (f.sarc_present || 0) * W.sarcasm;
     out.supportive -= sar * (W.sarcPenalty ?? 0.18); 
     out.positive   -= sar * ((W.sarcPenalty ?? 0.18) * 0.6);
     out.angry      += sar * 0.12; 
@@ -618,11 +852,39 @@ export class ToneAnalysisService {
     if (edgeHits.includes('rupture')) { out.angry += 0.25; out.frustrated += 0.15; }
     if (edgeHits.includes('repair'))  { out.supportive += 0.22; }
 
-    // Profanity guardrail: push toward alert and dampen supportive
-    if (detectors.containsProfanity(text)) { out.angry += 0.3; out.supportive = Math.max(0, out.supportive - 0.2); }
+    // Profanity guardrail: severity-weighted push toward anger (or frustration when rules de-escalate)
+    const prof = detectors.profanity(text, { ...profanityOptions, attachmentStyle, intensity });
+    if (prof.hasProfanity) {
+      const s = Math.min(1.5, prof.severity);
+      if (prof.tone === 'alert') out.angry += 0.3 * s; else out.frustrated += 0.3 * s;
+      out.supportive = Math.max(0, out.supportive - 0.2 * Math.min(1, s));
+    }
+
+    // Trigger words (the keystroke stream's lexicon) on the same bucket anchors as the clusters
+    const words = text.toLowerCase().replace(/[\u2018\u2019]/g, "'").match(/[a-z0-9']+/g) || [];
+    for (const hit of detectors.scanSurface(words)) {
+      const w = hit.weight * TRIGGER_WEIGHT;
+      if (hit.bucket === 'alert') out.angry += w;
+      else if (hit.bucket === 'caution') out.anxious += w;
+      else out.supportive += w;
+    }
+
+    // Semantic clusters: each fired cluster's bucket effect lands on that bucket's anchor label
+    for (const c of clusters?.clusters || []) {
+      out.angry      += c.toneEffect.alert;
+      out.anxious    += c.toneEffect.caution;
+      out.supportive += c.toneEffect.clear;
+    }
+
+    // Weight profile sums (mul_then_sum: after the multiplied components), on the same anchors
+    out.angry      += profile.toneWeight.alert;
+    out.anxious    += profile.toneWeight.caution;
+    out.supportive += profile.toneWeight.clear;
+    const styleAnchor = STYLE_WEIGHT_ANCHORS[attachmentStyle];
+    if (styleAnchor) out[styleAnchor] += profile.styleWeight;
 
     for (const k of Object.keys(out)) out[k] = Math.max(0, out[k]);
-    return { scores: out, intensity };
+    return { scores: out, intensity, profanity: prof };
   }
 
   private _softmaxScores(scores: any) {
@@ -689,6 +951,17 @@ export class ToneAnalysisService {
     return 'neutral';
   }
 
+  /** Profanity sensitivity carried by the user's (or rollout-selected) guardrail profile, if any. */
+  private _guardrailSensitivity(options: ToneAnalysisOptions): ProfanitySensitivity | undefined {
+    const profile = options.guardrailProfile || autoGuardrailProfile(
+      flag => featureFlags.isEnabled(flag, { userId: options.verifiedUserId }),
+      { context: options.context, profanityProfile: options.profanityProfile }
+    );
+    if (!profile) return undefined;
+    const g = resolveGuardrails(dataLoader.get('guardrailConfig'), { profile, context: options.context });
+    return (g.profanitySensitivity as ProfanitySensitivity) || undefined;
+  }
+
   async analyzeAdvancedTone(text: string, options: ToneAnalysisOptions = { context: 'general' }): Promise<AdvancedToneResult> {
     try {
       this.ensureDataLoaded();
@@ -711,7 +984,11 @@ export class ToneAnalysisService {
       const caps = (text.match(/[A-Z]{2,}/g)||[]).length * 0.12;
 
       // Score
-      const { scores, intensity: baseIntensity } = this._scoreTones(fr, text, style, doc.contextLabel || options.context || 'general');
+      const clusters = detectors.clusters(text, { tokens: doc.tokens, attachmentStyle: style });
+      const { scores, intensity: baseIntensity, profanity } = this._scoreTones(fr, text, style, doc.contextLabel || options.context || 'general', {
+        sensitivity: options.profanitySensitivity || this._guardrailSensitivity(options),
+        profile: options.profanityProfile
+      }, clusters, options.weightProfile);
       const intensity = clamp01(baseIntensity + advBump + excl + q + caps);
 
       // Softmax
@@ -733,7 +1010,9 @@ export class ToneAnalysisService {
       }
 
       // Confidence calibration (Platt + learningSignals adjustment)
-      confidence = plattCalibrate(confidence, doc.contextLabel || options.context || 'general');
+      if (!options.skipCalibration) {
+        confidence = plattCalibrate(confidence, doc.contextLabel || options.context || 'general');
+      }
 
       // Adjust for new users: reduce confidence to encourage learning
       if (options.isNewUser) {
@@ -771,8 +1050,19 @@ export class ToneAnalysisService {
           relationship_impact: sentiment_score > 0.2 ? 'positive' : sentiment_score < -0.2 ? 'negative' : 'neutral',
           suggested_adjustments: emotions.anger > 0.4 ? ['Consider softening the tone'] : []
         },
+        evidence: { clusters: clusters.clusters },
       };
 
+      if (profanity.hits.length) {
+        result.profanity = {
+          severity: profanity.severity,
+          tone: profanity.tone,
+          terms: profanity.hits.map(h => h.term),
+          fired_rules: profanity.firedRules,
+          sensitivity: profanity.sensitivity
+        };
+      }
+
       if (options.includeAttachmentInsights) {
         result.attachment_insights = {
           likely_attachment_response: style,
@@ -843,45 +1133,25 @@ export function mapToneToBuckets(
     data = loadAllData(config.dataDir);
   }
   
-  const bucketMap = data.toneBucketMap || {};
-  const defaultBuckets = bucketMap.default || {};
-  const contextOverrides = bucketMap.contextOverrides || {};
-  const intensityShifts = bucketMap.intensityShifts || {};
-  
   const tone = toneResult.classification || toneResult.tone?.classification || toneResult.primary_tone || 'neutral';
   const confidence = toneResult.confidence || toneResult.tone?.confidence || 0.5;
-  
-  // Get base bucket probabilities
-  let buckets = { clear: 0.5, caution: 0.3, alert: 0.2 };
-  if (defaultBuckets[tone]) buckets = { ...defaultBuckets[tone] };
-  
-  // Apply context overrides if available
-  if (contextOverrides[contextKey] && contextOverrides[contextKey][tone]) {
-    buckets = { ...buckets, ...contextOverrides[contextKey][tone] };
-  }
-  
-  // Apply intensity shifts based on confidence (proxy)
-  const thresholds = intensityShifts.thresholds || { low: 0.15, med: 0.35, high: 0.60 };
-  let intensityLevel: 'low'|'med'|'high' = 'med';
-  if (confidence < thresholds.low) intensityLevel = 'low';
-  else if (confidence > thresholds.high) intensityLevel = 'high';
-  
-  const shifts = intensityShifts[intensityLevel] || {};
-  for (const [bucket, shift] of Object.entries(shifts)) {
-    if ((buckets as any)[bucket] !== undefined) {
-      (buckets as any)[bucket] = Math.max(0, Math.min(1, (buckets as any)[bucket] + (shift as number)));
-    }
-  }
-  
-  // Normalize
-  const total = Object.values(buckets).reduce((sum, val) => sum + (val as number), 0);
-  if (total > 0) {
-    (['clear','caution','alert'] as Bucket[]).forEach(b => (buckets as any)[b] = (buckets as any)[b] / total);
-  }
-  
+  // Analyzer results carry intensity; bare { classification, confidence } inputs use confidence as the proxy
+  const intensity = typeof toneResult.intensity === 'number' ? toneResult.intensity : confidence;
+
+  const { dist, meta } = resolveToneBuckets(data.toneBucketMap, {
+    tone, confidence, intensity, context: contextKey, attachmentStyle
+  });
+  const buckets = { ...dist };
+
   return {
     buckets,
-    metadata: { tone, confidence, attachmentStyle, contextKey, intensityLevel }
+    metadata: {
+      tone, confidence, attachmentStyle, contextKey, intensity,
+      category: meta.category,
+      homeBucket: meta.homeBucket,
+      lowConfidence: meta.lowConfidence,
+      suggestionBuckets: meta.suggestionBuckets
+    }
   };
 }
 
@@ -928,9 +1198,16 @@ export function createToneAnalyzer(config: any = {}): any {
 export class MLAdvancedToneAnalyzer {
   private cfg: any;
   constructor(config: any = {}) { this.cfg = config; }
-  async analyzeTone(text: string, attachmentStyle: string = 'secure', contextHint: string = 'general', tier: string = 'general') {
+  async analyzeTone(
+    text: string,
+    attachmentStyle: string = 'secure',
+    contextHint: string = 'general',
+    tier: string = 'general',
+    extra: Partial<ToneAnalysisOptions> = {}
+  ) {
     try {
       const res = await toneAnalysisService.analyzeAdvancedTone(text, {
+        ...extra,
         context: contextHint,
         attachmentStyle,
         includeAttachmentInsights: tier === 'premium'
@@ -941,6 +1218,8 @@ export class MLAdvancedToneAnalyzer {
         scores: res.emotions,
         distribution: res.emotions,
         features: { count: Object.keys(res.linguistic_features || {}).length, bundle: res.linguistic_features },
+        profanity: res.profanity,
+        evidence: res.evidence,
         metadata: { attachmentStyle, context: contextHint, tier, timestamp: new Date().toISOString() }
       };
     } catch (error:any) {
@@ -0,0 +1,187 @@
+// api/_lib/services/toneBuckets.ts
+/**
+ * Tone label → clear/caution/alert distribution, driven by data/tone_bucket_mapping.json.
+ *
+ * Each analyzer label (angry, anxious, supportive, ...) resolves to a category listed under
+ * exactly one toneBuckets.<bucket>.categories — its home bucket. From there:
+ *   - mass is spread by distance on the clear → caution → alert scale (HOME_SPREAD),
+ *   - each bucket grows with message intensity by its intensityFactor,
+ *   - a bucket that defines contextBoosts for the current context is boosted by their sum,
+ *   - confidence below the home bucket's confidenceThreshold flattens toward uniform.
+ * The same file supplies the weighted suggestion buckets (with attachment and context tuning).
+ */
+
+import type { SuggestionBucketRef, ToneBucketKey, ToneBucketMappingFile } from '../schemas/toneBucketMapping';
+import { TONE_BUCKET_KEYS } from '../schemas/toneBucketMapping';
+
+export type ToneBucketDist = Record<ToneBucketKey, number>;
+
+// Analyzer labels → category names used in the mapping file
+export const TONE_LABEL_CATEGORIES: Record<string, string> = {
+  neutral: 'neutral',
+  positive: 'warmth',
+  supportive: 'warmth',
+  assertive: 'assertiveness',
+  confident: 'assertiveness',
+  tentative: 'uncertainty',
+  anxious: 'worry',
+  sad: 'sadness',
+  frustrated: 'frustration',
+  angry: 'anger',
+  negative: 'anger',
+  safety_concern: 'safety',
+};
+
+// Relative mass at distance 0 / 1 / 2 from the home bucket
+const HOME_SPREAD = [1, 0.3, 0.08];
+// intensityFactor is applied as factor^(INTENSITY_GAIN × intensity)
+const INTENSITY_GAIN = 4;
+
+/** Used when tone_bucket_mapping.json is missing or predates the toneBuckets schema. */
+export const FALLBACK_TONE_BUCKET_MAPPING: ToneBucketMappingFile = {
+  version: 'fallback',
+  defaultBucket: 'general_support',
+  toneBuckets: {
+    clear: {
+      confidenceThreshold: 0.15,
+      intensityFactor: 1,
+      categories: ['neutral', 'warmth', 'praise', 'playful', 'assertiveness'],
+      suggestionBuckets: [{ id: 'general_support', weight: 1 }],
+    },
+    caution: {
+      confidenceThreshold: 0.2,
+      intensityFactor: 1.1,
+      categories: ['worry', 'uncertainty', 'jealousy', 'comparison', 'frustration', 'sadness'],
+      suggestionBuckets: [{ id: 'general_support', weight: 1 }],
+    },
+    alert: {
+      confidenceThreshold: 0.25,
+      intensityFactor: 1.2,
+      categories: ['conflict', 'rupture', 'anger', 'shutdown', 'safety'],
+      suggestionBuckets: [{ id: 'general_support', weight: 1 }],
+    },
+  },
+  bucketDefinitions: {
+    general_support: { description: 'General communication support', adviceTags: ['general'], rewriteStyles: ['gentle_tone'] },
+  },
+};
+
+export interface ToneBucketInput {
+  tone: string;
+  confidence?: number;
+  intensity?: number;
+  context?: string;
+  attachmentStyle?: string;
+}
+
+export interface ToneBucketResolution {
+  primary: ToneBucketKey;
+  dist: ToneBucketDist;
+  meta: {
+    tone: string;
+    category: string;
+    homeBucket: ToneBucketKey;
+    matched: boolean;
+    intensity: number;
+    contextBoost: number;
+    lowConfidence: boolean;
+    suggestionBuckets: SuggestionBucketRef[];
+  };
+}
+
+function usableMapping(map: any): ToneBucketMappingFile {
+  return TONE_BUCKET_KEYS.every(k => Array.isArray(map?.toneBuckets?.[k]?.categories)) ? map : FALLBACK_TONE_BUCKET_MAPPING;
+}
+
+function sumBoosts(boosts: Record<string, number> | undefined): number {
+  return Object.values(boosts || {}).reduce((s, v) => s + (Number(v) || 0), 0);
+}
+
+/** Home bucket for a tone label; bucket names themselves map to their own bucket. */
+export function homeBucketFor(map: any, tone: string): { bucket: ToneBucketKey; category: string; matched: boolean } {
+  const label = String(tone || 'neutral').toLowerCase();
+  if ((TONE_BUCKET_KEYS as readonly string[]).includes(label)) {
+    return { bucket: label as ToneBucketKey, category: label, matched: true };
+  }
+  const m = usableMapping(map);
+  const category = TONE_LABEL_CATEGORIES[label] ?? label;
+  const bucket = TONE_BUCKET_KEYS.find(k => m.toneBuckets[k].categories.includes(category));
+  if (bucket) return { bucket, category, matched: true };
+
+  const neutral = TONE_BUCKET_KEYS.find(k => m.toneBuckets[k].categories.includes('neutral')) ?? 'clear';
+  return { bucket: neutral, category, matched: false };
+}
+
+/** Weighted suggestion buckets for a tone bucket, with attachment overrides and context boosts merged in. */
+export function suggestionBucketsFor(
+  map: any,
+  bucket: ToneBucketKey,
+  options: { attachmentStyle?: string; context?: string } = {}
+): SuggestionBucketRef[] {
+  const m = usableMapping(map);
+  const cfg = m.toneBuckets[bucket];
+  const weights = new Map<string, number>();
+  const add = (id: string, w: number) => weights.set(id, (weights.get(id) || 0) + w);
+
+  for (const ref of cfg.suggestionBuckets || []) add(ref.id, ref.weight);
+  if (options.attachmentStyle) {
+    for (const ref of cfg.attachmentOverrides?.[options.attachmentStyle] || []) add(ref.id, ref.weight);
+  }
+  if (options.context) {
+    for (const [id, boost] of Object.entries(cfg.contextBoosts?.[options.context] || {})) add(id, boost);
+  }
+  if (!weights.size) add(m.defaultBucket, 1);
+
+  return Array.from(weights.entries())
+    .map(([id, weight]) => ({ id, weight: Math.round(weight * 1000) / 1000 }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+export function resolveToneBuckets(map: any, input: ToneBucketInput): ToneBucketResolution {
+  const m = usableMapping(map);
+  const intensity = Math.max(0, Math.min(1, Number(input.intensity) || 0));
+  const confidence = typeof input.confidence === 'number' ? input.confidence : 1;
+  const context = input.context || 'general';
+  const home = homeBucketFor(m, input.tone);
+  const homeIdx = TONE_BUCKET_KEYS.indexOf(home.bucket);
+
+  const weights = {} as ToneBucketDist;
+  let contextBoost = 0;
+  TONE_BUCKET_KEYS.forEach((key, idx) => {
+    const cfg = m.toneBuckets[key];
+    const boost = sumBoosts(cfg.contextBoosts?.[context]);
+    if (key === home.bucket) contextBoost = boost;
+    weights[key] = HOME_SPREAD[Math.abs(idx - homeIdx)]
+      * Math.pow(cfg.intensityFactor || 1, INTENSITY_GAIN * intensity)
+      * (1 + boost);
+  });
+
+  const total = TONE_BUCKET_KEYS.reduce((s, k) => s + weights[k], 0) || 1;
+  let dist = {} as ToneBucketDist;
+  for (const k of TONE_BUCKET_KEYS) dist[k] = weights[k] / total;
+
+  const threshold = m.toneBuckets[home.bucket].confidenceThreshold;
+  const lowConfidence = confidence < threshold;
+  if (lowConfidence) {
+    const t = threshold > 0 ? Math.max(0, confidence) / threshold : 1;
+    const flattened = {} as ToneBucketDist;
+    for (const k of TONE_BUCKET_KEYS) flattened[k] = t * dist[k] + (1 - t) / TONE_BUCKET_KEYS.length;
+    dist = flattened;
+  }
+
+  const primary = TONE_BUCKET_KEYS.reduce((best, k) => (dist[k] > dist[best] ? k : best), TONE_BUCKET_KEYS[0]);
+  return {
+    primary,
+    dist,
+    meta: {
+      tone: input.tone,
+      category: home.category,
+      homeBucket: home.bucket,
+      matched: home.matched,
+      intensity,
+      contextBoost,
+      lowConfidence,
+      suggestionBuckets: suggestionBucketsFor(m, primary, { attachmentStyle: input.attachmentStyle, context }),
+    },
+  };
+}
@@ -0,0 +1,109 @@
+// api/_lib/services/toneCalibration.ts
+/**
+ * Platt calibration for tone confidence.
+ *
+ * data/tone_calibration.json holds per-context sigmoid parameters fitted by
+ * `npm run calibrate:tone` (scripts/fit-calibration.ts) from evaluation_tones.json:
+ *
+ *   { "version": 3, "fittedAt": "...", "method": "platt-map",
+ *     "contexts": { "general": { "a": 2.1, "b": -1.3, "n": 431 }, "jealousy": { ... } } }
+ *
+ * A context without its own entry uses `general`. When no calibration file is present the
+ * legacy evaluationTones.platt table is consulted, then the { a: 1, b: 0 } default.
+ */
+
+import { dataLoader } from './dataLoader';
+
+export interface PlattParams {
+  a: number;
+  b: number;
+}
+
+export interface FittedContext extends PlattParams {
+  n: number;
+  positives: number;
+  nllBefore?: number;
+  nllAfter?: number;
+}
+
+export interface ToneCalibrationFile {
+  version: number;
+  fittedAt: string;
+  method: string;
+  source?: { file: string; datasetVersion: string | null; examples: number; groupBy: string };
+  contexts: Record<string, FittedContext>;
+}
+
+export const DEFAULT_PLATT: PlattParams = { a: 1, b: 0 };
+
+export function applyPlatt(conf: number, p: PlattParams): number {
+  return 1 / (1 + Math.exp(-(p.a * conf + p.b)));
+}
+
+/** Parameters for a context label: fitted file → legacy evaluationTones.platt → default. */
+export function getPlattParams(ctx: string): PlattParams {
+  const fitted: ToneCalibrationFile | null = dataLoader.get('toneCalibration');
+  const fromFile = fitted?.contexts?.[ctx] ?? fitted?.contexts?.general;
+  if (fromFile) return { a: fromFile.a, b: fromFile.b };
+
+  const legacy = dataLoader.get('evaluationTones')?.platt;
+  return legacy?.[ctx] ?? legacy?.general ?? DEFAULT_PLATT;
+}
+
+/** Mean negative log-likelihood of labels under calibrated probabilities. */
+export function logLoss(points: Array<{ x: number; y: number }>, p: PlattParams): number {
+  if (!points.length) return 0;
+  const eps = 1e-9;
+  let sum = 0;
+  for (const { x, y } of points) {
+    const q = Math.min(1 - eps, Math.max(eps, applyPlatt(x, p)));
+    sum += -(y * Math.log(q) + (1 - y) * Math.log(1 - q));
+  }
+  return sum / points.length;
+}
+
+/**
+ * Fit a, b by logistic regression on (x = raw confidence, y = 1 if correct), using Platt's
+ * smoothed targets and a Gaussian prior pulling toward `prior` (MAP). Small groups therefore
+ * stay close to the prior instead of overfitting a handful of examples.
+ */
+export function fitPlatt(
+  points: Array<{ x: number; y: number }>,
+  options: { prior?: PlattParams; lambda?: number; iterations?: number } = {}
+): PlattParams {
+  const prior = options.prior ?? DEFAULT_PLATT;
+  const lambda = options.lambda ?? 1;
+  const iterations = options.iterations ?? 100;
+
+  const pos = points.filter(p => p.y === 1).length;
+  const neg = points.length - pos;
+  const hiT = (pos + 1) / (pos + 2);
+  const loT = 1 / (neg + 2);
+
+  let a = prior.a;
+  let b = prior.b;
+  for (let it = 0; it < iterations; it++) {
+    let ga = lambda * (a - prior.a);
+    let gb = lambda * (b - prior.b);
+    let haa = lambda, hab = 0, hbb = lambda;
+    for (const { x, y } of points) {
+      const q = applyPlatt(x, { a, b });
+      const t = y === 1 ? hiT : loT;
+      const d = q - t;
+      const w = q * (1 - q);
+      ga += d * x;
+      gb += d;
+      haa += w * x * x;
+      hab += w * x;
+      hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (Math.abs(det) < 1e-12) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da;
+    b -= db;
+    if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+  }
+  return { a, b };
+}
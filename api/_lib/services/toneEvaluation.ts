@@ -0,0 +1,280 @@
+// api/_lib/services/toneEvaluation.ts
+/**
+ * Offline evaluation of the tone pipeline against data/evaluation_tones.json.
+ *
+ * Each labelled example runs through toneAnalysisService.analyzeAdvancedTone + mapToneToBuckets
+ * (no HTTP, no network). The report covers accuracy, confusion matrices overall / per
+ * meta.category / per edge flag, expected calibration error with a reliability table, and
+ * expect.scoreRange / expect.altRanked violations. Used by `npm run eval:tone`.
+ */
+
+import { dataLoader } from './dataLoader';
+import { toneAnalysisService, mapToneToBuckets } from './toneAnalysis';
+
+export type Bucket = 'clear' | 'caution' | 'alert';
+export const BUCKETS: Bucket[] = ['clear', 'caution', 'alert'];
+
+export interface EvaluationExample {
+  id: string;
+  text: string;
+  meta?: { category?: string; subCategory?: string };
+  expect: {
+    tone: Bucket;
+    scoreRange?: { min?: number; max?: number };
+    altRanked?: Array<{ tone: Bucket; max?: number }>;
+  };
+  edge?: {
+    negation?: boolean;
+    sarcasm?: boolean;
+    emoji?: string[];
+    codeSwitch?: boolean;
+    punctuation?: string;
+  };
+}
+
+export interface ExamplePrediction {
+  id: string;
+  expected: Bucket;
+  predicted: Bucket;
+  probs: Record<Bucket, number>;
+  confidence: number; // probability of the predicted bucket
+  rawTone: string;
+  rawConfidence: number;
+  context: string;
+  fallback: boolean;
+}
+
+export type ConfusionMatrix = Record<Bucket, Record<Bucket, number>>; // [expected][predicted]
+
+export interface SliceMetrics {
+  n: number;
+  correct: number;
+  accuracy: number;
+  confusion: ConfusionMatrix;
+}
+
+export interface ReliabilityRow {
+  bin: string;
+  n: number;
+  avgConfidence: number;
+  accuracy: number;
+  gap: number;
+}
+
+export interface ScoreRangeViolation {
+  id: string;
+  kind: 'below_min' | 'above_max' | 'alt_above_max';
+  tone: Bucket;
+  score: number;
+  bound: number;
+}
+
+export interface ToneEvaluationReport {
+  generatedAt: string;
+  dataset: { file: string; version: string | null; examples: number };
+  options: { context: string; attachmentStyle: string };
+  overall: SliceMetrics & { macroF1: number; perBucket: Record<Bucket, { precision: number; recall: number; f1: number; support: number }> };
+  byCategory: Record<string, SliceMetrics>;
+  byEdge: Record<string, Record<string, SliceMetrics>>;
+  calibration: { ece: number; bins: number; reliability: ReliabilityRow[] };
+  scoreRange: { checked: number; violations: number; belowMin: number; aboveMax: number; altAboveMax: number; details: ScoreRangeViolation[] };
+  analysisFallbacks: number;
+  misclassified: Array<Pick<ExamplePrediction, 'id' | 'expected' | 'predicted' | 'probs' | 'rawTone'>>;
+}
+
+export interface EvaluateOptions {
+  /** Fixed context label, or 'category' to pass each example's meta.category */
+  context?: string;
+  attachmentStyle?: string;
+  calibrationBins?: number;
+  skipCalibration?: boolean; // rawConfidence without Platt scaling (calibration fitting)
+}
+
+function emptyConfusion(): ConfusionMatrix {
+  const m = {} as ConfusionMatrix;
+  for (const e of BUCKETS) {
+    m[e] = {} as Record<Bucket, number>;
+    for (const p of BUCKETS) m[e][p] = 0;
+  }
+  return m;
+}
+
+function round(x: number, digits = 4): number {
+  const f = Math.pow(10, digits);
+  return Math.round(x * f) / f;
+}
+
+export function loadEvaluationExamples(): { version: string | null; examples: EvaluationExample[] } {
+  const db = dataLoader.get('evaluationTones');
+  const examples = Array.isArray(db) ? db : (db?.examples || []);
+  return {
+    version: db?.version ?? null,
+    examples: examples.filter((e: any) => e?.text && BUCKETS.includes(e?.expect?.tone))
+  };
+}
+
+export function argmaxBucket(probs: Record<string, number>): Bucket {
+  return BUCKETS.reduce((best, b) => ((probs[b] ?? 0) > (probs[best] ?? 0) ? b : best), BUCKETS[0]);
+}
+
+export async function predictExample(example: EvaluationExample, options: EvaluateOptions = {}): Promise<ExamplePrediction> {
+  const context = options.context === 'category' ? (example.meta?.category || 'general') : (options.context || 'general');
+  const attachmentStyle = options.attachmentStyle || 'secure';
+
+  const result = await toneAnalysisService.analyzeAdvancedTone(example.text, { context, attachmentStyle, skipCalibration: options.skipCalibration });
+  const mapped = mapToneToBuckets(result, attachmentStyle, context);
+
+  const probs = {} as Record<Bucket, number>;
+  for (const b of BUCKETS) probs[b] = Number(mapped?.buckets?.[b] ?? 0);
+  const predicted = argmaxBucket(probs);
+
+  return {
+    id: example.id,
+    expected: example.expect.tone,
+    predicted,
+    probs,
+    confidence: probs[predicted],
+    rawTone: result.primary_tone,
+    rawConfidence: result.confidence,
+    context,
+    // analyzeAdvancedTone swallows its own errors and returns a neutral stub
+    fallback: (result.linguistic_features?.potential_misunderstandings || []).includes('Analysis failed - using fallback')
+  };
+}
+
+export function sliceMetrics(preds: ExamplePrediction[]): SliceMetrics {
+  const confusion = emptyConfusion();
+  let correct = 0;
+  for (const p of preds) {
+    confusion[p.expected][p.predicted]++;
+    if (p.expected === p.predicted) correct++;
+  }
+  return { n: preds.length, correct, accuracy: preds.length ? round(correct / preds.length) : 0, confusion };
+}
+
+/** Reliability table + expected calibration error over equal-width confidence bins. */
+export function reliabilityTable(points: Array<{ confidence: number; correct: boolean }>, bins = 10): { ece: number; rows: ReliabilityRow[] } {
+  const rows: ReliabilityRow[] = [];
+  let ece = 0;
+  for (let i = 0; i < bins; i++) {
+    const lo = i / bins;
+    const hi = (i + 1) / bins;
+    const inBin = points.filter(p => (i === bins - 1 ? p.confidence >= lo && p.confidence <= hi : p.confidence >= lo && p.confidence < hi));
+    const n = inBin.length;
+    const avgConfidence = n ? inBin.reduce((s, p) => s + p.confidence, 0) / n : 0;
+    const accuracy = n ? inBin.filter(p => p.correct).length / n : 0;
+    if (points.length) ece += (n / points.length) * Math.abs(accuracy - avgConfidence);
+    rows.push({ bin: `${lo.toFixed(1)}-${hi.toFixed(1)}`, n, avgConfidence: round(avgConfidence), accuracy: round(accuracy), gap: round(accuracy - avgConfidence) });
+  }
+  return { ece: round(ece), rows };
+}
+
+export function scoreRangeViolations(example: EvaluationExample, pred: ExamplePrediction): ScoreRangeViolation[] {
+  const out: ScoreRangeViolation[] = [];
+  const range = example.expect.scoreRange;
+  const score = pred.probs[example.expect.tone];
+  if (range?.min !== undefined && score < range.min) out.push({ id: example.id, kind: 'below_min', tone: example.expect.tone, score: round(score), bound: range.min });
+  if (range?.max !== undefined && score > range.max) out.push({ id: example.id, kind: 'above_max', tone: example.expect.tone, score: round(score), bound: range.max });
+  for (const alt of example.expect.altRanked || []) {
+    const altScore = pred.probs[alt.tone];
+    if (alt.max !== undefined && altScore !== undefined && altScore > alt.max) {
+      out.push({ id: example.id, kind: 'alt_above_max', tone: alt.tone, score: round(altScore), bound: alt.max });
+    }
+  }
+  return out;
+}
+
+function edgeValues(example: EvaluationExample): Record<string, string> {
+  const edge = example.edge || {};
+  return {
+    negation: String(!!edge.negation),
+    sarcasm: String(!!edge.sarcasm),
+    emoji: String(Array.isArray(edge.emoji) && edge.emoji.length > 0),
+    codeSwitch: String(!!edge.codeSwitch)
+  };
+}
+
+function groupBy<T>(items: T[], key: (t: T) => string): Record<string, T[]> {
+  const out: Record<string, T[]> = {};
+  for (const it of items) (out[key(it)] ||= []).push(it);
+  return out;
+}
+
+export async function evaluateTone(examples: EvaluationExample[], options: EvaluateOptions = {}, datasetVersion: string | null = null): Promise<ToneEvaluationReport> {
+  const preds: ExamplePrediction[] = [];
+  for (const ex of examples) preds.push(await predictExample(ex, options));
+  const byId = new Map(examples.map(e => [e.id, e]));
+
+  const overall = sliceMetrics(preds);
+  const perBucket = {} as ToneEvaluationReport['overall']['perBucket'];
+  for (const b of BUCKETS) {
+    const tp = overall.confusion[b][b];
+    const support = BUCKETS.reduce((s, p) => s + overall.confusion[b][p], 0);
+    const predictedAs = BUCKETS.reduce((s, e) => s + overall.confusion[e][b], 0);
+    const precision = predictedAs ? tp / predictedAs : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    perBucket[b] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  }
+  const macroF1 = round(BUCKETS.reduce((s, b) => s + perBucket[b].f1, 0) / BUCKETS.length);
+
+  const byCategory: Record<string, SliceMetrics> = {};
+  for (const [cat, group] of Object.entries(groupBy(preds, p => byId.get(p.id)?.meta?.category || 'uncategorized'))) {
+    byCategory[cat] = sliceMetrics(group);
+  }
+
+  const byEdge: Record<string, Record<string, SliceMetrics>> = {};
+  for (const flag of ['negation', 'sarcasm', 'emoji', 'codeSwitch']) {
+    byEdge[flag] = {};
+    for (const [value, group] of Object.entries(groupBy(preds, p => edgeValues(byId.get(p.id)!)[flag]))) {
+      byEdge[flag][value] = sliceMetrics(group);
+    }
+  }
+
+  const bins = options.calibrationBins ?? 10;
+  const { ece, rows } = reliabilityTable(preds.map(p => ({ confidence: p.confidence, correct: p.predicted === p.expected })), bins);
+
+  const details = preds.flatMap(p => scoreRangeViolations(byId.get(p.id)!, p));
+  const checked = examples.filter(e => e.expect.scoreRange || (e.expect.altRanked || []).length).length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    dataset: { file: 'evaluation_tones.json', version: datasetVersion, examples: examples.length },
+    options: { context: options.context || 'general', attachmentStyle: options.attachmentStyle || 'secure' },
+    overall: { ...overall, macroF1, perBucket },
+    byCategory,
+    byEdge,
+    calibration: { ece, bins, reliability: rows },
+    scoreRange: {
+      checked,
+      violations: new Set(details.map(d => d.id)).size,
+      belowMin: details.filter(d => d.kind === 'below_min').length,
+      aboveMax: details.filter(d => d.kind === 'above_max').length,
+      altAboveMax: details.filter(d => d.kind === 'alt_above_max').length,
+      details
+    },
+    analysisFallbacks: preds.filter(p => p.fallback).length,
+    misclassified: preds
+      .filter(p => p.predicted !== p.expected)
+      .map(({ id, expected, predicted, probs, rawTone }) => ({ id, expected, predicted, probs, rawTone }))
+  };
+}
+
+// -----------------------------
+// Text rendering for the CLI
+// -----------------------------
+export function formatConfusion(m: ConfusionMatrix): string {
+  const pad = (s: string | number, n = 9) => String(s).padStart(n);
+  const lines = [`${'exp\\pred'.padEnd(10)}${BUCKETS.map(b => pad(b)).join('')}`];
+  for (const e of BUCKETS) lines.push(`${e.padEnd(10)}${BUCKETS.map(p => pad(m[e][p])).join('')}`);
+  return lines.join('\n');
+}
+
+export function formatReliability(rows: ReliabilityRow[]): string {
+  const lines = ['bin        n    conf    acc     gap   '];
+  for (const r of rows) {
+    const bar = '#'.repeat(Math.round(r.accuracy * 20)).padEnd(20, '.');
+    lines.push(`${r.bin.padEnd(9)}${String(r.n).padStart(4)}  ${r.avgConfidence.toFixed(2).padStart(5)}  ${r.accuracy.toFixed(2).padStart(5)}  ${(r.gap >= 0 ? '+' : '') + r.gap.toFixed(2)}  ${r.n ? bar : ''}`);
+  }
+  return lines.join('\n');
+}
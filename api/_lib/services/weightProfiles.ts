@@ -0,0 +1,123 @@
+// api/_lib/services/weightProfiles.ts
+/**
+ * Tone-scoring weight profiles from data/weight_modifiers.json.
+ *
+ * Selection: the user's stored preference, else autoSelect — the share of reactiveTones in their
+ * last `window` messages picks the first matching rule once `minMessages` are known — else
+ * autoSelect.fallback.
+ *
+ * Resolution merges the profile with defaults and its contextBoost.CTX_<CONTEXT> per mergeStrategy
+ * (mul_then_sum): multipliers (pattern, trigger, context, intensity, sarcasm, negation) are
+ * multiplied together and clamped to `bounds`; tone_weight (profile + context) and the style's
+ * style_weight are summed and added to the scores after the multiplied components.
+ */
+
+type Bucket = 'clear' | 'caution' | 'alert';
+
+export type WeightProfileSource = 'preference' | 'auto' | 'default';
+
+export interface WeightProfileSelection {
+  name: string | null;
+  source: WeightProfileSource;
+  reactivity?: number; // share of reactive tones, when enough history was seen
+  messages: number;
+}
+
+export interface ResolvedWeightProfile {
+  name: string | null;
+  mergeStrategy: string;
+  multipliers: {
+    pattern: number;
+    trigger: number;
+    context: number;
+    intensity: number;
+    sarcasm: number;
+    negation: number;
+  };
+  toneWeight: Record<Bucket, number>;
+  styleWeight: number;
+}
+
+const num = (v: any, fallback = 0) => (typeof v === 'number' && Number.isFinite(v) ? v : fallback);
+const round4 = (x: number) => Math.round(x * 10000) / 10000;
+
+/** Names of the profiles defined in the file. */
+export function weightProfileNames(config: any): string[] {
+  return Object.keys(config?.profiles || {});
+}
+
+export function hasWeightProfile(config: any, name: string | null | undefined): boolean {
+  return !!name && Object.prototype.hasOwnProperty.call(config?.profiles || {}, name);
+}
+
+/** Share of reactive tones among the last autoSelect.window tones (null below minMessages). */
+export function observedReactivity(config: any, recentTones: string[] = []): { reactivity: number | null; messages: number } {
+  const auto = config?.autoSelect || {};
+  const window = Math.max(1, num(auto.window, 30));
+  const tones = recentTones.slice(-window).map(t => String(t).toLowerCase());
+  if (tones.length < num(auto.minMessages, 1)) return { reactivity: null, messages: tones.length };
+  const reactive: string[] = Array.isArray(auto.reactiveTones) ? auto.reactiveTones : [];
+  const hits = tones.filter(t => reactive.includes(t)).length;
+  return { reactivity: round4(hits / tones.length), messages: tones.length };
+}
+
+/** Profile for a user: a known stored preference wins, then the autoSelect rules, then the fallback. */
+export function selectWeightProfile(
+  config: any,
+  input: { preferred?: string | null; recentTones?: string[] } = {}
+): WeightProfileSelection {
+  const { reactivity, messages } = observedReactivity(config, input.recentTones);
+  if (hasWeightProfile(config, input.preferred)) {
+    return { name: input.preferred as string, source: 'preference', messages };
+  }
+  if (reactivity !== null) {
+    for (const rule of Array.isArray(config?.autoSelect?.rules) ? config.autoSelect.rules : []) {
+      const aboveMin = typeof rule?.minReactivity !== 'number' || reactivity >= rule.minReactivity;
+      const belowMax = typeof rule?.maxReactivity !== 'number' || reactivity <= rule.maxReactivity;
+      if (aboveMin && belowMax && hasWeightProfile(config, rule.profile)) {
+        return { name: rule.profile, source: 'auto', reactivity, messages };
+      }
+    }
+  }
+  const fallback = config?.autoSelect?.fallback;
+  return {
+    name: hasWeightProfile(config, fallback) ? fallback : null,
+    source: 'default',
+    ...(reactivity !== null ? { reactivity } : {}),
+    messages
+  };
+}
+
+/** Merged, bounded weights for a profile in a context ('conflict' → CTX_CONFLICT) and attachment style. */
+export function resolveWeightProfile(
+  config: any,
+  name: string | null | undefined,
+  input: { context?: string | null; attachmentStyle?: string | null } = {}
+): ResolvedWeightProfile {
+  const profile = hasWeightProfile(config, name) ? config.profiles[name as string] : {};
+  const defaults = config?.defaults || {};
+  const ctx = input.context ? profile.contextBoost?.[`CTX_${input.context.toUpperCase()}`] : undefined;
+  const lo = num(config?.bounds?.min, 0);
+  const hi = num(config?.bounds?.max, Infinity);
+  const bound = (x: number) => Math.max(lo, Math.min(hi, x));
+
+  const toneWeight = {} as Record<Bucket, number>;
+  for (const b of ['clear', 'caution', 'alert'] as Bucket[]) {
+    toneWeight[b] = round4(num(profile.tone_weight?.[b]) + num(ctx?.tone_weight?.[b]));
+  }
+
+  return {
+    name: hasWeightProfile(config, name) ? (name as string) : null,
+    mergeStrategy: config?.mergeStrategy || 'mul_then_sum',
+    multipliers: {
+      pattern: bound(num(defaults.pattern, 1)),
+      trigger: bound(num(defaults.trigger, 1)),
+      context: bound(num(defaults.context, 1) * num(ctx?.context, 1)),
+      intensity: bound(num(profile.intensityBoost, 1)),
+      sarcasm: bound(num(profile.sarcasmPenalty, 1)),
+      negation: bound(num(profile.negationPenalty, 1))
+    },
+    toneWeight,
+    styleWeight: input.attachmentStyle ? num(profile.style_weight?.[input.attachmentStyle]) : 0
+  };
+}
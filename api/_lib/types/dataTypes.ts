@@ -1,6 +1,11 @@
 // api/_lib/types/dataTypes.ts
 // TypeScript interfaces for all JSON data structures
 
+import type { AdviceBM25Index } from '../services/adviceIndex';
+import type { HashingEmbedder } from '../services/adviceEmbedder';
+import type { ToneCalibrationFile } from '../services/toneCalibration';
+import type { ToneBucketMappingFile } from '../schemas/toneBucketMapping';
+
 export interface AttachmentLearningConfig {
   version: string;
   notes: string;
@@ -47,6 +52,9 @@ export interface AttachmentLearningConfig {
       };
     };
   };
+  // Pattern entries that name an observed behaviour (timing, topic shifts) rather than text to match
+  behaviourLabels?: string[];
+  advancedSignals?: AttachmentSignal[];
   attachmentSignatures: Record<string, any>;
   contextualFactors: Record<string, any>;
   linguisticMarkers: Record<string, any>;
@@ -54,6 +62,15 @@ export interface AttachmentLearningConfig {
   adaptiveThresholds: Record<string, any>;
 }
 
+export interface AttachmentSignal {
+  id: string;
+  category: string;
+  description?: string;
+  patterns: Record<string, string[]>;
+  weights: Record<string, number>;
+  contextModifiers?: Record<string, number>;
+}
+
 export interface TherapyAdvice {
   id: string;
   advice: string;
@@ -170,15 +187,8 @@ export interface OnboardingPlaybook {
   supportStrategies: string[];
 }
 
-export interface ToneBucketMapping {
-  bucket: string;
-  tones: string[];
-  severity: number;
-  therapeuticApproach: string;
-  attachmentConsiderations: Record<string, string>;
-  interventionTrigger: boolean;
-  escalationPath: string[];
-}
+// Shape of tone_bucket_mapping.json (see schemas/toneBucketMapping.ts)
+export type ToneBucketMapping = ToneBucketMappingFile;
 
 export interface NegationIndicator {
   indicator: string;
@@ -268,7 +278,7 @@ export interface DataCache {
   learningSignals?: LearningSignal[];
   guardrailConfig?: GuardrailConfig[];
   onboardingPlaybook?: OnboardingPlaybook[];
-  toneBucketMapping?: ToneBucketMapping[];
+  toneBucketMapping?: ToneBucketMapping;
   negationIndicators?: NegationIndicator[];
   negationPatterns?: NegationPattern[];
   profanityLexicons?: ProfanityLexicon[];
@@ -280,4 +290,10 @@ export interface DataCache {
   severityCollaboration?: SeverityCollaboration[];
   severityCollab?: any; // From tone-analysis-endpoint.js
   weightProfiles?: any; // From tone-analysis-endpoint.js
+  toneCalibration?: ToneCalibrationFile | null;
+  // Derived at boot from therapy_advice.json (see DataLoaderService.buildAdviceIndex)
+  adviceIndexItems?: any[];
+  adviceBM25?: AdviceBM25Index;
+  adviceGetVector?: (id: string) => Float32Array | number[] | null;
+  adviceEmbedder?: HashingEmbedder;
 }
@@ -0,0 +1,102 @@
+// api/_lib/utils/privacy.ts
+/**
+ * Text handling for logs and telemetry (guardrail_config.json telemetry.privacy).
+ *
+ *  - scrubPII:       emails, phone numbers, URLs and PERSON entities → placeholders ("pii: strip")
+ *  - hashText:       HMAC-SHA256 keyed by TELEMETRY_HASH_KEY, so hashes correlate without being
+ *                    reversible by dictionary lookup ("rawUserText: hash")
+ *  - windowedHashes: keyed hashes of overlapping token windows, for near-duplicate analysis
+ *                    without keeping the message ("hash+windowed")
+ *  - redactRawText:  replaces message-text fields in log payloads; used by the logger
+ */
+
+import * as crypto from 'crypto';
+
+export interface PiiEntity {
+  start: number;
+  end: number;
+  label: string;
+}
+
+const EMAIL = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+const URL = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+// 7+ digits with optional separators / country code, e.g. (555) 123-4567, +44 20 7946 0958
+const PHONE = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])?\d{3,4}[\s.-]?\d{3,4}\b/g;
+
+/** Replace PII with placeholders. `entities` come from spaCy extractEntities (PERSON spans). */
+export function scrubPII(text: string, entities: PiiEntity[] = []): string {
+  let out = String(text ?? '');
+  // Entity offsets refer to the original text, so replace them first, right to left
+  const names = entities
+    .filter(e => e && e.label === 'PERSON' && e.end > e.start && e.end <= out.length)
+    .sort((a, b) => b.start - a.start);
+  let lastStart = Infinity;
+  for (const e of names) {
+    if (e.end > lastStart) continue; // overlapping span
+    out = out.slice(0, e.start) + '[NAME]' + out.slice(e.end);
+    lastStart = e.start;
+  }
+  return out
+    .replace(EMAIL, '[EMAIL]')
+    .replace(URL, '[URL]')
+    .replace(PHONE, m => (m.replace(/\D/g, '').length >= 7 ? '[PHONE]' : m));
+}
+
+let processKey: string | null = null;
+
+// Without TELEMETRY_HASH_KEY hashes are only stable within one process
+function hashKey(): string {
+  if (process.env.TELEMETRY_HASH_KEY) return process.env.TELEMETRY_HASH_KEY;
+  if (!processKey) processKey = crypto.randomBytes(32).toString('hex');
+  return processKey;
+}
+
+export function hashText(text: string, key: string = hashKey()): string {
+  return crypto.createHmac('sha256', key).update(String(text ?? '')).digest('hex');
+}
+
+/** Keyed hashes (12 hex chars) of each `size`-token window, normalized to lowercase words. */
+export function windowedHashes(text: string, size = 3, maxWindows = 32, key: string = hashKey()): string[] {
+  const tokens = String(text ?? '').toLowerCase().match(/[a-z0-9']+/g) || [];
+  if (!tokens.length) return [];
+  if (tokens.length <= size) return [hashText(tokens.join(' '), key).slice(0, 12)];
+  const out: string[] = [];
+  for (let i = 0; i + size <= tokens.length && out.length < maxWindows; i++) {
+    out.push(hashText(tokens.slice(i, i + size).join(' '), key).slice(0, 12));
+  }
+  return out;
+}
+
+// Payload keys that carry user message text
+export const RAW_TEXT_KEYS = new Set([
+  'text', 'rawText', 'userText', 'originalText', 'original_text', 'messageText', 'message_text',
+  'content', 'body', 'input', 'append', 'draft'
+]);
+
+const MAX_DEPTH = 6;
+
+function redacted(value: string) {
+  return `[redacted ${value.length} chars]`;
+}
+
+/**
+ * Copy of a log payload with message-text fields replaced by a length marker. Strings under
+ * RAW_TEXT_KEYS (at any depth) are redacted; Errors keep name/message/code.
+ */
+export function redactRawText(data: any, depth = 0, seen: WeakSet<object> = new WeakSet()): any {
+  if (data === null || typeof data !== 'object') return data;
+  if (data instanceof Error) {
+    return { name: data.name, message: data.message, ...((data as any).code ? { code: (data as any).code } : {}) };
+  }
+  if (seen.has(data) || depth > MAX_DEPTH) return '[omitted]';
+  seen.add(data);
+
+  if (Array.isArray(data)) return data.map(v => redactRawText(v, depth + 1, seen));
+  const out: Record<string, any> = {};
+  for (const [k, v] of Object.entries(data)) {
+    if (RAW_TEXT_KEYS.has(k) && typeof v === 'string') out[k] = redacted(v);
+    else if (RAW_TEXT_KEYS.has(k) && v && typeof v === 'object' && !Array.isArray(v)) out[k] = '[redacted object]';
+    else out[k] = redactRawText(v, depth + 1, seen);
+  }
+  return out;
+}
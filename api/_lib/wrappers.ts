@@ -5,6 +5,8 @@ import { handleCors } from './cors';
 import { logger } from './logger';
 import { error, methodNotAllowed, badRequest, tooManyRequests, internalError } from './http';
 import { handleError } from './middleware/errorHandler';
+import { ProfileVersionConflictError } from './services/profileStore';
+import { getAuthContext } from './auth';
 
 export type Handler = (req: VercelRequest, res: VercelResponse) => Promise<void> | void;
 
@@ -81,6 +83,23 @@ export function withErrorHandling(handler: Handler): Handler {
   };
 }
 
+// A versioned profile write that lost every retry (ProfileVersionConflictError) becomes a 409 the
+// client can simply repeat; everything else goes on to withErrorHandling
+export function withProfileConflicts(handler: Handler): Handler {
+  return async (req: VercelRequest, res: VercelResponse) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (!(err instanceof ProfileVersionConflictError)) throw err;
+      res.status(409).json({
+        error: 'Conflict',
+        message: 'Profile is being updated by another request, please retry',
+        code: err.code
+      });
+    }
+  };
+}
+
 export function withLogging(handler: Handler): Handler {
   return async (req: VercelRequest, res: VercelResponse) => {
     const start = Date.now();
@@ -103,10 +122,15 @@ export function withLogging(handler: Handler): Handler {
 // Simple in-memory rate limiter (use Redis/KV in production)
 const rateLimitStore = new Map<string, { count: number; resetTime: number }>();
 
-export function withRateLimit(windowMs: number = 15 * 60 * 1000, maxRequests: number = 100): (handler: Handler) => Handler {
+// `scope` gives an endpoint its own per-IP budget instead of the shared default one. Behind
+// withAuth, a service acting for its users (DELEGATE_HEADER) is limited per delegated user, not
+// per IP, so one server's users don't share a single budget.
+export function withRateLimit(windowMs: number = 15 * 60 * 1000, maxRequests: number = 100, scope?: string): (handler: Handler) => Handler {
   return (handler: Handler): Handler => {
     return async (req: VercelRequest, res: VercelResponse) => {
-      const key = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
+      const { userId, delegatedBy } = getAuthContext(req);
+      const client = delegatedBy ? `user:${userId}` : req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
+      const key = scope ? `${scope}:${client}` : client;
       const now = Date.now();
       
       // Clean up expired entries
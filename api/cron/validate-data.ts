@@ -4,6 +4,8 @@ import { withCors, withMethods, withErrorHandling, withLogging } from '../_lib/w
 import { success } from '../_lib/http';
 import { dataLoader } from '../_lib/services/dataLoader';
 import { logger } from '../_lib/logger';
+import { validateToneBucketMapping } from '../_lib/schemas/toneBucketMapping';
+import { validateOnboardingPlaybook } from '../_lib/schemas/onboardingPlaybook';
 
 interface ValidationResult {
   file: string;
@@ -52,6 +54,7 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
       { name: 'profanity_lexicons.json', getter: () => dataLoader.getProfanityLexicons() },
       { name: 'sarcasm_indicators.json', getter: () => dataLoader.getSarcasmIndicators() },
       { name: 'weight_modifiers.json', getter: () => dataLoader.getWeightModifiers() },
+      { name: 'onboarding_playbook.json', getter: () => dataLoader.getOnboardingPlaybook() },
     ];
     
     for (const check of validationChecks) {
@@ -84,6 +87,14 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
           }
         }
         
+        // Schema-checked files
+        if (check.name === 'tone_bucket_mapping.json' && data) {
+          errors.push(...validateToneBucketMapping(data));
+        }
+        if (check.name === 'onboarding_playbook.json' && data) {
+          errors.push(...validateOnboardingPlaybook(data));
+        }
+        
         results.push({
           file: check.name,
           valid: errors.length === 0,
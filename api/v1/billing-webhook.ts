@@ -0,0 +1,75 @@
+// api/v1/billing-webhook.ts
+/**
+ * Stripe billing webhook → entitlement service.
+ *
+ * Accepts the same events the practice gym handles (checkout.session.completed,
+ * customer.subscription.created|updated|deleted) so one Stripe endpoint config can
+ * feed both. The signature is checked against STRIPE_WEBHOOK_SECRET over the raw body.
+ * Subscription events for a customer that checkout has not linked yet get a 503, so Stripe
+ * redelivers them instead of the state being dropped.
+ */
+
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import { withMethods, withErrorHandling, withLogging } from '../_lib/wrappers';
+import { success, badRequest, internalError, error } from '../_lib/http';
+import { logger } from '../_lib/logger';
+import { getEntitlementService, verifyStripeSignature, BillingEvent } from '../_lib/services/entitlements';
+
+// Signature verification needs the exact bytes Stripe signed. Vercel's req.body getter parses
+// JSON on first access, so the stream is read before req.body is touched; a body some earlier
+// layer already parsed can't be verified (re-serialising changes the bytes) and is refused.
+async function readRawBody(req: VercelRequest): Promise<string | null> {
+  if (typeof (req as any).on === 'function' && (req as any).readableEnded === false) {
+    const chunks: Buffer[] = [];
+    for await (const chunk of req as any) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    return Buffer.concat(chunks).toString('utf8');
+  }
+  const body: unknown = (req as any).body;
+  if (typeof body === 'string') return body;
+  if (Buffer.isBuffer(body)) return body.toString('utf8');
+  return null;
+}
+
+const handler = async (req: VercelRequest, res: VercelResponse) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.error('Billing webhook called without STRIPE_WEBHOOK_SECRET configured');
+    return internalError(res, 'Webhook not configured');
+  }
+
+  const signature = req.headers['stripe-signature'];
+  if (!signature) return badRequest(res, 'Missing stripe-signature header.');
+
+  const payload = await readRawBody(req);
+  if (payload === null) {
+    logger.error('Billing webhook body was parsed before its signature could be checked');
+    return badRequest(res, 'Raw request body required for signature verification.');
+  }
+  if (!verifyStripeSignature(payload, Array.isArray(signature) ? signature[0] : signature, secret)) {
+    logger.warn('Billing webhook signature rejected');
+    return badRequest(res, 'Invalid webhook signature.');
+  }
+
+  let event: BillingEvent;
+  try {
+    event = JSON.parse(payload);
+  } catch {
+    return badRequest(res, 'Invalid JSON in request body');
+  }
+
+  const result = await getEntitlementService().applyBillingEvent(event);
+  logger.info('Billing webhook processed', { eventId: event.id, type: event.type, ...result });
+
+  if (result.retry) {
+    return error(res, `Event not applicable yet (${result.reason}); retry later.`, 503);
+  }
+
+  // Other unhandled events are still acknowledged so Stripe does not retry them
+  return success(res, { received: true, handled: result.handled });
+};
+
+export default withErrorHandling(
+  withLogging(
+    withMethods(['POST'], handler)
+  )
+);
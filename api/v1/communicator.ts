@@ -10,21 +10,33 @@
  *   POST   /reset
  *   GET    /status
  *   POST   /analysis/detailed (NEW - enhanced analysis)
+ *   GET    /preferences
+ *   POST   /preferences
+ *   GET    /weight-profile
+ *   POST   /weight-profile
+ *   GET    /noticings
+ *   POST   /noticings/shown
  */
 
 import { VercelRequest, VercelResponse } from '@vercel/node';
-import { withCors, withMethods, withErrorHandling, withLogging } from '../_lib/wrappers';
+import { withCors, withMethods, withErrorHandling, withLogging, withProfileConflicts } from '../_lib/wrappers';
 import { success } from '../_lib/http';
-import { CommunicatorProfile } from '../_lib/services/communicatorProfile';
+import { CommunicatorProfile, LocalPrior, ObservationResult } from '../_lib/services/communicatorProfile';
+import { ProfileVersionConflictError } from '../_lib/services/profileStore';
 import { normalizeScores, defaultPriorWeight } from '../_lib/utils/priors';
 import { dataLoader } from '../_lib/services/dataLoader';
 import { toneAnalysisService } from '../_lib/services/toneAnalysis';
 import { suggestionsService } from '../_lib/services/suggestions';
 import { spacyClient } from '../_lib/services/spacyClient';
 import { logger } from '../_lib/logger';
+import { getAuthContext } from '../_lib/auth';
+import { withAuth } from '../_lib/middleware/auth';
 import { metrics } from '../_lib/metrics';
 import { z } from 'zod';
 import { ensureBoot } from '../_lib/bootstrap';
+import { PROFANITY_SENSITIVITIES } from '../_lib/services/profanity';
+import { selectWeightProfile, resolveWeightProfile } from '../_lib/services/weightProfiles';
+import { activeNoticings } from '../_lib/services/learningSignals';
 
 const bootPromise = ensureBoot();
 
@@ -51,11 +63,55 @@ const detailedAnalysisSchema = z.object({
   includeSuggestions: z.boolean().optional(),
 });
 
+// Profile names must exist in their JSON file (null clears the setting)
+const hasProfile = (key: string) => (v: string | null | undefined) =>
+  v == null || Object.prototype.hasOwnProperty.call(dataLoader.get(key)?.profiles || {}, v);
+
+const preferencesSchema = z.object({
+  profanitySensitivity: z.enum(PROFANITY_SENSITIVITIES).optional(),
+  profanityProfile: z.string().nullable().optional().refine(hasProfile('profanityLexicons'), { message: 'Unknown profanity profile' }),
+  guardrailProfile: z.string().nullable().optional().refine(hasProfile('guardrailConfig'), { message: 'Unknown guardrail profile' }),
+  weightProfile: z.string().nullable().optional().refine(hasProfile('weightModifiers'), { message: 'Unknown weight profile' }),
+}).strict();
+
+// null goes back to auto-selection from observed reactivity
+const weightProfileSchema = z.object({
+  profile: z.string().nullable().refine(hasProfile('weightModifiers'), { message: 'Unknown weight profile' }),
+}).strict();
+
+const noticingsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(10).optional(),
+});
+
+const noticingsShownSchema = z.object({
+  buckets: z.array(z.string().regex(/^[a-z][a-z0-9_]{0,39}$/)).min(1).max(10),
+});
+
 // -------------------- Helper Functions --------------------
 function getUserId(req: VercelRequest): string {
-  return req.headers['x-user-id'] as string || 
-         req.query.userId as string || 
-         'anonymous';
+  return getAuthContext(req).userId;
+}
+
+// Build a normalized local prior from the on-device personality assessment, if present
+function priorFromPersonality(body: any): LocalPrior | null {
+  const raw = body?.personalityProfile?.personalityScores as Record<string, number> | undefined;
+  if (!raw) return null;
+  const priorNorm = normalizeScores({
+    anxious: raw.anxiety_score ?? raw.anxious ?? 0,
+    avoidant: raw.avoidance_score ?? raw.avoidant ?? 0,
+    disorganized: raw.disorganized ?? 0,
+    secure: raw.secure ?? raw.secure_score ?? 0,
+  });
+  return {
+    scores: priorNorm,
+    weight: 1.0,
+    seededAt: new Date().toISOString(),
+    sourceVersion: body?.personalityProfile?.assessmentVersion || 'modern_v1.0',
+  };
+}
+
+function topStyle(scores: Record<string, number>): string {
+  return (Object.entries(scores) as Array<[string, number]>).sort((a,b)=>b[1]-a[1])[0][0];
 }
 
 // -------------------- Route Handlers --------------------
@@ -74,10 +130,8 @@ async function getProfile(req: VercelRequest, res: VercelResponse) {
     const isNewUser = !attachmentEstimate.primary || attachmentEstimate.confidence < 0.3;
     
     // Build optional breakdown (non-breaking)
-    // @ts-ignore accessing potential localPrior injected elsewhere
-    const localPrior = (profile as any).data?.localPrior;
-    // @ts-ignore server signals map
-    const rawSignals = (profile as any).data?.learningSignals || {};
+    const localPrior = profile.getLocalPrior();
+    const rawSignals = profile.getLearningSignals();
     const daysObserved = Number(rawSignals.daysObserved || 0);
     const attachmentLearning = (await dataLoader.getAttachmentLearning?.()) || dataLoader.getAttachmentLearning();
     const learningDays = attachmentLearning?.learningDays || 7;
@@ -135,27 +189,6 @@ async function observe(req: VercelRequest, res: VercelResponse) {
   try {
     const profile = new CommunicatorProfile({ userId });
     await profile.init();
-    
-    // Seed local prior if provided and not already present
-    // @ts-ignore access raw internal structure for prototype stage
-    const internal: any = (profile as any).data;
-    if (!internal.localPrior && req.body?.personalityProfile?.personalityScores) {
-      const raw = req.body.personalityProfile.personalityScores as Record<string, number>;
-      const priorNorm = normalizeScores({
-        anxious: raw.anxiety_score ?? raw.anxious ?? 0,
-        avoidant: raw.avoidance_score ?? raw.avoidant ?? 0,
-        disorganized: raw.disorganized ?? 0,
-        secure: raw.secure ?? raw.secure_score ?? 0,
-      });
-      internal.localPrior = {
-        scores: priorNorm,
-        weight: 1.0,
-        seededAt: new Date().toISOString(),
-        sourceVersion: req.body?.personalityProfile?.assessmentVersion || 'modern_v1.0',
-      };
-      const topEntry = (Object.entries(priorNorm) as Array<[string, number]>).sort((a,b)=>b[1]-a[1])[0];
-      logger.info('Local prior seeded', { userId, top: topEntry[0] });
-    }
 
     // Analyze the communication
     const toneResult = await toneAnalysisService.analyzeAdvancedTone(text, {
@@ -163,8 +196,17 @@ async function observe(req: VercelRequest, res: VercelResponse) {
       isNewUser: false // For observations, analyze fully to build profile
     });
     
-    // Record the observation
-    profile.addCommunication(text, meta?.context || 'general', toneResult.primary_tone);
+    // Seed prior + record the observation; re-applied on top of fresh state if a
+    // concurrent /observe saved first
+    const prior = priorFromPersonality(req.body);
+    const learning: ObservationResult = await profile.update(p => {
+      if (prior && p.seedLocalPrior(prior)) {
+        logger.info('Local prior seeded', { userId, top: topStyle(prior.scores) });
+      }
+      p.addCommunication(text, meta?.context || 'general', toneResult.primary_tone);
+      p.recordNoticingSignals(text);
+      return p.observeMessage(text, meta?.context || 'general');
+    });
     
     const attachmentEstimate = profile.getAttachmentEstimate();
     const isNewUser = !attachmentEstimate.primary || attachmentEstimate.confidence < 0.3;
@@ -176,6 +218,8 @@ async function observe(req: VercelRequest, res: VercelResponse) {
       textLength: text.length,
       tone: toneResult.primary_tone,
       attachment: attachmentEstimate.primary,
+      matchedSignals: learning.matchedSignals,
+      skipped: learning.skipped,
       isNewUser
     });
     
@@ -187,6 +231,7 @@ async function observe(req: VercelRequest, res: VercelResponse) {
         context: meta?.context || 'general',
         timestamp: new Date().toISOString()
       },
+      learning,
       attachmentEstimate,
       isNewUser,
       message: isNewUser ? 'Thanks for your input! We\'re learning about your communication style.' : null,
@@ -219,24 +264,10 @@ async function detailedAnalysis(req: VercelRequest, res: VercelResponse) {
     await profile.init();
     
     // Seed local prior if provided and not already present
-    // @ts-ignore internal access
-    const internal: any = (profile as any).data;
-    if (!internal.localPrior && req.body?.personalityProfile?.personalityScores) {
-      const raw = req.body.personalityProfile.personalityScores as Record<string, number>;
-      const priorNorm = normalizeScores({
-        anxious: raw.anxiety_score ?? raw.anxious ?? 0,
-        avoidant: raw.avoidance_score ?? raw.avoidant ?? 0,
-        disorganized: raw.disorganized ?? 0,
-        secure: raw.secure ?? raw.secure_score ?? 0,
-      });
-      internal.localPrior = {
-        scores: priorNorm,
-        weight: 1.0,
-        seededAt: new Date().toISOString(),
-        sourceVersion: req.body?.personalityProfile?.assessmentVersion || 'modern_v1.0',
-      };
-  const topEntry = (Object.entries(priorNorm) as Array<[string, number]>).sort((a,b)=>b[1]-a[1])[0];
-  logger.info('Local prior seeded', { userId, top: topEntry[0] });
+    const prior = priorFromPersonality(req.body);
+    if (prior && !profile.getLocalPrior()) {
+      await profile.update(p => { p.seedLocalPrior(prior); });
+      logger.info('Local prior seeded', { userId, top: topStyle(prior.scores) });
     }
 
     const attachmentEstimate = profile.getAttachmentEstimate();
@@ -308,11 +339,12 @@ async function exportProfile(req: VercelRequest, res: VercelResponse) {
     
     const attachmentEstimate = profile.getAttachmentEstimate();
     
-    logger.info('Profile exported', { userId });
+    logger.info('Profile exported', { userId, version: profile.getVersion() });
     
     return success(res, {
       userId,
       exportData: {
+        profile: profile.export(),
         attachmentEstimate,
         exportTimestamp: new Date().toISOString(),
         version: '2.0.0'
@@ -331,9 +363,9 @@ async function resetProfile(req: VercelRequest, res: VercelResponse) {
   const userId = getUserId(req);
   
   try {
-    // For now, just create a new profile instance
     const profile = new CommunicatorProfile({ userId });
     await profile.init();
+    await profile.reset();
     
     metrics.trackUserAction('reset_profile', userId, true);
     
@@ -387,6 +419,166 @@ async function getStatus(req: VercelRequest, res: VercelResponse) {
   }
 }
 
+// GET /preferences - Get user's analysis preferences
+async function getPreferences(req: VercelRequest, res: VercelResponse) {
+  await bootPromise;
+  const userId = getUserId(req);
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  return success(res, {
+    userId,
+    preferences: profile.getPreferences(),
+    available: {
+      profanitySensitivity: PROFANITY_SENSITIVITIES,
+      profanityProfile: Object.keys(dataLoader.get('profanityLexicons')?.profiles || {}),
+      guardrailProfile: Object.keys(dataLoader.get('guardrailConfig')?.profiles || {}),
+      weightProfile: Object.keys(dataLoader.get('weightModifiers')?.profiles || {})
+    }
+  });
+}
+
+// POST /preferences - Update user's analysis preferences
+async function setPreferences(req: VercelRequest, res: VercelResponse) {
+  await bootPromise;
+  const userId = getUserId(req);
+  const validation = preferencesSchema.safeParse(req.body);
+
+  if (!validation.success) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: validation.error.errors
+    });
+    return;
+  }
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  await profile.update(p => p.updatePreferences(validation.data));
+
+  metrics.trackUserAction('update_preferences', userId, true);
+  logger.info('Preferences updated', { userId, fields: Object.keys(validation.data) });
+
+  return success(res, {
+    userId,
+    preferences: profile.getPreferences(),
+    updated: true
+  });
+}
+
+// Stored preference, the profile tone analysis will use (and why), and the choices
+function weightProfileView(userId: string, profile: CommunicatorProfile) {
+  const config = dataLoader.get('weightModifiers');
+  const selected = selectWeightProfile(config, {
+    preferred: profile.getPreferences().weightProfile,
+    recentTones: profile.getRecentTones()
+  });
+  return {
+    userId,
+    preference: profile.getPreferences().weightProfile ?? null,
+    selected,
+    weights: resolveWeightProfile(config, selected.name),
+    available: Object.entries(config?.profiles || {}).map(([name, p]: [string, any]) => ({
+      name,
+      label: p.label,
+      description: p.description
+    }))
+  };
+}
+
+// GET /weight-profile - Get the user's tone-scoring weight profile
+async function getWeightProfile(req: VercelRequest, res: VercelResponse) {
+  await bootPromise;
+  const userId = getUserId(req);
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  return success(res, weightProfileView(userId, profile));
+}
+
+// POST /weight-profile - Pick a weight profile (null returns to auto-selection)
+async function setWeightProfile(req: VercelRequest, res: VercelResponse) {
+  await bootPromise;
+  const userId = getUserId(req);
+  const validation = weightProfileSchema.safeParse(req.body);
+
+  if (!validation.success) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: validation.error.errors
+    });
+    return;
+  }
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  await profile.update(p => p.updatePreferences({ weightProfile: validation.data.profile }));
+
+  metrics.trackUserAction('update_weight_profile', userId, true);
+  logger.info('Weight profile updated', { userId, profile: validation.data.profile });
+
+  return success(res, { ...weightProfileView(userId, profile), updated: true });
+}
+
+// GET /noticings - Top active "Noticing" insights (read-only; see POST /noticings/shown)
+async function getNoticings(req: VercelRequest, res: VercelResponse) {
+  await bootPromise;
+  const userId = getUserId(req);
+  const validation = noticingsQuerySchema.safeParse(req.query || {});
+
+  if (!validation.success) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: validation.error.errors
+    });
+    return;
+  }
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  const now = new Date();
+  const result = activeNoticings(dataLoader.get('learningSignals'), profile.getNoticingSignals(), now.getTime(), validation.data.limit);
+
+  metrics.trackUserAction('get_noticings', userId, true);
+
+  return success(res, {
+    userId,
+    noticings: result.noticings,
+    suppressed: result.suppressed,
+    generatedAt: now.toISOString()
+  });
+}
+
+// POST /noticings/shown - The client displayed these buckets; start their cooldown
+async function markNoticingsShown(req: VercelRequest, res: VercelResponse) {
+  await bootPromise;
+  const userId = getUserId(req);
+  const validation = noticingsShownSchema.safeParse(req.body);
+
+  if (!validation.success) {
+    res.status(400).json({
+      error: 'Validation failed',
+      details: validation.error.errors
+    });
+    return;
+  }
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  const now = new Date();
+  await profile.update(p => p.markNoticingsShown(validation.data.buckets, now));
+
+  metrics.trackUserAction('noticings_shown', userId, true);
+
+  return success(res, { userId, buckets: validation.data.buckets, shownAt: now.toISOString() });
+}
+
 // -------------------- Main Handler --------------------
 const handler = async (req: VercelRequest, res: VercelResponse) => {
   const path = req.url?.split('?')[0];
@@ -405,6 +597,18 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
       await resetProfile(req, res);
     } else if (method === 'GET' && path?.endsWith('/status')) {
       await getStatus(req, res);
+    } else if (method === 'GET' && path?.endsWith('/preferences')) {
+      await getPreferences(req, res);
+    } else if (method === 'POST' && path?.endsWith('/preferences')) {
+      await setPreferences(req, res);
+    } else if (method === 'GET' && path?.endsWith('/weight-profile')) {
+      await getWeightProfile(req, res);
+    } else if (method === 'POST' && path?.endsWith('/weight-profile')) {
+      await setWeightProfile(req, res);
+    } else if (method === 'GET' && path?.endsWith('/noticings')) {
+      await getNoticings(req, res);
+    } else if (method === 'POST' && path?.endsWith('/noticings/shown')) {
+      await markNoticingsShown(req, res);
     } else {
       res.status(404).json({
         error: 'Not Found',
@@ -415,11 +619,19 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
           'POST /analysis/detailed',
           'GET /export',
           'POST /reset',
-          'GET /status'
+          'GET /status',
+          'GET /preferences',
+          'POST /preferences',
+          'GET /weight-profile',
+          'POST /weight-profile',
+          'GET /noticings',
+          'POST /noticings/shown'
         ]
       });
     }
   } catch (error) {
+    // Lost profile-version races are answered with a retryable 409 by withProfileConflicts
+    if (error instanceof ProfileVersionConflictError) throw error;
     logger.error('Communicator API error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -429,9 +641,13 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
 };
 
 export default withErrorHandling(
-  withLogging(
-    withCors(
-      handler
+  withProfileConflicts(
+    withLogging(
+      withCors(
+        withAuth({ required: true })(
+          handler
+        )
+      )
     )
   )
 );
@@ -0,0 +1,36 @@
+// api/v1/flags.ts
+// Admin view of feature-flag resolution: GET /api/v1/flags?userId=<id> (defaults to the caller)
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import { withCors, withMethods, withErrorHandling, withLogging } from '../_lib/wrappers';
+import { success } from '../_lib/http';
+import { logger } from '../_lib/logger';
+import { getAuthContext } from '../_lib/auth';
+import { withAuth } from '../_lib/middleware/auth';
+import { ensureBoot } from '../_lib/bootstrap';
+import { featureFlags } from '../_lib/services/featureFlags';
+
+const bootPromise = ensureBoot();
+
+const handler = async (req: VercelRequest, res: VercelResponse) => {
+  await bootPromise;
+  const { userId: callerId } = getAuthContext(req);
+  const requested = typeof req.query?.userId === 'string' ? req.query.userId.trim() : '';
+  const userId = requested || callerId;
+
+  const { bucket, cohorts } = featureFlags.cohortsFor(userId);
+  const flags = featureFlags.evaluateAll({ userId });
+
+  logger.info('Feature flags inspected', { callerId, userId, flagCount: Object.keys(flags).length });
+
+  return success(res, { userId, cohortBucket: bucket, cohorts, flags });
+};
+
+export default withErrorHandling(
+  withLogging(
+    withCors(
+      withAuth({ required: true, roles: ['admin'] })(
+        withMethods(['GET'], handler)
+      )
+    )
+  )
+);
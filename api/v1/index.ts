@@ -14,9 +14,11 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
     endpoints: {
       health: '/api/v1/health',
       tone_analysis: '/api/v1/tone',
+      tone_stream: '/api/v1/tone/stream',
       suggestions: '/api/v1/suggestions',
       communicator: '/api/v1/communicator',
       trial_status: '/api/v1/trial-status',
+      flags: '/api/v1/flags',
     },
     features: env.ENABLED_FEATURES.split(','),
     rate_limits: {
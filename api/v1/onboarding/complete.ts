@@ -0,0 +1,88 @@
+// api/v1/onboarding/complete.ts
+/**
+ * POST /api/v1/onboarding/complete  { lessonId, reflection?, tz? }
+ *
+ * Marks an onboarding lesson done for the caller, optionally with their answer to the lesson's
+ * reflection prompt. Lessons from days the user has not reached yet are rejected. `tz` is
+ * remembered for later day counting.
+ */
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import { withCors, withMethods, withValidation, withErrorHandling, withLogging, withProfileConflicts } from '../../_lib/wrappers';
+import { success } from '../../_lib/http';
+import { getAuthContext } from '../../_lib/auth';
+import { withAuth } from '../../_lib/middleware/auth';
+import { ensureBoot } from '../../_lib/bootstrap';
+import { logger } from '../../_lib/logger';
+import { metrics } from '../../_lib/metrics';
+import { dataLoader } from '../../_lib/services/dataLoader';
+import { CommunicatorProfile } from '../../_lib/services/communicatorProfile';
+import { findLesson, onboardingDay, playbookDayCount, isValidTimeZone } from '../../_lib/services/onboarding';
+import { z } from 'zod';
+
+const bootPromise = ensureBoot();
+
+const completeSchema = z.object({
+  lessonId: z.string().min(1).max(64),
+  reflection: z.string().trim().min(1).max(1000).optional(),
+  tz: z.string().min(1).max(64).refine(isValidTimeZone, { message: 'Unknown time zone' }).optional(),
+}).strict();
+
+const handler = async (req: VercelRequest, res: VercelResponse, data: z.infer<typeof completeSchema>) => {
+  await bootPromise;
+  const { userId } = getAuthContext(req);
+  const playbook = dataLoader.get('onboardingPlaybook');
+
+  const found = findLesson(playbook, data.lessonId);
+  if (!found) {
+    res.status(400).json({ error: 'Validation failed', message: `Unknown lesson "${data.lessonId}"` });
+    return;
+  }
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  const day = await profile.update(p => {
+    const state = p.startOnboarding(data.tz);
+    const current = onboardingDay(playbook, { firstSeenAt: state.firstSeenAt, timeZone: state.timeZone });
+    if (found.day <= current.day) {
+      p.completeLesson(data.lessonId, current.day, data.reflection ? { ref: found.lesson.reflectionRef, text: data.reflection } : undefined);
+    }
+    return current.day;
+  });
+
+  if (found.day > day) {
+    // Not retryable: the lesson stays locked until the user reaches its day
+    res.status(403).json({ error: 'Forbidden', message: `Lesson "${data.lessonId}" unlocks on day ${found.day}`, code: 'LESSON_LOCKED' });
+    return;
+  }
+
+  metrics.trackUserAction('core_lesson_complete', userId, true);
+  if (data.reflection) metrics.trackUserAction('reflection_submit', userId, true);
+  // Reflection text stays out of the logs (telemetry.privacy.noRawTextLogging)
+  logger.info('Onboarding lesson completed', { userId, lessonId: data.lessonId, day, reflection: !!data.reflection });
+
+  const state = profile.getOnboarding();
+  const totalLessons = Object.values<any>(playbook?.days || {}).reduce((n, d) => n + (d.coreLessons?.length || 0), 0);
+  return success(res, {
+    userId,
+    lessonId: data.lessonId,
+    day,
+    totalDays: playbookDayCount(playbook),
+    completed: Object.keys(state.completed),
+    completedCount: Object.keys(state.completed).length,
+    totalLessons,
+    reflections: Object.keys(state.reflections)
+  });
+};
+
+export default withErrorHandling(
+  withProfileConflicts(
+    withLogging(
+      withCors(
+        withAuth({ required: true })(
+          withMethods(['POST'], withValidation(completeSchema, handler))
+        )
+      )
+    )
+  )
+);
@@ -0,0 +1,62 @@
+// api/v1/onboarding/noticings.ts
+/**
+ * POST /api/v1/onboarding/noticings  { buckets, tz? }
+ *
+ * Acknowledges the "Noticing" insights from GET /api/v1/onboarding/today that the client displayed:
+ * their buckets start the learning-signal cooldown and count toward today's maxNoticingsPerDay.
+ * `tz` is remembered for later day counting.
+ */
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import { withCors, withMethods, withValidation, withErrorHandling, withLogging, withProfileConflicts } from '../../_lib/wrappers';
+import { success } from '../../_lib/http';
+import { getAuthContext } from '../../_lib/auth';
+import { withAuth } from '../../_lib/middleware/auth';
+import { ensureBoot } from '../../_lib/bootstrap';
+import { logger } from '../../_lib/logger';
+import { metrics } from '../../_lib/metrics';
+import { dataLoader } from '../../_lib/services/dataLoader';
+import { CommunicatorProfile } from '../../_lib/services/communicatorProfile';
+import { onboardingDay, isValidTimeZone } from '../../_lib/services/onboarding';
+import { z } from 'zod';
+
+const bootPromise = ensureBoot();
+
+const noticingsSchema = z.object({
+  buckets: z.array(z.string().regex(/^[a-z][a-z0-9_]{0,39}$/)).min(1).max(10),
+  tz: z.string().min(1).max(64).refine(isValidTimeZone, { message: 'Unknown time zone' }).optional(),
+}).strict();
+
+const handler = async (req: VercelRequest, res: VercelResponse, data: z.infer<typeof noticingsSchema>) => {
+  await bootPromise;
+  const { userId } = getAuthContext(req);
+  const playbook = dataLoader.get('onboardingPlaybook');
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  const now = new Date();
+  const today = await profile.update(p => {
+    const state = p.startOnboarding(data.tz);
+    const current = onboardingDay(playbook, { firstSeenAt: state.firstSeenAt, now: now.getTime(), timeZone: state.timeZone });
+    p.markNoticingsShown(data.buckets, now);
+    p.recordOnboardingNoticings(current.dayKey, data.buckets.length);
+    return current;
+  });
+
+  metrics.trackUserAction('noticings_shown', userId, true);
+  logger.info('Onboarding noticings shown', { userId, day: today.day, noticings: data.buckets.length });
+
+  return success(res, { userId, day: today.day, dayKey: today.dayKey, buckets: data.buckets });
+};
+
+export default withErrorHandling(
+  withProfileConflicts(
+    withLogging(
+      withCors(
+        withAuth({ required: true })(
+          withMethods(['POST'], withValidation(noticingsSchema, handler))
+        )
+      )
+    )
+  )
+);
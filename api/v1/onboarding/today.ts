@@ -0,0 +1,60 @@
+// api/v1/onboarding/today.ts
+/**
+ * GET /api/v1/onboarding/today?tz=<IANA zone>
+ *
+ * The caller's onboarding day from onboarding_playbook.json: today's core lessons (with completion
+ * and when a reflection was submitted), supplementals, day extras, and up to maxNoticingsPerDay "Noticing" insights
+ * from their learning signals. Read-only: the week counts from profile creation, and `tz` is only
+ * remembered once the caller completes a lesson or acknowledges noticings
+ * (POST /api/v1/onboarding/noticings), so prefetches and retries don't use up the day's noticings.
+ */
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import { withCors, withMethods, withValidation, withErrorHandling, withLogging } from '../../_lib/wrappers';
+import { success } from '../../_lib/http';
+import { getAuthContext } from '../../_lib/auth';
+import { withAuth } from '../../_lib/middleware/auth';
+import { ensureBoot } from '../../_lib/bootstrap';
+import { logger } from '../../_lib/logger';
+import { metrics } from '../../_lib/metrics';
+import { dataLoader } from '../../_lib/services/dataLoader';
+import { CommunicatorProfile } from '../../_lib/services/communicatorProfile';
+import { onboardingToday, dailyNoticings, isValidTimeZone } from '../../_lib/services/onboarding';
+import { activeNoticings } from '../../_lib/services/learningSignals';
+import { z } from 'zod';
+
+const bootPromise = ensureBoot();
+
+const todayQuerySchema = z.object({
+  tz: z.string().min(1).max(64).refine(isValidTimeZone, { message: 'Unknown time zone' }).optional(),
+});
+
+const handler = async (req: VercelRequest, res: VercelResponse, data: z.infer<typeof todayQuerySchema>) => {
+  await bootPromise;
+  const { userId } = getAuthContext(req);
+  const playbook = dataLoader.get('onboardingPlaybook');
+
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+
+  const now = new Date();
+  const state = profile.getOnboarding();
+  const today = onboardingToday(playbook, { userId, state, now: now.getTime(), timeZone: data.tz });
+  const shownToday = state.noticings?.dayKey === today.dayKey ? state.noticings.count : 0;
+  const active = activeNoticings(dataLoader.get('learningSignals'), profile.getNoticingSignals(), now.getTime());
+  const noticings = dailyNoticings(playbook, active.noticings, { day: today.day, shownToday });
+
+  metrics.trackUserAction('onboarding_day_open', userId, true);
+  logger.info('Onboarding day opened', { userId, day: today.day, lessons: today.lessons.length, noticings: noticings.length });
+
+  return success(res, { userId, ...today, noticings });
+};
+
+export default withErrorHandling(
+  withLogging(
+    withCors(
+      withAuth({ required: true })(
+        withMethods(['GET'], withValidation(todayQuerySchema, handler))
+      )
+    )
+  )
+);
@@ -6,19 +6,23 @@ import { toneRequestSchema } from '../_lib/schemas/toneRequest';
 import { suggestionsService } from '../_lib/services/suggestions';
 import { CommunicatorProfile } from '../_lib/services/communicatorProfile';
 import { logger } from '../_lib/logger';
+import { getAuthContext } from '../_lib/auth';
+import { withAuth } from '../_lib/middleware/auth';
+import { withSuggestionsGuard } from '../_lib/middleware/trialGuard';
 import { ensureBoot } from '../_lib/bootstrap';
 import * as path from 'path';
 
 const bootPromise = ensureBoot();
 
 function getUserId(req: VercelRequest): string {
-  return req.headers['x-user-id'] as string || 'anonymous';
+  return getAuthContext(req).userId;
 }
 
 const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
   await bootPromise;
   const startTime = Date.now();
   const userId = getUserId(req);
+  const { isAuthenticated } = getAuthContext(req);
   
   logger.info('Processing advanced suggestions request', { 
     textLength: data.text.length,
@@ -36,6 +40,7 @@ const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
     // Get attachment estimate
     const attachmentEstimate = profile.getAttachmentEstimate();
     const isNewUser = !attachmentEstimate.primary || attachmentEstimate.confidence < 0.3;
+    const preferences = profile.getPreferences();
     
     // Generate suggestions using the dedicated service
     const suggestionAnalysis = await suggestionsService.generateAdvancedSuggestions(
@@ -52,7 +57,13 @@ const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
         attachmentStyle: attachmentEstimate.primary || undefined,
         relationshipStage: data.meta?.relationshipStage,
         conflictLevel: data.meta?.conflictLevel || 'low',
-        isNewUser
+        isNewUser,
+        profanitySensitivity: preferences.profanitySensitivity,
+        profanityProfile: preferences.profanityProfile,
+        channel: data.channel,
+        guardrailProfile: preferences.guardrailProfile,
+        verifiedUserId: isAuthenticated ? userId : undefined,
+        debug: data.debug
       }
     );
     
@@ -108,8 +119,12 @@ export default withErrorHandling(
   withLogging(
     withRateLimit()(
       withCors(
-        withMethods(['POST'], 
-          withValidation(toneRequestSchema, handler)
+        withAuth({ required: true })(
+          withMethods(['POST'],
+            withSuggestionsGuard(
+              withValidation(toneRequestSchema, handler)
+            )
+          )
         )
       )
     )
@@ -6,7 +6,7 @@ import { dataLoader } from '../_lib/services/dataLoader';
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   try {
     const text = req.body?.text || "I feel so overwhelmed and stressed out";
-    logger.info('Starting tone debug with text:', text);
+    logger.info('Starting tone debug', { textLength: text.length });
     
     // Force initialize dataLoader
     if (!dataLoader.isInitialized()) {
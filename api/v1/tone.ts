@@ -6,8 +6,16 @@ import { toneRequestSchema } from '../_lib/schemas/toneRequest';
 import { toneAnalysisService } from '../_lib/services/toneAnalysis';
 import { CommunicatorProfile } from '../_lib/services/communicatorProfile';
 import { logger } from '../_lib/logger';
+import { getAuthContext } from '../_lib/auth';
+import { withAuth } from '../_lib/middleware/auth';
 import { ensureBoot } from '../_lib/bootstrap';
 import { spacyClient } from '../_lib/services/spacyClient';
+import { dataLoader } from '../_lib/services/dataLoader';
+import { resolveGuardrails, autoGuardrailProfile } from '../_lib/services/guardrails';
+import { resolveToneBuckets } from '../_lib/services/toneBuckets';
+import { computeSeverity } from '../_lib/services/severity';
+import { featureFlags } from '../_lib/services/featureFlags';
+import { selectWeightProfile } from '../_lib/services/weightProfiles';
 import * as path from 'path';
 
 // Pin the function near your users for lower RTT
@@ -20,7 +28,39 @@ const bootPromise = (async () => {
 })();
 
 function getUserId(req: VercelRequest): string {
-  return req.headers['x-user-id'] as string || 'anonymous';
+  return getAuthContext(req).userId;
+}
+
+// Only signed-in users have a profile here; anonymous callers get the JSON defaults
+async function loadProfile(req: VercelRequest): Promise<CommunicatorProfile | null> {
+  const { userId, isAuthenticated } = getAuthContext(req);
+  if (!isAuthenticated) return null;
+  const profile = new CommunicatorProfile({ userId });
+  await profile.init();
+  return profile;
+}
+
+function getAnalysisPreferences(profile: CommunicatorProfile | null) {
+  if (!profile) return {};
+  const { profanitySensitivity, profanityProfile, guardrailProfile } = profile.getPreferences();
+  return { profanitySensitivity, profanityProfile, guardrailProfile };
+}
+
+// Weight profile: the user's pick, else auto-selected from the tones of their recent messages
+function getWeightProfile(profile: CommunicatorProfile | null) {
+  return selectWeightProfile(dataLoader.get('weightModifiers'), {
+    preferred: profile?.getPreferences().weightProfile,
+    recentTones: profile ? profile.getRecentTones() : []
+  });
+}
+
+// Severity stacking needs the user's recent message times; a failed save only loses one timestamp
+async function recordMessageTime(profile: CommunicatorProfile, userId: string, now: Date, keepMs: number) {
+  try {
+    await profile.update(p => p.recordMessageTime(now, keepMs));
+  } catch (err) {
+    logger.warn('Failed to record message time', { userId, error: err });
+  }
 }
 
 const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
@@ -48,9 +88,29 @@ const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
     // const attachmentEstimate = profile.getAttachmentEstimate();
     // const isNewUser = !attachmentEstimate.primary || attachmentEstimate.confidence < 0.3;
     
+    const profile = await loadProfile(req);
+    const { guardrailProfile: preferredProfile, ...profanityPreferences } = getAnalysisPreferences(profile);
+    const weightProfile = getWeightProfile(profile);
+    const { isAuthenticated } = getAuthContext(req);
+    const verifiedUserId = isAuthenticated ? userId : undefined;
+    const guardrailProfile = preferredProfile || autoGuardrailProfile(
+      flag => featureFlags.isEnabled(flag, { userId: verifiedUserId }),
+      { context: data.context, profanityProfile: profanityPreferences.profanityProfile }
+    );
+    const guardrails = resolveGuardrails(dataLoader.get('guardrailConfig'), {
+      channel: data.channel,
+      profile: guardrailProfile,
+      context: data.context,
+      attachmentStyle: data.attachmentStyle
+    });
+
     // Perform advanced analysis using the dedicated service
     const result = await toneAnalysisService.analyzeAdvancedTone(data.text, {
       context: data.context,
+      ...profanityPreferences,
+      guardrailProfile,
+      verifiedUserId,
+      weightProfile: weightProfile.name,
       // attachmentStyle: attachmentEstimate.primary || undefined,
       // relationshipStage: data.meta?.relationshipStage,
       includeAttachmentInsights: true,
@@ -66,6 +126,26 @@ const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
     
     // Add communication to profile history
     // profile.addCommunication(data.text, data.context, result.primary_tone);
+
+    // Severity band + UI actions; repeat messages inside byRecency.repeatWithin_ms stack
+    const now = new Date();
+    const severityConfig = dataLoader.get('severityCollaboration');
+    const buckets = resolveToneBuckets(dataLoader.get('toneBucketMapping') || dataLoader.get('toneBucketMap'), {
+      tone: result.primary_tone,
+      confidence: result.confidence,
+      intensity: result.intensity,
+      context: data.context,
+      attachmentStyle: data.attachmentStyle
+    });
+    const severity = computeSeverity(severityConfig, {
+      bucket: buckets.primary,
+      dist: buckets.dist,
+      textLength: data.text.length,
+      cohort: data.cohort,
+      recentTimestamps: profile ? profile.getRecentMessageTimes() : [],
+      now: now.getTime()
+    });
+    if (profile) await recordMessageTime(profile, userId, now, severityConfig?.byRecency?.repeatWithin_ms);
     
     const processingTime = Date.now() - startTime;    logger.info('Advanced tone analysis completed', { 
       processingTime,
@@ -91,6 +171,19 @@ const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
         linguistic_features: result.linguistic_features,
         context_analysis: result.context_analysis,
         attachment_insights: result.attachment_insights,
+        profanity: result.profanity,
+      },
+      // Keyboard uses softBlock / requireAcknowledgment to gate the send button
+      severity,
+      // Matched semantic clusters (blame, stonewalling, ...) with char spans to highlight
+      evidence: result.evidence ?? { clusters: [] },
+      // Resolved channel/profile thresholds so the client can gate its own UI the same way
+      analysis_meta: {
+        guardrails: {
+          ...guardrails,
+          meetsMinConfidence: result.confidence >= guardrails.minConfidence
+        },
+        weightProfile
       },
       metadata: {
         processing_time_ms: processingTime,
@@ -109,10 +202,12 @@ const handler = async (req: VercelRequest, res: VercelResponse, data: any) => {
 
 export default withErrorHandling(
   withLogging(
-    withRateLimit()(
-      withCors(
-        withMethods(['POST'], 
-          withValidation(toneRequestSchema, handler)
+    withCors(
+      withAuth()(
+        withRateLimit()(
+          withMethods(['POST'],
+            withValidation(toneRequestSchema, handler)
+          )
         )
       )
     )
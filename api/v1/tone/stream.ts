@@ -0,0 +1,92 @@
+// api/v1/tone/stream.ts
+/**
+ * POST /api/v1/tone/stream — keystroke-level tone for the keyboard.
+ *
+ * Instead of re-posting the whole message to /api/v1/tone on every change, the client sends
+ * deltas ({ fieldId, sessionId, seq, deleteCount, append }) and gets the updated
+ * clear/caution/alert distribution from the field's ToneStream. Session state lives in
+ * process (toneLive), keyed by user + field, and idle sessions expire. When the server has
+ * no usable state (gap in seq, eviction, cold start) the response sets resync_required and
+ * the client sends the full `text` once.
+ *
+ * Rate limited per IP under its own 'tone-stream' key: one call per keystroke batch would drain
+ * the shared budget /tone and /suggestions use for whole-message calls, while an unlimited
+ * caller could fill toneLive with anonymous sessions.
+ */
+import { VercelRequest, VercelResponse } from '@vercel/node';
+import { withCors, withMethods, withValidation, withErrorHandling, withLogging, withRateLimit } from '../../_lib/wrappers';
+import { success } from '../../_lib/http';
+import { toneStreamRequestSchema, ToneStreamRequest } from '../../_lib/schemas/toneRequest';
+import { toneLive } from '../../_lib/services/toneAnalysis';
+import { getAuthContext } from '../../_lib/auth';
+import { withAuth } from '../../_lib/middleware/auth';
+import { ensureBoot } from '../../_lib/bootstrap';
+import { logger } from '../../_lib/logger';
+
+export const config = { regions: ['iad1'] };
+
+const bootPromise = ensureBoot();
+
+// About 10 deltas a second of sustained typing
+export const STREAM_RATE_WINDOW_MS = 60 * 1000;
+export const STREAM_RATE_MAX = 600;
+
+/** Anonymous callers share one userId, so their streams are also scoped by session. */
+export function streamKey(userId: string, fieldId: string, sessionId: string): string {
+  return userId === 'anonymous' ? `anonymous:${sessionId}:${fieldId}` : `${userId}:${fieldId}`;
+}
+
+const handler = async (req: VercelRequest, res: VercelResponse, data: ToneStreamRequest) => {
+  await bootPromise;
+
+  const startTime = Date.now();
+  const { userId } = getAuthContext(req);
+  const key = streamKey(userId, data.fieldId, data.sessionId);
+
+  const update = toneLive.applyDelta(key, {
+    sessionId: data.sessionId,
+    seq: data.seq,
+    deleteCount: data.deleteCount,
+    append: data.append,
+    text: data.text,
+    reset: data.reset,
+    context: data.context,
+    attachmentStyle: data.attachmentStyle
+  });
+
+  if (update.resyncRequired) {
+    logger.debug('Tone stream out of sync, requesting full text', { userId, fieldId: data.fieldId, seq: data.seq, serverSeq: update.seq });
+  }
+
+  return success(res, {
+    ok: true,
+    fieldId: data.fieldId,
+    sessionId: data.sessionId,
+    seq: update.seq,
+    tone: update.primary,
+    distribution: update.distribution,
+    applied: update.applied,
+    resync_required: update.resyncRequired,
+    sentence_finalized: update.sentenceFinalized,
+    metadata: {
+      text_length: update.textLength,
+      session_created: update.created,
+      active_sessions: toneLive.size,
+      processing_time_ms: Date.now() - startTime
+    }
+  });
+};
+
+export default withErrorHandling(
+  withLogging(
+    withRateLimit(STREAM_RATE_WINDOW_MS, STREAM_RATE_MAX, 'tone-stream')(
+      withCors(
+        withAuth()(
+          withMethods(['POST'],
+            withValidation(toneStreamRequestSchema, handler)
+          )
+        )
+      )
+    )
+  )
+);
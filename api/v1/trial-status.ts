@@ -1,9 +1,12 @@
 // api/v1/trial-status.ts
 import { VercelRequest, VercelResponse } from '@vercel/node';
 import { withCors, withMethods, withErrorHandling, withLogging } from '../_lib/wrappers';
-import { success } from '../_lib/http';
+import { success, badRequest } from '../_lib/http';
 import { logger } from '../_lib/logger';
+import { getAuthContext } from '../_lib/auth';
+import { withAuth } from '../_lib/middleware/auth';
 import { ensureBoot } from '../_lib/bootstrap';
+import { getEntitlementService, FEATURES, isFeature, MONTHLY_PRICE, TRIAL_DAYS } from '../_lib/services/entitlements';
 
 const bootPromise = ensureBoot();
 
@@ -28,144 +31,73 @@ interface TrialStatus {
   userEmail?: string | null;
   trialStartDate: string;
   trialEndDate: string;
-  subscriptionStatus?: 'active' | 'canceled' | 'past_due' | null;
+  subscriptionStatus?: string | null; // Stripe subscription status
+  currentPeriodEnd?: string | null;
   paymentUrl?: string; // URL to initiate payment
   message: string;
   blockingMessage?: string; // Message when access is blocked
 }
 
+// Generous daily limits for trial/premium; zero once access is gone
+const DAILY_LIMITS: Record<string, number> = { api_calls: 1000, suggestions: 50 };
+
 class TrialManager {
-  constructor() {
-    // In a real implementation, this would connect to a database
-    // For now, using mock data that assumes most users are in trial
+  // Resolved per call, so a service swapped in with setEntitlementService() is picked up
+  private get entitlements() {
+    return getEntitlementService();
   }
 
-  getTrialStatus(userId: string, userEmail?: string | null): TrialStatus {
-    // Mock implementation - in production this would check a database
-    const currentDate = new Date();
-    const trialStartDate = new Date(currentDate.getTime() - (2 * 24 * 60 * 60 * 1000)); // 2 days ago
-    const trialEndDate = new Date(trialStartDate.getTime() + (7 * 24 * 60 * 60 * 1000)); // 7 days from start
-    const daysUsed = Math.floor((currentDate.getTime() - trialStartDate.getTime()) / (24 * 60 * 60 * 1000));
-    const daysRemaining = Math.max(0, 7 - daysUsed);
-    
-    // Check if user has premium subscription (mock - would check payment processor in production)
-    const hasPremiumSubscription = this.checkPremiumStatus(userId, userEmail);
-    
-    // Determine status and access
-    let status: 'trial_active' | 'trial_expired' | 'premium';
-    let planType: 'trial' | 'premium' | 'expired';
-    let hasAccess: boolean;
+  async getTrialStatus(userId: string, userEmail?: string | null): Promise<TrialStatus> {
+    const entitlement = await this.entitlements.getStatus(userId);
+    const { status, planType, hasAccess, daysRemaining } = entitlement;
+
     let message: string;
     let blockingMessage: string | undefined;
-    
-    if (hasPremiumSubscription) {
-      status = 'premium';
-      planType = 'premium';
-      hasAccess = true;
+    if (status === 'premium') {
       message = 'Premium subscription active. Full access to all features!';
-    } else if (daysRemaining > 0) {
-      status = 'trial_active';
-      planType = 'trial';
-      hasAccess = true;
+    } else if (status === 'trial_active') {
       message = `Your trial has ${daysRemaining} days remaining. Enjoy full access to all features!`;
     } else {
-      status = 'trial_expired';
-      planType = 'expired';
-      hasAccess = false; // CRITICAL: No access after trial without payment
-      message = 'Your 7-day trial has expired.';
-      blockingMessage = 'Upgrade to Premium ($3.99/month) to continue using API services.';
+      message = `Your ${TRIAL_DAYS}-day trial has expired.`;
+      blockingMessage = `Upgrade to Premium ($${MONTHLY_PRICE}/month) to continue using API services.`;
     }
-    
-    // Features available only during trial or with premium subscription
-    const features = hasAccess ? {
-      'tone-analysis': true,
-      'suggestions': true,
-      'therapy-advice': true,
-      'advanced-analysis': true,
-      'personality-integration': true,
-      'communication-insights': true,
-      'real-time-suggestions': true,
-      'attachment-analysis': true
-    } : {
-      // No features available without payment after trial
-      'tone-analysis': false,
-      'suggestions': false,
-      'therapy-advice': false,
-      'advanced-analysis': false,
-      'personality-integration': false,
-      'communication-insights': false,
-      'real-time-suggestions': false,
-      'attachment-analysis': false
-    };
-    
+
+    // No features available without payment after trial
+    const features = Object.fromEntries(FEATURES.map(f => [f, hasAccess]));
+
+    const dailyLimits = Object.fromEntries(Object.entries(DAILY_LIMITS).map(([key, limit]) => {
+      const total = hasAccess ? limit : 0;
+      const used = hasAccess ? (entitlement.usage[key] || 0) : 0;
+      return [key, { total, used, remaining: Math.max(0, total - used) }];
+    }));
+
     return {
       status,
       daysRemaining,
-      totalTrialDays: 7,
+      totalTrialDays: entitlement.totalTrialDays,
       hasAccess,
       planType,
       pricing: {
-        monthlyPrice: 3.99,
+        monthlyPrice: MONTHLY_PRICE,
         currency: 'USD',
-        paymentRequired: !hasAccess && !hasPremiumSubscription
-      },
-      dailyLimits: hasAccess ? {
-        'api_calls': {
-          total: 1000, // Generous limit for trial/premium
-          used: Math.floor(Math.random() * 100),
-          remaining: 1000 - Math.floor(Math.random() * 100)
-        },
-        'suggestions': {
-          total: 50,
-          used: Math.floor(Math.random() * 20),
-          remaining: 50 - Math.floor(Math.random() * 20)
-        }
-      } : {
-        // Zero limits for expired users
-        'api_calls': { total: 0, used: 0, remaining: 0 },
-        'suggestions': { total: 0, used: 0, remaining: 0 }
+        paymentRequired: !hasAccess
       },
+      dailyLimits,
       features,
       userId,
       userEmail,
-      trialStartDate: trialStartDate.toISOString(),
-      trialEndDate: trialEndDate.toISOString(),
-      subscriptionStatus: hasPremiumSubscription ? 'active' : null,
-      paymentUrl: !hasAccess ? this.generatePaymentUrl(userId, userEmail) : undefined,
+      trialStartDate: entitlement.trialStartDate,
+      trialEndDate: entitlement.trialEndDate,
+      subscriptionStatus: entitlement.subscriptionStatus,
+      currentPeriodEnd: entitlement.currentPeriodEnd,
+      paymentUrl: !hasAccess ? this.entitlements.generatePaymentUrl(userId, userEmail) : undefined,
       message,
       blockingMessage
     };
   }
 
-  // Mock premium status check - in production would integrate with Stripe/payment processor
-  private checkPremiumStatus(userId: string, userEmail?: string | null): boolean {
-    // Mock: For demo purposes, let's say users with email containing "premium" have paid
-    // In production, this would check your payment processor (Stripe, etc.)
-    if (userEmail && userEmail.includes('premium')) {
-      return true;
-    }
-    // For testing: specific user IDs that have "paid"
-    const premiumUsers = ['premium_user', 'paid_user_123', 'subscriber_001'];
-    return premiumUsers.includes(userId);
-  }
-
-  // Generate payment URL - integrate with your payment processor
-  private generatePaymentUrl(userId: string, userEmail?: string | null): string {
-    // In production, this would generate a Stripe Checkout URL or similar
-    const baseUrl = process.env.VERCEL_URL || 'https://your-app.vercel.app';
-    const params = new URLSearchParams({
-      userId,
-      plan: 'premium',
-      price: '3.99',
-      currency: 'USD'
-    });
-    if (userEmail) params.append('email', userEmail);
-    
-    return `${baseUrl}/payment/checkout?${params.toString()}`;
-  }
-
-  checkFeatureAccess(userId: string, feature: string): boolean {
-    const status = this.getTrialStatus(userId);
+  async checkFeatureAccess(userId: string, feature: string): Promise<boolean> {
+    const status = await this.getTrialStatus(userId);
     
     // STRICT ENFORCEMENT: No access to ANY features without payment after trial
     if (!status.hasAccess) {
@@ -182,8 +114,8 @@ class TrialManager {
   }
 
   // Check if user has any API access at all
-  checkApiAccess(userId: string): { hasAccess: boolean; reason?: string; paymentUrl?: string } {
-    const status = this.getTrialStatus(userId);
+  async checkApiAccess(userId: string): Promise<{ hasAccess: boolean; reason?: string; paymentUrl?: string }> {
+    const status = await this.getTrialStatus(userId);
     
     if (!status.hasAccess) {
       return {
@@ -196,15 +128,15 @@ class TrialManager {
     return { hasAccess: true };
   }
 
-  incrementUsage(userId: string, feature: string): boolean {
-    // Mock implementation - would update database in production
-    logger.info('Usage incremented', { userId, feature });
+  async incrementUsage(userId: string, feature: string): Promise<boolean> {
+    const counts = await this.entitlements.incrementUsage(userId, feature);
+    logger.info('Usage incremented', { userId, feature, count: counts[feature] });
     return true;
   }
 }
 
 function getUserId(req: VercelRequest): string {
-  return req.headers['x-user-id'] as string || 'anonymous';
+  return getAuthContext(req).userId;
 }
 
 const trialManager = new TrialManager();
@@ -216,8 +148,8 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
   try {
     if (req.method === 'GET') {
       // Get trial status
-      const userEmail = req.query.email as string || null;
-      const status = trialManager.getTrialStatus(userId, userEmail);
+      const userEmail = getAuthContext(req).userEmail || null;
+      const status = await trialManager.getTrialStatus(userId, userEmail);
       
       logger.info('Trial status retrieved', { 
         userId, 
@@ -232,10 +164,13 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
     } else if (req.method === 'POST') {
       // Check specific feature access or increment usage
       const { feature, action } = req.body;
-      
+      if ((action === 'check' || action === 'increment') && !isFeature(feature)) {
+        return badRequest(res, `Unknown feature. Use one of: ${FEATURES.join(', ')}`);
+      }
+
       if (action === 'check') {
-        const hasAccess = trialManager.checkFeatureAccess(userId, feature);
-        const status = trialManager.getTrialStatus(userId);
+        const hasAccess = await trialManager.checkFeatureAccess(userId, feature);
+        const status = await trialManager.getTrialStatus(userId);
         
         return success(res, { 
           userId,
@@ -251,19 +186,19 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
         
       } else if (action === 'increment') {
         // First check if user has access
-        const accessCheck = trialManager.checkApiAccess(userId);
+        const accessCheck = await trialManager.checkApiAccess(userId);
         if (!accessCheck.hasAccess) {
           res.status(403).json({
             error: 'Access Denied',
             message: accessCheck.reason,
             paymentUrl: accessCheck.paymentUrl,
-            pricing: { monthlyPrice: 3.99, currency: 'USD' }
+            pricing: { monthlyPrice: MONTHLY_PRICE, currency: 'USD' }
           });
           return;
         }
         
-        const success_increment = trialManager.incrementUsage(userId, feature);
-        const updatedStatus = trialManager.getTrialStatus(userId);
+        const success_increment = await trialManager.incrementUsage(userId, feature);
+        const updatedStatus = await trialManager.getTrialStatus(userId);
         
         return success(res, { 
           userId,
@@ -275,8 +210,8 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
         
       } else if (action === 'verify-access') {
         // New action to verify overall API access
-        const accessCheck = trialManager.checkApiAccess(userId);
-        const status = trialManager.getTrialStatus(userId);
+        const accessCheck = await trialManager.checkApiAccess(userId);
+        const status = await trialManager.getTrialStatus(userId);
         
         if (!accessCheck.hasAccess) {
           res.status(403).json({
@@ -313,7 +248,9 @@ const handler = async (req: VercelRequest, res: VercelResponse) => {
 export default withErrorHandling(
   withLogging(
     withCors(
-      withMethods(['GET', 'POST'], handler)
+      withAuth()(
+        withMethods(['GET', 'POST'], handler)
+      )
     )
   )
 );
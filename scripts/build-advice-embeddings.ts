@@ -0,0 +1,25 @@
+// scripts/build-advice-embeddings.ts
+/**
+ * Precompute dense vectors for every therapy_advice.json item into data/advice_vectors.bin.
+ * Re-run whenever therapy_advice.json or the embedder settings change:
+ *
+ *   npm run build:embeddings
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { HashingEmbedder, adviceEmbeddingText, encodeAdviceVectors, VECTORS_FILE } from '../api/_lib/services/adviceEmbedder';
+
+const dataDir = path.resolve(__dirname, '../data');
+const raw = JSON.parse(fs.readFileSync(path.join(dataDir, 'therapy_advice.json'), 'utf-8'));
+const items: any[] = Array.isArray(raw) ? raw : (raw?.items ?? []);
+
+const embedder = new HashingEmbedder();
+const entries: Array<[string, Float32Array]> = items
+  .filter(it => it?.id && it?.advice)
+  .map(it => [String(it.id), embedder.embed(adviceEmbeddingText(it))]);
+
+const buf = encodeAdviceVectors(embedder.modelId, embedder.dims, entries);
+fs.writeFileSync(path.join(dataDir, VECTORS_FILE), buf);
+
+console.log(`Wrote ${entries.length} vectors (${embedder.dims} dims, ${embedder.modelId}) to data/${VECTORS_FILE} — ${(buf.length / 1024).toFixed(1)} KB`);
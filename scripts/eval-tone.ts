@@ -0,0 +1,119 @@
+// scripts/eval-tone.ts
+/**
+ * Offline tone evaluation against data/evaluation_tones.json.
+ *
+ *   npm run eval:tone                          # report + compare with the committed baseline
+ *   npm run eval:tone -- --context category    # pass meta.category as the analysis context
+ *   npm run eval:tone -- --update-baseline     # accept the current numbers as the new baseline
+ *
+ * Flags: --out <file> (default reports/tone-eval.json), --baseline <file>, --tolerance <n>
+ * (allowed accuracy and per-bucket recall drop, default 0.005), --min-recall <n> (default 0.1),
+ * --quiet. Exits 1 when accuracy or any bucket's recall falls below baseline, or when a bucket's
+ * recall is under --min-recall (a bucket the pipeline never predicts fails even with no baseline).
+ */
+
+import './lib/offlineEnv';
+import * as fs from 'fs';
+import * as path from 'path';
+import { evaluateTone, loadEvaluationExamples, formatConfusion, formatReliability, BUCKETS, Bucket } from '../api/_lib/services/toneEvaluation';
+
+const root = path.resolve(__dirname, '..');
+
+function arg(name: string, fallback?: string): string | undefined {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && process.argv[i + 1] && !process.argv[i + 1].startsWith('--') ? process.argv[i + 1] : fallback;
+}
+const flag = (name: string) => process.argv.includes(`--${name}`);
+
+async function main(): Promise<number> {
+  const outFile = path.resolve(root, arg('out', 'reports/tone-eval.json')!);
+  const baselineFile = path.resolve(root, arg('baseline', 'tests/baselines/tone-eval.json')!);
+  const tolerance = Number(arg('tolerance', '0.005'));
+  const minRecall = Number(arg('min-recall', '0.1'));
+  const context = arg('context', 'general')!;
+  const quiet = flag('quiet');
+
+  const { version, examples } = loadEvaluationExamples();
+  if (!examples.length) {
+    console.error('No labelled examples found in evaluation_tones.json');
+    return 2;
+  }
+
+  const report = await evaluateTone(examples, { context }, version);
+
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify(report, null, 2));
+
+  const o = report.overall;
+  console.log(`\nTone evaluation — ${examples.length} examples (context: ${context})`);
+  console.log(`accuracy ${(o.accuracy * 100).toFixed(1)}%  macro-F1 ${o.macroF1.toFixed(3)}  ECE ${report.calibration.ece.toFixed(3)}  fallbacks ${report.analysisFallbacks}`);
+  console.log(`scoreRange violations ${report.scoreRange.violations}/${report.scoreRange.checked} (below min ${report.scoreRange.belowMin}, above max ${report.scoreRange.aboveMax}, alt above max ${report.scoreRange.altAboveMax})`);
+  console.log(`\n${formatConfusion(o.confusion)}`);
+  console.log(`recall ${BUCKETS.map(b => `${b} ${(o.perBucket[b].recall * 100).toFixed(1)}%`).join('  ')}`);
+
+  if (!quiet) {
+    console.log('\nBy edge flag');
+    for (const [edgeFlag, values] of Object.entries(report.byEdge)) {
+      for (const [value, m] of Object.entries(values)) {
+        console.log(`  ${`${edgeFlag}=${value}`.padEnd(18)} n=${String(m.n).padStart(3)}  acc ${(m.accuracy * 100).toFixed(1)}%`);
+      }
+    }
+    console.log('\nBy category (n ≥ 5)');
+    for (const [cat, m] of Object.entries(report.byCategory).sort((a, b) => b[1].n - a[1].n)) {
+      if (m.n >= 5) console.log(`  ${cat.padEnd(18)} n=${String(m.n).padStart(3)}  acc ${(m.accuracy * 100).toFixed(1)}%`);
+    }
+    console.log(`\nReliability (predicted-bucket confidence)\n${formatReliability(report.calibration.reliability)}`);
+  }
+  console.log(`\nReport written to ${path.relative(root, outFile)}`);
+
+  const recall = Object.fromEntries(BUCKETS.map(b => [b, o.perBucket[b].recall])) as Record<Bucket, number>;
+  const current = {
+    accuracy: o.accuracy,
+    macroF1: o.macroF1,
+    recall,
+    ece: report.calibration.ece,
+    examples: examples.length,
+    context,
+    datasetVersion: version,
+    updatedAt: report.generatedAt
+  };
+
+  const starved = BUCKETS.filter(b => recall[b] < minRecall);
+  if (starved.length) {
+    console.error(`Recall below ${minRecall} for ${starved.join(', ')}: the pipeline (almost) never predicts ${starved.length > 1 ? 'these buckets' : 'this bucket'}`);
+    return 1;
+  }
+
+  if (flag('update-baseline')) {
+    fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+    fs.writeFileSync(baselineFile, JSON.stringify(current, null, 2) + '\n');
+    console.log(`Baseline updated: ${path.relative(root, baselineFile)}`);
+    return 0;
+  }
+
+  if (!fs.existsSync(baselineFile)) {
+    console.warn(`No baseline at ${path.relative(root, baselineFile)} — run with --update-baseline to create one`);
+    return 0;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf-8'));
+  const delta = o.accuracy - baseline.accuracy;
+  console.log(`Baseline accuracy ${(baseline.accuracy * 100).toFixed(1)}% → ${(o.accuracy * 100).toFixed(1)}% (${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts)`);
+  if (delta < -tolerance) {
+    console.error(`Accuracy regressed below baseline (tolerance ${tolerance})`);
+    return 1;
+  }
+  const regressed = BUCKETS.filter(b => typeof baseline.recall?.[b] === 'number' && recall[b] < baseline.recall[b] - tolerance);
+  if (regressed.length) {
+    console.error(`Recall regressed below baseline for ${regressed.map(b => `${b} (${baseline.recall[b]} → ${recall[b]})`).join(', ')}`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(err);
+    process.exit(2);
+  });
@@ -0,0 +1,100 @@
+// scripts/fit-calibration.ts
+/**
+ * Fit per-context Platt parameters from data/evaluation_tones.json and write
+ * data/tone_calibration.json (loaded by dataLoader as `toneCalibration`).
+ *
+ *   npm run calibrate:tone
+ *   npm run calibrate:tone -- --min-group 20 --lambda 2 --dry-run
+ *
+ * x = raw (uncalibrated) analyzeAdvancedTone confidence, y = 1 when the mapped bucket matches
+ * expect.tone. `general` is fitted on every example; each meta.category with at least
+ * --min-group examples gets its own entry, regularized toward `general`.
+ */
+
+import './lib/offlineEnv';
+import * as fs from 'fs';
+import * as path from 'path';
+import { loadEvaluationExamples, predictExample, reliabilityTable, formatReliability } from '../api/_lib/services/toneEvaluation';
+import { fitPlatt, applyPlatt, getPlattParams, logLoss, DEFAULT_PLATT, ToneCalibrationFile, FittedContext } from '../api/_lib/services/toneCalibration';
+
+const root = path.resolve(__dirname, '..');
+const OUT_FILE = path.join(root, 'data', 'tone_calibration.json');
+
+function arg(name: string, fallback: string): string {
+  const i = process.argv.indexOf(`--${name}`);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+async function main(): Promise<number> {
+  const minGroup = Number(arg('min-group', '15'));
+  const lambda = Number(arg('lambda', '1'));
+  const dryRun = process.argv.includes('--dry-run');
+
+  const { version, examples } = loadEvaluationExamples();
+  if (!examples.length) {
+    console.error('No labelled examples found in evaluation_tones.json');
+    return 2;
+  }
+
+  const points: Array<{ x: number; y: number; group: string }> = [];
+  for (const ex of examples) {
+    const pred = await predictExample(ex, { skipCalibration: true });
+    points.push({ x: pred.rawConfidence, y: pred.predicted === pred.expected ? 1 : 0, group: ex.meta?.category || 'general' });
+  }
+
+  const general = fitPlatt(points, { prior: DEFAULT_PLATT, lambda: lambda * 0.01 });
+  const contexts: Record<string, FittedContext> = {};
+  const describe = (pts: typeof points, fitted: { a: number; b: number }, before: { a: number; b: number }): FittedContext => ({
+    a: Number(fitted.a.toFixed(4)),
+    b: Number(fitted.b.toFixed(4)),
+    n: pts.length,
+    positives: pts.filter(p => p.y === 1).length,
+    nllBefore: Number(logLoss(pts, before).toFixed(4)),
+    nllAfter: Number(logLoss(pts, fitted).toFixed(4))
+  });
+  contexts.general = describe(points, general, getPlattParams('general'));
+
+  const groups = new Map<string, typeof points>();
+  for (const p of points) groups.set(p.group, [...(groups.get(p.group) || []), p]);
+  for (const [group, pts] of [...groups.entries()].sort((a, b) => b[1].length - a[1].length)) {
+    if (group === 'general' || pts.length < minGroup) continue;
+    contexts[group] = describe(pts, fitPlatt(pts, { prior: general, lambda }), getPlattParams(group));
+  }
+
+  // Reliability before (currently loaded calibration) vs after (new fit), by context lookup
+  const paramsAfter = (g: string) => contexts[g] ?? contexts.general;
+  const before = reliabilityTable(points.map(p => ({ confidence: applyPlatt(p.x, getPlattParams(p.group)), correct: p.y === 1 })));
+  const after = reliabilityTable(points.map(p => ({ confidence: applyPlatt(p.x, paramsAfter(p.group)), correct: p.y === 1 })));
+
+  console.log(`\nPlatt calibration — ${points.length} examples, ${Object.keys(contexts).length} contexts (min group ${minGroup}, λ ${lambda})\n`);
+  console.log('context            n    pos      a        b     NLL before → after');
+  for (const [ctx, c] of Object.entries(contexts)) {
+    console.log(`${ctx.padEnd(16)}${String(c.n).padStart(5)}${String(c.positives).padStart(6)}${c.a.toFixed(3).padStart(9)}${c.b.toFixed(3).padStart(9)}    ${c.nllBefore!.toFixed(3)} → ${c.nllAfter!.toFixed(3)}`);
+  }
+  console.log(`\nBefore (ECE ${before.ece.toFixed(3)})\n${formatReliability(before.rows)}`);
+  console.log(`\nAfter (ECE ${after.ece.toFixed(3)})\n${formatReliability(after.rows)}`);
+
+  const previous: ToneCalibrationFile | null = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, 'utf-8')) : null;
+  const file: ToneCalibrationFile = {
+    version: (previous?.version ?? 0) + 1,
+    fittedAt: new Date().toISOString(),
+    method: 'platt-map',
+    source: { file: 'evaluation_tones.json', datasetVersion: version, examples: points.length, groupBy: 'meta.category' },
+    contexts
+  };
+
+  if (dryRun) {
+    console.log('\n--dry-run: calibration file not written');
+    return 0;
+  }
+  fs.writeFileSync(OUT_FILE, JSON.stringify(file, null, 2) + '\n');
+  console.log(`\nWrote data/tone_calibration.json (version ${file.version})`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(err);
+    process.exit(2);
+  });
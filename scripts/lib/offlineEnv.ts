@@ -0,0 +1,24 @@
+// scripts/lib/offlineEnv.ts
+/**
+ * Offline scripts import api/_lib modules, whose logger validates the full API env at load.
+ * Nothing here talks to Firebase or OpenAI, so fill placeholders for anything unset and keep
+ * logs quiet. Import this before any api/_lib module.
+ */
+import 'dotenv/config';
+
+const placeholders: Record<string, string> = {
+  FIREBASE_PROJECT_ID: 'offline',
+  FIREBASE_API_KEY: 'offline',
+  FIREBASE_AUTH_DOMAIN: 'offline',
+  FIREBASE_STORAGE_BUCKET: 'offline',
+  FIREBASE_MESSAGING_SENDER_ID: 'offline',
+  FIREBASE_APP_ID: 'offline',
+  OPENAI_API_KEY: 'offline'
+};
+
+for (const [key, value] of Object.entries(placeholders)) {
+  if (!process.env[key]) process.env[key] = value;
+}
+
+// Per-request info logs would drown the report; SCRIPT_LOG_LEVEL overrides (.env's LOG_LEVEL is for the API)
+process.env.LOG_LEVEL = process.env.SCRIPT_LOG_LEVEL || 'error';
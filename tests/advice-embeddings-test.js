@@ -0,0 +1,44 @@
+// tests/advice-embeddings-test.js
+// Minimal runtime test (no framework) for the hashing embedder, vectors file and adviceGetVector.
+require('./helpers/env');
+const { HashingEmbedder, encodeAdviceVectors, decodeAdviceVectors } = require('../api/_lib/services/adviceEmbedder');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb) || 1);
+}
+
+const embedder = new HashingEmbedder();
+const a = embedder.embed('You never listen to me when I talk about my feelings');
+const b = embedder.embed("you aren't listening when I share how I feel");
+const c = embedder.embed('Can we pick a restaurant for Friday dinner plans?');
+assert(a.length === embedder.dims, 'embedding should have the configured dims');
+assert(Math.abs(cosine(a, a) - 1) < 1e-6, 'embedding should be L2 normalized');
+assert(cosine(a, b) > cosine(a, c) + 0.1, `paraphrase should beat unrelated (${cosine(a, b).toFixed(3)} vs ${cosine(a, c).toFixed(3)})`);
+assert(cosine(a, embedder.embed('You never listen to me when I talk about my feelings')) > 0.9999, 'embedding should be deterministic');
+
+// Binary round trip keeps vectors within int8 quantization error
+const buf = encodeAdviceVectors(embedder.modelId, embedder.dims, [['x', a], ['y', c]]);
+const decoded = decodeAdviceVectors(buf);
+assert(decoded.modelId === embedder.modelId && decoded.dims === embedder.dims, 'header should round trip');
+assert(cosine(decoded.vectors.get('x'), a) > 0.999, 'quantized vector should stay close to the original');
+
+// Loader exposes precomputed vectors from data/advice_vectors.bin
+const getVector = dataLoader.get('adviceGetVector');
+const items = dataLoader.get('adviceIndexItems');
+const missing = items.filter(it => !getVector(it.id));
+assert(missing.length === 0, `every advice item should have a vector (missing ${missing.length}) — run npm run build:embeddings`);
+
+// Dense retrieval: the nearest items to a conflict query should be conflict advice
+const q = dataLoader.get('adviceEmbedder').embed("you always blow up at me and I'm done arguing conflict alert");
+const ranked = items
+  .map(it => [it, cosine(q, getVector(it.id))])
+  .sort((x, y) => y[1] - x[1])
+  .slice(0, 10)
+  .map(([it]) => it);
+assert(ranked.filter(it => it.contexts.includes('conflict')).length >= 6, 'dense top 10 should be mostly conflict advice');
+
+console.log('✅ advice-embeddings-test passed');
@@ -0,0 +1,44 @@
+// tests/advice-index-test.js
+// Minimal runtime test (no framework) for advice normalization + the loader-side BM25 index.
+require('./helpers/env');
+const { dataLoader, normalizeAdvice } = require('../api/_lib/services/dataLoader');
+const { AdviceBM25Index } = require('../api/_lib/services/adviceIndex');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+// Shipped file is a top-level array; legacy { items } wrapper still accepted
+const raw = dataLoader.getTherapyAdvice();
+assert(Array.isArray(raw) && raw.length > 0, 'therapy_advice.json should load as an array');
+assert(normalizeAdvice(raw).length === raw.length, 'array shape should normalize every item');
+assert(normalizeAdvice({ items: raw.slice(0, 3) }).length === 3, '{ items } shape should still normalize');
+
+const items = dataLoader.get('adviceIndexItems');
+assert(Array.isArray(items) && items.length === raw.length, 'adviceIndexItems should be registered');
+assert(typeof dataLoader.get('adviceGetVector') === 'function', 'adviceGetVector should be registered');
+assert(dataLoader.getAllAdviceItems() === items, 'getAllAdviceItems should reuse the normalized corpus');
+
+const bm25 = dataLoader.get('adviceBM25');
+assert(bm25 && bm25.size === raw.length, 'adviceBM25 should index the whole corpus');
+
+// The query shape hybridRetrieve() sends
+const hits = bm25.search('we keep fighting and I feel heated ctx:conflict tone:alert', { prefix: true, fuzzy: 0.2 });
+assert(hits.length > 0, 'expected BM25 hits');
+const byId = new Map(items.map(it => [it.id, it]));
+const top = hits.slice(0, 10).map(h => byId.get(h.id));
+assert(top.every(Boolean), 'hits must resolve to corpus ids');
+assert(top.filter(it => it.contexts.includes('conflict')).length >= 8, 'ctx:conflict should dominate the top 10');
+assert(top.filter(it => it.triggerTone === 'alert').length >= 5, 'tone:alert should boost alert items');
+
+// Field scoping, prefix and fuzzy expansion on a tiny corpus
+const tiny = new AdviceBM25Index([
+  { id: 'a', advice: 'Take a breath before replying', contexts: ['conflict'], triggerTone: 'alert' },
+  { id: 'b', advice: 'Name the conflict out loud', contexts: ['planning'], triggerTone: 'clear' },
+  { id: 'c', advice: 'Thank them for listening', contexts: ['repair'], categories: ['gratitude'] }
+]);
+assert(tiny.search('ctx:conflict')[0].id === 'a', 'ctx: should only match the contexts field');
+assert(tiny.search('conflict').length === 2, 'unscoped term should match any field');
+assert(tiny.search('repl', { prefix: true })[0].id === 'a', 'prefix should expand repl → replying');
+assert(tiny.search('graditude', { fuzzy: 0.2 })[0]?.id === 'c', 'fuzzy should tolerate a typo');
+assert(tiny.search('graditude').length === 0, 'exact mode should not fuzz');
+
+console.log('✅ advice-index-test passed');
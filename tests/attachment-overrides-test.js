@@ -0,0 +1,116 @@
+// tests/attachment-overrides-test.js
+// Minimal runtime test (no framework) for the attachment_overrides.json pipeline: blending modes,
+// stage order, caps, advice score overrides, and the debug trace from the suggestions service.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const {
+  blend, stageMode, resolveStageValue, positionSignals, applyToneOverrides, adviceOverrideFor, applyAdviceOverride, OVERRIDE_STAGES
+} = require('../api/_lib/services/attachmentOverrides');
+const { suggestionsService } = require('../api/_lib/services/suggestions');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const stage = (r, name) => r.trace.find(t => t.stage === name);
+
+(async () => {
+  // Blending modes
+  assert(near(blend('additive', 0.4, 0.1), 0.5), 'additive adds');
+  assert(near(blend('multiplicative', 0.4, 1.5), 0.6), 'multiplicative scales');
+  assert(near(blend('weighted_average', 0.4, 1, 0.25), 0.55), 'weighted_average moves weight of the way');
+  assert(near(blend('weighted_average', 0.4, 1), 0.7), 'weighted_average without a weight splits evenly');
+  assert(near(blend('weighted_average', 0.4, 1, 2), 1), 'weight is clamped to 1');
+
+  const cfg = dataLoader.get('attachmentOverrides');
+  assert(stageMode(cfg, 'intensity_blend') === 'weighted_average' && stageMode(cfg, 'negation_sarcasm_adjust') === 'multiplicative', 'modes from blending');
+  assert(stageMode({ blending: { contextMode: 'bogus' } }, 'context_boosts') === 'additive', 'unknown mode falls back to the stage default');
+
+  // Style values merge over defaults; context boosts merge per context
+  const boosts = resolveStageValue(cfg, 'secure', 'context_boosts');
+  assert(boosts.CTX_REPAIR.clear === 0.06 && boosts.CTX_CONFLICT.alert === 0, 'context boosts merged');
+  assert(resolveStageValue(cfg, 'avoidant', 'category_multipliers').profanity === 0.96 &&
+    resolveStageValue(cfg, 'avoidant', 'category_multipliers').threat === 1, 'category multipliers merged');
+
+  // Each stage blends through its configured mode (flat config, one stage value at a time)
+  const dist = { clear: 0.2, caution: 0.3, alert: 0.5 };
+  const neutral = {
+    applyOrder: [...OVERRIDE_STAGES],
+    defaults: { tone_offsets: {}, tone_multipliers: {}, category_multipliers: {}, context_boosts: {}, intensity_blend: { weight: 0 }, position_scaling: {}, threshold_shift: {}, cap_limits: {} },
+    overrides: {},
+    integration: { normalize: false }
+  };
+  const withStyle = (style, blending = {}) => ({ ...neutral, blending, overrides: { s: style } });
+  const run = (config, extra = {}) => applyToneOverrides(config, { style: 's', dist, ...extra });
+
+  let r = run(withStyle({ tone_offsets: { alert: 0.1 } }, { toneOffsetMode: 'additive' }));
+  assert(near(stage(r, 'tone_offsets').deltas.alert, 0.1) && near(r.dist.alert, 0.6), 'additive offsets');
+  r = run(withStyle({ tone_offsets: { alert: 0.1 } }, { toneOffsetMode: 'multiplicative' }));
+  assert(near(r.dist.alert, 0.05), 'offsets follow blending.toneOffsetMode');
+
+  r = run(withStyle({ tone_multipliers: { caution: 1.2 } }));
+  assert(stage(r, 'tone_multipliers').mode === 'multiplicative' && near(r.dist.caution, 0.36), 'multiplicative multipliers');
+
+  r = run(withStyle({ intensity_blend: { weight: 0.5 } }), { intensity: 1 });
+  assert(stage(r, 'intensity_blend').mode === 'weighted_average' && near(r.dist.alert, 0.75) && near(r.dist.clear, 0.1), 'weighted_average toward intensity');
+  r = run(withStyle({ intensity_blend: { weight: 0.5 } }), {});
+  assert(near(r.dist.alert, 0.5), 'no intensity, no blend');
+
+  r = run(withStyle({ negationPenalty: 1.2, sarcasmPenalty: 1.5 }), { hasNegation: true, hasSarcasm: true });
+  assert(near(r.dist.alert, 0.9) && near(r.dist.caution, 0.54) && near(r.dist.clear, 0.2), 'negation × sarcasm scales alert and caution');
+
+  r = run(withStyle({ context_boosts: { CTX_REPAIR: { clear: 0.05 } }, position_scaling: { caps: 0.02, repeat: 0.01 } }),
+    { context: 'repair', position: { caps: true, repeat: true, start: true } });
+  assert(near(r.dist.clear, 0.25) && near(r.dist.alert, 0.53), 'context boosts and position scaling add');
+
+  // Category contributions are re-blended; a cluster key wins over its category
+  r = run(withStyle({ category_multipliers: { contempt: 1.5, conflict: 3 } }), { contributions: [{ key: 'contempt', category: 'conflict', effect: { alert: 0.2 } }] });
+  assert(near(stage(r, 'category_multipliers').deltas.alert, 0.1), 'multiplicative category contribution');
+  r = run(withStyle({ category_multipliers: { contempt: 1.5 } }, { categoryMode: 'additive' }), { contributions: [{ key: 'contempt', category: 'x', effect: { alert: 0.2 } }] });
+  assert(near(stage(r, 'category_multipliers').deltas.alert, 1.5), 'additive category contribution');
+
+  // threshold_shift subtracts; cap_limits bounds the net change and values are capped one by one
+  r = run(withStyle({ threshold_shift: { alert: 0.1 } }));
+  assert(stage(r, 'threshold_shift').mode === 'subtract' && near(r.dist.alert, 0.4), 'threshold shift');
+  r = run(withStyle({ tone_offsets: { alert: 0.3 }, context_boosts: { CTX_CONFLICT: { alert: 0.3 } }, cap_limits: { per_tone_offset_max: 0.35 } }), { context: 'conflict' });
+  assert(near(r.dist.alert, 0.85) && near(stage(r, 'cap_limits').deltas.alert, -0.25), 'net change is capped');
+  r = run(withStyle({ tone_multipliers: { alert: 3 }, cap_limits: { per_tone_multiplier_max: 1.4 } }));
+  assert(near(r.dist.alert, 0.7), 'multiplier is capped');
+
+  // Stage order follows applyOrder
+  const order = ['threshold_shift', 'tone_multipliers'];
+  r = applyToneOverrides({ ...withStyle({ tone_multipliers: { alert: 2 }, threshold_shift: { alert: 0.1 } }), applyOrder: order }, { style: 's', dist });
+  assert(r.trace.map(t => t.stage).join() === 'threshold_shift,tone_multipliers,integration' && near(r.dist.alert, 0.8), 'applyOrder');
+
+  // Shipped config: full trace, range clamp + normalization, anxious leans caution over alert
+  const signals = { dist, context: 'conflict', intensity: 0.6, hasNegation: true, position: positionSignals('you NEVER listen!!', []) };
+  const anxious = applyToneOverrides(cfg, { style: 'anxious', ...signals });
+  assert(anxious.trace.length === OVERRIDE_STAGES.length + 1 && anxious.trace[0].stage === 'tone_offsets', 'one entry per stage');
+  assert(near(anxious.dist.clear + anxious.dist.caution + anxious.dist.alert, 1), 'normalized');
+  const secure = applyToneOverrides(cfg, { style: 'secure', ...signals });
+  assert(anxious.dist.caution > secure.dist.caution && secure.dist.clear > anxious.dist.clear, 'styles pull differently');
+  assert(applyToneOverrides(cfg, { style: 'unknown', dist }).style === 'default', 'unknown styles run on defaults');
+  assert(positionSignals('ugh. fine.', [{ start: 0, end: 3 }]).start && !positionSignals('fine', []).caps, 'position signals');
+
+  // Advice scores: capped product of category multipliers, then secureFixRouting
+  const repairItem = { id: 'a', advice: 'Try to repair this together.', contextLink: ['CTX_REPAIR', 'CTX_PLANNING'] };
+  const secureAdvice = adviceOverrideFor(cfg, 'secure', repairItem);
+  assert(near(secureAdvice.multiplier, 1.1) && secureAdvice.categories.includes('repair') && secureAdvice.bias === 0, 'secure repair multiplier');
+  const avoidantAdvice = adviceOverrideFor(cfg, 'avoidant', repairItem);
+  assert(near(avoidantAdvice.multiplier, 1.04) && avoidantAdvice.bias === 0.08, 'plan multiplier and rewrite bias');
+  assert(adviceOverrideFor(cfg, 'anxious', { id: 'b', advice: 'Say what you need.' }).bias === 0.05, 'advice bias');
+  const applied = applyAdviceOverride(2, avoidantAdvice);
+  assert(near(applied.score, 2 * 1.04 + 0.08) && near(applied.deltas.category_multipliers, 0.08), 'advice override applied');
+  assert(near(applyAdviceOverride(2, { ...avoidantAdvice, mode: 'additive' }).score, 2 + 1.04 + 0.08), 'advice additive mode');
+
+  // Suggestions: trace only in debug mode
+  const text = 'I am so angry at you, you NEVER listen!!';
+  const dbg = await suggestionsService.generateAdvancedSuggestions(text, 'conflict', null, { attachmentStyle: 'anxious', debug: true });
+  const meta = dbg.analysis_meta.attachmentOverrides;
+  assert(meta && meta.style === 'anxious' && meta.trace.length === OVERRIDE_STAGES.length + 1, 'debug trace');
+  assert(meta.advice.length === dbg.suggestions.length && meta.advice.every(a => typeof a.category_multipliers === 'number'), 'advice deltas');
+  const buckets = dbg.analysis.toneBuckets.dist;
+  assert(near(buckets.clear + buckets.caution + buckets.alert, 1) && buckets.caution > meta.input.caution, 'response carries the adjusted dist');
+  const plain = await suggestionsService.generateAdvancedSuggestions(text, 'conflict', null, { attachmentStyle: 'anxious' });
+  assert(plain.analysis_meta.attachmentOverrides === undefined, 'no trace without debug');
+
+  console.log('✅ attachment-overrides-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,56 @@
+// tests/attachment-scoring-test.js
+// Minimal runtime test (no framework) for incremental attachment scoring.
+require('./helpers/env');
+const { InMemoryProfileStore } = require('../api/_lib/services/profileStore');
+const { CommunicatorProfile } = require('../api/_lib/services/communicatorProfile');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+function assertAlmostEqual(a, b, msg) { if (Math.abs(a - b) > 1e-9) throw new Error(msg + ` expected ${b} got ${a}`); }
+
+(async function run() {
+  const cfg = dataLoader.getAttachmentLearning();
+  const profile = new CommunicatorProfile({ userId: 'scoring', storage: new InMemoryProfileStore() });
+  await profile.init();
+
+  const day1 = new Date('2025-09-01T10:00:00Z');
+  const r1 = profile.observeMessage('Are you mad at me? Did I do something?', 'general', day1);
+  assert(r1.matchedSignals.includes('AS_HYPERVIGILANCE'), 'hypervigilance should match');
+  assertAlmostEqual(r1.deltas.anxious, 0.08, 'anxious delta');
+  assert(r1.deltas.avoidant === 0, 'avoidant clamps at zero instead of going negative');
+  assert(r1.daysObserved === 0 && r1.incrementsToday === 1, 'first day counts one increment');
+
+  // Context modifiers scale the weights
+  const r2 = profile.observeMessage('are you mad', 'conflict', day1);
+  assertAlmostEqual(r2.deltas.anxious, 0.08 * 1.3, 'conflict modifier');
+
+  // Behaviour labels in the pattern lists are not matched as text
+  const r3 = profile.observeMessage('tone_shift response_delay', 'general', day1);
+  assert(r3.matchedSignals.length === 0, 'behaviour labels must not match');
+  const r3b = profile.observeMessage('that was pure minimization and intellectualization', 'general', day1);
+  assert(r3b.matchedSignals.length === 0, 'single-word behaviour labels must not match either');
+
+  // Next calendar day: decay applied once, day counted, cap reset
+  const before = profile.getLearningSignals().anxious;
+  const day2 = new Date('2025-09-02T08:00:00Z');
+  const r4 = profile.observeMessage('hello there', 'general', day2);
+  assert(r4.daysObserved === 1 && r4.incrementsToday === 0, 'day roll');
+  assertAlmostEqual(profile.getLearningSignals().anxious, before * cfg.scoring.decay.factor, 'daily decay');
+
+  // Daily cap
+  for (let i = 0; i < cfg.scoring.dailyLimit; i++) profile.observeMessage('whatever', 'general', day2);
+  const capped = profile.observeMessage('whatever', 'general', day2);
+  assert(capped.skipped === 'daily_limit', 'daily cap should stop learning');
+
+  // Learning window closes after learningDays observed days
+  let d = new Date(day2);
+  for (let i = 0; i < cfg.learningDays; i++) {
+    d = new Date(d.getTime() + 86400000);
+    profile.observeMessage('hi', 'general', d);
+  }
+  const late = profile.observeMessage('are you mad', 'general', new Date(d.getTime() + 86400000));
+  assert(late.skipped === 'outside_learning_window', 'no learning after the window');
+  assert(profile.getAttachmentEstimate().windowComplete, 'window should be complete');
+
+  console.log('✅ attachment-scoring-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,94 @@
+// tests/auth-test.js
+// Minimal runtime test (no framework) for withAuth using a local JWKS (no network).
+require('./helpers/env');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { withAuth } = require('../api/_lib/middleware/auth');
+const { getAuthContext, DELEGATE_HEADER, DELEGATE_SCOPE } = require('../api/_lib/auth');
+const { withRateLimit } = require('../api/_lib/wrappers');
+const { mockReq, mockRes } = require('./helpers/http');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+(async function run() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256', use: 'sig' }] };
+  const sign = (claims, opts = {}) => jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: 'k1', expiresIn: '5m', ...opts });
+
+  let seen = null;
+  const handler = (req, res) => { seen = getAuthContext(req); res.status(200).json({ ok: true }); };
+  const call = async (wrapped, headers) => {
+    seen = null;
+    const res = mockRes();
+    await wrapped(mockReq({ headers }), res);
+    return res;
+  };
+
+  const optional = withAuth({ jwks })(handler);
+  const required = withAuth({ jwks, required: true, scopes: ['tone:write'] })(handler);
+
+  // Spoofed identity headers are ignored
+  let res = await call(optional, { 'x-user-id': 'premium_user' });
+  assert(res.statusCode === 200 && seen.userId === 'anonymous' && !seen.isAuthenticated, 'x-user-id must not authenticate');
+
+  res = await call(required, {});
+  assert(res.statusCode === 401, 'missing token should 401 when required');
+
+  res = await call(required, { authorization: `Bearer ${sign({ sub: 'u_1', scope: 'tone:write profile:read' })}` });
+  assert(res.statusCode === 200 && seen.userId === 'u_1' && seen.isAuthenticated, 'valid token should authenticate');
+
+  res = await call(required, { authorization: `Bearer ${sign({ sub: 'u_1', scope: 'profile:read' })}` });
+  assert(res.statusCode === 403, 'missing scope should 403');
+
+  res = await call(required, { authorization: `Bearer ${sign({ sub: 'u_1', scope: 'tone:write' }, { expiresIn: -120 })}` });
+  assert(res.statusCode === 401, 'expired token should 401');
+
+  const hs = jwt.sign({ sub: 'u_1', scope: 'tone:write' }, 'not-the-key', { algorithm: 'HS256', keyid: 'k1' });
+  res = await call(required, { authorization: `Bearer ${hs}` });
+  assert(res.statusCode === 401, 'alg confusion / wrong key should 401');
+
+  res = await call(optional, { authorization: 'Bearer garbage' });
+  assert(res.statusCode === 200 && seen.userId === 'anonymous', 'bad token passes through as anonymous when optional');
+
+  const revoking = withAuth({ jwks, required: true, isRevoked: (c) => c.jti === 'dead' })(handler);
+  res = await call(revoking, { authorization: `Bearer ${sign({ sub: 'u_1', jti: 'dead' })}` });
+  assert(res.statusCode === 401, 'revoked token should 401');
+
+  // A service token with the delegate scope acts for its own users, namespaced under its sub
+  const service = `Bearer ${sign({ sub: 'gym', email: 'ops@gym.test', roles: ['admin'], scope: DELEGATE_SCOPE })}`;
+  res = await call(optional, { authorization: service, [DELEGATE_HEADER]: 'user-a' });
+  assert(seen.userId === 'gym:user-a' && seen.delegatedBy === 'gym' && seen.isAuthenticated, 'delegated user id');
+  assert(!seen.userEmail && seen.roles.length === 0 && seen.permissions.join() === 'basic', 'service claims do not carry over');
+  res = await call(optional, { authorization: service, [DELEGATE_HEADER]: '../other' });
+  assert(seen.userId === 'gym' && !seen.delegatedBy, 'malformed delegated id is ignored');
+  res = await call(optional, { authorization: `Bearer ${sign({ sub: 'u_1', scope: 'tone:write' })}`, [DELEGATE_HEADER]: 'user-a' });
+  assert(seen.userId === 'u_1' && !seen.delegatedBy, 'delegation needs the delegate scope');
+
+  // ...and each delegated user gets their own rate-limit budget, though they share one IP
+  const limited = withAuth({ jwks })(withRateLimit(60000, 1, 'auth-test')(handler));
+  const fromGym = (user) => call(limited, { authorization: service, [DELEGATE_HEADER]: user, 'x-forwarded-for': '198.51.100.7' });
+  assert((await fromGym('user-a')).statusCode === 200 && (await fromGym('user-b')).statusCode === 200, 'separate budgets');
+  assert((await fromGym('user-a')).statusCode === 429, 'budget still enforced per user');
+
+  // HS256 static secret mode
+  const secretAuth = withAuth({ secret: 'x'.repeat(32), required: true })(handler);
+  res = await call(secretAuth, { authorization: `Bearer ${jwt.sign({ sub: 'u_2' }, 'x'.repeat(32))}` });
+  assert(res.statusCode === 200 && seen.userId === 'u_2', 'HS256 secret mode');
+
+  // Local JWKS file is read once and the resolver reused
+  const jwksPath = path.join(os.tmpdir(), `auth-test-jwks-${process.pid}.json`);
+  fs.writeFileSync(jwksPath, JSON.stringify(jwks));
+  process.env.JWKS_PATH = jwksPath;
+  const fromFile = withAuth({ required: true })(handler);
+  res = await call(fromFile, { authorization: `Bearer ${sign({ sub: 'u_3' })}` });
+  assert(res.statusCode === 200 && seen.userId === 'u_3', 'JWKS_PATH mode');
+  fs.unlinkSync(jwksPath);
+  res = await call(fromFile, { authorization: `Bearer ${sign({ sub: 'u_3' })}` });
+  assert(res.statusCode === 200, 'JWKS_PATH resolver should be reused, not re-read per request');
+  delete process.env.JWKS_PATH;
+
+  console.log('✅ auth-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,98 @@
+// tests/decision-log-test.js
+// Minimal runtime test (no framework) for guardrail decision telemetry: PII scrubbing, keyed
+// hashing, the JSONL sink with retention, and the logger's raw-text redaction.
+require('./helpers/env');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scrubPII, hashText, windowedHashes, redactRawText } = require('../api/_lib/utils/privacy');
+const { JsonlDecisionSink, InMemoryDecisionSink, setDecisionSink, buildGuardrailEntry } = require('../api/_lib/services/decisionLog');
+const { resolveGuardrails } = require('../api/_lib/services/guardrails');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { logger } = require('../api/_lib/logger');
+const { suggestionsService } = require('../api/_lib/services/suggestions');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+(async () => {
+  // PII scrubber: emails, phones, URLs and PERSON entity spans
+  const raw = 'Tell Jamie to email me at jamie.r@example.com or call (555) 123-4567, see https://x.io/a';
+  const start = raw.indexOf('Jamie');
+  const scrubbed = scrubPII(raw, [{ start, end: start + 5, label: 'PERSON' }]);
+  assert(!/jamie|example\.com|555|x\.io/i.test(scrubbed), `PII should be scrubbed: ${scrubbed}`);
+  assert(scrubbed.includes('[NAME]') && scrubbed.includes('[EMAIL]') && scrubbed.includes('[PHONE]') && scrubbed.includes('[URL]'), 'placeholders');
+  assert(scrubPII('meet at 5 on the 12th') === 'meet at 5 on the 12th', 'short numbers are not phones');
+
+  // Keyed hashing
+  assert(hashText('hi', 'k1') === hashText('hi', 'k1') && hashText('hi', 'k1') !== hashText('hi', 'k2'), 'hash depends on key');
+  const w1 = windowedHashes('you never listen to me at all', 3, 32, 'k');
+  const w2 = windowedHashes('honestly you never listen to me', 3, 32, 'k');
+  assert(w1.length === 5 && w1.filter(h => w2.includes(h)).length === 3, 'shared windows hash equal');
+
+  // Log payload redaction
+  const red = redactRawText({ text: 'I hate you', nested: { original_text: 'secret' }, userId: 'u1', list: [{ body: 'x' }] });
+  assert(red.text === '[redacted 10 chars]' && red.nested.original_text === '[redacted 6 chars]', 'text fields are redacted');
+  assert(red.userId === 'u1' && red.list[0].body === '[redacted 1 chars]', 'other fields pass, arrays are walked');
+
+  // Logger never prints message text
+  const lines = [];
+  const origLog = console.log;
+  const prevLevel = process.env.LOG_LEVEL;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    const probe = logger.child({});
+    probe.config.level = 'info';
+    probe.info('payload', { text: 'my secret message', textLength: 17 });
+    probe.info('bare string payload', 'my secret message');
+    probe.error('error payload', new Error('boom'));
+  } finally {
+    console.log = origLog;
+  }
+  assert(lines.length === 3, `expected 3 log lines, got ${lines.length}`);
+  assert(lines.every(l => !l.includes('my secret message')), 'raw text must not reach logs');
+  assert(lines[0].includes('17') && lines[2].includes('boom'), 'non-text fields and error messages survive');
+
+  // JSONL sink: append-only day files, retention pruning
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decisions-test-'));
+  try {
+    const sink = new JsonlDecisionSink({ dir, retentionDays: 14 });
+    fs.writeFileSync(sink.fileFor('2026-01-01'), '{}\n');
+    fs.writeFileSync(sink.fileFor('2026-01-20'), '{}\n');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep');
+    sink.append({ ts: '2026-01-20T10:00:00.000Z', kind: 'guardrail', textLength: 3 });
+    sink.append({ ts: '2026-01-20T11:00:00.000Z', kind: 'guardrail', textLength: 4 });
+    assert(!fs.existsSync(sink.fileFor('2026-01-01')), 'files past retention are pruned on rollover');
+    assert(fs.existsSync(path.join(dir, 'notes.txt')), 'unrelated files are left alone');
+    const rows = fs.readFileSync(sink.fileFor('2026-01-20'), 'utf-8').trim().split('\n');
+    assert(rows.length === 3 && JSON.parse(rows[2]).textLength === 4, 'entries are appended');
+    assert(sink.prune(new Date('2026-02-02T00:00:00Z')) === 0 && sink.prune(new Date('2026-02-03T00:00:00Z')) === 1, 'retention boundary');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Entries follow telemetry.fields and privacy
+  const telemetry = dataLoader.get('guardrailConfig').telemetry;
+  const g = resolveGuardrails(dataLoader.get('guardrailConfig'), { channel: 'liveKeyboard', profile: 'repair_mode', context: 'conflict' });
+  const entry = buildGuardrailEntry({
+    text: 'Sam you idiot', entities: [{ start: 0, end: 3, label: 'PERSON' }], userId: 'user-42', guardrails: g,
+    toxicity: 0.9, tone: { classification: 'angry', confidence: 0.8 },
+    blocked: { highToxicity: { count: 2, categories: [] } }, fallback: { triggered: false, reason: null }, suggestionCount: 3
+  }, telemetry);
+  for (const f of telemetry.fields) assert(f in entry, `entry carries ${f}`);
+  assert(entry.selectedProfile === 'repair_mode' && entry.finalThresholds.minConfidence === g.minConfidence, 'profile and thresholds');
+  assert(entry.textHash === hashText('[NAME] you idiot') && entry.textWindows.length > 0, 'hash is taken after scrubbing');
+  assert(!JSON.stringify(entry).includes('idiot') && !JSON.stringify(entry).includes('user-42'), 'no raw text or user id');
+
+  // Suggestions record one decision per request
+  const mem = new InMemoryDecisionSink();
+  setDecisionSink(mem);
+  const text = 'I am so angry at you, you never listen!!';
+  await suggestionsService.generateAdvancedSuggestions(text, 'conflict', null, { attachmentStyle: 'anxious', channel: 'postCompose', userId: 'u-7' });
+  assert(mem.entries.length === 1, 'one decision entry per request');
+  const d = mem.entries[0];
+  assert(d.channel === 'postCompose' && d.finalThresholds && d.blockedCategories && d.userHash, 'decision entry shape');
+  assert(!JSON.stringify(d).includes('angry at you'), 'decision entry holds no raw text');
+  setDecisionSink(null);
+
+  console.log('✅ decision-log-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
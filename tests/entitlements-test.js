@@ -0,0 +1,160 @@
+// tests/entitlements-test.js
+// Minimal runtime test (no framework) for trial countdown, billing webhook events and the trial guard.
+require('./helpers/env');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { InMemoryProfileStore } = require('../api/_lib/services/profileStore');
+const { EntitlementService, setEntitlementService, verifyStripeSignature } = require('../api/_lib/services/entitlements');
+const { withTrialGuard } = require('../api/_lib/middleware/trialGuard');
+const billingWebhook = require('../api/v1/billing-webhook').default;
+const suggestionsRoute = require('../api/v1/suggestions').default;
+const trialStatusRoute = require('../api/v1/trial-status').default;
+const { mockReq, mockRes, authedJsonReq } = require('./helpers/http');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+const DAY = 24 * 60 * 60 * 1000;
+
+(async function run() {
+  const svc = new EntitlementService({ storage: new InMemoryProfileStore() });
+  const t0 = new Date('2025-03-01T12:00:00Z');
+
+  // Trial starts on first authenticated call and is not restarted later
+  const first = await svc.getStatus('u1', { now: t0 });
+  assert(first.status === 'trial_active' && first.daysRemaining === 7, 'first call should start a 7-day trial');
+  const later = await svc.getStatus('u1', { now: new Date(t0.getTime() + 3 * DAY) });
+  assert(later.trialStartDate === t0.toISOString(), 'trial start must persist');
+  assert(later.daysRemaining === 4, `expected 4 days remaining, got ${later.daysRemaining}`);
+  const expired = await svc.getStatus('u1', { now: new Date(t0.getTime() + 7 * DAY + 1) });
+  assert(expired.status === 'trial_expired' && !expired.hasAccess, 'trial should expire after 7 days');
+
+  // Anonymous callers never persist a trial
+  await svc.getStatus('anonymous', { now: t0 });
+  assert((await svc.getRecord('anonymous')) === null, 'anonymous must not be stored');
+
+  // Checkout → premium; subscription events resolve the user by customer id
+  const afterExpiry = new Date(t0.getTime() + 10 * DAY);
+  await svc.applyBillingEvent({
+    type: 'checkout.session.completed',
+    data: { object: { metadata: { userId: 'u1' }, customer: 'cus_1', subscription: 'sub_1', payment_status: 'paid' } }
+  });
+  assert((await svc.getStatus('u1', { now: afterExpiry })).status === 'premium', 'paid checkout should grant premium');
+
+  const periodEnd = Math.floor((afterExpiry.getTime() + 30 * DAY) / 1000);
+  const upd = await svc.applyBillingEvent({
+    type: 'customer.subscription.updated',
+    data: { object: { id: 'sub_1', customer: 'cus_1', status: 'past_due', items: { data: [{ current_period_end: periodEnd }] } } }
+  });
+  assert(upd.handled && upd.userId === 'u1', 'subscription event should resolve user via customer id');
+  const pastDue = await svc.getStatus('u1', { now: afterExpiry });
+  assert(!pastDue.hasAccess && pastDue.subscriptionStatus === 'past_due', 'past_due after trial should block access');
+
+  await svc.applyBillingEvent({
+    type: 'customer.subscription.updated',
+    data: { object: { id: 'sub_1', customer: 'cus_1', status: 'active', items: { data: [{ current_period_end: periodEnd }] } } }
+  });
+  assert((await svc.getStatus('u1', { now: afterExpiry })).status === 'premium', 'active subscription should be premium');
+  assert((await svc.getStatus('u1', { now: new Date(periodEnd * 1000 + DAY) })).status === 'trial_expired', 'lapsed period should block');
+
+  await svc.applyBillingEvent({ type: 'customer.subscription.deleted', data: { object: { id: 'sub_1', customer: 'cus_1', status: 'canceled' } } });
+  assert((await svc.getStatus('u1', { now: afterExpiry })).status === 'trial_expired', 'canceled subscription should block');
+
+  const unknown = await svc.applyBillingEvent({ type: 'customer.subscription.updated', data: { object: { id: 'sub_x', customer: 'cus_x', status: 'active' } } });
+  assert(!unknown.handled && unknown.retry, 'unknown customer should be retried, not dropped');
+
+  // Webhook answers non-2xx for it so Stripe redelivers, and applies it once checkout linked the customer
+  setEntitlementService(svc);
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  // `as` picks how the body reaches the handler: unread stream, raw string/Buffer, or already parsed
+  const deliver = async (event, as = 'stream') => {
+    const body = JSON.stringify(event);
+    const t = Math.floor(Date.now() / 1000);
+    const v1 = crypto.createHmac('sha256', 'whsec_test').update(`${t}.${body}`).digest('hex');
+    const headers = { 'stripe-signature': `t=${t},v1=${v1}` };
+    const req = as === 'stream'
+      ? Object.assign(Readable.from([Buffer.from(body)]), mockReq({ method: 'POST', headers }))
+      : mockReq({ method: 'POST', headers, body: as === 'buffer' ? Buffer.from(body) : as === 'parsed' ? event : body });
+    const res = mockRes();
+    await billingWebhook(req, res);
+    return res;
+  };
+  const early = { type: 'customer.subscription.created', data: { object: { id: 'sub_2', customer: 'cus_2', status: 'active' } } };
+  let hook = await deliver(early);
+  assert(hook.statusCode === 503, `subscription event before checkout should be retried, got ${hook.statusCode}`);
+  hook = await deliver({ type: 'checkout.session.completed', data: { object: { metadata: { userId: 'u2' }, customer: 'cus_2', subscription: 'sub_2' } } });
+  assert(hook.statusCode === 200, 'checkout should be acknowledged');
+  hook = await deliver(early, 'buffer');
+  assert(hook.statusCode === 200 && (await svc.getRecord('u2')).subscription.status === 'active', 'redelivered event should apply');
+  hook = await deliver({ ...early, data: { object: { ...early.data.object, status: 'canceled' } } }, 'parsed');
+  assert(hook.statusCode === 400 && (await svc.getRecord('u2')).subscription.status === 'active', 'an already-parsed body cannot be verified');
+  hook = await deliver({ type: 'ping' }, 'string');
+  assert(hook.statusCode === 200, 'a raw string body verifies');
+  delete process.env.STRIPE_WEBHOOK_SECRET;
+  setEntitlementService(null);
+
+  // Stripe signature scheme
+  const secret = 'whsec_test';
+  const payload = JSON.stringify({ type: 'ping' });
+  const ts = Math.floor(Date.now() / 1000);
+  const sig = crypto.createHmac('sha256', secret).update(`${ts}.${payload}`).digest('hex');
+  assert(verifyStripeSignature(payload, `t=${ts},v1=${sig}`, secret), 'valid signature should verify');
+  assert(!verifyStripeSignature(payload + ' ', `t=${ts},v1=${sig}`, secret), 'tampered payload must fail');
+  assert(!verifyStripeSignature(payload, `t=${ts - 3600},v1=${sig}`, secret), 'stale timestamp must fail');
+
+  // withTrialGuard reads the same service
+  setEntitlementService(svc);
+  const guarded = withTrialGuard()(async (req, res) => { res.status(200).json({ ok: true }); });
+  const authed = (sub) => Object.assign(mockReq({ method: 'POST' }), { auth: { claims: { sub } } });
+
+  let res = mockRes();
+  await guarded(authed('u1'), res);
+  assert(res.statusCode === 402, `expired user should get 402, got ${res.statusCode}`);
+
+  res = mockRes();
+  await guarded(authed('fresh-user'), res);
+  assert(res.statusCode === 200, 'new user should be inside the trial');
+  assert((await svc.getRecord('fresh-user')).trialStartedAt, 'guard should record trial start');
+
+  res = mockRes();
+  await guarded(mockReq({ method: 'POST' }), res);
+  assert(res.statusCode === 401, 'anonymous should be rejected');
+
+  // /api/v1/suggestions sits behind auth and the same guard
+  const suggest = async (req) => { const r = mockRes(); await suggestionsRoute(req, r); return r; };
+  const body = JSON.stringify({ text: 'can we talk tonight?', context: 'general' });
+  const ip = { 'x-forwarded-for': '203.0.113.9' };
+  res = await suggest(mockReq({ method: 'POST', url: '/api/v1/suggestions', headers: ip, body }));
+  assert(res.statusCode === 401, `suggestions without a token should be refused, got ${res.statusCode}`);
+  res = await suggest(mockReq({ method: 'POST', url: '/api/v1/suggestions', headers: { ...ip, authorization: 'Bearer not-a-jwt' }, body }));
+  assert(res.statusCode === 401, `suggestions with an invalid token should be refused, got ${res.statusCode}`);
+  res = await suggest(authedJsonReq({ url: '/api/v1/suggestions', user: 'u1', headers: ip, body: JSON.parse(body) }));
+  assert(res.statusCode === 402, `expired user should get 402 from suggestions, got ${res.statusCode}`);
+
+  // Usage counters only take known features; anything else would grow the stored record
+  const usage = async (feature) => {
+    const r = mockRes();
+    await trialStatusRoute(authedJsonReq({ url: '/api/v1/trial-status', user: 'fresh-user', body: { action: 'increment', feature } }), r);
+    return r;
+  };
+  res = await usage('suggestions');
+  assert(res.statusCode === 200 && res.body.data.updatedLimits.suggestions.used === 1, `known feature counted, got ${res.statusCode}`);
+  res = await usage('x'.repeat(500));
+  assert(res.statusCode === 400, `unknown feature should get 400, got ${res.statusCode}`);
+  assert(Object.keys((await svc.getRecord('fresh-user')).usage.counts).join() === 'suggestions', 'unknown feature not stored');
+  let rejected = null;
+  await svc.incrementUsage('fresh-user', 'made-up').catch(err => { rejected = err; });
+  assert(rejected && rejected.statusCode === 400, 'service refuses unknown features too');
+  setEntitlementService(null);
+
+  // Production refuses per-instance stores, where each cold start would restart the trial
+  const nodeEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  let thrown = null;
+  await svc.getStatus('u1', { now: t0 }).catch(err => { thrown = err; });
+  assert(thrown && thrown.statusCode === 503 && thrown.code === 'ERR_ENTITLEMENTS_NOT_DURABLE', 'non-durable store must be refused in production');
+  const durableStore = Object.assign(new InMemoryProfileStore(), { durable: true });
+  const durable = await new EntitlementService({ storage: durableStore }).getStatus('u1', { now: t0 });
+  assert(durable.status === 'trial_active', 'durable store should serve entitlements in production');
+  process.env.NODE_ENV = nodeEnv;
+
+  console.log('✅ entitlements-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
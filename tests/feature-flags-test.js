@@ -0,0 +1,89 @@
+// tests/feature-flags-test.js
+// Minimal runtime test (no framework) for rollout flags: stable cohort hashing, percentage
+// rollouts, user/cohort overrides, env switches, auto guardrail profiles and the admin route.
+require('./helpers/env');
+const { FeatureFlags, stableBucket, featureFlags } = require('../api/_lib/services/featureFlags');
+const { autoGuardrailProfile } = require('../api/_lib/services/guardrails');
+const { mockRes, authedJsonReq } = require('./helpers/http');
+const { assert } = require('./helpers/assert');
+const flagsRoute = require('../api/v1/flags').default;
+
+(async () => {
+  // Stable buckets: deterministic per (salt, user), spread over 0–100
+  assert(stableBucket('u1', 's') === stableBucket('u1', 's'), 'bucket is stable');
+  assert(stableBucket('u1', 's') !== stableBucket('u1', 's2'), 'bucket depends on salt');
+  const users = Array.from({ length: 400 }, (_, i) => `user-${i}`);
+  const buckets = users.map(u => stableBucket(u, 's'));
+  assert(buckets.every(b => b >= 0 && b < 100), 'bucket range');
+
+  const rollout = {
+    salt: 'test',
+    flags: {
+      half: { enabled: false, rolloutPercent: 50 },
+      off: false,
+      on: true,
+      everyone: { enabled: false, rolloutPercent: 100 }
+    },
+    cohorts: { staff: { users: ['alice'] }, pilot: { range: [0, 10] } },
+    overrides: { users: { bob: { half: true } }, cohorts: { staff: { off: true }, pilot: { off: true } } }
+  };
+  const flags = new FeatureFlags(() => rollout, () => ['envflag']);
+
+  // Percentage rollout: roughly half, and stable per user
+  const onCount = users.filter(u => flags.isEnabled('half', { userId: u })).length;
+  assert(onCount > 150 && onCount < 250, `~50% rollout, got ${onCount}/400`);
+  assert(users.every(u => flags.isEnabled('half', { userId: u }) === flags.isEnabled('half', { userId: u })), 'rollout is stable');
+  assert(users.every(u => flags.isEnabled('everyone', { userId: u })), '100% rollout');
+  const r = flags.evaluate('half', { userId: 'carol' });
+  assert(r.source === 'rollout' && r.rolloutPercent === 50 && r.enabled === r.bucket < 50, 'rollout evaluation detail');
+
+  // Anonymous callers get defaults; overrides and rollout need a user id
+  assert(flags.evaluate('half').source === 'default' && !flags.isEnabled('half'), 'anonymous → default');
+  assert(flags.evaluate('half', { userId: 'anonymous' }).source === 'default', '"anonymous" is not a user');
+  assert(flags.isEnabled('on') && !flags.isEnabled('off'), 'boolean flags');
+
+  // Overrides: user beats cohort beats rollout
+  assert(flags.evaluate('half', { userId: 'bob' }).source === 'user_override', 'user override');
+  const staff = flags.evaluate('off', { userId: 'alice' });
+  assert(staff.enabled && staff.source === 'cohort_override' && staff.cohort === 'staff', 'explicit cohort override');
+  const pilotUser = users.find(u => flags.cohortsFor(u).cohorts.includes('pilot'));
+  const pilot = flags.evaluate('off', { userId: pilotUser });
+  assert(pilot.enabled && pilot.cohort === 'pilot', 'range cohort override');
+  assert(flags.cohortsFor(pilotUser).bucket < 10, 'range cohorts follow the cohort bucket');
+
+  // Env ENABLED_FEATURES switches a flag on for everyone
+  assert(flags.evaluate('envflag').source === 'env' && flags.list().includes('envflag'), 'env feature');
+
+  // Auto guardrail profiles follow the flags
+  const all = () => true;
+  assert(autoGuardrailProfile(all, { context: 'repair' }) === 'repair_mode', 'repair mode auto');
+  assert(autoGuardrailProfile(all, { context: 'general', profanityProfile: 'habitual_swearer' }) === 'profanity_tolerant', 'tolerance auto');
+  assert(autoGuardrailProfile(() => false, { context: 'repair', profanityProfile: 'habitual_swearer' }) === null, 'flags off');
+
+  // Shipped config: repair mode is off by default and on for the internal cohort
+  assert(!featureFlags.isEnabled('enableRepairModeAuto', { userId: 'someone' }), 'repair mode auto is not rolled out');
+  assert(featureFlags.isEnabled('enableProfanityToleranceAuto', { userId: 'someone' }), 'profanity tolerance auto is on');
+
+  // Admin route
+  const call = async (user, query = {}) => {
+    const res = mockRes();
+    await flagsRoute(authedJsonReq({ url: '/api/v1/flags', user, query }), res);
+    return res;
+  };
+
+  let res = await call();
+  assert(res.statusCode === 401, `no token should 401, got ${res.statusCode}`);
+  res = await call({ sub: 'u_1', roles: ['user'] });
+  assert(res.statusCode === 403, `non-admin should 403, got ${res.statusCode}`);
+
+  res = await call({ sub: 'admin_1', roles: ['admin'] }, { userId: 'target-9' });
+  assert(res.statusCode === 200, `admin should 200, got ${res.statusCode}`);
+  const data = res.body.data;
+  assert(data.userId === 'target-9' && Array.isArray(data.cohorts), 'resolves the requested user');
+  assert(data.flags.enableRepairModeAuto && data.flags.enableProfanityToleranceAuto.enabled === true, 'flags listed');
+
+  res = await call({ sub: 'admin_1', roles: ['admin'] });
+  assert(res.body.data.userId === 'admin_1', 'defaults to the caller');
+
+  console.log('✅ feature-flags-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,93 @@
+// tests/guardrails-test.js
+// Minimal runtime test (no framework) for guardrail_config.json threshold resolution
+// (defaults → profile → channel → context → attachment) and its use in suggestions.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { resolveGuardrails, guardrailToxicity, adviceCategories, fallbackCategories } = require('../api/_lib/services/guardrails');
+const { toneRequestSchema } = require('../api/_lib/schemas/toneRequest');
+const { suggestionRequestSchema } = require('../api/_lib/schemas/suggestionRequest');
+const { suggestionsService } = require('../api/_lib/services/suggestions');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+(async () => {
+  const cfg = dataLoader.get('guardrailConfig');
+
+  // Defaults only
+  const base = resolveGuardrails(cfg);
+  assert(near(base.minConfidence, cfg.defaults.minConfidence) && near(base.fallbackThreshold, cfg.defaults.fallbackThreshold), 'defaults apply');
+  assert(near(base.toxicityHighThreshold, cfg.toxicity.highThreshold), 'toxicity threshold from config');
+  assert(base.layers.join() === 'defaults', 'no extra layers without inputs');
+
+  // Channels replace the default thresholds
+  for (const ch of ['liveKeyboard', 'postCompose', 'coachingOnly']) {
+    const g = resolveGuardrails(cfg, { channel: ch });
+    assert(near(g.minConfidence, cfg.channels[ch].minConfidence), `${ch} minConfidence`);
+    assert(near(g.fallbackThreshold, cfg.channels[ch].fallbackThreshold), `${ch} fallbackThreshold`);
+  }
+  assert(resolveGuardrails(cfg, { channel: 'smoke_signals' }).channel === null, 'unknown channels are ignored');
+
+  // Profile deltas stack on top of the channel
+  const strict = resolveGuardrails(cfg, { channel: 'liveKeyboard', profile: 'high_sensitivity' });
+  assert(near(strict.minConfidence, 0.32) && near(strict.fallbackThreshold, 0.37), `profile deltas + channel (${strict.minConfidence}/${strict.fallbackThreshold})`);
+  assert(near(strict.toxicityHighThreshold, 0.75), 'dotted toxicity delta applies');
+  assert(strict.layers.join() === 'defaults,profile:high_sensitivity,channel:liveKeyboard', 'layer order');
+
+  const repair = resolveGuardrails(cfg, { profile: 'repair_mode' });
+  assert(repair.allowedCategories.includes('apology') && near(repair.categoryBoosts.repair, 0.13), 'toxicityTweaks replace categories and add boosts');
+  assert(resolveGuardrails(cfg, { profile: 'profanity_tolerant' }).profanitySensitivity === 'low', 'profile profanity sensitivity');
+
+  // Context and attachment bucket boosts
+  const conflict = resolveGuardrails(cfg, { context: 'conflict', attachmentStyle: 'anxious' });
+  assert(near(conflict.bucketBoosts.alert, 0.05) && near(conflict.bucketBoosts.caution, 0.15), `context + attachment boosts (${JSON.stringify(conflict.bucketBoosts)})`);
+  assert(near(conflict.styleWeight, cfg.toxicity.style_weight.anxious), 'style weight');
+  const profiled = resolveGuardrails(cfg, { context: 'conflict', profile: 'high_sensitivity' });
+  assert(near(profiled.bucketBoosts.alert, 0.05), 'profile contextBoosts add to the global ones');
+
+  // Toxicity: boosted alert mass or profanity severity, whichever is higher
+  assert(near(guardrailToxicity(conflict, { alert: 0.7 }), 0.75), 'alert mass + boost');
+  assert(near(guardrailToxicity(base, { alert: 0.1 }, 0.9), 0.9), 'profanity severity dominates');
+
+  // Advice categories come from the item, else from its text
+  assert(adviceCategories({ categories: ['repair'], advice: 'pause' }).join() === 'repair', 'explicit categories win');
+  assert(adviceCategories({ advice: "Let's pause before replying." }).includes('pause'), 'inferred categories');
+  assert(fallbackCategories(['pause', 'reflective_prompt']).join() === 'pause,reflection', 'fallback actions map to categories');
+
+  // Request schemas carry a validated channel
+  assert(toneRequestSchema.safeParse({ text: 'hi', channel: 'liveKeyboard' }).success, 'tone request accepts channel');
+  assert(!toneRequestSchema.safeParse({ text: 'hi', channel: 'fax' }).success, 'tone request rejects unknown channel');
+  assert(suggestionRequestSchema.safeParse({ text: 'hi', channel: 'coachingOnly' }).success, 'suggestion request accepts channel');
+  assert(!suggestionRequestSchema.safeParse({ text: 'hi', channel: 'fax' }).success, 'suggestion request rejects unknown channel');
+
+  // Suggestions report the resolved thresholds and gate on them
+  const res = await suggestionsService.generateAdvancedSuggestions('I am so angry at you, you never listen!!', 'conflict', null, {
+    attachmentStyle: 'anxious',
+    channel: 'liveKeyboard'
+  });
+  const g = res.analysis_meta.guardrails;
+  assert(g && g.channel === 'liveKeyboard' && near(g.minConfidence, 0.27), 'analysis_meta.guardrails reflects the channel');
+  assert(typeof g.toxicity === 'number' && g.fallback && typeof g.blockDirectSend === 'boolean', 'toxicity and fallback are reported');
+  if (g.toxicity >= g.toxicityHighThreshold) {
+    assert(res.suggestions.every(s => adviceCategories({ advice: s.text }).some(c => g.allowedCategories.includes(c))),
+      'high toxicity keeps only allowed categories');
+  }
+
+  // Unreachable minConfidence forces the configured fallback
+  const picky = JSON.parse(JSON.stringify(cfg));
+  picky.channels.coachingOnly.minConfidence = 1;
+  const orig = dataLoader.get.bind(dataLoader);
+  dataLoader.get = (key) => (key === 'guardrailConfig' ? picky : orig(key));
+  try {
+    const fb = await suggestionsService.generateAdvancedSuggestions('can we plan dinner friday?', 'planning', null, { channel: 'coachingOnly' });
+    const meta = fb.analysis_meta.guardrails;
+    assert(meta.fallback.triggered && meta.fallback.reason === 'low_confidence', 'low confidence triggers the fallback');
+    assert(fb.suggestions.length > 0 && fb.suggestions.length <= cfg.fallbacks.whenBelowMinConfidence.maxPerWindow, 'fallback honors maxPerWindow');
+    const wanted = fallbackCategories(cfg.fallbacks.whenBelowMinConfidence.actions);
+    assert(fb.suggestions.every(s => adviceCategories({ advice: s.text }).some(c => wanted.includes(c))), 'fallback advice matches the actions');
+  } finally {
+    dataLoader.get = orig;
+  }
+
+  console.log('✅ guardrails-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,6 @@
+// tests/helpers/assert.js
+// Assertions for the framework-less runtime tests.
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+module.exports = { assert, near };
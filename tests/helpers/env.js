@@ -0,0 +1,18 @@
+// tests/helpers/env.js
+// Minimal env so api/_lib modules (logger → env) can be required outside Vercel.
+const defaults = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  FIREBASE_PROJECT_ID: 'test',
+  FIREBASE_API_KEY: 'test',
+  FIREBASE_AUTH_DOMAIN: 'test',
+  FIREBASE_STORAGE_BUCKET: 'test',
+  FIREBASE_MESSAGING_SENDER_ID: 'test',
+  FIREBASE_APP_ID: 'test',
+  OPENAI_API_KEY: 'test',
+  PROFILE_STORE: 'memory',
+  DECISION_LOG: 'memory',
+};
+for (const [k, v] of Object.entries(defaults)) {
+  if (!process.env[k]) process.env[k] = v;
+}
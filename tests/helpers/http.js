@@ -0,0 +1,37 @@
+// tests/helpers/http.js
+// Tiny VercelRequest/VercelResponse doubles for exercising wrappers without a server.
+const { Readable } = require('stream');
+const jwt = require('jsonwebtoken');
+
+function mockReq({ method = 'GET', url = '/', headers = {}, query = {}, body } = {}) {
+  return { method, url, headers, query, body, cookies: {} };
+}
+
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { res.statusCode = code; return res; },
+    json(payload) { res.body = payload; return res; },
+    setHeader(k, v) { res.headers[k.toLowerCase()] = v; },
+    end(chunk) { if (chunk !== undefined) res.body = chunk; return res; },
+  };
+  return res;
+}
+
+// HS256 bearer token for withAuth's JWT_SECRET mode; `user` is a sub or a full claims object.
+function bearer(user) {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 't'.repeat(32);
+  const claims = typeof user === 'string' ? { sub: user } : user;
+  return `Bearer ${jwt.sign(claims, process.env.JWT_SECRET, { algorithm: 'HS256', expiresIn: '5m' })}`;
+}
+
+// Request signed in as `user` (anonymous when omitted). A JSON body is both streamed, for
+// withValidation, and set as req.body, for routes that read it directly.
+function authedJsonReq({ user, headers = {}, body, method = body === undefined ? 'GET' : 'POST', ...rest } = {}) {
+  const req = mockReq({ ...rest, method, body, headers: { ...(user ? { authorization: bearer(user) } : {}), ...headers } });
+  return body === undefined ? req : Object.assign(Readable.from([JSON.stringify(body)]), req);
+}
+
+module.exports = { mockReq, mockRes, bearer, authedJsonReq };
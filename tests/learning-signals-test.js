@@ -0,0 +1,113 @@
+// tests/learning-signals-test.js
+// Minimal runtime test (no framework) for learning_signals.json: feature extraction, decay, daily caps,
+// dedupe, noise floor, cooldowns, and GET /communicator/noticings.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const {
+  LearningSignalExtractor, getSignalExtractor, decayedValue, accumulateSignals, activeNoticings, markNoticingsShown
+} = require('../api/_lib/services/learningSignals');
+const { mockRes, authedJsonReq } = require('./helpers/http');
+const { assert, near } = require('./helpers/assert');
+const communicatorRoute = require('../api/v1/communicator').default;
+
+const DAY = 86400000;
+const T0 = Date.parse('2026-03-02T10:00:00Z');
+
+(async () => {
+  const cfg = dataLoader.get('learningSignals');
+  assert(cfg && Array.isArray(cfg.features) && cfg.noticingsMap, 'learning_signals.json loaded');
+  const extractor = getSignalExtractor(cfg);
+  assert(extractor === getSignalExtractor(cfg) && extractor.size === cfg.features.length, 'compiled once, every feature');
+  assert(extractor.isPositive('secure_boundary') && !extractor.isPositive('escalation_language'), 'positive buckets');
+
+  // Extraction: base weight per hit plus position and co-occurrence boosts
+  const small = {
+    globals: { flags: 'i', matchLimitPerFeature: 2, dedupeWindowMs: 500 },
+    scoringDefaults: { baseWeight: 0.01, positionBoost: { start: 0.02, end: 0.01, caps: 0.03, repeat: 0.03 }, cooccurrenceBoost: { withNegation: -0.03, withEmoji: 0.01 } },
+    features: [
+      { id: 'ABS', patterns: ['\\balways\\b', '\\bnever\\b'], buckets: ['escalation'], weights: { 'tone.alert': 0.05 } },
+      { id: 'THANKS', patterns: ['\\bthank you\\b'], buckets: ['gratitude'], weights: { 'tone.clear': 0.04 } }
+    ],
+    aggregation: { decayDays: 7, capPerDay: 0.05, noiseFloor: 0.02, cooldownMsPerBucket: { escalation: 10000 } },
+    noticingsMap: { escalation: 'Noticing: absolutes.', gratitude: 'Noticing: thanks.' },
+    runtime: { conflictResolution: { preferPositiveWhenTied: true, maxNoticingsPerMessage: 3 } }
+  };
+  const x = new LearningSignalExtractor(small);
+  let e = x.extract('well you always say that');
+  assert(near(e.buckets.escalation, 0.01) && e.features[0].id === 'ABS' && e.features[0].hits === 1, 'one mid-message hit');
+  e = x.extract('always late, then again ALWAYS!!');
+  assert(e.features[0].hits === 2, 'matchLimitPerFeature');
+  assert(near(e.buckets.escalation, 0.02 + 0.02 + 0.01 + 0.03 + 0.03), 'start, end, caps and repeat boosts');
+  assert(near(x.extract('so you never listen to me').buckets.escalation, 0.01), 'a feature\'s own "never" is not negation');
+  assert(x.extract("I don't think you always do").buckets.escalation === 0, 'negation lowers, never below zero');
+  assert(near(x.extract('oh well, i just wanted to say thank you so much 🙏 really a lot').buckets.gratitude, 0.02), 'emoji co-occurrence');
+  assert(Object.keys(x.extract('nothing here').buckets).length === 0, 'no hits, no buckets');
+
+  // Accumulation: dedupe window, daily cap, exponential decay
+  let state = accumulateSignals(small, {}, { buckets: { escalation: 0.03 }, features: [] }, T0);
+  assert(near(state.escalation.value, 0.03) && state.escalation.dayKey === '2026-03-02', 'first accumulation');
+  assert(near(accumulateSignals(small, state, { buckets: { escalation: 0.03 }, features: [] }, T0 + 100).escalation.value, 0.03), 'dedupe window');
+  state = accumulateSignals(small, state, { buckets: { escalation: 0.03 }, features: [] }, T0 + 1000);
+  assert(near(state.escalation.today, 0.05) && near(state.escalation.value, 0.05, 1e-4), 'capPerDay');
+  state = accumulateSignals(small, state, { buckets: { escalation: 0.03 }, features: [] }, T0 + 2000);
+  assert(near(state.escalation.value, 0.05, 1e-4), 'cap reached, nothing added');
+  assert(near(decayedValue(small, state.escalation, T0 + 2000 + 7 * DAY), 0.05 * Math.exp(-1), 1e-4), 'decays over decayDays');
+  const nextDay = accumulateSignals(small, state, { buckets: { escalation: 0.03 }, features: [] }, T0 + DAY);
+  assert(near(nextDay.escalation.today, 0.03) && nextDay.escalation.value > 0.07, 'cap resets on a new UTC day');
+
+  // Noticings: noise floor, ordering, cooldown
+  state = accumulateSignals(small, state, { buckets: { gratitude: 0.01 }, features: [] }, T0 + 3000);
+  let out = activeNoticings(small, state, T0 + 3000);
+  assert(out.noticings.length === 1 && out.noticings[0].bucket === 'escalation' && out.noticings[0].message === 'Noticing: absolutes.', 'below noise floor hidden');
+  state = accumulateSignals(small, state, { buckets: { gratitude: 0.04 }, features: [] }, T0 + 4000);
+  out = activeNoticings(small, state, T0 + 4000);
+  assert(out.noticings.map(n => n.bucket).join() === 'gratitude,escalation' && out.noticings[0].positive, 'strongest first');
+  state = markNoticingsShown(state, ['escalation', 'gratitude'], T0 + 4000);
+  out = activeNoticings(small, state, T0 + 9000);
+  assert(out.noticings.map(n => n.bucket).join() === 'gratitude', 'buckets without a cooldown stay available');
+  assert(out.suppressed.length === 1 && out.suppressed[0].bucket === 'escalation' && out.suppressed[0].cooldownRemainingMs === 5000, 'cooldown');
+  assert(activeNoticings(small, state, T0 + 14000).noticings.length === 2, 'cooldown expires');
+  assert(activeNoticings(small, state, T0 + 14000, 1).noticings.length === 1, 'limit');
+
+  // Route: /observe accumulates, GET /noticings only reads, POST /noticings/shown starts cooldowns
+  const userId = 'noticings-user';
+  const observe = async text => {
+    const res = mockRes();
+    await communicatorRoute(authedJsonReq({ url: '/api/v1/communicator/observe', user: userId, body: { text, meta: { context: 'conflict' } } }), res);
+    return res;
+  };
+  const noticings = async (query = {}) => {
+    const res = mockRes();
+    await communicatorRoute(authedJsonReq({ url: '/api/v1/communicator/noticings', user: userId, query }), res);
+    return res;
+  };
+  const shown = async body => {
+    const res = mockRes();
+    await communicatorRoute(authedJsonReq({ url: '/api/v1/communicator/noticings/shown', user: userId, body }), res);
+    return res;
+  };
+
+  let res = await noticings();
+  assert(res.statusCode === 200 && res.body.data.noticings.length === 0, 'new users have no noticings');
+  res = await observe('You ALWAYS do this, it\'s your fault. You never listen!');
+  assert(res.statusCode === 200, `observe ok, got ${res.statusCode}`);
+
+  res = await noticings({ limit: 'zero' });
+  assert(res.statusCode === 400, 'bad limit rejected');
+  res = await noticings();
+  const buckets = res.body.data.noticings.map(n => n.bucket);
+  assert(res.statusCode === 200 && buckets.includes('escalation_language') && buckets.includes('blame_language'), `noticings returned: ${buckets}`);
+  assert(res.body.data.noticings.every(n => n.message === cfg.noticingsMap[n.bucket]), 'copy from noticingsMap');
+
+  res = await noticings();
+  assert(res.body.data.noticings.map(n => n.bucket).join() === buckets.join(), 'GET does not start cooldowns');
+
+  res = await shown({ buckets: [] });
+  assert(res.statusCode === 400, 'empty acknowledgement rejected');
+  res = await shown({ buckets });
+  assert(res.statusCode === 200 && res.body.data.buckets.join() === buckets.join(), `shown ok, got ${res.statusCode}`);
+  res = await noticings();
+  assert(res.body.data.noticings.length === 0 && res.body.data.suppressed.some(s => s.bucket === 'escalation_language'), 'cooldown enforced after acknowledgement');
+
+  console.log('✅ learning-signals-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,138 @@
+// tests/onboarding-test.js
+// Minimal runtime test (no framework) for onboarding_playbook.json: schema validators, day counting
+// with time zones and the rollover hour, deterministic selection, and the /onboarding routes.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { validateOnboardingPlaybook } = require('../api/_lib/schemas/onboardingPlaybook');
+const { rolloverDayKey, onboardingDay, onboardingToday, dailyNoticings, findLesson } = require('../api/_lib/services/onboarding');
+const { getProfileStore } = require('../api/_lib/services/profileStore');
+const { hashText } = require('../api/_lib/utils/privacy');
+const { mockRes, authedJsonReq } = require('./helpers/http');
+const { assert } = require('./helpers/assert');
+const todayRoute = require('../api/v1/onboarding/today').default;
+const completeRoute = require('../api/v1/onboarding/complete').default;
+const noticingsRoute = require('../api/v1/onboarding/noticings').default;
+const communicatorRoute = require('../api/v1/communicator').default;
+
+const clone = x => JSON.parse(JSON.stringify(x));
+const at = iso => Date.parse(iso);
+
+(async () => {
+  const playbook = dataLoader.get('onboardingPlaybook');
+  const errors = validateOnboardingPlaybook(playbook);
+  assert(errors.length === 0, `shipped onboarding_playbook.json should validate: ${errors.join('; ')}`);
+
+  // The playbook's own validators
+  let broken = clone(playbook);
+  broken.days['2'].coreLessons[0].id = 'd2 lesson';
+  assert(validateOnboardingPlaybook(broken).some(e => e.includes('idFormat')), 'idFormat');
+  broken = clone(playbook);
+  broken.days['3'].coreLessons[1].reflectionRef = broken.days['1'].coreLessons[0].reflectionRef;
+  assert(validateOnboardingPlaybook(broken).some(e => e.includes('Duplicate reflectionRef')), 'refIntegrity: unique refs');
+  broken = clone(playbook);
+  broken.days['9'] = broken.days['7'];
+  delete broken.days['7'];
+  assert(validateOnboardingPlaybook(broken).some(e => e.includes('Days must run')), 'refIntegrity: consecutive days');
+  broken = clone(playbook);
+  broken.runtime.fallbacks.ifMissingSupplementals = 'use:nowhere';
+  broken.globals.progression.unlockRules[0].action.set = { previewFromDay: 2 };
+  const dangling = validateOnboardingPlaybook(broken);
+  assert(dangling.some(e => e.includes('"nowhere"')) && dangling.some(e => e.includes('previewFromDay')), 'noDanglingRefs');
+  broken = clone(playbook);
+  broken.days['1'].coreLessons[0].extra = 'x';
+  assert(validateOnboardingPlaybook(broken).some(e => e.includes('Unknown lesson field')), 'strict');
+  broken.schema.strict = false;
+  assert(validateOnboardingPlaybook(broken).length === 0, 'extra fields allowed when not strict');
+
+  // Day counting: local time zone, 4 a.m. rollover, clamped to the week
+  const first = '2026-03-02T10:00:00Z'; // 05:00 in New York
+  assert(rolloverDayKey(playbook, at('2026-03-03T03:30:00Z')) === '2026-03-02', 'before 4 a.m. is still yesterday');
+  assert(onboardingDay(playbook, { firstSeenAt: first, now: at('2026-03-03T08:30:00Z') }).day === 2, 'UTC day 2');
+  assert(onboardingDay(playbook, { firstSeenAt: first, now: at('2026-03-03T08:30:00Z'), timeZone: 'America/New_York' }).day === 1, '03:30 local is day 1');
+  assert(onboardingDay(playbook, { firstSeenAt: first, now: at('2026-03-03T09:30:00Z'), timeZone: 'America/New_York' }).day === 2, '04:30 local is day 2');
+  const late = onboardingDay(playbook, { firstSeenAt: first, now: at('2026-03-20T12:00:00Z') });
+  assert(late.day === 7 && late.finished && late.totalDays === 7, 'week finishes on the last day');
+
+  // Deterministic selection per user and day
+  const state = { firstSeenAt: first, completed: {}, reflections: {} };
+  const today = (userId, now) => onboardingToday(playbook, { userId, state, now: at(now) });
+  const a = today('u1', '2026-03-02T12:00:00Z');
+  const b = today('u1', '2026-03-02T20:00:00Z');
+  assert(JSON.stringify(a) === JSON.stringify(b), 'same user, same day, same content');
+  assert(a.day === 1 && a.theme === 'Grounding & Safety' && a.lessons.length === 2 && a.supplementals.length === 3, 'day 1 content');
+  assert(a.lessons.every(l => l.contentId === `ONB2_${l.id}` && !l.completed), 'content ids and completion');
+  assert(new Set(a.supplementals.map(s => s.id)).size === 3, 'supplementals without repeats');
+  const seen = new Set();
+  for (let i = 0; i < 20; i++) seen.add(today(`user-${i}`, '2026-03-02T12:00:00Z').lessons.map(l => l.id).join());
+  assert(seen.size > 1, 'selection varies across users');
+  const day6 = today('u1', '2026-03-07T12:00:00Z');
+  assert(day6.day === 6 && day6.previewRewrite && !day6.generalStyleReveal, 'preview rewrite from day 6');
+  assert(today('u1', '2026-03-08T12:00:00Z').generalStyleReveal.enabled, 'style reveal on day 7');
+
+  const noPools = clone(playbook);
+  delete noPools.days['2'].supplementalPools;
+  const fallback = onboardingToday(noPools, { userId: 'u1', state, now: at('2026-03-03T12:00:00Z') });
+  assert(fallback.supplementals.length === 3 && fallback.supplementals.every(s => s.tag === 'general'), 'ifMissingSupplementals fallback');
+
+  // Noticings: per-day cap, positives first early in the week
+  const n = (bucket, score, positive) => ({ bucket, score, positive, message: bucket, lastObservedAt: first });
+  const candidates = [n('blame', 0.9, false), n('escalation', 0.8, false), n('gratitude', 0.2, true), n('repair', 0.1, true)];
+  assert(dailyNoticings(playbook, candidates, { day: 2, shownToday: 0 }).map(x => x.bucket).join() === 'gratitude,repair,blame', 'early week prefers positives');
+  assert(dailyNoticings(playbook, candidates, { day: 6, shownToday: 1 }).map(x => x.bucket).join() === 'blame,escalation', 'later, strongest first within the cap');
+  assert(dailyNoticings(playbook, candidates, { day: 6, shownToday: 3 }).length === 0, 'cap reached');
+
+  // Routes
+  const userId = 'onboarding-user';
+  const getToday = async query => {
+    const res = mockRes();
+    await todayRoute(authedJsonReq({ url: '/api/v1/onboarding/today', user: userId, query }), res);
+    return res;
+  };
+  const post = async (route, url, body) => {
+    const res = mockRes();
+    await route(authedJsonReq({ url, user: userId, body }), res);
+    return res;
+  };
+  const complete = body => post(completeRoute, '/api/v1/onboarding/complete', body);
+  const shown = body => post(noticingsRoute, '/api/v1/onboarding/noticings', body);
+
+  let res = await getToday({ tz: 'Mars/Olympus' });
+  assert(res.statusCode === 400, 'unknown time zone rejected');
+
+  const observe = mockRes();
+  await communicatorRoute(authedJsonReq({ url: '/api/v1/communicator/observe', user: userId, body: { text: 'You ALWAYS do this, it\'s your fault!' } }), observe);
+  assert(observe.statusCode === 200, 'observe ok');
+
+  res = await getToday({ tz: 'Europe/Berlin' });
+  const day1 = res.body.data;
+  assert(res.statusCode === 200 && day1.day === 1 && day1.lessons.length === 2, 'first call starts day 1');
+  assert(day1.noticings.length > 0 && day1.noticings.length <= 3, 'noticings included');
+  res = await getToday({ tz: 'Europe/Berlin' });
+  assert(JSON.stringify(res.body.data) === JSON.stringify(day1), 'GET is read-only: a repeat shows the same day and noticings');
+
+  res = await shown({ buckets: [] });
+  assert(res.statusCode === 400, 'empty acknowledgement rejected');
+  res = await shown({ buckets: day1.noticings.map(x => x.bucket), tz: 'Europe/Berlin' });
+  assert(res.statusCode === 200 && res.body.data.day === 1 && res.body.data.dayKey === day1.dayKey, 'noticings acknowledged');
+
+  res = await complete({ lessonId: 'D2-L1' });
+  assert(res.statusCode === 403 && res.body.code === 'LESSON_LOCKED', 'future lessons stay locked (403, not a retryable 409)');
+  res = await complete({ lessonId: 'NOPE' });
+  assert(res.statusCode === 400, 'unknown lesson');
+  const lesson = day1.lessons[0];
+  const reflection = 'I noticed I type fast when I am upset.';
+  res = await complete({ lessonId: lesson.id, reflection });
+  assert(res.statusCode === 200 && res.body.data.completed.includes(lesson.id) && res.body.data.reflections.includes(lesson.reflectionRef), 'lesson completed');
+  assert(findLesson(playbook, lesson.id).day === 1 && res.body.data.totalLessons === 15, 'progress totals');
+
+  res = await getToday({});
+  const again = res.body.data.lessons.find(l => l.id === lesson.id);
+  assert(again.completed && again.reflectedAt && again.reflection === undefined, 'completion and reflection time shown');
+  const stored = (await getProfileStore().get(userId)).data;
+  assert(!JSON.stringify(stored).includes('type fast'), 'reflection text is not persisted');
+  assert(stored.onboarding.reflections[lesson.reflectionRef].textHash === hashText(reflection), 'reflection kept as a hash');
+  assert(res.body.data.dayKey === day1.dayKey, 'acknowledged tz remembered');
+  assert(res.body.data.noticings.length === 0, 'noticings already shown today');
+
+  console.log('✅ onboarding-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,68 @@
+// tests/profanity-test.js
+// Minimal runtime test (no framework) for the profanity_lexicons.json rule engine and its
+// use in tone scoring and advice filtering.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { getProfanityEvaluator } = require('../api/_lib/services/profanity');
+const { toneAnalysisService } = require('../api/_lib/services/toneAnalysis');
+const { suggestionsService } = require('../api/_lib/services/suggestions');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+(async () => {
+  const lexicon = dataLoader.get('profanityLexicons');
+  const ev = getProfanityEvaluator(lexicon);
+  assert(getProfanityEvaluator(lexicon) === ev, 'evaluator is cached per lexicon');
+
+  // Whole-token matching: no substring hits
+  assert(!ev.evaluate('that class was a great assessment').hasProfanity, '"class"/"assessment" must not match');
+
+  // normalization.map: obfuscated spellings
+  const masked = ev.evaluate('what the f*ck');
+  assert(masked.hasProfanity && masked.hits[0].term === 'fuck', 'f*ck should normalize to fuck');
+
+  // Sensitivity scales weightMap
+  const low = ev.evaluate('damn', { sensitivity: 'low' });
+  const high = ev.evaluate('damn', { sensitivity: 'high' });
+  assert(high.severity > low.severity, `high sensitivity should weigh more (${low.severity} vs ${high.severity})`);
+  assert(ev.evaluate('damn').sensitivity === lexicon.settings.defaultSensitivity, 'default sensitivity comes from settings');
+
+  // Targeted moderate insult escalates
+  const insult = ev.evaluate('you idiot');
+  assert(insult.targeted && insult.firedRules.includes('RULE_PROF_ESCALATE_MODERATE'), 'targeted insult escalates');
+  assert(insult.tone === 'alert', `escalation flips tone to alert (got ${insult.tone})`);
+
+  // Untargeted, softened, low intensity de-escalates
+  const softened = ev.evaluate("that's dumb lol");
+  assert(softened.firedRules.includes('RULE_PROF_DEESCALATE_MODERATE'), 'softened moderate de-escalates');
+  assert(softened.tone === 'caution' && softened.severity < insult.severity, 'de-escalated hit stays caution and weighs less');
+
+  // Profile rules
+  const habitual = ev.evaluate('shit shit shit', { profile: 'habitual_swearer' });
+  const plain = ev.evaluate('shit shit shit');
+  assert(habitual.firedRules.includes('RULE_PROF_PROFILE_HABITUAL'), 'habitual_swearer rule fires');
+  assert(habitual.severity < plain.severity, 'habitual_swearer profile tolerates repeats');
+
+  // Exemptions
+  const self = ev.evaluate('I am such an idiot');
+  assert(self.hits[0].exemption === 'selfDirected' && self.severity < insult.severity, 'self-directed hits are downweighted');
+  const quoted = ev.evaluate('he said "you idiot" to me');
+  assert(quoted.hits[0].exemption === 'quotedText' && !quoted.hasProfanity, 'quoted hits are downweighted below threshold');
+
+  // Threat detection
+  assert(ev.evaluate('fuck you, I will hurt you').threat, 'threat patterns are detected');
+
+  // Advice filtering uses the same severity with the caller's sensitivity
+  assert(suggestionsService.containsProfanity('you idiot', lexicon), 'advice filter flags targeted insults');
+  assert(!suggestionsService.containsProfanity('that class was great', lexicon), 'advice filter ignores clean text');
+  assert(!suggestionsService.containsProfanity('damn', lexicon, { sensitivity: 'low' }), 'low sensitivity lets mild words through');
+
+  // Tone scoring reports the profanity block
+  const tone = await toneAnalysisService.analyzeAdvancedTone('you fucking idiot', { context: 'conflict', profanitySensitivity: 'high' });
+  assert(tone.profanity && tone.profanity.severity > 0, 'analyzeAdvancedTone returns a profanity block');
+  assert(tone.profanity.sensitivity === 'high' && tone.profanity.terms.includes('idiot'), 'profanity block reflects the options');
+  const clean = await toneAnalysisService.analyzeAdvancedTone('thanks for dinner tonight', { context: 'general' });
+  assert(!clean.profanity, 'clean text has no profanity block');
+
+  console.log('✅ profanity-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
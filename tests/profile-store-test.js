@@ -0,0 +1,85 @@
+// tests/profile-store-test.js
+// Minimal runtime test (no framework) for profile persistence + optimistic versioning.
+require('./helpers/env');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InMemoryProfileStore, FileProfileStore, ProfileVersionConflictError } = require('../api/_lib/services/profileStore');
+const { CommunicatorProfile } = require('../api/_lib/services/communicatorProfile');
+const { withProfileConflicts } = require('../api/_lib/wrappers');
+const { hashText } = require('../api/_lib/utils/privacy');
+const { mockReq, mockRes } = require('./helpers/http');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+async function exerciseStore(store, label) {
+  assert((await store.get('u1')) === null, `${label}: expected empty store`);
+  const v1 = await store.put('u1', { n: 1 }, 0);
+  assert(v1.version === 1, `${label}: first write should be v1`);
+  const v2 = await store.put('u1', { n: 2 }, 1);
+  assert(v2.version === 2, `${label}: second write should be v2`);
+
+  let conflict = null;
+  try { await store.put('u1', { n: 3 }, 1); } catch (e) { conflict = e; }
+  assert(conflict instanceof ProfileVersionConflictError, `${label}: stale write must conflict`);
+  assert((await store.get('u1')).data.n === 2, `${label}: stale write must not clobber`);
+
+  await store.delete('u1');
+  assert((await store.get('u1')) === null, `${label}: delete should remove profile`);
+}
+
+(async function run() {
+  await exerciseStore(new InMemoryProfileStore(), 'memory');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'unsaid-profiles-'));
+  try {
+    await exerciseStore(new FileProfileStore({ dir }), 'file');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Two concurrent writers: the second one reloads and re-applies instead of clobbering
+  const storage = new InMemoryProfileStore();
+  const a = new CommunicatorProfile({ userId: 'u2', storage });
+  const b = new CommunicatorProfile({ userId: 'u2', storage });
+  await a.init(); await b.init();
+  await a.update(p => p.addCommunication('first', 'general', 'neutral'));
+  await b.update(p => p.addCommunication('second', 'general', 'neutral'));
+
+  const reloaded = new CommunicatorProfile({ userId: 'u2', storage });
+  await reloaded.init();
+  const hashes = reloaded.export().communicationHistory.map(h => h.textHash);
+  assert(hashes.join(',') === [hashText('first'), hashText('second')].join(','), 'expected both observations');
+  const raw = JSON.stringify((await storage.get('u2')).data);
+  assert(!raw.includes('first') && !raw.includes('second'), 'message text is not persisted');
+  assert(reloaded.getVersion() === 2, 'expected version 2 after two saves');
+
+  await reloaded.reset();
+  const afterReset = new CommunicatorProfile({ userId: 'u2', storage });
+  await afterReset.init();
+  assert(afterReset.export().communicationHistory.length === 0, 'reset should clear history');
+
+  // Records from before hashing lose their raw text on load
+  await storage.put('u4', {
+    userId: 'u4',
+    communicationHistory: [{ text: 'old words', context: 'general', tone: 'neutral', timestamp: 't' }],
+    onboarding: { firstSeenAt: 't', completed: {}, reflections: { r1: { text: 'old reflection', submittedAt: 't' } } }
+  }, 0);
+  const legacy = new CommunicatorProfile({ userId: 'u4', storage });
+  await legacy.init();
+  const [entry] = legacy.export().communicationHistory;
+  assert(entry.text === undefined && entry.textHash === hashText('old words') && entry.textLength === 9 && entry.tone === 'neutral', 'legacy text is hashed');
+  const r1 = legacy.getOnboarding().reflections.r1;
+  assert(r1.text === undefined && r1.textHash === hashText('old reflection') && r1.submittedAt === 't', 'legacy reflection is hashed');
+
+  // withProfileConflicts turns a lost version race into a retryable 409; other errors pass through
+  const conflicted = withProfileConflicts(async () => { throw new ProfileVersionConflictError('u3', 1, 2); });
+  const res = mockRes();
+  await conflicted(mockReq(), res);
+  assert(res.statusCode === 409 && res.body.code === 'ERR_VERSION_CONFLICT', 'conflict should answer 409');
+  let passedThrough = false;
+  await withProfileConflicts(async () => { throw new Error('boom'); })(mockReq(), mockRes()).catch(() => { passedThrough = true; });
+  assert(passedThrough, 'other errors should reach withErrorHandling');
+
+  console.log('✅ profile-store-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,37 @@
+// tests/run-unit.js
+// Runs every tests/*-test.js (no framework) in its own process with ts-node, so the .ts modules
+// under api/ load directly. Empty placeholders and live-api-test.js (needs a running server) are skipped.
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const SKIP = new Set(['live-api-test.js']);
+const only = process.argv.slice(2);
+
+const files = fs.readdirSync(__dirname)
+  .filter(f => f.endsWith('-test.js') && !SKIP.has(f))
+  .filter(f => fs.statSync(path.join(__dirname, f)).size > 0)
+  .filter(f => !only.length || only.some(name => f.includes(name)))
+  .sort();
+
+const failed = [];
+for (const file of files) {
+  const started = Date.now();
+  const result = spawnSync(process.execPath, ['-r', 'ts-node/register/transpile-only', path.join(__dirname, file)], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf-8',
+    env: { ...process.env, LOG_LEVEL: process.env.LOG_LEVEL || 'error' },
+  });
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  if (result.status === 0) {
+    console.log(`ok   ${file} (${seconds}s)`);
+  } else {
+    failed.push(file);
+    console.log(`FAIL ${file} (${seconds}s)`);
+    process.stdout.write(result.stdout || '');
+    process.stderr.write(result.stderr || (result.error ? String(result.error) : ''));
+  }
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} test files passed`);
+if (failed.length) process.exit(1);
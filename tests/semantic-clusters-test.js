@@ -0,0 +1,70 @@
+// tests/semantic-clusters-test.js
+// Minimal runtime test (no framework) for the semantic_thesaurus.json cluster matcher: match
+// modes, fire threshold, negation window, banter dampening, and evidence in tone analysis.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { getClusterMatcher, SemanticClusterMatcher } = require('../api/_lib/services/semanticClusters');
+const { toneAnalysisService } = require('../api/_lib/services/toneAnalysis');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+const find = (r, key) => r.clusters.find(c => c.key === key);
+
+(async () => {
+  const thesaurus = dataLoader.get('semanticThesaurus');
+  const matcher = getClusterMatcher(thesaurus);
+  assert(matcher.size === thesaurus.clusters.length && getClusterMatcher(thesaurus) === matcher, 'matcher is built once per thesaurus');
+
+  // All three modes; spans point at the original text
+  const text = 'Honestly, this is YOUR fault.';
+  const blame = find(matcher.match(text), 'blame');
+  assert(blame && blame.modes.includes('exact') && blame.modes.includes('regex') && blame.modes.includes('spacy'), 'blame fires in every mode');
+  assert(blame.spans.some(s => text.slice(s.start, s.end) === 'YOUR fault' && s.text === 'YOUR fault'), 'span offsets');
+  assert(blame.toneEffect.alert > 0.2 && blame.toneEffect.clear < 0, 'blame pulls toward alert');
+
+  // Token patterns see contractions as one token (curly and straight apostrophes)
+  const contempt = find(matcher.match('you’re impossible'), 'contempt');
+  assert(contempt && contempt.modes.includes('spacy'), 'LOWER "you’re" token pattern');
+  assert(find(matcher.match("you're impossible", { tokens: [{ text: 'you' }, { text: "'" }, { text: 're' }, { text: 'impossible' }] }), 'contempt').modes.includes('spacy'),
+    'spaCy-lite tokens are rejoined');
+
+  // Lexical placeholders: "…" gaps and X slots
+  assert(find(matcher.match('If you don’t pick up, then I am leaving'), 'ultimatum').modes.includes('exact'), 'gap phrase');
+  assert(find(matcher.match('I can’t do weekends anymore'), 'boundary'), 'slot phrase');
+
+  // A spaCy-pattern-only hit (0.76) stays under cluster_fire (0.78)
+  const custom = new SemanticClusterMatcher({
+    settings: { thresholds: { exact: 0.9, regex: 0.82, spacy: 0.76, cluster_fire: 0.78 } },
+    clusters: [{ id: 'SEM_T', key: 't', category: 'conflict', toneAffinities: { alert: 0.2 }, match: { spacyPatterns: [[{ LOWER: 'zorp' }]] } }]
+  });
+  assert(custom.match('zorp').clusters.length === 0, 'single weak mode does not fire');
+
+  // Negation window inverts negation-sensitive clusters; the denylist and distance opt out
+  const negated = find(matcher.match("It's not your fault"), 'blame');
+  assert(negated.negated && negated.toneEffect.alert < 0, 'negated blame pushes away from alert');
+  assert(!find(matcher.match('Not only is this your fault but it keeps happening'), 'blame').negated, 'denylisted "not only ... but"');
+  assert(!find(matcher.match('I do not know why I bother, it is always your fault'), 'blame').negated, 'negator outside the window');
+  assert(!find(matcher.match("That's not okay"), 'boundary').negated, 'clusters that are not negation sensitive ignore negators');
+
+  // Banter dampening
+  const plain = find(matcher.match('whatever, grow up'), 'contempt');
+  const banter = matcher.match('whatever, grow up lol 😂');
+  assert(banter.registerSignals.includes('banter markers') && banter.registerSignals.includes('emoji soften'), 'register signals');
+  const damp = find(banter, 'contempt');
+  assert(damp.dampened && Math.abs(damp.toneEffect.alert - plain.toneEffect.alert * 0.6) < 0.002, 'alert pull dampened by 0.6');
+  assert(damp.toneEffect.clear === plain.toneEffect.clear, 'clear effect is not dampened');
+  assert(matcher.match('whatever lol 😡').registerSignals.length === 0, 'hostile emoji cancels banter');
+
+  // Attachment adjustments shift the weight
+  const anxious = find(matcher.match('This is your fault', { attachmentStyle: 'anxious' }), 'blame');
+  const secure = find(matcher.match('This is your fault', { attachmentStyle: 'secure' }), 'blame');
+  assert(anxious.toneEffect.alert > secure.toneEffect.alert, 'anxious adjustment raises blame weight');
+
+  // Tone analysis: clusters feed scoring and come back as evidence
+  const res = await toneAnalysisService.analyzeAdvancedTone('This is all on you, you caused this.', { context: 'general' });
+  assert(Array.isArray(res.evidence.clusters) && find(res.evidence, 'blame'), 'evidence.clusters carries blame');
+  const calm = await toneAnalysisService.analyzeAdvancedTone('I hear you, that makes sense.', { context: 'general' });
+  assert(find(calm.evidence, 'validation') && !find(calm.evidence, 'blame'), 'validation evidence');
+  assert(calm.emotions.confident > res.emotions.confident, 'validation scores more supportive than blame');
+
+  console.log('✅ semantic-clusters-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,67 @@
+// tests/severity-test.js
+// Minimal runtime test (no framework) for severity banding: byLength, byRecency stacking,
+// cohortOverrides, band lookup/actions, and the severity block on /api/v1/tone.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { computeSeverity, lengthBias, recencyBias, bandFor } = require('../api/_lib/services/severity');
+const { toneRequestSchema } = require('../api/_lib/schemas/toneRequest');
+const { mockRes, authedJsonReq } = require('./helpers/http');
+const { assert, near } = require('./helpers/assert');
+const toneRoute = require('../api/v1/tone').default;
+
+(async () => {
+  const cfg = dataLoader.get('severityCollaboration');
+  assert(cfg && cfg.severityBands && cfg.actions, 'severity_collaboration.json loaded');
+
+  // byLength: short texts lean alert, long texts lean clear
+  assert(near(lengthBias(cfg, 'alert', 20), 0.01) && near(lengthBias(cfg, 'clear', 20), -0.01), 'short text bias');
+  assert(near(lengthBias(cfg, 'clear', 250), 0.02) && lengthBias(cfg, 'alert', 100) === 0, 'long / mid text bias');
+
+  // byRecency: each earlier message inside 120s stacks, capped at 0.06
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  const ago = s => now - s * 1000;
+  assert(recencyBias(cfg, 'alert', [ago(30), ago(300)], now).repeats === 1, 'only messages inside the window count');
+  assert(near(recencyBias(cfg, 'alert', [ago(10), ago(20)], now).bias, 0.04), 'stacking adds per repeat');
+  assert(near(recencyBias(cfg, 'alert', [1, 2, 3, 4, 5].map(s => ago(s * 10)), now).bias, 0.06), 'stacking is capped');
+  assert(recencyBias(cfg, 'clear', [ago(10)], now).bias === 0, 'clear does not stack');
+  assert(recencyBias(cfg, 'alert', [now + 5000], now).repeats === 0, 'future timestamps are ignored');
+
+  // Bands
+  assert(bandFor(cfg, 'alert', 0.50) === 'low' && bandFor(cfg, 'alert', 0.65) === 'med' && bandFor(cfg, 'alert', 0.72) === 'high', 'alert bands');
+
+  // Full computation: 0.68 alert (med) becomes high with stacking + coparenting cohort
+  const dist = { clear: 0.12, caution: 0.2, alert: 0.68 };
+  const text = 'x'.repeat(100);
+  const calm = computeSeverity(cfg, { bucket: 'alert', dist, textLength: text.length, now });
+  assert(calm.band === 'med' && calm.score === 0.68 && !calm.softBlock, `single message is med, got ${calm.band}`);
+  assert(calm.actions.includes('Offer: boundary option'), 'med alert actions');
+
+  const heated = computeSeverity(cfg, { bucket: 'alert', dist, textLength: text.length, cohort: 'coparenting', recentTimestamps: [ago(15)], now });
+  assert(heated.applied.cohort === 0.02 && heated.applied.recency === 0.02 && heated.score === 0.72, `applied modifiers ${JSON.stringify(heated.applied)}`);
+  assert(heated.band === 'high' && heated.softBlock && heated.requireAcknowledgment, 'high alert soft-blocks');
+  assert(computeSeverity(cfg, { bucket: 'alert', dist, textLength: 100, cohort: 'unknown' }).applied.cohort === 0, 'unknown cohort is ignored');
+  assert(computeSeverity(cfg, { bucket: 'alert', dist: { clear: 0, caution: 0, alert: 1 }, textLength: 10 }).score === cfg.defaults.maxThreshold, 'score is clamped');
+
+  // Request schema accepts a cohort
+  assert(toneRequestSchema.parse({ text: 'hi', cohort: 'dating' }).cohort === 'dating', 'cohort in tone request');
+
+  // /api/v1/tone returns the severity block; a signed-in user's repeats stack
+  const call = async (body, user) => {
+    const res = mockRes();
+    await toneRoute(authedJsonReq({ url: '/api/v1/tone', user, headers: { 'x-forwarded-for': '10.0.0.9' }, body }), res);
+    assert(res.statusCode === 200, `tone route failed: ${res.statusCode} ${JSON.stringify(res.body)}`);
+    return res.body.data.severity;
+  };
+
+  const body = { text: 'You never listen to me and I am sick of it!!', context: 'conflict', cohort: 'coparenting' };
+  const anon = await call(body);
+  assert(['low', 'med', 'high'].includes(anon.band) && typeof anon.score === 'number' && Array.isArray(anon.actions), 'severity shape');
+  assert(anon.applied.repeats === 0 && (await call(body)).applied.repeats === 0, 'anonymous calls do not stack');
+
+  const first = await call(body, 'severity-user');
+  const second = await call(body, 'severity-user');
+  assert(first.applied.repeats === 0 && second.applied.repeats === 1, `repeats stack for signed-in users: ${first.applied.repeats}, ${second.applied.repeats}`);
+  assert(second.score >= first.score, 'stacking does not lower the score');
+
+  console.log('✅ severity-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
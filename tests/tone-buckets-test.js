@@ -0,0 +1,87 @@
+// tests/tone-buckets-test.js
+// Minimal runtime test (no framework) for the tone_bucket_mapping.json-driven bucket mapper.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { resolveToneBuckets, FALLBACK_TONE_BUCKET_MAPPING } = require('../api/_lib/services/toneBuckets');
+const { mapToneToBuckets } = require('../api/_lib/services/toneAnalysis');
+const { validateToneBucketMapping } = require('../api/_lib/schemas/toneBucketMapping');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+const map = dataLoader.get('toneBucketMapping');
+const errors = validateToneBucketMapping(map);
+assert(errors.length === 0, `shipped tone_bucket_mapping.json should validate: ${errors.join('; ')}`);
+assert(validateToneBucketMapping(FALLBACK_TONE_BUCKET_MAPPING).length === 0, 'fallback mapping should validate');
+
+// Each analyzer label at moderate intensity, general context, confident classification.
+// [tone, primary, minimum mass on primary, bucket that must carry the least mass]
+const table = [
+  ['neutral',        'clear',   0.65, 'alert'],
+  ['positive',       'clear',   0.65, 'alert'],
+  ['supportive',     'clear',   0.65, 'alert'],
+  ['assertive',      'clear',   0.65, 'alert'],
+  ['anxious',        'caution', 0.55, null],
+  ['sad',            'caution', 0.55, null],
+  ['frustrated',     'caution', 0.55, null],
+  ['angry',          'alert',   0.70, 'clear'],
+  ['safety_concern', 'alert',   0.70, 'clear'],
+  ['clear',          'clear',   0.65, 'alert'],
+  ['caution',        'caution', 0.55, null],
+  ['alert',          'alert',   0.70, 'clear'],
+];
+
+for (const [tone, primary, minMass, least] of table) {
+  const { primary: got, dist } = resolveToneBuckets(map, { tone, confidence: 0.8, intensity: 0.3, context: 'general' });
+  const sum = dist.clear + dist.caution + dist.alert;
+  assert(Math.abs(sum - 1) < 1e-9, `${tone}: distribution should sum to 1`);
+  assert(got === primary, `${tone}: expected primary ${primary}, got ${got} (${JSON.stringify(dist)})`);
+  assert(dist[primary] >= minMass, `${tone}: ${primary} mass ${dist[primary].toFixed(3)} < ${minMass}`);
+  if (least) {
+    const min = Math.min(dist.clear, dist.caution, dist.alert);
+    assert(dist[least] === min, `${tone}: ${least} should carry the least mass (${JSON.stringify(dist)})`);
+  }
+}
+
+// Intensity shifts mass toward alert (intensityFactor 1.2 > 1.1 > 1.0)
+const calm = resolveToneBuckets(map, { tone: 'frustrated', confidence: 0.8, intensity: 0 });
+const hot = resolveToneBuckets(map, { tone: 'frustrated', confidence: 0.8, intensity: 1 });
+assert(hot.dist.alert > calm.dist.alert && hot.dist.clear < calm.dist.clear, 'higher intensity should move mass toward alert');
+
+// contextBoosts: conflict boosts alert, repair boosts clear
+const general = resolveToneBuckets(map, { tone: 'anxious', confidence: 0.8, intensity: 0.3, context: 'general' });
+const conflict = resolveToneBuckets(map, { tone: 'anxious', confidence: 0.8, intensity: 0.3, context: 'conflict' });
+const repair = resolveToneBuckets(map, { tone: 'anxious', confidence: 0.8, intensity: 0.3, context: 'repair' });
+assert(conflict.dist.alert > general.dist.alert, 'conflict context should boost alert');
+assert(repair.dist.clear > general.dist.clear, 'repair context should boost clear');
+
+// Below the home bucket's confidenceThreshold the distribution flattens toward uniform
+const sure = resolveToneBuckets(map, { tone: 'angry', confidence: 0.9, intensity: 0.3 });
+const unsure = resolveToneBuckets(map, { tone: 'angry', confidence: 0.05, intensity: 0.3 });
+assert(unsure.meta.lowConfidence && !sure.meta.lowConfidence, 'alert threshold is 0.25');
+assert(unsure.dist.alert < sure.dist.alert && unsure.dist.clear > sure.dist.clear, 'low confidence should flatten');
+
+// Suggestion buckets: base weights + attachment overrides + context boosts
+const anxiousConflict = resolveToneBuckets(map, { tone: 'angry', confidence: 0.9, intensity: 0.5, context: 'conflict', attachmentStyle: 'anxious' });
+const ids = anxiousConflict.meta.suggestionBuckets.map(b => b.id);
+assert(ids[0] === 'deescalation', `deescalation should lead for angry+conflict (got ${ids.join(',')})`);
+assert(ids.includes('self_soothing'), 'anxious attachment override should be merged in');
+
+// Unknown labels fall back to the neutral home bucket
+const unknown = resolveToneBuckets(map, { tone: 'bewildered', confidence: 0.8 });
+assert(!unknown.meta.matched && unknown.primary === 'clear', 'unknown tones should map like neutral');
+
+// Old-shape files fall back instead of producing a flat distribution
+const legacy = resolveToneBuckets({ default: { angry: { clear: 0.33, caution: 0.34, alert: 0.33 } } }, { tone: 'angry', confidence: 0.8, intensity: 0.3 });
+assert(legacy.primary === 'alert', 'legacy-shaped mappings should use the built-in fallback');
+
+// Schema rejects dangling suggestion bucket references
+const broken = JSON.parse(JSON.stringify(map));
+broken.toneBuckets.alert.suggestionBuckets.push({ id: 'no_such_bucket', weight: 0.1 });
+assert(validateToneBucketMapping(broken).some(e => e.includes('no_such_bucket')), 'unknown suggestion ids should be reported');
+
+// Public mapper used by the evaluation harness
+const mapped = mapToneToBuckets({ classification: 'angry', confidence: 0.9, intensity: 0.4 }, 'secure', 'conflict');
+assert(mapped.buckets.alert > 0.7, `mapToneToBuckets should put angry in alert (${JSON.stringify(mapped.buckets)})`);
+assert(mapped.metadata.homeBucket === 'alert' && Array.isArray(mapped.metadata.suggestionBuckets), 'metadata should describe the mapping');
+
+console.log('✅ tone-buckets-test passed');
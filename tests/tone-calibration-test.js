@@ -0,0 +1,32 @@
+// tests/tone-calibration-test.js
+// Minimal runtime test (no framework) for the Platt fitter and calibration lookup.
+require('./helpers/env');
+const { fitPlatt, applyPlatt, logLoss, getPlattParams, DEFAULT_PLATT } = require('../api/_lib/services/toneCalibration');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+
+// Deterministic synthetic data drawn from a known sigmoid: P(y=1|x) = σ(6x - 3)
+const truth = { a: 6, b: -3 };
+const points = [];
+for (let i = 0; i < 2000; i++) {
+  const x = (i % 100) / 100;
+  const p = applyPlatt(x, truth);
+  const u = ((i * 7919) % 1000) / 1000; // low-discrepancy stand-in for Math.random()
+  points.push({ x, y: u < p ? 1 : 0 });
+}
+const fit = fitPlatt(points, { lambda: 0.01 });
+assert(Math.abs(fit.a - truth.a) < 1 && Math.abs(fit.b - truth.b) < 0.5, `fit should recover a≈6, b≈-3 (got ${fit.a.toFixed(2)}, ${fit.b.toFixed(2)})`);
+assert(logLoss(points, fit) < logLoss(points, DEFAULT_PLATT), 'fitted params should beat the default');
+
+// A tiny group with a strong prior stays near the prior
+const tiny = fitPlatt([{ x: 0.9, y: 0 }, { x: 0.8, y: 0 }], { prior: truth, lambda: 50 });
+assert(Math.abs(tiny.a - truth.a) < 0.5 && Math.abs(tiny.b - truth.b) < 0.5, 'regularized fit should stay near the prior');
+
+// Lookup: fitted context → general → legacy/default
+const file = dataLoader.get('toneCalibration');
+assert(file && file.contexts && file.contexts.general, 'tone_calibration.json should load with a general entry');
+assert(getPlattParams('general').a === file.contexts.general.a, 'general should come from the calibration file');
+assert(getPlattParams('no-such-context').b === file.contexts.general.b, 'unknown contexts fall back to general');
+
+console.log('✅ tone-calibration-test passed');
@@ -0,0 +1,37 @@
+// tests/tone-eval-test.js
+// Minimal runtime test (no framework) for the tone evaluation metrics behind `npm run eval:tone`.
+require('./helpers/env');
+const { sliceMetrics, reliabilityTable, scoreRangeViolations, argmaxBucket, evaluateTone, loadEvaluationExamples, predictExample } = require('../api/_lib/services/toneEvaluation');
+
+function assert(cond, msg) { if (!cond) throw new Error(msg); }
+const near = (a, b) => Math.abs(a - b) < 1e-3;
+
+const pred = (id, expected, predicted, confidence) => ({ id, expected, predicted, confidence, probs: {}, fallback: false });
+
+const m = sliceMetrics([pred('a', 'alert', 'alert', 0.9), pred('b', 'alert', 'clear', 0.6), pred('c', 'clear', 'clear', 0.7)]);
+assert(m.n === 3 && m.correct === 2 && near(m.accuracy, 0.6667), 'accuracy should be 2/3');
+assert(m.confusion.alert.clear === 1 && m.confusion.clear.clear === 1, 'confusion is [expected][predicted]');
+
+// Perfectly calibrated points → ECE 0; overconfident → gap equals the miss rate
+assert(reliabilityTable([{ confidence: 0.75, correct: true }, { confidence: 0.75, correct: true }, { confidence: 0.75, correct: true }, { confidence: 0.75, correct: false }], 10).ece === 0, 'calibrated ECE should be 0');
+const over = reliabilityTable([{ confidence: 0.95, correct: true }, { confidence: 0.95, correct: false }], 10);
+assert(near(over.ece, 0.45) && over.rows[9].n === 2, 'confidence 0.95 with 50% accuracy → ECE 0.45 in the top bin');
+
+const ex = { id: 'x', text: 't', expect: { tone: 'alert', scoreRange: { min: 0.6, max: 0.8 }, altRanked: [{ tone: 'caution', max: 0.3 }] } };
+const v = scoreRangeViolations(ex, { probs: { clear: 0.1, caution: 0.4, alert: 0.5 } });
+assert(v.some(x => x.kind === 'below_min') && v.some(x => x.kind === 'alt_above_max'), 'should flag low score and alt overflow');
+assert(scoreRangeViolations(ex, { probs: { clear: 0.1, caution: 0.2, alert: 0.7 } }).length === 0, 'in-range prediction should pass');
+assert(argmaxBucket({ clear: 0.2, caution: 0.5, alert: 0.3 }) === 'caution', 'argmax');
+
+(async function run() {
+  const { examples, version } = loadEvaluationExamples();
+  assert(examples.length > 400, 'evaluation_tones.json examples should load');
+  const report = await evaluateTone(examples.slice(0, 12), {}, version);
+  assert(report.overall.n === 12 && report.analysisFallbacks === 0, 'analysis should run without falling back');
+  assert(report.byEdge.negation && report.calibration.reliability.length === 10, 'report should carry edge slices and reliability rows');
+
+  // The caution bucket is reachable: a single worry or uncertainty cue outweighs the neutral prior
+  const worried = await predictExample({ id: 'w', text: "I'm not sure about this, I'm a little worried.", expect: { tone: 'caution' } });
+  assert(worried.predicted === 'caution', `worry should land in caution, got ${worried.predicted} (${worried.rawTone})`);
+  console.log('✅ tone-eval-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,104 @@
+// tests/tone-stream-test.js
+// Minimal runtime test (no framework) for keystroke streaming: ToneStream backspace replay,
+// ToneLiveController deltas/TTL, and the /api/v1/tone/stream route.
+require('./helpers/env');
+const { ToneStream, ToneLiveController } = require('../api/_lib/services/toneAnalysis');
+const { mockRes, authedJsonReq } = require('./helpers/http');
+const { assert } = require('./helpers/assert');
+
+const close = (a, b) => ['clear', 'caution', 'alert'].every(k => Math.abs(a[k] - b[k]) < 1e-12);
+
+function typed(text) {
+  const s = new ToneStream('general', 'secure');
+  s.append(text);
+  return s;
+}
+
+(async () => {
+  // Backspace replays from the last token boundary: same state as typing the shorter text
+  const msg = 'I am so angry at you right now. You never listen ';
+  for (const n of [1, 4, 12, 30, msg.length]) {
+    const s = typed(msg);
+    s.deleteBackward(n);
+    const expected = typed(msg.slice(0, msg.length - n));
+    assert(s.getText() === expected.getText(), `text after deleting ${n}`);
+    assert(close(s.getCurrent(), expected.getCurrent()), `distribution after deleting ${n} should match retyping`);
+  }
+
+  // Delete then keep typing
+  const edited = typed('you are stupid ');
+  edited.deleteBackward('stupid '.length);
+  edited.append('kind ');
+  assert(close(edited.getCurrent(), typed('you are kind ').getCurrent()), 'edit then append should match retyping');
+
+  // Sentence terminators finalize
+  assert(new ToneStream('general', 'secure').append('ok then.') === true, 'period should finalize a sentence');
+  assert(new ToneStream('general', 'secure').append('ok then ') === false, 'no terminator, no finalization');
+
+  // Controller: ordered deltas, duplicates, gaps and resync
+  const live = new ToneLiveController({ ttlMs: 1000, maxSessions: 3 });
+  let t = 0;
+  let u = live.applyDelta('u1:body', { sessionId: 's1', seq: 1, append: 'I hate ' }, t);
+  assert(u.applied && u.created && u.textLength === 7, 'first delta applies');
+  u = live.applyDelta('u1:body', { sessionId: 's1', seq: 2, append: 'this ' }, ++t);
+  assert(u.applied && u.textLength === 12, 'next delta applies');
+  u = live.applyDelta('u1:body', { sessionId: 's1', seq: 2, append: 'this ' }, ++t);
+  assert(!u.applied && u.textLength === 12, 'duplicate seq is ignored');
+  u = live.applyDelta('u1:body', { sessionId: 's1', seq: 3, deleteCount: 5, append: 'that ' }, ++t);
+  assert(u.applied && live.session('u1:body', { now: t }).session.stream.getText() === 'I hate that ', 'backspace + append');
+  u = live.applyDelta('u1:body', { sessionId: 's1', seq: 7, append: 'x' }, ++t);
+  assert(!u.applied && u.resyncRequired && u.seq === 3, 'a gap asks for resync');
+  u = live.applyDelta('u1:body', { sessionId: 's1', seq: 7, text: 'I hate that so much ' }, ++t);
+  assert(u.applied && u.seq === 7 && u.textLength === 20, 'full text resyncs');
+  u = live.applyDelta('u1:body', { sessionId: 's2', seq: 1, append: 'hi ' }, ++t);
+  assert(u.created && u.textLength === 3, 'a new sessionId starts a fresh stream');
+
+  let threw = false;
+  try { live.applyDelta('u1:body', { sessionId: 's2', seq: 2, append: 'x'.repeat(5000) }, ++t); } catch (e) { threw = e.statusCode === 400; }
+  assert(threw, 'stream text is capped at 5000 characters');
+
+  // TTL eviction and LRU cap
+  live.applyDelta('u2:body', { sessionId: 'a', seq: 1, append: 'ok ' }, t);
+  assert(live.evictExpired(t + 500) === 0, 'fresh sessions survive');
+  assert(live.evictExpired(t + 5000) === 2 && live.size === 0, 'idle sessions expire');
+  u = live.applyDelta('u2:body', { sessionId: 'a', seq: 2, append: 'more ' }, t + 6000);
+  assert(u.created && u.resyncRequired && !u.applied, 'an evicted session asks for resync');
+  for (const k of ['a', 'b', 'c', 'd']) live.applyDelta(`u3:${k}`, { sessionId: 's', seq: 1, append: 'x' }, t + 7000);
+  assert(live.size === 3, 'maxSessions bounds the map');
+
+  // Route: anonymous callers are scoped by session id
+  const route = require('../api/v1/tone/stream');
+  assert(route.streamKey('anonymous', 'f', 's9') !== route.streamKey('anonymous', 'f', 's8'), 'anonymous streams are per session');
+  const post = (body, ip = '10.0.1.1') => authedJsonReq({ url: '/api/v1/tone/stream', headers: { 'x-forwarded-for': ip }, body });
+
+  let res = mockRes();
+  await route.default(post({ fieldId: 'compose', sessionId: 'route-1', seq: 1, append: 'You never listen to me ' }), res);
+  assert(res.statusCode === 200, `route should answer 200 (got ${res.statusCode}: ${JSON.stringify(res.body)})`);
+  const body = res.body.data || res.body;
+  const dist = body.distribution;
+  assert(dist && Math.abs(dist.clear + dist.caution + dist.alert - 1) < 1e-9, 'route returns a normalized distribution');
+  assert(body.metadata.text_length === 23 && body.applied === true, 'route applies the delta');
+
+  res = mockRes();
+  await route.default(post({ fieldId: 'compose', sessionId: 'route-1', seq: 2, deleteCount: 3 }), res);
+  assert((res.body.data || res.body).metadata.text_length === 20, 'route applies backspace');
+
+  res = mockRes();
+  await route.default(post({ fieldId: 'compose', sessionId: 'route-1', seq: 2, deleteCount: -1 }), res);
+  assert(res.statusCode === 400, 'negative deleteCount is rejected');
+
+  // Own rate-limit budget, separate from /api/v1/tone's
+  for (let seq = 1; seq <= route.STREAM_RATE_MAX; seq++) {
+    res = mockRes();
+    await route.default(post({ fieldId: 'compose', sessionId: 'route-2', seq, append: 'a' }, '10.0.1.2'), res);
+  }
+  assert(res.statusCode === 200 && res.headers['x-ratelimit-remaining'] === '0', 'the whole budget is usable');
+  res = mockRes();
+  await route.default(post({ fieldId: 'compose', sessionId: 'route-2', seq: route.STREAM_RATE_MAX + 1, append: 'a' }, '10.0.1.2'), res);
+  assert(res.statusCode === 429, `over budget should 429, got ${res.statusCode}`);
+  const toneRes = mockRes();
+  await require('../api/v1/tone').default(authedJsonReq({ url: '/api/v1/tone', headers: { 'x-forwarded-for': '10.0.1.2' }, body: { text: 'hello there' } }), toneRes);
+  assert(toneRes.statusCode === 200, `/tone keeps its own budget, got ${toneRes.statusCode}`);
+
+  console.log('✅ tone-stream-test passed');
+})().catch(err => { console.error(err); process.exit(1); });
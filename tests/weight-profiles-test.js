@@ -0,0 +1,88 @@
+// tests/weight-profiles-test.js
+// Minimal runtime test (no framework) for weight_modifiers.json profiles: selection (preference,
+// observed reactivity, fallback), mul_then_sum merging with bounds, scoring, and the communicator route.
+require('./helpers/env');
+const { dataLoader } = require('../api/_lib/services/dataLoader');
+const { selectWeightProfile, resolveWeightProfile, observedReactivity } = require('../api/_lib/services/weightProfiles');
+const { toneAnalysisService } = require('../api/_lib/services/toneAnalysis');
+const { CommunicatorProfile } = require('../api/_lib/services/communicatorProfile');
+const { mockRes, authedJsonReq } = require('./helpers/http');
+const { assert, near } = require('./helpers/assert');
+const communicatorRoute = require('../api/v1/communicator').default;
+const toneRoute = require('../api/v1/tone').default;
+
+const repeat = (n, tone) => Array.from({ length: n }, () => tone);
+
+(async () => {
+  const cfg = dataLoader.get('weightModifiers');
+  assert(cfg && cfg.profiles.high_sensitivity && cfg.mergeStrategy === 'mul_then_sum', 'weight_modifiers.json loaded');
+
+  // Observed reactivity over the last `window` tones, once minMessages are known
+  assert(observedReactivity(cfg, repeat(3, 'angry')).reactivity === null, 'too little history');
+  assert(observedReactivity(cfg, [...repeat(6, 'neutral'), ...repeat(4, 'angry')]).reactivity === 0.4, 'reactive share');
+  assert(observedReactivity(cfg, [...repeat(40, 'angry'), ...repeat(30, 'neutral')]).reactivity === 0, 'only the window counts');
+
+  // Selection: known preference → auto rule → fallback
+  assert(selectWeightProfile(cfg, { preferred: 'deescalator', recentTones: repeat(20, 'angry') }).source === 'preference', 'preference wins');
+  const hot = selectWeightProfile(cfg, { recentTones: [...repeat(5, 'frustrated'), ...repeat(5, 'neutral')] });
+  assert(hot.name === 'high_sensitivity' && hot.source === 'auto' && hot.reactivity === 0.5, 'reactive users auto-select high_sensitivity');
+  assert(selectWeightProfile(cfg, { recentTones: repeat(12, 'supportive') }).name === 'low_reactivity', 'calm users auto-select low_reactivity');
+  const mid = selectWeightProfile(cfg, { preferred: 'nope', recentTones: [...repeat(2, 'angry'), ...repeat(8, 'neutral')] });
+  assert(mid.name === 'balanced' && mid.source === 'default', 'unknown preference and no rule → fallback');
+
+  // Resolution: multipliers multiply (profile × CTX context) and are bounded; tone weights sum
+  const hs = resolveWeightProfile(cfg, 'high_sensitivity', { context: 'conflict', attachmentStyle: 'anxious' });
+  assert(near(hs.multipliers.context, 1.15) && hs.multipliers.sarcasm === 1.3 && hs.multipliers.intensity === 1.1, 'multipliers');
+  assert(near(hs.toneWeight.alert, 0.11) && near(hs.toneWeight.clear, -0.05) && hs.styleWeight === 0.05, 'summed tone and style weights');
+  assert(resolveWeightProfile(cfg, 'high_sensitivity', { context: 'general' }).toneWeight.alert === 0.05, 'no context boost outside CTX_*');
+  const wild = resolveWeightProfile({ ...cfg, profiles: { x: { sarcasmPenalty: 3, intensityBoost: 0.1 } } }, 'x');
+  assert(wild.multipliers.sarcasm === 1.5 && wild.multipliers.intensity === 0.5, 'bounds clamp multipliers');
+  const none = resolveWeightProfile(cfg, null);
+  assert(none.name === null && none.multipliers.negation === 1 && none.toneWeight.alert === 0, 'no profile is neutral');
+
+  // Scoring: a high-sensitivity user sees more alert than a low-reactivity one on the same text
+  const text = 'Oh great, you forgot again. Not like I asked three times.';
+  const analyze = weightProfile => toneAnalysisService.analyzeAdvancedTone(text, { context: 'conflict', weightProfile, skipCalibration: true });
+  const [high, low, balanced, plain] = await Promise.all([analyze('high_sensitivity'), analyze('low_reactivity'), analyze('balanced'), analyze(undefined)]);
+  assert(high.emotions.anger > low.emotions.anger, `high_sensitivity scores more anger (${high.emotions.anger} vs ${low.emotions.anger})`);
+  assert(low.emotions.confident > high.emotions.confident, 'low_reactivity scores more supportive');
+  assert(near(balanced.emotions.anger, plain.emotions.anger), 'balanced matches no profile');
+
+  // Communicator route: get / set / clear
+  const userId = 'weights-user';
+  const call = async (method, body) => {
+    const res = mockRes();
+    await communicatorRoute(authedJsonReq({ method, url: '/api/v1/communicator/weight-profile', user: userId, body }), res);
+    return res;
+  };
+
+  let res = await call('GET');
+  assert(res.statusCode === 200 && res.body.data.preference === null && res.body.data.selected.source === 'default', 'new users get the fallback');
+  assert(res.body.data.available.some(p => p.name === 'deescalator' && p.label === 'De-Escalator'), 'profiles listed');
+
+  res = await call('POST', { profile: 'not_a_profile' });
+  assert(res.statusCode === 400, `unknown profile rejected, got ${res.statusCode}`);
+
+  res = await call('POST', { profile: 'deescalator' });
+  assert(res.statusCode === 200 && res.body.data.updated && res.body.data.selected.name === 'deescalator', 'preference stored');
+  assert(res.body.data.weights.multipliers.sarcasm === 1.25, 'resolved weights returned');
+
+  // Tone route uses the stored preference
+  const post = body => authedJsonReq({ url: '/api/v1/tone', user: userId, headers: { 'x-forwarded-for': '10.0.0.7' }, body });
+  let toneRes = mockRes();
+  await toneRoute(post({ text, context: 'conflict' }), toneRes);
+  assert(toneRes.statusCode === 200 && toneRes.body.data.analysis_meta.weightProfile.name === 'deescalator', 'tone route applies the preference');
+
+  // Clearing the preference returns to auto-selection from observed tones
+  const stored = new CommunicatorProfile({ userId });
+  await stored.init();
+  await stored.update(p => { for (let i = 0; i < 10; i++) p.addCommunication('...', 'conflict', i < 6 ? 'angry' : 'neutral'); });
+  res = await call('POST', { profile: null });
+  assert(res.body.data.preference === null && res.body.data.selected.name === 'high_sensitivity' && res.body.data.selected.source === 'auto', 'auto-selection after clearing');
+
+  toneRes = mockRes();
+  await toneRoute(post({ text, context: 'conflict' }), toneRes);
+  assert(toneRes.body.data.analysis_meta.weightProfile.source === 'auto', 'tone route auto-selects');
+
+  console.log('✅ weight-profiles-test passed');
+})().catch(err => { console.error(err); process.exit(1); });